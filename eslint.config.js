@@ -1,4 +1,12 @@
 const js = require('@eslint/js');
+const { loadUtilityModules } = require('./scripts/lib/resolver-injection');
+
+// Every exported utility is injected into resolvers at build time
+const utilityGlobals = Object.fromEntries(
+  Object.values(loadUtilityModules()).flatMap((module) =>
+    [...module.exports].map((name) => [name, 'readonly'])
+  )
+);
 
 module.exports = [
   js.configs.recommended,
@@ -31,24 +39,8 @@ module.exports = [
         FACET_MAPPINGS: 'readonly',
         attributeCodeToUrlKey: 'readonly',
         urlKeyToAttributeCode: 'readonly',
-        extractPriceValue: 'readonly',
-        findAttributeValue: 'readonly',
-        isOnSale: 'readonly',
-        calculateDiscountPercent: 'readonly',
-        calculateDiscountPercentage: 'readonly',
-        extractVariantOptions: 'readonly',
-        ensureHttpsUrl: 'readonly',
-        formatPrice: 'readonly',
-        transformProductToCard: 'readonly',
-        transformCategory: 'readonly',
-        filterForNavigation: 'readonly',
-        buildHeaderNav: 'readonly',
-        buildFooterNav: 'readonly',
-        buildBreadcrumbs: 'readonly',
-        buildPageFilters: 'readonly',
-        buildCatalogFilters: 'readonly',
-        buildLiveSearchFilters: 'readonly',
-        transformFacets: 'readonly',
+        STORE_LOCALES: 'readonly',
+        ...utilityGlobals,
       },
     },
   },
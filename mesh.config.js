@@ -1,6 +1,9 @@
 // Load environment variables
 require('dotenv').config();
 
+// Mesh header template forwarding a request header to a source
+const contextHeader = (name) => `{context.headers['${name}']}`;
+
 module.exports = {
   meshConfig: {
     sources: [
@@ -11,7 +14,11 @@ module.exports = {
             endpoint: '{env.ADOBE_COMMERCE_GRAPHQL_ENDPOINT}',
             operationHeaders: {
               'Content-Type': 'application/json',
-              Store: "{context.headers['store']}",
+              Store: contextHeader('store'),
+              // Customer token from Citisignal_login, empty for guests
+              Authorization: contextHeader('authorization'),
+              // Set by the resolvers when the request has none, see request-logger.js
+              'X-Correlation-Id': contextHeader('x-correlation-id'),
             },
           },
         },
@@ -31,13 +38,14 @@ module.exports = {
             endpoint: '{env.ADOBE_CATALOG_SERVICE_ENDPOINT}',
             operationHeaders: {
               'Content-Type': 'application/json',
-              'Magento-Environment-Id': "{context.headers['magento-environment-id']}",
-              'Magento-Website-Code': "{context.headers['magento-website-code']}",
-              'Magento-Store-View-Code': "{context.headers['magento-store-view-code']}",
-              'Magento-Store-Code': "{context.headers['magento-store-code']}",
-              'Magento-Customer-Group': "{context.headers['magento-customer-group']}",
-              'X-Api-Key': "{context.headers['x-api-key']}",
-              Authorization: "{context.headers['Authorization']}",
+              'Magento-Environment-Id': contextHeader('magento-environment-id'),
+              'Magento-Website-Code': contextHeader('magento-website-code'),
+              'Magento-Store-View-Code': contextHeader('magento-store-view-code'),
+              'Magento-Store-Code': contextHeader('magento-store-code'),
+              'Magento-Customer-Group': contextHeader('magento-customer-group'),
+              'X-Api-Key': contextHeader('x-api-key'),
+              Authorization: contextHeader('Authorization'),
+              'X-Correlation-Id': contextHeader('x-correlation-id'),
             },
             schemaHeaders: {
               'x-api-key': '{env.ADOBE_CATALOG_API_KEY}',
@@ -64,12 +72,13 @@ module.exports = {
             endpoint: '{env.ADOBE_CATALOG_SERVICE_ENDPOINT}',
             operationHeaders: {
               'Content-Type': 'application/json',
-              'Magento-Environment-Id': "{context.headers['magento-environment-id']}",
-              'Magento-Website-Code': "{context.headers['magento-website-code']}",
-              'Magento-Store-View-Code': "{context.headers['magento-store-view-code']}",
-              'Magento-Store-Code': "{context.headers['magento-store-code']}",
-              'Magento-Customer-Group': "{context.headers['magento-customer-group']}",
+              'Magento-Environment-Id': contextHeader('magento-environment-id'),
+              'Magento-Website-Code': contextHeader('magento-website-code'),
+              'Magento-Store-View-Code': contextHeader('magento-store-view-code'),
+              'Magento-Store-Code': contextHeader('magento-store-code'),
+              'Magento-Customer-Group': contextHeader('magento-customer-group'),
               'X-Api-Key': 'search_gql',
+              'X-Correlation-Id': contextHeader('x-correlation-id'),
             },
             schemaHeaders: {
               'x-api-key': '{env.ADOBE_CATALOG_API_KEY}',
@@ -93,6 +102,7 @@ module.exports = {
     ],
     transforms: [
       {
+        // Production builds keep only Citisignal_* (see persistedOperations below)
         filterSchema: {
           mode: 'bare',
           filters: [
@@ -112,6 +122,40 @@ module.exports = {
         methods: ['GET', 'POST'],
         origin: '*',
       },
+      // cache is enabled by the build when cacheRules caches any operation
     },
   },
+
+  // Response cache TTL per Citisignal query, in seconds (0 = never cached)
+  // The build turns these into @cacheControl directives; every Citisignal query needs a rule
+  cacheRules: {
+    Citisignal_categoryNavigation: { maxAge: 3600 },
+    Citisignal_categoryBreadcrumbs: { maxAge: 3600 },
+    // Price changes are purged by tag (npm run cache:purge), which also clears the mesh cache
+    Citisignal_categoryPageData: { maxAge: 300 },
+    Citisignal_productCards: { maxAge: 300 },
+    Citisignal_productFacets: { maxAge: 300 },
+    Citisignal_productSearchFilter: { maxAge: 300 },
+    Citisignal_searchSuggestions: { maxAge: 300 },
+    Citisignal_productDetail: { maxAge: 300 },
+    // Cart and checkout are per shopper
+    Citisignal_cart: { maxAge: 0 },
+    Citisignal_checkout: { maxAge: 0 },
+  },
+
+  // Storefront operations in operations/*.graphql, compiled to persisted-operations.json
+  persistedOperations: {
+    // Production builds (build --prod) reject every operation not in operations/ and drop
+    // the raw source fields from filterSchema
+    // Add new storefront operations there before deploying them
+    persistedOnlyInProduction: true,
+  },
+
+  // Upstream call and transform timings per operation, see resolvers-src/hooks/response-timings.js
+  responseTimings: {
+    // Adds extensions.timings to responses of requests with the x-mesh-timings header, which
+    // the storefront proxy sends and turns into Server-Timing (scripts/lib/server-timing.js)
+    // Off by default: the hook blocks every response and the mesh can't set the header itself
+    enabled: false,
+  },
 };
@@ -1,39 +1,10 @@
 /**
  * Cart Operations Resolver
  * Provides semantic cart mutations following Citisignal patterns
- * Intelligently manages Adobe Commerce cart lifecycle
+ * Carts are resolved with resolveCartIdentity: reads never create a cart, writes
+ * create one lazily, and every result reports which cart was used and why.
  */
 
-// Cart ID management strategy (like your service selection logic)
-const ensureCartId = async (context) => {
-  // Check for existing cart ID from context/headers
-  const existingCartId = context.headers['x-cart-id'] || context.cartId || context.request?.cartId;
-
-  if (existingCartId) {
-    // Validate cart still exists
-    try {
-      await context.CommerceGraphQL.Query.Commerce_cart({
-        root: {},
-        args: { cart_id: existingCartId },
-        context,
-        selectionSet: '{ id }',
-      });
-      return existingCartId;
-    } catch (error) {
-      context.logger.warn(`Cart invalid, creating new: ${error.message?.substring(0, 55)}`);
-    }
-  }
-
-  // Create new cart
-  const result = await context.CommerceGraphQL.Mutation.Commerce_createEmptyCart({
-    root: {},
-    args: {},
-    context,
-  });
-
-  return result;
-};
-
 // Get cart with full details (following your query patterns)
 const queryCartDetails = async (context, cartId) => {
   return await context.CommerceGraphQL.Query.Commerce_cart({
@@ -49,6 +20,10 @@ const queryCartDetails = async (context, cartId) => {
           id
           sku
           name
+          stock_status
+          only_x_left_in_stock
+          min_sale_qty
+          max_sale_qty
           thumbnail { url }
           media_gallery { url label role }
         }
@@ -68,23 +43,134 @@ const queryCartDetails = async (context, cartId) => {
       prices {
         grand_total { value currency }
         subtotal_excluding_tax { value currency }
+        subtotal_including_tax { value currency }
+        discounts {
+          label
+          amount { value currency }
+        }
+        applied_taxes {
+          label
+          amount { value currency }
+        }
+      }
+      applied_coupons { code }
+      shipping_addresses {
+        selected_shipping_method {
+          carrier_title
+          method_title
+          amount { value currency }
+        }
       }
     }`,
   });
 };
 
-// Add product to cart (with service intelligence like your product queries)
-const addProductToCart = async (context, input, cartId) => {
-  // Build Adobe input (utility function will be injected)
-  const adobeInput = buildAdobeCartInput(input, cartId); // eslint-disable-line no-undef
+// Stock for products not yet in the cart. A failed lookup skips the check, Commerce still validates
+const queryProductStock = async (context, skus) => {
+  if (skus.length === 0) return [];
+
+  try {
+    const result = await context.CommerceGraphQL.Query.Commerce_products({
+      root: {},
+      args: { filter: { sku: { in: skus } }, pageSize: skus.length },
+      context,
+      selectionSet: `{
+        items {
+          sku
+          name
+          stock_status
+          only_x_left_in_stock
+          min_sale_qty
+          max_sale_qty
+        }
+      }`,
+    });
+    return result?.items || [];
+  } catch (error) {
+    logEvent(context, 'warn', 'Stock lookup failed', { error });
+    return [];
+  }
+};
+
+// Check the quantities each line would end up with before anything is written
+const checkCartStock = async (context, currentCart, updates, additions) => {
+  const cartItems = currentCart?.items || [];
+  const products = await queryProductStock(
+    context,
+    additions.map((addition) => addition.sku)
+  );
+
+  const lines = [
+    ...updates.map((update) => {
+      const item = cartItems.find((cartItem) => String(cartItem.id) === update.cartItemId);
+      return {
+        sku: item?.product?.sku,
+        cartItemId: update.cartItemId,
+        quantity: update.quantity,
+        previousQuantity: item?.quantity || 0,
+        stock: item?.product,
+      };
+    }),
+    ...additions.map((addition) => ({
+      sku: addition.sku,
+      cartItemId: null,
+      quantity: addition.quantity,
+      previousQuantity: 0,
+      stock: products.find((product) => product.sku === addition.sku),
+    })),
+  ];
+
+  return validateLineStock(lines);
+};
+
+// Apply batch cart operations with as few Commerce mutations as possible:
+// one update for quantity changes and removals, one add per product type
+// Returns stock user errors without writing anything when a line cannot be fulfilled
+const applyCartOperations = async (context, cartIdentity, operations) => {
+  const { cartId } = cartIdentity;
 
-  // Determine mutation based on product type (like your service selection)
-  const isConfigurable = input.selectedOptions && input.selectedOptions.length > 0;
+  // Removals alone need no current lines; everything else is merged and checked against them
+  const needsCurrentCart = operations.some((operation) => operation.type !== 'REMOVE');
+  const currentCart =
+    needsCurrentCart && cartIdentity.status === 'EXISTING'
+      ? await queryCartDetails(context, cartId)
+      : null;
 
-  if (isConfigurable) {
-    return await context.CommerceGraphQL.Mutation.Commerce_addConfigurableProductsToCart({
+  const { updates, additions } = collapseCartOperations(operations, currentCart);
+
+  const stockErrors = await checkCartStock(context, currentCart, updates, additions);
+  if (stockErrors.length > 0) return stockErrors;
+
+  const simpleAdditions = additions.filter((addition) => addition.selectedOptions.length === 0);
+  const configurableAdditions = additions.filter((addition) => addition.selectedOptions.length > 0);
+
+  // Sequential on purpose: concurrent writes to one Commerce cart can overwrite each other
+  if (updates.length > 0) {
+    await context.CommerceGraphQL.Mutation.Commerce_updateCartItems({
+      root: {},
+      args: {
+        input: {
+          cart_id: cartId,
+          cart_items: updates.map((update) => ({
+            cart_item_id: parseInt(update.cartItemId),
+            quantity: update.quantity, // 0 removes the line
+          })),
+        },
+      },
+      context,
+      selectionSet: `{
+        cart {
+          id
+          items { id quantity }
+        }
+      }`,
+    });
+  }
+
+  if (simpleAdditions.length > 0) {
+    await context.CommerceGraphQL.Mutation.Commerce_addSimpleProductsToCart({
       root: {},
-      args: { input: adobeInput },
+      args: { input: buildAdobeCartInput(simpleAdditions, cartId) },
       context,
       selectionSet: `{
         cart {
@@ -96,10 +182,12 @@ const addProductToCart = async (context, input, cartId) => {
         }
       }`,
     });
-  } else {
-    return await context.CommerceGraphQL.Mutation.Commerce_addSimpleProductsToCart({
+  }
+
+  if (configurableAdditions.length > 0) {
+    await context.CommerceGraphQL.Mutation.Commerce_addConfigurableProductsToCart({
       root: {},
-      args: { input: adobeInput },
+      args: { input: buildAdobeCartInput(configurableAdditions, cartId) },
       context,
       selectionSet: `{
         cart {
@@ -112,21 +200,91 @@ const addProductToCart = async (context, input, cartId) => {
       }`,
     });
   }
+
+  return [];
+};
+
+// Successful operations return the updated cart and how it was resolved
+const cartOperationResult = async (context, cartIdentity) => {
+  const updatedCart = await queryCartDetails(context, cartIdentity.cartId);
+
+  return {
+    success: true,
+    cart: transformCartToSemantic(updatedCart, getPriceFormat(context)),
+    cartIdentity,
+    errors: [],
+    userErrors: [],
+    upstreamErrors: [],
+  };
+};
+
+// Rejected operations report why, the cart is left untouched
+const rejectedResult = (userErrors, cartIdentity, upstreamErrors = []) => {
+  return {
+    success: false,
+    cart: null,
+    cartIdentity,
+    errors: userErrors.map((userError) => userError.message),
+    userErrors,
+    upstreamErrors,
+  };
+};
+
+// Failed operations keep the cart identity when it was resolved before the failure
+// Commerce messages are mapped to user errors, the raw text is only logged
+const cartOperationFailure = (context, error, action, cartIdentity) => {
+  logEvent(context, 'error', 'Cart operation failed', { action, error });
+  const userError = toUserError(
+    error,
+    CART_USER_ERRORS,
+    'We could not update your cart. Please try again.'
+  );
+
+  return rejectedResult(
+    [userError],
+    cartIdentity,
+    toUpstreamErrors(userError, error, 'CommerceGraphQL')
+  );
+};
+
+// Updates and removals need an existing cart, creating one would leave nothing to change
+const missingCartResult = (cartIdentity) => {
+  return rejectedResult(
+    [{ code: 'CART_NOT_FOUND', message: 'Your cart has expired. Please refresh the page.' }],
+    cartIdentity
+  );
+};
+
+// Coupon failures are logged at warn, most are codes shoppers mistyped or that expired
+const couponFailure = (context, error, action, cartIdentity) => {
+  logEvent(context, 'warn', 'Coupon failed', { action, error });
+  const userError = toUserError(
+    error,
+    CART_USER_ERRORS,
+    `We could not ${action} the coupon. Please try again.`
+  );
+
+  return rejectedResult(
+    [userError],
+    cartIdentity,
+    toUpstreamErrors(userError, error, 'CommerceGraphQL')
+  );
 };
 
 module.exports = {
   resolvers: {
     Query: {
       Citisignal_cart: {
-        resolve: async (_root, _args, context, _info) => {
+        resolve: async (_root, args, context, _info) => {
           try {
-            const cartId = await ensureCartId(context);
+            // Reads never create a cart: no cart (or an expired one) is simply null
+            const { cartId } = await resolveCartIdentity(context, args);
             if (!cartId) return null;
 
             const adobeCart = await queryCartDetails(context, cartId);
-            return transformCartToSemantic(adobeCart); // eslint-disable-line no-undef
+            return transformCartToSemantic(adobeCart, getPriceFormat(context));
           } catch (error) {
-            context.logger.error(`Cart query error: ${error.message?.substring(0, 65)}`);
+            logEvent(context, 'error', 'Cart query failed', { error });
             return null; // Graceful degradation
           }
         },
@@ -135,118 +293,97 @@ module.exports = {
 
     Mutation: {
       Citisignal_addToCart: {
-        resolve: async (_root, { input }, context, _info) => {
+        resolve: async (_root, args, context, _info) => {
+          const operation = { type: 'ADD', ...args.input };
+          const userErrors = validateCartOperations([operation]);
+          if (userErrors.length > 0) return rejectedResult(userErrors, null);
+
+          let cartIdentity = null;
+
           try {
-            // Ensure we have a cart
-            const cartId = await ensureCartId(context);
+            // First write creates the cart
+            cartIdentity = await resolveCartIdentity(context, args, { create: true });
 
-            // Get current cart to check for duplicates
-            const currentCart = await queryCartDetails(context, cartId);
+            // Adding a product already in the cart raises that line's quantity
+            const stockErrors = await applyCartOperations(context, cartIdentity, [operation]);
+            if (stockErrors.length > 0) return rejectedResult(stockErrors, cartIdentity);
 
-            // Check if item already exists in cart (same SKU + configuration)
-            const existingItem = findExistingCartItem(currentCart, input); // eslint-disable-line no-undef
+            return await cartOperationResult(context, cartIdentity);
+          } catch (error) {
+            return cartOperationFailure(context, error, 'Add to cart', cartIdentity);
+          }
+        },
+      },
 
-            if (existingItem) {
-              // Item exists - update quantity instead of adding new item
-              const updateInput = {
-                cartItemId: existingItem.id,
-                quantity: existingItem.quantity + (input.quantity || 1),
-              };
+      Citisignal_updateCart: {
+        resolve: async (_root, args, context, _info) => {
+          const { operations } = args;
+          const userErrors = validateCartOperations(operations);
+          if (userErrors.length > 0) return rejectedResult(userErrors, null);
 
-              // Use the update mutation to increment quantity
-              await context.CommerceGraphQL.Mutation.Commerce_updateCartItems({
-                root: {},
-                args: {
-                  input: {
-                    cart_id: cartId,
-                    cart_items: [
-                      {
-                        cart_item_id: parseInt(existingItem.id),
-                        quantity: updateInput.quantity,
-                      },
-                    ],
-                  },
-                },
-                context,
-                selectionSet: `{
-                  cart {
-                    id
-                    items { id quantity }
-                  }
-                }`,
-              });
-            } else {
-              // Item doesn't exist - add as new item
-              await addProductToCart(context, input, cartId);
-            }
+          let cartIdentity = null;
 
-            // Fetch updated cart details
-            const updatedCart = await queryCartDetails(context, cartId);
-            const semanticCart = transformCartToSemantic(updatedCart); // eslint-disable-line no-undef
+          try {
+            // Only batches that add products may create the cart
+            const create = operations.some((operation) => operation.type === 'ADD');
+            cartIdentity = await resolveCartIdentity(context, args, { create });
+            if (!cartIdentity.cartId) return missingCartResult(cartIdentity);
 
-            return {
-              success: true,
-              cart: semanticCart,
-              errors: [],
-            };
+            const stockErrors = await applyCartOperations(context, cartIdentity, operations);
+            if (stockErrors.length > 0) return rejectedResult(stockErrors, cartIdentity);
+
+            return await cartOperationResult(context, cartIdentity);
           } catch (error) {
-            context.logger.error(`Add to cart error: ${error.message?.substring(0, 62)}`);
-            return {
-              success: false,
-              cart: null,
-              errors: [error.message],
-            };
+            return cartOperationFailure(context, error, 'Update cart', cartIdentity);
           }
         },
       },
 
       Citisignal_updateCartItem: {
-        resolve: async (_root, { input }, context, _info) => {
-          try {
-            const cartId = await ensureCartId(context);
+        resolve: async (_root, args, context, _info) => {
+          // Removing a line is Citisignal_removeFromCart, a quantity here must be positive
+          const { cartItemId, quantity } = args.input;
+          if (!Number.isInteger(quantity) || quantity < 1) {
+            return rejectedResult(
+              [
+                {
+                  code: 'INVALID_QUANTITY',
+                  message: 'Enter a quantity of at least 1.',
+                  cartItemId,
+                },
+              ],
+              null
+            );
+          }
 
-            // Build update input (utility function will be injected)
-            const adobeInput = buildCartUpdateInput(input, cartId); // eslint-disable-line no-undef
+          let cartIdentity = null;
 
-            // Update cart item quantity
-            await context.CommerceGraphQL.Mutation.Commerce_updateCartItems({
-              root: {},
-              args: { input: adobeInput },
-              context,
-              selectionSet: `{
-                cart {
-                  id
-                  items { id quantity }
-                }
-              }`,
-            });
+          try {
+            cartIdentity = await resolveCartIdentity(context, args);
+            if (!cartIdentity.cartId) return missingCartResult(cartIdentity);
 
-            // Fetch updated cart
-            const updatedCart = await queryCartDetails(context, cartId);
+            const stockErrors = await applyCartOperations(context, cartIdentity, [
+              { type: 'SET_QUANTITY', cartItemId, quantity },
+            ]);
+            if (stockErrors.length > 0) return rejectedResult(stockErrors, cartIdentity);
 
-            return {
-              success: true,
-              cart: transformCartToSemantic(updatedCart), // eslint-disable-line no-undef
-              errors: [],
-            };
+            return await cartOperationResult(context, cartIdentity);
           } catch (error) {
-            context.logger.error(`Update cart error: ${error.message?.substring(0, 62)}`);
-            return {
-              success: false,
-              cart: null,
-              errors: [error.message],
-            };
+            return cartOperationFailure(context, error, 'Update cart', cartIdentity);
           }
         },
       },
 
       Citisignal_removeFromCart: {
-        resolve: async (_root, { cartItemId }, context, _info) => {
+        resolve: async (_root, args, context, _info) => {
+          let cartIdentity = null;
+
           try {
-            const cartId = await ensureCartId(context);
+            cartIdentity = await resolveCartIdentity(context, args);
+            if (!cartIdentity.cartId) return missingCartResult(cartIdentity);
 
             // Build remove input (utility function will be injected)
-            const adobeInput = buildRemoveItemInput(cartItemId, cartId); // eslint-disable-line no-undef
+            const adobeInput = buildRemoveItemInput(args.cartItemId, cartIdentity.cartId);
 
             await context.CommerceGraphQL.Mutation.Commerce_removeItemFromCart({
               root: {},
@@ -260,54 +397,98 @@ module.exports = {
               }`,
             });
 
-            const updatedCart = await queryCartDetails(context, cartId);
-
-            return {
-              success: true,
-              cart: transformCartToSemantic(updatedCart), // eslint-disable-line no-undef
-              errors: [],
-            };
+            return await cartOperationResult(context, cartIdentity);
           } catch (error) {
-            context.logger.error(`Remove from cart error: ${error.message?.substring(0, 57)}`);
-            return {
-              success: false,
-              cart: null,
-              errors: [error.message],
-            };
+            return cartOperationFailure(context, error, 'Remove from cart', cartIdentity);
           }
         },
       },
 
       Citisignal_clearCart: {
-        resolve: async (_root, _args, context, _info) => {
+        resolve: async (_root, args, context, _info) => {
+          let cartIdentity = null;
+
           try {
-            // Create a new empty cart (effectively clearing the old one)
-            const newCartId = await context.CommerceGraphQL.Mutation.Commerce_createEmptyCart({
+            cartIdentity = await resolveCartIdentity(context, args);
+
+            // No cart means nothing to clear
+            if (!cartIdentity.cartId) {
+              return {
+                success: true,
+                cart: null,
+                cartIdentity,
+                errors: [],
+                userErrors: [],
+                upstreamErrors: [],
+              };
+            }
+
+            // Empty the cart in place so its ID (and a customer cart) stays valid,
+            // removing every line in one update so a failure leaves the cart untouched
+            const currentCart = await queryCartDetails(context, cartIdentity.cartId);
+            const removalErrors = await applyCartOperations(
+              context,
+              cartIdentity,
+              (currentCart?.items || []).map((item) => ({ type: 'REMOVE', cartItemId: item.id }))
+            );
+            if (removalErrors.length > 0) return rejectedResult(removalErrors, cartIdentity);
+
+            return await cartOperationResult(context, cartIdentity);
+          } catch (error) {
+            return cartOperationFailure(context, error, 'Clear cart', cartIdentity);
+          }
+        },
+      },
+
+      Citisignal_applyCoupon: {
+        resolve: async (_root, args, context, _info) => {
+          const couponCode = (args.code || '').trim();
+          if (!couponCode) {
+            return rejectedResult(
+              [{ code: 'COUPON_INVALID', message: 'Enter a coupon code.' }],
+              null
+            );
+          }
+
+          let cartIdentity = null;
+
+          try {
+            cartIdentity = await resolveCartIdentity(context, args);
+            if (!cartIdentity.cartId) return missingCartResult(cartIdentity);
+
+            await context.CommerceGraphQL.Mutation.Commerce_applyCouponToCart({
+              root: {},
+              args: { input: { cart_id: cartIdentity.cartId, coupon_code: couponCode } },
+              context,
+              selectionSet: '{ cart { id applied_coupons { code } } }',
+            });
+
+            // Fetch updated cart so totals include the discount
+            return await cartOperationResult(context, cartIdentity);
+          } catch (error) {
+            return couponFailure(context, error, 'apply', cartIdentity);
+          }
+        },
+      },
+
+      Citisignal_removeCoupon: {
+        resolve: async (_root, args, context, _info) => {
+          let cartIdentity = null;
+
+          try {
+            cartIdentity = await resolveCartIdentity(context, args);
+            if (!cartIdentity.cartId) return missingCartResult(cartIdentity);
+
+            await context.CommerceGraphQL.Mutation.Commerce_removeCouponFromCart({
               root: {},
-              args: {},
+              args: { input: { cart_id: cartIdentity.cartId } },
               context,
+              selectionSet: '{ cart { id } }',
             });
 
-            // Return empty cart
-            return {
-              success: true,
-              cart: {
-                id: newCartId,
-                itemCount: 0,
-                totalValue: 0,
-                totalDisplay: formatPrice(0),
-                items: [],
-                isEmpty: true,
-              },
-              errors: [],
-            };
+            return await cartOperationResult(context, cartIdentity);
           } catch (error) {
-            context.logger.error(`Clear cart error: ${error.message?.substring(0, 64)}`);
-            return {
-              success: false,
-              cart: null,
-              errors: [error.message],
-            };
+            return couponFailure(context, error, 'remove', cartIdentity);
           }
         },
       },
@@ -3,87 +3,7 @@
  * Builds breadcrumb trails from Commerce category hierarchy for navigation.
  */
 
-/**
- * Transform Adobe's category breadcrumb to clean format
- *
- * ADOBE'S BREADCRUMB STRUCTURE:
- * {
- *   category_id: 4,
- *   category_name: "Electronics",
- *   category_url_path: "electronics",
- *   category_level: 2
- * }
- *
- * OUR CLEAN BREADCRUMB:
- * {
- *   name: "Electronics",
- *   href: "/electronics",
- *   isActive: false
- * }
- */
-const transformBreadcrumb = (breadcrumb, _isLast = false) => {
-  if (!breadcrumb) return null;
-
-  const urlPath = breadcrumb.category_url_path || breadcrumb.url_path || '';
-
-  return {
-    // Match the schema: Citisignal_BreadcrumbItem
-    categoryId: breadcrumb.category_id || null,
-    name: breadcrumb.category_name || breadcrumb.name || '',
-    urlPath: urlPath ? `/${urlPath}` : '/',
-    level: breadcrumb.category_level || breadcrumb.level || 0,
-  };
-};
-
-/**
- * Build complete breadcrumb trail from category data
- *
- * ADOBE'S CATEGORY WITH BREADCRUMBS:
- * {
- *   id: 6,
- *   name: "Phones",
- *   url_path: "phones",
- *   breadcrumbs: [{
- *     category_name: "Electronics",
- *     category_url_path: "electronics"
- *   }]
- * }
- *
- * OUR COMPLETE TRAIL:
- * [
- *   { name: "Home", href: "/", isActive: false },
- *   { name: "Electronics", href: "/electronics", isActive: false },
- *   { name: "Phones", href: "/phones", isActive: true }
- * ]
- */
-const buildBreadcrumbTrail = (category) => {
-  const breadcrumbs = [];
-
-  // Don't add Home - the frontend already displays a home icon
-
-  if (category) {
-    // Add parent categories from breadcrumbs array
-    if (category.breadcrumbs && Array.isArray(category.breadcrumbs)) {
-      const parentCrumbs = category.breadcrumbs
-        .map((crumb) => transformBreadcrumb(crumb, false))
-        .filter(Boolean);
-
-      breadcrumbs.push(...parentCrumbs);
-    }
-
-    // Add current category as the last breadcrumb
-    if (category.name) {
-      breadcrumbs.push({
-        categoryId: category.id || category.uid || null,
-        name: category.name,
-        urlPath: category.url_path ? `/${category.url_path}` : '/',
-        level: category.level || breadcrumbs.length,
-      });
-    }
-  }
-
-  return breadcrumbs;
-};
+// buildBreadcrumbTrail and categoryCacheTags functions are injected at build time
 
 // ============================================================================
 // QUERY EXECUTION - Get category with breadcrumbs from Commerce
@@ -94,51 +14,24 @@ const executeCategoryBreadcrumbs = async (context, args) => {
     return []; // No category specified
   }
 
-  try {
-    // Query Adobe Commerce for specific category with breadcrumbs
-    const result = await context.CommerceGraphQL.Query.Commerce_categoryList({
-      root: {},
-      args: {
-        filters: {
-          url_key: { eq: args.categoryUrlKey },
-        },
-      },
-      context,
-      selectionSet: `{
-        id
-        uid
-        name
-        url_path
-        level
-        breadcrumbs {
-          category_id
-          category_name
-          category_url_path
-          category_level
-        }
-      }`,
-    });
-
-    // Get the first (and should be only) category
-    const category = result?.[0];
+  // Shared request-scoped lookup (injected), also used by Citisignal_categoryPageData
+  const category = await getCategoryByUrlKey(context, args.categoryUrlKey);
 
-    // Build and return breadcrumb trail
-    return buildBreadcrumbTrail(category);
-  } catch (error) {
-    context.logger.error(`Fetch breadcrumbs error: ${error.message?.substring(0, 58)}`);
-    return [];
-  }
+  // Build and return breadcrumb trail
+  return buildBreadcrumbTrail(category);
 };
 
 // ============================================================================
 // MAIN RESOLVER - Clean breadcrumb API
 // ============================================================================
 
+// withUncachedDegradation function is injected at build time
+
 module.exports = {
   resolvers: {
     Query: {
       Citisignal_categoryBreadcrumbs: {
-        resolve: async (_root, args, context, _info) => {
+        resolve: withUncachedDegradation(async (_root, args, context, _info) => {
           try {
             // Get breadcrumb trail from Commerce
             const breadcrumbs = await executeCategoryBreadcrumbs(context, args);
@@ -147,13 +40,19 @@ module.exports = {
             // Ready for direct use in breadcrumb components
             return {
               items: breadcrumbs || [],
+              cacheTags: categoryCacheTags(breadcrumbs),
+              upstreamErrors: [],
             };
           } catch (error) {
-            context.logger.error(`Breadcrumbs error: ${error.message?.substring(0, 63)}`);
+            logEvent(context, 'error', 'Category breadcrumbs failed', { error });
             // Return empty breadcrumbs on error (graceful degradation)
-            return { items: [] };
+            return {
+              items: [],
+              cacheTags: [],
+              upstreamErrors: [classifyUpstreamError(error, 'CommerceGraphQL')],
+            };
           }
-        },
+        }),
       },
     },
   },
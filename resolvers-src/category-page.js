@@ -0,0 +1,169 @@
+/**
+ * Category Page Resolver
+ * Returns everything an SSR category page needs in one request: navigation, products,
+ * facets, breadcrumbs and category info. Category lookups are shared through
+ * context.state, so the category tree and the category are fetched once per request,
+ * even when the same operation also asks for navigation or breadcrumbs.
+ */
+
+// getCategoryTree and getCategoryByUrlKey functions are injected at build time
+
+// executeProductSearch and buildProductSearchSections functions are injected at build time
+
+// buildCategoryNavigation and buildBreadcrumbTrail functions are injected at build time
+
+// categoryCacheTags and mergeCacheTags functions are injected at build time
+
+// Category info for titles and SEO tags
+// The id is null when no category was requested or the URL key is unknown
+const buildCategoryInfo = (category, categoryUrlKey) => {
+  if (!category) {
+    return {
+      id: null,
+      name: categoryUrlKey ? '' : 'All Products',
+      urlKey: categoryUrlKey || '',
+      description: null,
+      metaTitle: null,
+      metaDescription: null,
+    };
+  }
+
+  return {
+    id: String(category.id || category.uid),
+    name: category.name || '',
+    urlKey: category.url_key || categoryUrlKey,
+    description: category.description || null,
+    metaTitle: category.meta_title || category.name,
+    metaDescription: category.meta_description || null,
+  };
+};
+
+// Run every lookup in parallel; each page section degrades on its own
+const executeCategoryPage = async (context, args) => {
+  // Page arguments in the shape the product search expects
+  const searchArgs = {
+    phrase: args.phrase,
+    filter: { ...args.filter, categoryUrlKey: args.categoryUrlKey },
+    sort: args.sort,
+    limit: args.pageSize,
+    page: args.currentPage,
+  };
+
+  const [treeOutcome, categoryOutcome, searchOutcome] = await Promise.allSettled([
+    getCategoryTree(context),
+    getCategoryByUrlKey(context, args.categoryUrlKey),
+    executeProductSearch(context, searchArgs),
+  ]);
+
+  const categoryErrors = (outcome) => {
+    if (outcome.status === 'fulfilled') return [];
+    logEvent(context, 'warn', 'Category page lookup failed', { error: outcome.reason });
+    return [classifyUpstreamError(outcome.reason, 'CommerceGraphQL')];
+  };
+
+  // Product search only throws for unexpected errors, upstream failures are in the result
+  const search =
+    searchOutcome.status === 'fulfilled'
+      ? searchOutcome.value
+      : {
+          products: [],
+          facets: [],
+          pageInfo: null,
+          totalCount: 0,
+          upstreamErrors: [classifyUpstreamError(searchOutcome.reason, 'CatalogServiceSandbox')],
+          facetErrors: [],
+        };
+
+  return {
+    categoryTree: treeOutcome.value || [],
+    navigationErrors: categoryErrors(treeOutcome),
+    category: categoryOutcome.value || null,
+    categoryLookupErrors: categoryErrors(categoryOutcome),
+    search,
+    searchArgs,
+  };
+};
+
+// Minimal page structure so SSR can still render when the page cannot be assembled
+const createEmptyResponse = (error) => {
+  const upstreamErrors = [classifyUpstreamError(error)];
+
+  return {
+    navigation: { items: [], headerNav: [], footerNav: [], cacheTags: [], upstreamErrors },
+    products: {
+      items: [],
+      totalCount: 0,
+      hasMoreItems: false,
+      currentPage: 1,
+      page_info: { current_page: 1, page_size: 24, total_pages: 0 },
+      cacheTags: [],
+      unhydratedCount: 0,
+      truncated: false,
+      ...describeUpstreamErrors(upstreamErrors),
+    },
+    facets: {
+      facets: [],
+      totalCount: 0,
+      approximate: false,
+      ...describeUpstreamErrors(upstreamErrors),
+    },
+    breadcrumbs: { items: [], cacheTags: [], upstreamErrors },
+    categoryInfo: buildCategoryInfo(null),
+    cacheTags: [],
+    ...describeUpstreamErrors(upstreamErrors),
+  };
+};
+
+// withUncachedDegradation function is injected at build time
+
+module.exports = {
+  resolvers: {
+    Query: {
+      Citisignal_categoryPageData: {
+        resolve: withUncachedDegradation(async (_root, args, context, _info) => {
+          try {
+            const page = await executeCategoryPage(context, args);
+            const { products, facets } = buildProductSearchSections(page.search, page.searchArgs);
+
+            const navigation = {
+              ...buildCategoryNavigation(page.categoryTree),
+              upstreamErrors: page.navigationErrors,
+            };
+
+            const breadcrumbItems = buildBreadcrumbTrail(page.category);
+            const breadcrumbs = {
+              items: breadcrumbItems,
+              cacheTags: categoryCacheTags(breadcrumbItems),
+              upstreamErrors: page.categoryLookupErrors,
+            };
+
+            // Everything that failed, so the page can tell a partial outage from empty data
+            const allErrors = [
+              ...page.navigationErrors,
+              ...page.categoryLookupErrors,
+              ...page.search.upstreamErrors,
+              ...page.search.facetErrors,
+            ];
+
+            return {
+              navigation,
+              products,
+              facets,
+              breadcrumbs,
+              categoryInfo: buildCategoryInfo(page.category, args.categoryUrlKey),
+              cacheTags: mergeCacheTags(
+                navigation.cacheTags,
+                products.cacheTags,
+                breadcrumbs.cacheTags
+              ),
+              ...describeUpstreamErrors(allErrors),
+            };
+          } catch (error) {
+            logEvent(context, 'error', 'Category page failed', { error });
+            return createEmptyResponse(error);
+          }
+        }),
+      },
+    },
+  },
+};
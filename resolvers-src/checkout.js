@@ -0,0 +1,271 @@
+/**
+ * Checkout Resolver
+ * Guest checkout as semantic steps: email, addresses, shipping and payment
+ * methods, then place order. Every step works on the cart named by its cartId
+ * argument, or the x-cart-id header when there is none (getRequestCartId), or on
+ * the customer cart for signed-in shoppers (resolveCartIdentity), and returns the
+ * updated checkout state.
+ */
+
+// Get the cart with everything checkout needs (addresses, methods, totals)
+const queryCheckoutDetails = async (context, cartId) => {
+  return await context.CommerceGraphQL.Query.Commerce_cart({
+    root: {},
+    args: { cart_id: cartId },
+    context,
+    selectionSet: `{
+      id
+      email
+      total_quantity
+      is_virtual
+      prices {
+        grand_total { value currency }
+        subtotal_excluding_tax { value currency }
+        subtotal_including_tax { value currency }
+        discounts {
+          label
+          amount { value currency }
+        }
+        applied_taxes {
+          label
+          amount { value currency }
+        }
+      }
+      shipping_addresses {
+        firstname lastname company street city postcode telephone
+        region { code label }
+        country { code label }
+        available_shipping_methods {
+          carrier_code method_code carrier_title method_title
+          available error_message
+          amount { value currency }
+        }
+        selected_shipping_method {
+          carrier_code method_code carrier_title method_title
+          amount { value currency }
+        }
+      }
+      billing_address {
+        firstname lastname company street city postcode telephone
+        region { code label }
+        country { code label }
+      }
+      available_payment_methods { code title }
+      selected_payment_method { code title }
+    }`,
+  });
+};
+
+// Checkout never creates a cart: without one there is nothing to check out
+const missingCartResult = () => {
+  const userError = {
+    code: 'CART_NOT_FOUND',
+    message: 'Your cart has expired. Please refresh the page.',
+  };
+  return {
+    success: false,
+    errors: [userError.message],
+    userErrors: [userError],
+    upstreamErrors: [],
+  };
+};
+
+// Failed steps leave the checkout as it was, unknown failures are reported as upstream errors
+const checkoutFailure = (context, error, action) => {
+  logEvent(context, 'warn', 'Checkout failed', { action, error });
+  const userError = toUserError(
+    error,
+    CHECKOUT_USER_ERRORS,
+    `We could not ${action}. Please try again.`
+  );
+
+  return {
+    success: false,
+    errors: [userError.message],
+    userErrors: [userError],
+    upstreamErrors: toUpstreamErrors(userError, error, 'CommerceGraphQL'),
+  };
+};
+
+// Run one checkout step against the request cart and return the updated checkout
+const runCheckoutStep = async (context, args, action, step) => {
+  try {
+    // Checkout never creates a cart, an expired one fails with CART_NOT_FOUND
+    const { cartId } = await resolveCartIdentity(context, args);
+    if (!cartId) return { ...missingCartResult(), checkout: null };
+
+    await step(cartId);
+
+    const adobeCart = await queryCheckoutDetails(context, cartId);
+    return {
+      success: true,
+      checkout: transformCheckoutToSemantic(adobeCart, getPriceFormat(context)),
+      errors: [],
+      userErrors: [],
+      upstreamErrors: [],
+    };
+  } catch (error) {
+    return { ...checkoutFailure(context, error, action), checkout: null };
+  }
+};
+
+// Basic shape check so obvious typos never reach Commerce
+const isValidEmail = (email) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+
+module.exports = {
+  resolvers: {
+    Query: {
+      Citisignal_checkout: {
+        resolve: async (_root, args, context, _info) => {
+          try {
+            const { cartId } = await resolveCartIdentity(context, args);
+            if (!cartId) return null;
+
+            const adobeCart = await queryCheckoutDetails(context, cartId);
+            return transformCheckoutToSemantic(adobeCart, getPriceFormat(context));
+          } catch (error) {
+            logEvent(context, 'error', 'Checkout query failed', { error });
+            return null; // Graceful degradation
+          }
+        },
+      },
+    },
+
+    Mutation: {
+      Citisignal_setGuestEmail: {
+        resolve: async (_root, args, context, _info) => {
+          const guestEmail = (args.email || '').trim();
+          if (!isValidEmail(guestEmail)) {
+            const userError = { code: 'INVALID_EMAIL', message: 'Enter a valid email address.' };
+            return {
+              success: false,
+              checkout: null,
+              errors: [userError.message],
+              userErrors: [userError],
+              upstreamErrors: [],
+            };
+          }
+
+          return runCheckoutStep(context, args, 'save your email', (cartId) =>
+            context.CommerceGraphQL.Mutation.Commerce_setGuestEmailOnCart({
+              root: {},
+              args: { input: { cart_id: cartId, email: guestEmail } },
+              context,
+              selectionSet: '{ cart { id email } }',
+            })
+          );
+        },
+      },
+
+      Citisignal_setShippingAddress: {
+        resolve: async (_root, args, context, _info) => {
+          return runCheckoutStep(context, args, 'save the shipping address', (cartId) =>
+            context.CommerceGraphQL.Mutation.Commerce_setShippingAddressesOnCart({
+              root: {},
+              args: {
+                input: {
+                  cart_id: cartId,
+                  shipping_addresses: [{ address: buildCommerceAddressInput(args.address) }],
+                },
+              },
+              context,
+              selectionSet: '{ cart { id } }',
+            })
+          );
+        },
+      },
+
+      Citisignal_setBillingAddress: {
+        resolve: async (_root, args, context, _info) => {
+          const { address, sameAsShipping } = args;
+          if (!address && !sameAsShipping) {
+            const userError = {
+              code: 'MISSING_INFORMATION',
+              message: 'Enter a billing address or use the shipping address.',
+            };
+            return {
+              success: false,
+              checkout: null,
+              errors: [userError.message],
+              userErrors: [userError],
+              upstreamErrors: [],
+            };
+          }
+
+          // Commerce copies the shipping address when same_as_shipping is set
+          const billingAddress = sameAsShipping
+            ? { same_as_shipping: true }
+            : { address: buildCommerceAddressInput(address) };
+
+          return runCheckoutStep(context, args, 'save the billing address', (cartId) =>
+            context.CommerceGraphQL.Mutation.Commerce_setBillingAddressOnCart({
+              root: {},
+              args: { input: { cart_id: cartId, billing_address: billingAddress } },
+              context,
+              selectionSet: '{ cart { id } }',
+            })
+          );
+        },
+      },
+
+      Citisignal_setShippingMethod: {
+        resolve: async (_root, args, context, _info) => {
+          const { carrierCode, methodCode } = args;
+          return runCheckoutStep(context, args, 'save the shipping method', (cartId) =>
+            context.CommerceGraphQL.Mutation.Commerce_setShippingMethodsOnCart({
+              root: {},
+              args: {
+                input: {
+                  cart_id: cartId,
+                  shipping_methods: [{ carrier_code: carrierCode, method_code: methodCode }],
+                },
+              },
+              context,
+              selectionSet: '{ cart { id } }',
+            })
+          );
+        },
+      },
+
+      Citisignal_setPaymentMethod: {
+        resolve: async (_root, args, context, _info) => {
+          return runCheckoutStep(context, args, 'save the payment method', (cartId) =>
+            context.CommerceGraphQL.Mutation.Commerce_setPaymentMethodOnCart({
+              root: {},
+              args: { input: { cart_id: cartId, payment_method: { code: args.code } } },
+              context,
+              selectionSet: '{ cart { id } }',
+            })
+          );
+        },
+      },
+
+      Citisignal_placeOrder: {
+        resolve: async (_root, args, context, _info) => {
+          try {
+            const { cartId } = await resolveCartIdentity(context, args);
+            if (!cartId) return { ...missingCartResult(), order: null };
+
+            const result = await context.CommerceGraphQL.Mutation.Commerce_placeOrder({
+              root: {},
+              args: { input: { cart_id: cartId } },
+              context,
+              selectionSet: '{ order { order_number } }',
+            });
+
+            // The cart is inactive once the order exists, the storefront starts a new one
+            return {
+              success: true,
+              order: { orderNumber: result?.order?.order_number },
+              errors: [],
+              userErrors: [],
+              upstreamErrors: [],
+            };
+          } catch (error) {
+            return { ...checkoutFailure(context, error, 'place your order'), order: null };
+          }
+        },
+      },
+    },
+  },
+};
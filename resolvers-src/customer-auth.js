@@ -0,0 +1,136 @@
+/**
+ * Customer Auth Resolver
+ * Exchanges customer credentials for a Commerce customer token and keeps the
+ * shopper's guest cart by merging it into the customer cart on login.
+ */
+
+// Merge the guest cart into the customer cart, keeping the login when it fails
+const mergeGuestCart = async (customerContext, guestCartId, customerCartId) => {
+  if (!guestCartId || guestCartId === customerCartId) return customerCartId;
+
+  try {
+    const mergedCart = await customerContext.CommerceGraphQL.Mutation.Commerce_mergeCarts({
+      root: {},
+      args: { source_cart_id: guestCartId, destination_cart_id: customerCartId },
+      context: customerContext,
+      selectionSet: '{ id total_quantity }',
+    });
+    return mergedCart?.id || customerCartId;
+  } catch (error) {
+    logEvent(customerContext, 'warn', 'Cart merge failed', { error });
+    return customerCartId;
+  }
+};
+
+const signedOutResult = () => ({
+  success: true,
+  token: null,
+  customer: null,
+  cartId: null,
+  errors: [],
+  userErrors: [],
+  upstreamErrors: [],
+});
+
+// Failed sign-ins and sign-ups return no token, customer or cart
+const authFailure = (context, error, action) => {
+  logEvent(context, 'warn', 'Customer auth failed', { action, error });
+  const userError = toUserError(
+    error,
+    AUTH_USER_ERRORS,
+    `We could not ${action}. Please try again.`
+  );
+
+  return {
+    success: false,
+    token: null,
+    customer: null,
+    cartId: null,
+    errors: [userError.message],
+    userErrors: [userError],
+    upstreamErrors: toUpstreamErrors(userError, error, 'CommerceGraphQL'),
+  };
+};
+
+module.exports = {
+  resolvers: {
+    Mutation: {
+      Citisignal_login: {
+        resolve: async (_root, args, context, _info) => {
+          const { email, password } = args;
+          try {
+            const result = await context.CommerceGraphQL.Mutation.Commerce_generateCustomerToken({
+              root: {},
+              args: { email: (email || '').trim(), password },
+              context,
+              selectionSet: '{ token }',
+            });
+            const token = result?.token;
+            if (!token) throw new Error('Commerce returned no customer token');
+
+            // The request itself is still anonymous, act as the customer from here on
+            const customerContext = withCustomerToken(context, token);
+
+            const [customer, customerCart] = await Promise.all([
+              context.CommerceGraphQL.Query.Commerce_customer({
+                root: {},
+                args: {},
+                context: customerContext,
+                selectionSet: '{ firstname lastname email }',
+              }),
+              context.CommerceGraphQL.Query.Commerce_customerCart({
+                root: {},
+                args: {},
+                context: customerContext,
+                selectionSet: '{ id }',
+              }),
+            ]);
+
+            const cartId = await mergeGuestCart(
+              customerContext,
+              getRequestCartId(context, args),
+              customerCart?.id
+            );
+
+            return {
+              success: true,
+              token,
+              customer: {
+                firstName: customer?.firstname || '',
+                lastName: customer?.lastname || '',
+                email: customer?.email || email,
+              },
+              cartId,
+              errors: [],
+              userErrors: [],
+              upstreamErrors: [],
+            };
+          } catch (error) {
+            return authFailure(context, error, 'sign you in');
+          }
+        },
+      },
+
+      Citisignal_logout: {
+        resolve: async (_root, _args, context, _info) => {
+          // Already signed out, nothing to revoke
+          if (!getCustomerToken(context)) return signedOutResult();
+
+          try {
+            await context.CommerceGraphQL.Mutation.Commerce_revokeCustomerToken({
+              root: {},
+              args: {},
+              context,
+              selectionSet: '{ result }',
+            });
+
+            // The storefront drops the token and starts a new guest cart
+            return signedOutResult();
+          } catch (error) {
+            return authFailure(context, error, 'sign you out');
+          }
+        },
+      },
+    },
+  },
+};
@@ -94,8 +94,10 @@ module.exports = {
       },
       display_currency: {
         selectionSet: '{ priceRange { minimum { final { amount { currency } } } } }',
-        resolve: (root) => {
-          return root.priceRange?.minimum?.final?.amount?.currency || 'USD';
+        resolve: (root, _args, context) => {
+          return (
+            root.priceRange?.minimum?.final?.amount?.currency || getPriceFormat(context).currency
+          );
         },
       },
       discount_percentage: {
@@ -106,7 +108,7 @@ module.exports = {
 
           const regular = root.priceRange.minimum.regular.amount.value;
           const final = root.priceRange.minimum.final.amount.value;
-          return calculateDiscountPercentage(regular, final);
+          return calculateDiscountPercent(regular, final) || 0;
         },
       },
       in_stock: {
@@ -164,8 +166,8 @@ module.exports = {
       },
       display_currency: {
         selectionSet: '{ price { final { amount { currency } } } }',
-        resolve: (root) => {
-          return root.price?.final?.amount?.currency || 'USD';
+        resolve: (root, _args, context) => {
+          return root.price?.final?.amount?.currency || getPriceFormat(context).currency;
         },
       },
       discount_percentage: {
@@ -175,7 +177,7 @@ module.exports = {
 
           const regular = root.price.regular.amount.value;
           const final = root.price.final.amount.value;
-          return calculateDiscountPercentage(regular, final);
+          return calculateDiscountPercent(regular, final) || 0;
         },
       },
       in_stock: {
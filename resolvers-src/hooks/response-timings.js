@@ -0,0 +1,37 @@
+/**
+ * Response Timings Hook
+ * API Mesh afterAll hook that adds where the operation spent its time to the response
+ * as extensions.timings: upstream calls by source field, local transform time and total.
+ * Only requests with the x-mesh-timings header get it. The storefront proxy sends that
+ * header and turns timings.serverTiming into a Server-Timing header, since the mesh can't
+ * set response headers (see scripts/lib/server-timing.js).
+ *
+ * Added to mesh.json by the build when responseTimings.enabled is set in mesh.config.js.
+ */
+
+// isTimingRequested and summarizeTimings functions are injected at build time
+
+module.exports = {
+  addResponseTimings: async ({ payload }) => {
+    if (!isTimingRequested(payload.context)) {
+      return { status: 'SUCCESS', message: 'Timings not requested' };
+    }
+
+    // Responses from the mesh cache ran no resolvers and carry no timings
+    const timings = summarizeTimings(payload.context);
+    if (!timings || !payload.result) {
+      return { status: 'SUCCESS', message: 'No timings recorded' };
+    }
+
+    return {
+      status: 'SUCCESS',
+      message: 'Response timings added',
+      data: {
+        result: {
+          ...payload.result,
+          extensions: { ...payload.result.extensions, timings },
+        },
+      },
+    };
+  },
+};
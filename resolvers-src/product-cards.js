@@ -11,226 +11,220 @@ const shouldUseLiveSearch = (args) => {
   return args.phrase && args.phrase.trim() !== '';
 };
 
-// Transform business-friendly sort to service-specific formats
-const mapSortForCatalog = (sort) => {
-  if (!sort) return null;
+// mapSortForCatalog and mapSortForLiveSearch functions are injected at build time
 
-  // Catalog doesn't support AI relevance sorting
-  if (sort.attribute === 'RELEVANCE') return null;
-
-  const attributeMap = {
-    PRICE: 'price',
-    NAME: 'name',
-  };
-
-  const fieldName = attributeMap[sort.attribute];
-  if (!fieldName) return null;
-
-  return {
-    attribute: fieldName,
-    direction: sort.direction || 'DESC',
-  };
-};
-
-const mapSortForLiveSearch = (sort) => {
-  if (!sort) return [];
-
-  const attributeMap = {
-    PRICE: 'price',
-    NAME: 'name',
-    RELEVANCE: 'relevance', // AI-powered sorting
-  };
-
-  const fieldName = attributeMap[sort.attribute];
-  if (!fieldName) return [];
-
-  return [
-    {
-      attribute: fieldName,
-      direction: sort.direction || 'DESC',
-    },
-  ];
-};
-
-// Parallel execution for search mode - combines AI ranking with full product data
-const executeSearchMode = async (context, args) => {
-  const liveSearchFilters = buildLiveSearchFilters(args.filter);
-  const catalogFilters = buildCatalogFilters(args.filter);
-
-  // Run both queries in parallel - 50% faster than sequential
-  const [liveSearchResult, catalogResult] = await Promise.all([
-    // Get AI ranking from Live Search (minimal fields)
-    context.LiveSearchSandbox.Query.Search_productSearch({
-      root: {},
-      args: {
-        phrase: args.phrase || '',
-        filter: liveSearchFilters,
-        page_size: args.limit || 24,
-        current_page: args.page || 1,
-        sort: mapSortForLiveSearch(args.sort),
-      },
-      context,
-      selectionSet: `{
-        items {
-          product { sku }
-          productView { sku }
-        }
-        total_count
-        page_info { current_page page_size total_pages }
-      }`,
-    }),
-
-    // Get full product details from Catalog
-    context.CatalogServiceSandbox.Query.Catalog_productSearch({
-      root: {},
-      args: {
-        phrase: args.phrase || '',
-        filter: catalogFilters,
-        page_size: args.limit || 24,
-        current_page: args.page || 1,
-        sort: mapSortForCatalog(args.sort),
-      },
-      context,
-      selectionSet: `{
-        items {
-          productView {
-            __typename
-            id name sku urlKey inStock
-            images(roles: ["small_image"]) { url label }
-            attributes { name value }
-            ... on Catalog_SimpleProductView {
-              price {
-                regular { amount { value } }
-                final { amount { value } }
-              }
-            }
-            ... on Catalog_ComplexProductView {
-              priceRange {
-                minimum {
-                  regular { amount { value } }
-                  final { amount { value } }
-                }
-              }
-              options {
-                id
-                title
-                values {
-                  ... on Catalog_ProductViewOptionValueSwatch {
-                    title
-                    value
-                  }
-                }
-              }
-            }
-          }
-        }
-      }`,
-    }),
-  ]);
-
-  // Merge results: AI ranking with full details
-  const orderedSkus = [];
-  liveSearchResult?.items?.forEach((item) => {
-    const sku = item.productView?.sku || item.product?.sku;
-    if (sku) orderedSkus.push(sku);
-  });
-
-  const productMap = new Map();
-  catalogResult?.items?.forEach((item) => {
-    if (item.productView?.sku) {
-      productMap.set(item.productView.sku, item.productView);
-    }
-  });
-
-  let items = orderedSkus
-    .map((sku) => productMap.get(sku))
-    .filter(Boolean)
-    .map(transformProductToCard);
-
-  // Apply onSaleOnly filter if specified
-  if (args.filter?.onSaleOnly) {
-    items = items.filter((item) => item.discountPercent > 0);
-  }
-
-  return {
-    items,
-    pageInfo: liveSearchResult?.page_info,
-    totalCount: args.filter?.onSaleOnly ? items.length : liveSearchResult?.total_count || 0,
-  };
-};
-
-// Direct catalog query for browsing (no AI needed)
-const executeCatalogMode = async (context, args) => {
-  const result = await context.CatalogServiceSandbox.Query.Catalog_productSearch({
+// Live Search ranking for one page (SKUs, plus prices to decide onSaleOnly in the mesh)
+const queryLiveSearchRanking = (context, args, page, pageSize) => {
+  return context.LiveSearchSandbox.Query.Search_productSearch({
     root: {},
     args: {
-      phrase: '',
-      filter: buildCatalogFilters(args.filter),
-      page_size: args.limit || 24,
-      current_page: args.page || 1,
-      sort: mapSortForCatalog(args.sort),
+      phrase: args.phrase || '',
+      filter: buildLiveSearchFilters(args.filter),
+      page_size: pageSize,
+      current_page: page,
+      sort: mapSortForLiveSearch(args.sort),
     },
     context,
     selectionSet: `{
-      total_count
-      page_info { current_page page_size total_pages }
       items {
+        product { sku }
         productView {
           __typename
-          id name sku urlKey inStock
-          images(roles: ["small_image"]) { url label }
-          attributes { name value }
-          ... on Catalog_SimpleProductView {
+          sku
+          ... on Search_SimpleProductView {
             price {
               regular { amount { value } }
               final { amount { value } }
             }
           }
-          ... on Catalog_ComplexProductView {
+          ... on Search_ComplexProductView {
             priceRange {
               minimum {
                 regular { amount { value } }
                 final { amount { value } }
               }
             }
-            options {
-              id
-              title
-              values {
-                ... on Catalog_ProductViewOptionValueSwatch {
-                  title value
-                }
-              }
-            }
           }
         }
       }
+      total_count
+      page_info { current_page page_size total_pages }
     }`,
   });
+};
 
-  let items =
-    result?.items?.map((item) => transformProductToCard(item.productView)).filter(Boolean) || [];
-
-  // Apply onSaleOnly filter if specified
-  if (args.filter?.onSaleOnly) {
-    items = items.filter((item) => item.discountPercent > 0);
+// Ranked items for the requested page
+// onSaleOnly without an upstream filter pages through the ranking and keeps discounted items
+const fetchSearchRanking = async (context, args) => {
+  if (args.filter?.onSaleOnly && !hasUpstreamOnSaleFilter()) {
+    const sale = await collectOnSalePage(
+      async (page, pageSize) => {
+        const result = await queryLiveSearchRanking(context, args, page, pageSize);
+        return { items: result?.items || [], totalPages: result?.page_info?.total_pages };
+      },
+      (item) => isProductOnSale(item.productView),
+      args
+    );
+    if (sale.truncated) logEvent(context, 'warn', 'On-sale search scanned the first pages only');
+    recordDebug(context, 'onSale', {
+      upstream: false,
+      scannedPages: sale.scannedPages,
+      onSaleItems: sale.totalCount,
+      truncated: sale.truncated,
+    });
+    return sale;
   }
 
+  const result = await queryLiveSearchRanking(context, args, args.page || 1, args.limit || 24);
   return {
-    items,
+    items: result?.items || [],
     pageInfo: result?.page_info,
-    totalCount: args.filter?.onSaleOnly ? items.length : result?.total_count || 0,
+    totalCount: result?.total_count || 0,
   };
 };
 
+// Search mode - AI ranking from Live Search, product details from Catalog
+// Catalog details are fetched for exactly the SKUs Live Search ranked, so pages keep the
+// AI order and their full size. Ranked SKUs Catalog has no details for are left out and
+// counted in unhydratedCount. When Live Search fails, Catalog answers the search itself.
+const executeSearchMode = async (context, args) => {
+  let ranking;
+  try {
+    ranking = await fetchSearchRanking(context, args);
+  } catch (error) {
+    logEvent(context, 'warn', 'Live Search failed, using Catalog', { error });
+    recordDebug(context, 'strategy', 'catalog (Live Search failed)');
+    const upstreamErrors = [classifyUpstreamError(error, 'LiveSearchSandbox')];
+    try {
+      return { ...(await executeCatalogMode(context, args)), upstreamErrors };
+    } catch (catalogError) {
+      upstreamErrors.push(classifyUpstreamError(catalogError, 'CatalogServiceSandbox'));
+      return { items: [], pageInfo: null, totalCount: 0, unhydratedCount: 0, upstreamErrors };
+    }
+  }
+
+  const rankedSkus = [
+    ...new Set(
+      ranking.items.map((item) => item.productView?.sku || item.product?.sku).filter(Boolean)
+    ),
+  ];
+  const page = {
+    pageInfo: ranking.pageInfo,
+    totalCount: ranking.totalCount,
+    truncated: Boolean(ranking.truncated),
+  };
+  if (rankedSkus.length === 0) {
+    return { ...page, items: [], unhydratedCount: 0, upstreamErrors: [] };
+  }
+
+  // Get full product details from Catalog for the ranked SKUs
+  let productViews;
+  try {
+    productViews = await context.CatalogServiceSandbox.Query.Catalog_products({
+      root: {},
+      args: { skus: rankedSkus },
+      context,
+      selectionSet: productCardSelection('Catalog_'),
+    });
+  } catch (error) {
+    logEvent(context, 'warn', 'Catalog details failed', { error });
+    return {
+      ...page,
+      items: [],
+      unhydratedCount: rankedSkus.length,
+      upstreamErrors: [classifyUpstreamError(error, 'CatalogServiceSandbox')],
+    };
+  }
+
+  // Merge results: AI ranking with full details
+  const priceFormat = getPriceFormat(context);
+  const cardsBySku = new Map();
+  (productViews || []).forEach((productView) => {
+    const card = productView?.sku && transformProductToCard(productView, priceFormat);
+    if (card) cardsBySku.set(productView.sku, card);
+  });
+
+  const items = rankedSkus.map((sku) => cardsBySku.get(sku)).filter(Boolean);
+  const unhydratedCount = rankedSkus.length - items.length;
+  if (unhydratedCount > 0) {
+    logEvent(context, 'warn', 'No Catalog details for ranked products', { unhydratedCount });
+  }
+  recordDebug(context, 'merge', {
+    rankedSkus,
+    catalogSkus: (productViews || []).map((productView) => productView?.sku),
+    unhydratedSkus: rankedSkus.filter((sku) => !cardsBySku.has(sku)),
+  });
+
+  return { ...page, items, unhydratedCount, upstreamErrors: [] };
+};
+
+// queryCatalogPage function is injected at build time
+
+// Direct catalog query for browsing (no AI needed)
+// onSaleOnly without an upstream filter pages through the listing and keeps discounted items
+const executeCatalogMode = async (context, args) => {
+  const priceFormat = getPriceFormat(context);
+  const toCards = (productViews) =>
+    productViews
+      .map((productView) => transformProductToCard(productView, priceFormat))
+      .filter(Boolean);
+
+  if (args.filter?.onSaleOnly && !hasUpstreamOnSaleFilter()) {
+    const sale = await collectOnSalePage(
+      async (page, pageSize) => {
+        const result = await queryCatalogPage(context, args, page, pageSize);
+        return { items: result.productViews, totalPages: result.pageInfo?.total_pages };
+      },
+      isProductOnSale,
+      args
+    );
+    if (sale.truncated) logEvent(context, 'warn', 'On-sale listing scanned the first pages only');
+    recordDebug(context, 'onSale', {
+      upstream: false,
+      scannedPages: sale.scannedPages,
+      onSaleItems: sale.totalCount,
+      truncated: sale.truncated,
+    });
+
+    return {
+      items: toCards(sale.items),
+      pageInfo: sale.pageInfo,
+      totalCount: sale.totalCount,
+      unhydratedCount: 0,
+      truncated: sale.truncated,
+    };
+  }
+
+  const result = await queryCatalogPage(context, args, args.page || 1, args.limit || 24);
+  return {
+    items: toCards(result.productViews),
+    pageInfo: result.pageInfo,
+    totalCount: result.totalCount,
+    unhydratedCount: 0,
+  };
+};
+
+// withUncachedDegradation function is injected at build time
+
 module.exports = {
   resolvers: {
     Query: {
       Citisignal_productCards: {
-        resolve: async (_root, args, context, _info) => {
+        resolve: withUncachedDegradation(async (_root, args, requestContext, _info) => {
+          // Traces strategy, filters and upstream calls into _debug when requested
+          const context = startDebugTrace(requestContext, 'Citisignal_productCards');
           try {
             // 1. Decide strategy based on user intent
             const useSearch = shouldUseLiveSearch(args);
+            recordDebug(context, 'strategy', useSearch ? 'live-search + catalog' : 'catalog');
+            recordDebug(context, 'filters', {
+              catalog: buildCatalogFilters(args.filter),
+              liveSearch: buildLiveSearchFilters(args.filter),
+            });
+            recordDebug(context, 'sort', {
+              catalog: mapSortForCatalog(args.sort),
+              liveSearch: mapSortForLiveSearch(args.sort),
+            });
 
             // 2. Execute with appropriate service(s)
             const result = useSearch
@@ -244,6 +238,7 @@ module.exports = {
             // 4. Return our custom response shape
             // Notice: We add "hasMoreItems" - a calculated business field
             // Adobe doesn't provide this, but frontends need it for pagination UI
+            const upstream = describeUpstreamErrors(result.upstreamErrors || []);
             return {
               items: result.items || [],
               totalCount: result.totalCount,
@@ -254,12 +249,34 @@ module.exports = {
                 page_size: result.pageInfo?.page_size || args.limit || 24,
                 total_pages: totalPages,
               },
+              cacheTags: productCacheTags(result.items),
+              unhydratedCount: result.unhydratedCount,
+              truncated: Boolean(result.truncated),
+              ...upstream,
+              // Ranked products without details are missing from the page, and totals of a
+              // truncated on-sale scan only cover the scanned pages
+              degraded:
+                upstream.degraded || result.unhydratedCount > 0 || Boolean(result.truncated),
+              _debug: formatDebugTrace(context),
             };
           } catch (error) {
-            context.logger.error(`Product cards error: ${error.message?.substring(0, 60)}`);
-            throw error;
+            logEvent(context, 'error', 'Product cards failed', { error });
+            // Empty listing with the failure, so clients can tell it from "no results"
+            const currentPage = args.page || 1;
+            return {
+              items: [],
+              totalCount: 0,
+              hasMoreItems: false,
+              currentPage,
+              page_info: { current_page: currentPage, page_size: args.limit || 24, total_pages: 0 },
+              cacheTags: [],
+              unhydratedCount: 0,
+              truncated: false,
+              ...describeUpstreamErrors([classifyUpstreamError(error, 'CatalogServiceSandbox')]),
+              _debug: formatDebugTrace(context),
+            };
           }
-        },
+        }),
       },
     },
   },
@@ -5,22 +5,30 @@
  */
 
 /**
- * Query product detail from Catalog Service by URL key
- */
-/**
- * Query variants from Commerce GraphQL for a configurable product
+ * Load a product from Commerce GraphQL by SKU
+ * Variants and category assignments come from the same lookup, so a product detail
+ * request queries Commerce once, and SKUs requested in the same microtask turn share one call
  */
-const queryProductVariants = async (context, sku) => {
-  try {
+const loadCommerceProduct = (context, sku) => {
+  // loadBatched function is injected at build time
+  return loadBatched(context, 'Commerce_products.sku', sku, async (skus) => {
     const result = await context.CommerceGraphQL.Query.Commerce_products({
       root: {},
       args: {
-        filter: { sku: { eq: sku } },
+        filter: { sku: { in: skus } },
+        pageSize: skus.length,
       },
       context,
       selectionSet: `{
         items {
           sku
+          categories {
+            id
+            name
+            url_key
+            url_path
+            level
+          }
           ... on ConfigurableProduct {
             variants {
               product {
@@ -28,8 +36,8 @@ const queryProductVariants = async (context, sku) => {
                 name
                 price_range {
                   minimum_price {
-                    regular_price { value }
-                    final_price { value }
+                    regular_price { value currency }
+                    final_price { value currency }
                   }
                 }
                 image { url label }
@@ -46,13 +54,27 @@ const queryProductVariants = async (context, sku) => {
       }`,
     });
 
-    return result?.items?.[0]?.variants || [];
+    const items = result?.items || [];
+    return skus.map((requested) => items.find((item) => item.sku === requested) || null);
+  });
+};
+
+/**
+ * Query variants from Commerce GraphQL for a configurable product
+ */
+const queryProductVariants = async (context, sku) => {
+  try {
+    const commerceProduct = await loadCommerceProduct(context, sku);
+    return commerceProduct?.variants || [];
   } catch (error) {
-    context.logger.warn(`Fetch variants failed: ${error.message?.substring(0, 65)}`);
+    logEvent(context, 'warn', 'Fetch variants failed', { error });
     return [];
   }
 };
 
+/**
+ * Query product detail from Catalog Service by URL key
+ */
 const queryProductDetailByUrlKey = async (context, urlKey) => {
   return await context.CatalogServiceSandbox.Query.Catalog_productSearch({
     root: {},
@@ -78,15 +100,15 @@ const queryProductDetailByUrlKey = async (context, urlKey) => {
           attributes { name label value }
           ... on Catalog_SimpleProductView {
             price {
-              regular { amount { value } }
-              final { amount { value } }
+              regular { amount { value currency } }
+              final { amount { value currency } }
             }
           }
           ... on Catalog_ComplexProductView {
             priceRange {
               minimum {
-                regular { amount { value } }
-                final { amount { value } }
+                regular { amount { value currency } }
+                final { amount { value currency } }
               }
             }
             options {
@@ -107,8 +129,8 @@ const queryProductDetailByUrlKey = async (context, urlKey) => {
                 stockLevel
                 images(roles: ["small_image"]) { url label }
                 price {
-                  regular { amount { value } }
-                  final { amount { value } }
+                  regular { amount { value currency } }
+                  final { amount { value currency } }
                 }
               }
               attributes { code label }
@@ -149,10 +171,10 @@ const queryBreadcrumbs = async (context, product) => {
       ],
     };
   } catch (error) {
-    context.logger.warn(`Fetch breadcrumbs failed: ${error.message?.substring(0, 62)}`);
+    logEvent(context, 'warn', 'Fetch breadcrumbs failed', { error });
     // Fallback to attribute-based breadcrumbs - functions will be injected by build system
-    const attributes = transformProductAttributes(product.attributes); // eslint-disable-line no-undef
-    return generateProductBreadcrumbs(attributes, product); // eslint-disable-line no-undef
+    const attributes = transformProductAttributes(product.attributes);
+    return generateProductBreadcrumbs(attributes, product);
   }
 };
 
@@ -162,34 +184,16 @@ const queryBreadcrumbs = async (context, product) => {
  */
 const queryProductCategories = async (context, product) => {
   try {
-    // Query Commerce GraphQL for products by SKU to get category assignments
-    const result = await context.CommerceGraphQL.Query.Commerce_products({
-      root: {},
-      args: {
-        filter: { sku: { eq: product.sku } },
-      },
-      context,
-      selectionSet: `{
-        items {
-          categories {
-            id
-            name
-            url_key
-            url_path
-            level
-          }
-        }
-      }`,
-    });
-
-    const productCategories = result?.items?.[0]?.categories || [];
+    // Category assignments come from the shared Commerce product lookup
+    const commerceProduct = await loadCommerceProduct(context, product.sku);
+    const productCategories = commerceProduct?.categories || [];
 
     // Filter and sort categories (prefer lower level numbers = higher in hierarchy)
     return productCategories
       .filter((cat) => cat.level > 1) // Skip root category
       .sort((a, b) => a.level - b.level); // Sort by hierarchy level
   } catch (error) {
-    context.logger.warn(`Fetch categories failed: ${error.message?.substring(0, 62)}`);
+    logEvent(context, 'warn', 'Fetch categories failed', { error });
     return [];
   }
 };
@@ -207,21 +211,21 @@ const transformProduct = async (product, commerceVariants = [], context) => {
     productData.__typename === 'Search_ComplexProductView';
 
   // Use extracted utilities for business logic (functions injected by build system)
-  const pricing = extractProductPricing(productData, isComplex); // eslint-disable-line no-undef
-  const images = transformProductImages(productData.images, productData.name); // eslint-disable-line no-undef
+  const priceFormat = getPriceFormat(context);
+  const pricing = extractProductPricing(productData, isComplex, priceFormat);
+  const images = transformProductImages(productData.images, productData.name);
   const semanticImages = extractSemanticImages(
-    // eslint-disable-line no-undef
     productData.media_gallery || productData.images,
     productData.name
   );
-  const attributes = transformProductAttributes(productData.attributes); // eslint-disable-line no-undef
-  const configurable_options = transformConfigurableOptions(productData.options); // eslint-disable-line no-undef
-  const variants = transformProductVariants(commerceVariants, configurable_options); // eslint-disable-line no-undef
+  const attributes = transformProductAttributes(productData.attributes);
+  const configurable_options = transformConfigurableOptions(productData.options);
+  const variants = transformProductVariants(commerceVariants, configurable_options, priceFormat);
 
   // Query actual breadcrumbs from Commerce GraphQL if context is available
   const breadcrumbs = context
     ? await queryBreadcrumbs(context, productData)
-    : generateProductBreadcrumbs(attributes, productData); // eslint-disable-line no-undef
+    : generateProductBreadcrumbs(attributes, productData);
 
   return {
     // Basic product fields
@@ -244,6 +248,11 @@ const transformProduct = async (product, commerceVariants = [], context) => {
     breadcrumbs,
     configurable_options,
     variants,
+    // The product and its variants, for cache purges after price or stock changes
+    cacheTags: mergeCacheTags(
+      productCacheTags([productData]),
+      productCacheTags(commerceVariants.map((variant) => variant.product))
+    ),
   };
 };
 
@@ -254,9 +263,12 @@ module.exports = {
   resolvers: {
     Query: {
       Citisignal_productDetail: {
-        resolve: async (_root, args, context, _info) => {
+        resolve: async (_root, args, requestContext, _info) => {
+          // Traces the lookup and upstream calls into _debug when requested
+          const context = startDebugTrace(requestContext, 'Citisignal_productDetail');
           try {
             const { urlKey } = args;
+            recordDebug(context, 'strategy', 'catalog by urlKey, variants from commerce');
 
             // Query product data from Catalog Service
             const productResult = await queryProductDetailByUrlKey(context, urlKey);
@@ -277,9 +289,18 @@ module.exports = {
               commerceVariants = await queryProductVariants(context, product.sku);
             }
 
-            return await transformProduct(product, commerceVariants, context);
+            const productDetail = await transformProduct(product, commerceVariants, context);
+            recordDebug(context, 'lookup', {
+              urlKey,
+              matches: productResult.items.length,
+              sku: product.sku,
+              type: product.__typename,
+              variants: commerceVariants.length,
+            });
+
+            return { ...productDetail, _debug: formatDebugTrace(context) };
           } catch (error) {
-            context.logger.error(`Product detail error: ${error.message?.substring(0, 60)}`);
+            logEvent(context, 'error', 'Product detail failed', { error });
             throw error;
           }
         },
@@ -14,6 +14,8 @@ const shouldUseLiveSearch = (args) => {
 
 // transformFacets function is injected at build time
 
+// startDebugTrace, recordDebug and formatDebugTrace functions are injected at build time
+
 // Get facets from appropriate service
 
 const executeLiveSearchFacets = async (context, args) => {
@@ -47,7 +49,7 @@ const executeLiveSearchFacets = async (context, args) => {
     }`,
   });
 
-  return transformFacets(result?.facets);
+  return transformFacets(result?.facets, getPriceFormat(context));
 };
 
 const executeCatalogFacets = async (context, args) => {
@@ -81,17 +83,26 @@ const executeCatalogFacets = async (context, args) => {
     }`,
   });
 
-  return transformFacets(result?.facets);
+  return transformFacets(result?.facets, getPriceFormat(context));
 };
 
+// withUncachedDegradation function is injected at build time
+
 module.exports = {
   resolvers: {
     Query: {
       Citisignal_productFacets: {
-        resolve: async (_root, args, context, _info) => {
+        resolve: withUncachedDegradation(async (_root, args, requestContext, _info) => {
+          // Traces strategy, filters and upstream calls into _debug when requested
+          const context = startDebugTrace(requestContext, 'Citisignal_productFacets');
           try {
             // 1. Decide which service to use based on context
             const useSearch = shouldUseLiveSearch(args);
+            recordDebug(context, 'strategy', useSearch ? 'live-search' : 'catalog');
+            recordDebug(context, 'filters', {
+              catalog: buildCatalogFilters(args.filter),
+              liveSearch: buildLiveSearchFilters(args.filter),
+            });
 
             // 2. Get facets from appropriate service
             const facets = useSearch
@@ -102,13 +113,25 @@ module.exports = {
             // Notice: No complex nesting, just simple filter options
             return {
               facets: facets || [],
+              // Sources can't filter on a discount, so on-sale counts are the listing's
+              approximate: Boolean(args.filter?.onSaleOnly) && !hasUpstreamOnSaleFilter(),
+              ...describeUpstreamErrors([]),
+              _debug: formatDebugTrace(context),
             };
           } catch (error) {
-            context.logger.error(`Product facets error: ${error.message?.substring(0, 60)}`);
-            // Return empty facets on error (graceful degradation)
-            return { facets: [] };
+            logEvent(context, 'error', 'Product facets failed', { error });
+            // Return empty facets on error (graceful degradation), reporting which source failed
+            const source = shouldUseLiveSearch(args)
+              ? 'LiveSearchSandbox'
+              : 'CatalogServiceSandbox';
+            return {
+              facets: [],
+              approximate: false,
+              ...describeUpstreamErrors([classifyUpstreamError(error, source)]),
+              _debug: formatDebugTrace(context),
+            };
           }
-        },
+        }),
       },
     },
   },
@@ -5,8 +5,8 @@
  */
 
 // Transform product to minimal suggestion format
-// Uses injected utilities: formatPrice, ensureHttpsUrl
-const transformToSuggestion = (item) => {
+// Uses injected utilities: formatPrice, ensureHttpsUrl, productCacheTags
+const transformToSuggestion = (item, priceFormat) => {
   if (!item) return null;
 
   // Extract data from either product or productView
@@ -23,7 +23,11 @@ const transformToSuggestion = (item) => {
     productView.price?.final?.amount?.value ||
     productView.price?.regular?.amount?.value ||
     product.price?.regularPrice?.amount?.value;
-  const price = formatPrice(priceValue);
+  const currency =
+    productView.price?.final?.amount?.currency ||
+    productView.price?.regular?.amount?.currency ||
+    product.price?.regularPrice?.amount?.currency;
+  const price = formatPrice(priceValue, priceFormat, currency);
 
   // Get image URL and ensure HTTPS
   const imageUrl = productView.images?.[0]?.url || product.small_image?.url || product.image?.url;
@@ -80,11 +84,13 @@ const executeSearchSuggestions = async (context, args) => {
             final {
               amount {
                 value
+                currency
               }
             }
             regular {
               amount {
                 value
+                currency
               }
             }
           }
@@ -97,16 +103,20 @@ const executeSearchSuggestions = async (context, args) => {
   });
 
   // Transform to lightweight suggestions
-  const suggestions = result?.items?.map(transformToSuggestion).filter(Boolean) || [];
+  const priceFormat = getPriceFormat(context);
+  const suggestions =
+    result?.items?.map((item) => transformToSuggestion(item, priceFormat)).filter(Boolean) || [];
 
   return suggestions;
 };
 
+// withUncachedDegradation function is injected at build time
+
 module.exports = {
   resolvers: {
     Query: {
       Citisignal_searchSuggestions: {
-        resolve: async (_root, args, context, _info) => {
+        resolve: withUncachedDegradation(async (_root, args, context, _info) => {
           try {
             // Get AI-powered suggestions from Live Search
             const suggestions = await executeSearchSuggestions(context, args);
@@ -115,13 +125,19 @@ module.exports = {
             // Perfect for fast, responsive autocomplete UI
             return {
               suggestions: suggestions || [],
+              cacheTags: productCacheTags(suggestions),
+              upstreamErrors: [],
             };
           } catch (error) {
-            context.logger.error(`Search suggest error: ${error.message?.substring(0, 59)}`);
+            logEvent(context, 'error', 'Search suggestions failed', { error });
             // Return empty suggestions on error (graceful degradation)
-            return { suggestions: [] };
+            return {
+              suggestions: [],
+              cacheTags: [],
+              upstreamErrors: [classifyUpstreamError(error, 'LiveSearchSandbox')],
+            };
           }
-        },
+        }),
       },
     },
   },
@@ -0,0 +1,65 @@
+/**
+ * CUSTOMER AUTH UTILITIES
+ *
+ * Helpers for Commerce customer tokens. The storefront sends the token as an
+ * `Authorization: Bearer <token>` header, which mesh.config.js forwards to Commerce.
+ *
+ * NOTE: This file uses module.exports for the build script to process.
+ * The functions will be injected inline into resolvers at build time.
+ */
+
+/**
+ * Read the customer token from the request's Authorization header
+ * @param {object} context - Mesh context (headers are lowercased)
+ * @returns {string|null} Customer token or null for guests
+ */
+const getCustomerToken = (context) => {
+  const authorization = context?.headers?.['authorization'] || '';
+  const match = authorization.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+};
+
+/**
+ * Create a context whose Commerce calls are made as the given customer
+ * Source operation headers are interpolated from the context passed to each call,
+ * so this works for a token issued during the current request (e.g. on login)
+ * @param {object} context - Mesh context
+ * @param {string} token - Commerce customer token
+ * @returns {object} Context with the Authorization header replaced
+ */
+const withCustomerToken = (context, token) => {
+  // Derived rather than copied, so the logging context and request state carry over
+  return Object.assign(Object.create(context), {
+    headers: { ...context.headers, authorization: `Bearer ${token}` },
+  });
+};
+
+// Commerce sign-in error messages shoppers can act on, matched in order
+const AUTH_USER_ERRORS = [
+  {
+    code: 'ACCOUNT_LOCKED',
+    pattern: /account is locked|account is temporarily disabled/i,
+    message: 'Your account is temporarily locked. Please try again later.',
+  },
+  {
+    code: 'ACCOUNT_NOT_CONFIRMED',
+    pattern: /account.*(not confirmed|confirmation)/i,
+    message: 'Confirm your account using the link in your email before signing in.',
+  },
+  {
+    code: 'INVALID_CREDENTIALS',
+    pattern: /sign-in was incorrect|account sign-in|invalid login|email or password/i,
+    message: 'The email or password is incorrect.',
+  },
+  {
+    code: 'NOT_AUTHORIZED',
+    pattern: /current customer isn't authorized|not authorized|isn't authorized/i,
+    message: 'Your session has expired. Please sign in again.',
+  },
+];
+
+module.exports = {
+  getCustomerToken,
+  withCustomerToken,
+  AUTH_USER_ERRORS,
+};
@@ -0,0 +1,101 @@
+/**
+ * CACHE TAG UTILITIES
+ *
+ * Cache tags name the catalog data a cacheable response was built from, so a cache
+ * purge can target one product or one category instead of everything:
+ *
+ * - product:<sku> for products and their variants
+ * - category:<id> for categories in navigation and breadcrumbs
+ *
+ * Results of cached queries return their tags in `cacheTags`. The TTL of each query
+ * comes from cacheRules in mesh.config.js.
+ *
+ * Results with upstream errors are never cached: the build marks Citisignal_Error
+ * `@cacheControl(maxAge: 0)`, and withUncachedDegradation turns them into a GraphQL error
+ * when the query doesn't select upstreamErrors. The response cache stores neither.
+ *
+ * NOTE: This file uses module.exports for the build script to process.
+ * The functions will be injected inline into resolvers at build time.
+ */
+
+/**
+ * Tags for products, by SKU
+ * @param {array} products - Items with a sku, e.g. product cards or Commerce variants
+ * @returns {array} Tags like "product:iphone-15"
+ */
+const productCacheTags = (products) => {
+  return (products || [])
+    .filter((product) => product?.sku)
+    .map((product) => `product:${product.sku}`);
+};
+
+/**
+ * Tags for categories, by category ID, including nested children
+ * @param {array} categories - Navigation items (id) or breadcrumb items (categoryId)
+ * @returns {array} Tags like "category:4"
+ */
+const categoryCacheTags = (categories) => {
+  return (categories || []).flatMap((category) => {
+    const id = category?.id || category?.categoryId;
+    return [...(id ? [`category:${id}`] : []), ...categoryCacheTags(category?.children)];
+  });
+};
+
+/**
+ * Combine tag lists without duplicates, in a stable order
+ * @param {...array} tagLists - Tag lists
+ * @returns {array} Sorted unique tags
+ */
+const mergeCacheTags = (...tagLists) => {
+  return [...new Set(tagLists.flat())].sort();
+};
+
+// Shown when a degraded result can't be returned without being cached
+const UNSELECTED_UPSTREAM_ERRORS_MESSAGE =
+  'Some sources failed. Select upstreamErrors to receive the partial result.';
+
+/**
+ * Whether a resolver's selection set asks for a field, through fragments too
+ * Fields under @skip or @include count as not selected, since they may be left out.
+ * @param {object} info - Resolve info
+ * @param {string} fieldName - Field of the resolver's result
+ * @returns {boolean}
+ */
+const selectsField = (info, fieldName) => {
+  const inSelectionSet = (selectionSet) =>
+    (selectionSet?.selections || []).some((selection) => {
+      if (selection.directives?.length > 0) return false;
+      if (selection.kind === 'Field') return selection.name.value === fieldName;
+      if (selection.kind === 'InlineFragment') return inSelectionSet(selection.selectionSet);
+      if (selection.kind === 'FragmentSpread') {
+        return inSelectionSet(info.fragments?.[selection.name.value]?.selectionSet);
+      }
+      return false;
+    });
+
+  return (info?.fieldNodes || []).some((node) => inSelectionSet(node.selectionSet));
+};
+
+/**
+ * Keep results with upstream errors out of the response cache
+ * A response that lists them is uncacheable through Citisignal_Error's @cacheControl.
+ * Without upstreamErrors in the selection the response would look complete and be cached
+ * for the query's TTL, so the result becomes a GraphQL error instead.
+ * @param {Function} resolve - Root resolver returning a result with upstreamErrors
+ * @returns {Function} Resolver with the same signature
+ */
+const withUncachedDegradation = (resolve) => async (root, args, context, info) => {
+  const result = await resolve(root, args, context, info);
+  if (!result?.upstreamErrors?.length || selectsField(info, 'upstreamErrors')) {
+    return result;
+  }
+
+  throw new Error(UNSELECTED_UPSTREAM_ERRORS_MESSAGE);
+};
+
+module.exports = {
+  productCacheTags,
+  categoryCacheTags,
+  mergeCacheTags,
+  withUncachedDegradation,
+};
@@ -0,0 +1,107 @@
+/**
+ * CART IDENTITY UTILITIES
+ *
+ * Decides which Commerce cart a request works on. Carts are only created on the first
+ * write, and every resolution reports whether the cart already existed, was created,
+ * or replaced an expired one, so the storefront can store the new ID.
+ *
+ * NOTE: This file uses module.exports for the build script to process.
+ * The functions will be injected inline into resolvers at build time.
+ * Dependencies on auth-utils will be injected as well.
+ */
+
+/**
+ * Read the shopper's cart ID from the request
+ * An explicit cartId argument wins over the x-cart-id header
+ * @param {object} context - Mesh context (headers are lowercased)
+ * @param {object} args - Resolver arguments, may contain cartId
+ * @returns {string|null} Commerce cart ID or null when the request has none
+ */
+const getRequestCartId = (context, args) => {
+  return (
+    args?.cartId ||
+    context?.headers?.['x-cart-id'] ||
+    context?.cartId ||
+    context?.request?.cartId ||
+    null
+  );
+};
+
+// Commerce errors meaning the requested cart can no longer be used, matched in order
+// Anything else (timeouts, outages) is rethrown instead of replacing the cart
+const CART_IDENTITY_REASONS = [
+  { reason: 'CART_INACTIVE', pattern: /cart.*(not active|isn't active|isn’t active)/i },
+  {
+    reason: 'CART_NOT_ACCESSIBLE',
+    pattern: /not authorized to perform operations on cart|cannot perform operations on cart/i,
+  },
+  { reason: 'CART_NOT_FOUND', pattern: /could not find a cart/i },
+];
+
+/**
+ * Map a failed cart lookup to the reason the cart can no longer be used
+ * @param {Error|string} error - Error thrown by the Commerce cart query
+ * @returns {string|null} Citisignal_CartIdentityReason or null for unrelated errors
+ */
+const getCartIdentityReason = (error) => {
+  const rawMessage = (error && error.message) || String(error || '');
+  const known = CART_IDENTITY_REASONS.find(({ pattern }) => pattern.test(rawMessage));
+  return known ? known.reason : null;
+};
+
+/**
+ * Resolve the cart for this request
+ * Signed-in customers always get their customer cart. Guests get the requested cart
+ * while it is usable; otherwise a new cart is created only when `create` is set.
+ * @param {object} context - Mesh context
+ * @param {object} args - Resolver arguments, may contain cartId
+ * @param {object} options - { create: true } for writes that need a cart
+ * @returns {Promise<object>} { cartId, status, reason } (Citisignal_CartIdentity)
+ */
+const resolveCartIdentity = async (context, args, options = {}) => {
+  if (getCustomerToken(context)) {
+    const customerCart = await context.CommerceGraphQL.Query.Commerce_customerCart({
+      root: {},
+      args: {},
+      context,
+      selectionSet: '{ id }',
+    });
+    return { cartId: customerCart?.id || null, status: 'EXISTING', reason: null };
+  }
+
+  const requestedCartId = getRequestCartId(context, args);
+  let reason = 'NO_CART_ID';
+
+  if (requestedCartId) {
+    try {
+      await context.CommerceGraphQL.Query.Commerce_cart({
+        root: {},
+        args: { cart_id: requestedCartId },
+        context,
+        selectionSet: '{ id }',
+      });
+      return { cartId: requestedCartId, status: 'EXISTING', reason: null };
+    } catch (error) {
+      reason = getCartIdentityReason(error);
+      if (!reason) throw error;
+      logEvent(context, 'warn', 'Requested cart not usable', { reason, error });
+    }
+  }
+
+  // Reads never create carts, so page views do not leave empty carts behind
+  if (!options.create) return { cartId: null, status: 'NONE', reason };
+
+  const newCartId = await context.CommerceGraphQL.Mutation.Commerce_createEmptyCart({
+    root: {},
+    args: {},
+    context,
+  });
+
+  return { cartId: newCartId, status: requestedCartId ? 'REPLACED' : 'CREATED', reason };
+};
+
+module.exports = {
+  getRequestCartId,
+  getCartIdentityReason,
+  resolveCartIdentity,
+};
@@ -14,42 +14,105 @@
  * Transform Adobe Commerce cart to semantic Citisignal shape
  * Follows same pattern as transformProductToCard
  * @param {object} adobeCart - Raw Adobe Commerce cart object
+ * @param {object} priceFormat - Store locale and currency from getPriceFormat
  * @returns {object|null} Transformed semantic cart or null if invalid
  */
-const transformCartToSemantic = (adobeCart) => {
+const transformCartToSemantic = (adobeCart, priceFormat) => {
   if (!adobeCart) return null;
 
-  const items = (adobeCart.items || []).map(transformCartItemToSemantic).filter(Boolean);
+  const items = (adobeCart.items || [])
+    .map((item) => transformCartItemToSemantic(item, priceFormat))
+    .filter(Boolean);
 
   // Calculate business fields (like your hasMoreItems pattern)
   const itemCount = items.reduce((total, item) => total + item.quantity, 0);
-  const totalValue = items.reduce((total, item) => total + item.totalValue, 0);
+  const totals = transformCartTotals(adobeCart, items, priceFormat);
 
   return {
     id: adobeCart.id,
     itemCount,
-    totalValue,
-    totalDisplay: formatPrice(totalValue), // Uses injected price formatting
+    totalValue: totals.grandTotal.value,
+    totalDisplay: totals.grandTotal.display,
+    totals,
+    appliedCouponCode: adobeCart.applied_coupons?.[0]?.code || null,
     items,
     isEmpty: itemCount === 0, // Calculated business field
   };
 };
 
+/**
+ * Build the cart totals breakdown from Commerce cart prices
+ * Falls back to the item rows when Commerce returns no prices (e.g. an empty cart)
+ * @param {object} adobeCart - Raw Adobe Commerce cart with prices and shipping_addresses
+ * @param {array} items - Transformed cart items
+ * @param {object} priceFormat - Store locale and currency from getPriceFormat
+ * @returns {object} Totals with { value, display } amounts
+ */
+const transformCartTotals = (adobeCart, items, priceFormat) => {
+  const prices = adobeCart.prices || {};
+  const currency = prices.grand_total?.currency || extractCartItemCurrency(adobeCart.items?.[0]);
+  const itemTotal = {
+    value: items.reduce((total, item) => total + item.totalValue, 0),
+    currency,
+  };
+
+  const discounts = (prices.discounts || []).map((discount) => ({
+    label: discount.label || 'Discount',
+    amount: transformMoney(discount.amount, priceFormat),
+  }));
+  const taxes = (prices.applied_taxes || []).map((tax) => ({
+    label: tax.label || 'Tax',
+    amount: transformMoney(tax.amount, priceFormat),
+  }));
+  const sumAmounts = (entries) => ({
+    value: entries.reduce((total, entry) => total + entry.amount.value, 0),
+    currency,
+  });
+
+  // Shipping is only known once a method is selected on the (first) shipping address
+  const shippingMethod = adobeCart.shipping_addresses?.[0]?.selected_shipping_method;
+  const shipping = shippingMethod
+    ? {
+        label: [shippingMethod.carrier_title, shippingMethod.method_title]
+          .filter(Boolean)
+          .join(' - '),
+        amount: transformMoney(shippingMethod.amount, priceFormat),
+      }
+    : null;
+
+  return {
+    subtotal: transformMoney(prices.subtotal_excluding_tax || itemTotal, priceFormat),
+    subtotalIncludingTax: transformMoney(
+      prices.subtotal_including_tax || prices.subtotal_excluding_tax || itemTotal,
+      priceFormat
+    ),
+    discounts,
+    discountTotal: transformMoney(sumAmounts(discounts), priceFormat),
+    taxes,
+    taxTotal: transformMoney(sumAmounts(taxes), priceFormat),
+    shipping,
+    grandTotal: transformMoney(prices.grand_total || itemTotal, priceFormat),
+  };
+};
+
 /**
  * Transform Adobe Commerce cart item to semantic shape
  * Uses semantic image extraction (like your product pattern)
  * @param {object} adobeItem - Raw Adobe Commerce cart item
+ * @param {object} priceFormat - Store locale and currency from getPriceFormat
  * @returns {object|null} Transformed semantic cart item or null if invalid
  */
-const transformCartItemToSemantic = (adobeItem) => {
+const transformCartItemToSemantic = (adobeItem, priceFormat) => {
   if (!adobeItem || !adobeItem.product) return null;
 
   const product = adobeItem.product;
   const quantity = adobeItem.quantity || 1;
 
   // Extract pricing (following your dual pricing pattern)
+  // Row totals come from Commerce so item-level adjustments are reflected
   const priceValue = extractCartItemPrice(adobeItem);
-  const totalValue = priceValue * quantity;
+  const totalValue = parseFloat(adobeItem.prices?.row_total?.value) || priceValue * quantity;
+  const currency = extractCartItemCurrency(adobeItem);
 
   // Extract variant display name (like your formatCartItemName)
   const variantDisplay = extractVariantDisplay(adobeItem);
@@ -66,9 +129,9 @@ const transformCartItemToSemantic = (adobeItem) => {
 
     // Dual pricing (matching your product pattern)
     priceValue,
-    priceDisplay: formatPrice(priceValue),
+    priceDisplay: formatPrice(priceValue, priceFormat, currency),
     totalValue,
-    totalDisplay: formatPrice(totalValue),
+    totalDisplay: formatPrice(totalValue, priceFormat, currency),
 
     // Semantic image (uses existing getCartImage utility)
     image,
@@ -146,6 +209,20 @@ const extractCartItemPrice = (cartItem) => {
   return parseFloat(price) || 0;
 };
 
+/**
+ * Extract the currency code of a cart item's price
+ * @param {object} cartItem - Adobe Commerce cart item
+ * @returns {string|null} Currency code or null if not selected
+ */
+const extractCartItemCurrency = (cartItem) => {
+  return (
+    cartItem?.prices?.price?.currency ||
+    cartItem?.product?.price_range?.minimum_price?.final_price?.currency ||
+    cartItem?.prices?.row_total?.currency ||
+    null
+  );
+};
+
 /**
  * Extract variant display text for configurable products
  * Like "Purple, 256GB" for iPhone variants
@@ -180,47 +257,29 @@ const extractSelectedOptions = (cartItem) => {
 };
 
 /**
- * Build Adobe Commerce cart input from semantic input
+ * Build Adobe Commerce cart input from semantic inputs
  * Converts our clean API to Adobe's complex requirements
- * @param {object} semanticInput - Citisignal cart input
+ * @param {array} semanticInputs - Citisignal cart inputs of the same product type
  * @param {string} cartId - Adobe Commerce cart ID
  * @returns {object} Adobe Commerce mutation input
  */
-const buildAdobeCartInput = (semanticInput, cartId) => {
-  const { sku, quantity, selectedOptions } = semanticInput;
-
-  // Determine if product is configurable based on options
-  const isConfigurable = selectedOptions && selectedOptions.length > 0;
-
-  if (isConfigurable) {
-    return {
-      cart_id: cartId,
-      cart_items: [
-        {
-          data: {
-            sku,
-            quantity,
-          },
-          selected_options: selectedOptions.map((option) => ({
-            option_value: option.value,
-            option_id: option.attributeCode, // Adobe Commerce may need option_id
-          })),
-        },
-      ],
-    };
-  } else {
-    return {
-      cart_id: cartId,
-      cart_items: [
-        {
-          data: {
-            sku,
-            quantity,
-          },
-        },
-      ],
-    };
-  }
+const buildAdobeCartInput = (semanticInputs, cartId) => {
+  return {
+    cart_id: cartId,
+    cart_items: semanticInputs.map(({ sku, quantity, selectedOptions }) => {
+      // Determine if product is configurable based on options
+      const isConfigurable = selectedOptions && selectedOptions.length > 0;
+      if (!isConfigurable) return { data: { sku, quantity } };
+
+      return {
+        data: { sku, quantity },
+        selected_options: selectedOptions.map((option) => ({
+          option_value: option.value,
+          option_id: option.attributeCode, // Adobe Commerce may need option_id
+        })),
+      };
+    }),
+  };
 };
 
 /**
@@ -261,20 +320,86 @@ const findExistingCartItem = (adobeCart, newItem) => {
 };
 
 /**
- * Build cart update input for Adobe Commerce
- * @param {object} updateInput - Citisignal update input
- * @param {string} cartId - Adobe Commerce cart ID
- * @returns {object} Adobe Commerce update input
+ * Check batch cart operations for missing fields before anything reaches Commerce
+ * @param {array} operations - Citisignal_CartLineOperationInput list
+ * @returns {array} Cart user errors, empty when every operation is usable
  */
-const buildCartUpdateInput = (updateInput, cartId) => {
+const validateCartOperations = (operations) => {
+  if (!operations || operations.length === 0) {
+    return [{ code: 'INVALID_OPERATION', message: 'Add at least one cart operation.' }];
+  }
+
+  return operations.flatMap((operation, index) => {
+    const position = `Operation ${index + 1}`;
+    if (operation.type === 'ADD' && !operation.sku) {
+      return [{ code: 'INVALID_OPERATION', message: `${position} needs a sku to add.` }];
+    }
+    if (operation.type !== 'ADD' && !operation.cartItemId) {
+      return [{ code: 'INVALID_OPERATION', message: `${position} needs a cartItemId.` }];
+    }
+    if (operation.type === 'SET_QUANTITY' && typeof operation.quantity !== 'number') {
+      return [{ code: 'INVALID_OPERATION', message: `${position} needs a quantity to set.` }];
+    }
+    if (operation.quantity != null && !Number.isInteger(operation.quantity)) {
+      return [{ code: 'INVALID_QUANTITY', message: `${position} needs a whole quantity.` }];
+    }
+    if (operation.quantity < 0) {
+      return [{ code: 'INVALID_QUANTITY', message: `${position} has a negative quantity.` }];
+    }
+    if (operation.type === 'ADD' && operation.quantity === 0) {
+      return [{ code: 'INVALID_QUANTITY', message: `${position} needs a quantity of at least 1.` }];
+    }
+    return [];
+  });
+};
+
+/**
+ * Collapse batch cart operations into the changes Commerce has to make
+ * Operations apply in order: adding a product already in the cart raises that line,
+ * repeated adds of the same product are merged, and the last quantity set on a line wins.
+ * Removals become quantity 0 updates, which Commerce treats as a removal.
+ * @param {array} operations - Validated Citisignal_CartLineOperationInput list
+ * @param {object|null} adobeCart - Current cart items (null for a new cart)
+ * @returns {object} { updates: [{ cartItemId, quantity }], additions: [semantic inputs] }
+ */
+const collapseCartOperations = (operations, adobeCart) => {
+  const updates = new Map();
+  const additions = new Map();
+
+  operations.forEach((operation) => {
+    if (operation.type === 'SET_QUANTITY' || operation.type === 'REMOVE') {
+      const quantity = operation.type === 'REMOVE' ? 0 : operation.quantity || 0;
+      updates.set(String(operation.cartItemId), quantity);
+      return;
+    }
+
+    const quantity = operation.quantity || 1;
+    const existingItem = findExistingCartItem(adobeCart, operation);
+    if (existingItem) {
+      const lineId = String(existingItem.id);
+      const current = updates.has(lineId) ? updates.get(lineId) : existingItem.quantity;
+      updates.set(lineId, current + quantity);
+      return;
+    }
+
+    // Same product added twice in one batch: one line with both quantities
+    const options = operation.selectedOptions || [];
+    const lineKey = [
+      operation.sku,
+      ...options.map((option) => `${option.attributeCode}=${option.value}`).sort(),
+    ].join('|');
+    const pending = additions.get(lineKey);
+    if (pending) {
+      pending.quantity += quantity;
+      return;
+    }
+
+    additions.set(lineKey, { sku: operation.sku, quantity, selectedOptions: options });
+  });
+
   return {
-    cart_id: cartId,
-    cart_items: [
-      {
-        cart_item_id: parseInt(updateInput.cartItemId),
-        quantity: updateInput.quantity,
-      },
-    ],
+    updates: [...updates].map(([cartItemId, quantity]) => ({ cartItemId, quantity })),
+    additions: [...additions.values()],
   };
 };
 
@@ -291,15 +416,74 @@ const buildRemoveItemInput = (cartItemId, cartId) => {
   };
 };
 
+// Commerce error messages shoppers can act on, matched in order
+// Messages differ between Commerce versions, so patterns match the stable part
+const CART_USER_ERRORS = [
+  {
+    code: 'COUPON_ALREADY_APPLIED',
+    pattern: /coupon is already applied/i,
+    message: 'A coupon is already applied. Remove it to use a different code.',
+  },
+  {
+    code: 'COUPON_EXPIRED',
+    pattern: /coupon.*expired/i,
+    message: 'This coupon has expired.',
+  },
+  {
+    code: 'COUPON_NOT_APPLICABLE',
+    pattern: /coupon.*(not applicable|cannot be applied|conditions)/i,
+    message: 'This coupon does not apply to the items in your cart.',
+  },
+  {
+    code: 'COUPON_INVALID',
+    pattern:
+      /coupon code .*(not valid|isn't valid|is invalid)|coupon.*(doesn't exist|does not exist)/i,
+    message: 'This coupon code is not valid.',
+  },
+  {
+    code: 'CART_EMPTY',
+    pattern: /cart does not contain products|cart is empty/i,
+    message: 'Add an item to your cart before applying a coupon.',
+  },
+  {
+    code: 'CART_NOT_FOUND',
+    pattern: /could not find a cart|cart.*(not active|isn't active)/i,
+    message: 'Your cart has expired. Please refresh the page.',
+  },
+  {
+    code: 'OUT_OF_STOCK',
+    pattern: /out of stock|not salable|no source items with the in stock status/i,
+    message: 'This product is out of stock.',
+  },
+  // Sale quantities are checked before writes, this covers limits Commerce enforces on its own
+  {
+    code: 'QTY_EXCEEDS_AVAILABLE',
+    pattern:
+      /requested qty(uantity)? is(n't| not) available|not enough items for sale|most you may purchase is|maximum qty/i,
+    limit: /(?:most you may purchase is|maximum qty[^\d]*)\s*(\d+)/i,
+    limitMessage: (maxQuantity) => `You can add up to ${maxQuantity} of this product.`,
+    message: 'The requested quantity is not available.',
+  },
+  {
+    code: 'INVALID_QUANTITY',
+    pattern: /fewest you may purchase is|minimum qty|qty.*(invalid|must be greater)/i,
+    message: 'Enter a valid quantity.',
+  },
+];
+
 module.exports = {
   transformCartToSemantic,
   transformCartItemToSemantic,
+  transformCartTotals,
   extractCartImage,
   extractCartItemPrice,
+  extractCartItemCurrency,
   extractVariantDisplay,
   extractSelectedOptions,
   buildAdobeCartInput,
   findExistingCartItem,
-  buildCartUpdateInput,
+  validateCartOperations,
+  collapseCartOperations,
   buildRemoveItemInput,
+  CART_USER_ERRORS,
 };
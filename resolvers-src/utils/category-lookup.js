@@ -0,0 +1,98 @@
+/**
+ * CATEGORY LOOKUP UTILITIES
+ *
+ * Request-scoped Commerce category lookups, deduplicated by the source loader.
+ * Every resolver in one GraphQL request (category page data, navigation, breadcrumbs)
+ * gets the same lookup, so the category tree and each category are fetched once.
+ *
+ * NOTE: This file uses module.exports for the build script to process.
+ * The functions will be injected inline into resolvers at build time.
+ */
+
+/**
+ * Get the category tree for navigation, three levels deep
+ * @param {object} context - Mesh request context
+ * @returns {Promise<array>} Commerce categories with children
+ */
+const getCategoryTree = (context) => {
+  return loadFromSource(context, 'CommerceGraphQL', 'Commerce_categoryList', {
+    args: {
+      filters: {}, // Get all categories, navigation filters them later
+    },
+    selectionSet: `{
+      id
+      uid
+      name
+      url_path
+      url_key
+      include_in_menu
+      is_active
+      level
+      position
+      product_count
+      parent_id
+      children {
+        id
+        uid
+        name
+        url_path
+        url_key
+        include_in_menu
+        is_active
+        level
+        position
+        product_count
+        children {
+          id
+          uid
+          name
+          url_path
+          url_key
+          include_in_menu
+          is_active
+          level
+          position
+          product_count
+        }
+      }
+    }`,
+  });
+};
+
+/**
+ * Get one category with its breadcrumbs and page metadata
+ * @param {object} context - Mesh request context
+ * @param {string} urlKey - Category URL key like "phones"
+ * @returns {Promise<object|null>} Commerce category, null when the URL key is unknown
+ */
+const getCategoryByUrlKey = (context, urlKey) => {
+  if (!urlKey) return Promise.resolve(null);
+
+  return loadFromSource(context, 'CommerceGraphQL', 'Commerce_categoryList', {
+    args: {
+      filters: { url_key: { eq: urlKey } },
+    },
+    selectionSet: `{
+      id
+      uid
+      name
+      url_key
+      url_path
+      level
+      description
+      meta_title
+      meta_description
+      breadcrumbs {
+        category_id
+        category_name
+        category_url_path
+        category_level
+      }
+    }`,
+  }).then((result) => result?.[0] || null);
+};
+
+module.exports = {
+  getCategoryTree,
+  getCategoryByUrlKey,
+};
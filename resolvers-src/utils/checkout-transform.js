@@ -0,0 +1,202 @@
+/**
+ * CHECKOUT TRANSFORMATION UTILITIES
+ *
+ * Transforms the Adobe Commerce cart checkout state (email, addresses, shipping and
+ * payment methods) into the semantic Citisignal checkout shape, and builds the
+ * Commerce inputs for the checkout mutations.
+ *
+ * NOTE: This file uses module.exports for the build script to process.
+ * The functions will be injected inline into resolvers at build time.
+ * Dependencies on price-utils and cart-transform will be injected as well.
+ */
+
+/**
+ * Transform an Adobe Commerce cart to the semantic checkout shape
+ * @param {object} adobeCart - Raw Adobe Commerce cart with checkout fields
+ * @param {object} priceFormat - Store locale and currency from getPriceFormat
+ * @returns {object|null} Semantic checkout or null if invalid
+ */
+const transformCheckoutToSemantic = (adobeCart, priceFormat) => {
+  if (!adobeCart) return null;
+
+  // Guest checkout ships to the first address, like the Commerce storefront
+  const shippingAddress = adobeCart.shipping_addresses?.[0] || null;
+  const selectedShippingMethod = shippingAddress?.selected_shipping_method?.carrier_code
+    ? transformShippingMethod(shippingAddress.selected_shipping_method, priceFormat)
+    : null;
+  const selectedPaymentMethod = adobeCart.selected_payment_method?.code
+    ? transformPaymentMethod(adobeCart.selected_payment_method)
+    : null;
+
+  const checkout = {
+    cartId: adobeCart.id,
+    email: adobeCart.email || null,
+    itemCount: adobeCart.total_quantity || 0,
+    isVirtual: Boolean(adobeCart.is_virtual),
+    shippingAddress: transformCheckoutAddress(shippingAddress),
+    billingAddress: transformCheckoutAddress(adobeCart.billing_address),
+    availableShippingMethods: (shippingAddress?.available_shipping_methods || [])
+      .filter(Boolean)
+      .map((method) => transformShippingMethod(method, priceFormat)),
+    selectedShippingMethod,
+    availablePaymentMethods: (adobeCart.available_payment_methods || [])
+      .filter(Boolean)
+      .map(transformPaymentMethod),
+    selectedPaymentMethod,
+    totals: transformCartTotals(adobeCart, [], priceFormat),
+  };
+
+  // Calculated business fields so the storefront knows which step comes next
+  const missingSteps = getMissingCheckoutSteps(checkout);
+  return {
+    ...checkout,
+    missingSteps,
+    isReadyToPlaceOrder: checkout.itemCount > 0 && missingSteps.length === 0,
+  };
+};
+
+/**
+ * List the checkout steps still required before an order can be placed
+ * Virtual carts (no physical items) skip the shipping steps
+ * @param {object} checkout - Semantic checkout without calculated fields
+ * @returns {array} Citisignal_CheckoutStep values in checkout order
+ */
+const getMissingCheckoutSteps = (checkout) => {
+  const steps = [];
+
+  if (!checkout.email) steps.push('EMAIL');
+  if (!checkout.isVirtual) {
+    if (!checkout.shippingAddress) steps.push('SHIPPING_ADDRESS');
+    if (!checkout.selectedShippingMethod) steps.push('SHIPPING_METHOD');
+  }
+  if (!checkout.billingAddress) steps.push('BILLING_ADDRESS');
+  if (!checkout.selectedPaymentMethod) steps.push('PAYMENT_METHOD');
+
+  return steps;
+};
+
+/**
+ * Transform a Commerce cart address to semantic shape
+ * @param {object|null} address - Commerce shipping or billing address
+ * @returns {object|null} Semantic address or null when none is set
+ */
+const transformCheckoutAddress = (address) => {
+  if (!address || !address.firstname) return null;
+
+  return {
+    firstName: address.firstname,
+    lastName: address.lastname || '',
+    company: address.company || null,
+    street: (address.street || []).filter(Boolean),
+    city: address.city || '',
+    region: address.region?.label || null,
+    regionCode: address.region?.code || null,
+    postcode: address.postcode || null,
+    countryCode: address.country?.code || '',
+    telephone: address.telephone || null,
+  };
+};
+
+/**
+ * Transform a Commerce shipping method to semantic shape (dual pricing pattern)
+ * @param {object} method - Available or selected Commerce shipping method
+ * @param {object} priceFormat - Store locale and currency from getPriceFormat
+ * @returns {object} Semantic shipping method
+ */
+const transformShippingMethod = (method, priceFormat) => {
+  return {
+    carrierCode: method.carrier_code,
+    methodCode: method.method_code,
+    label: [method.carrier_title, method.method_title].filter(Boolean).join(' - '),
+    amount: transformMoney(method.amount, priceFormat),
+    available: method.available !== false,
+    errorMessage: method.error_message || null,
+  };
+};
+
+/**
+ * Transform a Commerce payment method to semantic shape
+ * @param {object} method - Available or selected Commerce payment method
+ * @returns {object} { code, title }
+ */
+const transformPaymentMethod = (method) => {
+  return {
+    code: method.code,
+    title: method.title || method.code,
+  };
+};
+
+/**
+ * Build a Commerce CartAddressInput from a semantic address input
+ * @param {object} address - Citisignal_CheckoutAddressInput
+ * @returns {object} Commerce CartAddressInput
+ */
+const buildCommerceAddressInput = (address) => {
+  return {
+    firstname: address.firstName,
+    lastname: address.lastName,
+    company: address.company || null,
+    street: (address.street || []).map((line) => line.trim()).filter(Boolean),
+    city: address.city,
+    region: address.regionCode || address.region || null,
+    postcode: address.postcode || null,
+    country_code: address.countryCode,
+    telephone: address.telephone,
+    save_in_address_book: false,
+  };
+};
+
+// Commerce checkout error messages shoppers can act on, matched in order
+// Messages differ between Commerce versions, so patterns match the stable part
+const CHECKOUT_USER_ERRORS = [
+  {
+    code: 'CART_NOT_FOUND',
+    pattern: /could not find a cart|cart.*(not active|isn't active)/i,
+    message: 'Your cart has expired. Please refresh the page.',
+  },
+  {
+    code: 'CART_EMPTY',
+    pattern: /cart does not contain products|cart is empty/i,
+    message: 'Your cart is empty.',
+  },
+  {
+    code: 'OUT_OF_STOCK',
+    pattern: /out of stock|requested qty is not available|not salable/i,
+    message: 'Some items in your cart are no longer available.',
+  },
+  {
+    code: 'MISSING_INFORMATION',
+    pattern: /(email|address|shipping method|payment method).*(is missing|not set)/i,
+    message: 'Some checkout details are missing. Please review each step.',
+  },
+  {
+    code: 'INVALID_EMAIL',
+    pattern: /(invalid|not a valid).*email|email.*(invalid|not valid|isn't valid)/i,
+    message: 'Enter a valid email address.',
+  },
+  {
+    code: 'SHIPPING_METHOD_UNAVAILABLE',
+    pattern: /carrier with such method|shipping method.*(not available|unavailable|not found)/i,
+    message: 'This shipping method is not available for your address.',
+  },
+  {
+    code: 'PAYMENT_METHOD_UNAVAILABLE',
+    pattern: /payment method/i,
+    message: 'This payment method is not available.',
+  },
+  {
+    code: 'INVALID_ADDRESS',
+    pattern: /address|region|postcode|zip code|country|telephone/i,
+    message: 'Check the address and try again.',
+  },
+];
+
+module.exports = {
+  transformCheckoutToSemantic,
+  getMissingCheckoutSteps,
+  transformCheckoutAddress,
+  transformShippingMethod,
+  transformPaymentMethod,
+  buildCommerceAddressInput,
+  CHECKOUT_USER_ERRORS,
+};
@@ -0,0 +1,117 @@
+/**
+ * DEBUG TRACE UTILITIES
+ *
+ * Opt-in resolver trace for the `_debug` fields, enabled per request with the
+ * x-mesh-debug header set to the mesh's MESH_DEBUG_SECRET secret (context.secrets, set at
+ * deploy time, never built into mesh.json). Meshes without the secret never trace. The
+ * trace records how the resolver decided (strategy, upstream filters, sort), every
+ * upstream call with its arguments and timing, and how results were merged, so a missing
+ * product can be explained without a redeploy. Shopper data in the trace is redacted like
+ * in the logs (redactPii).
+ *
+ * Resolvers run with the context returned by startDebugTrace, whose sources are observed
+ * with observeSourceCalls (request-logger.js). Helpers deeper down add to the trace with
+ * recordDebug, which does nothing when tracing is off.
+ *
+ * NOTE: This file uses module.exports for the build script to process.
+ * The functions will be injected inline into resolvers at build time.
+ */
+
+// Request header that turns the trace on, its value must be the debug secret
+const DEBUG_HEADER = 'x-mesh-debug';
+
+// API Mesh secret holding the value, see scripts/lib/mesh-secrets.js
+const DEBUG_SECRET_NAME = 'MESH_DEBUG_SECRET';
+
+/**
+ * Compare a request value with a secret without stopping at the first difference
+ * The time taken depends on the request value's length only.
+ * @param {string} value - Value from the request
+ * @param {string} secret - Expected value
+ * @returns {boolean}
+ */
+const matchesSecret = (value, secret) => {
+  let difference = value.length ^ secret.length;
+  for (let index = 0; index < value.length; index += 1) {
+    difference |= value.charCodeAt(index) ^ secret.charCodeAt(index % secret.length);
+  }
+  return difference === 0;
+};
+
+/**
+ * Whether the request asked for a debug trace with the mesh's secret
+ * @param {object} context - Mesh request context
+ * @returns {boolean}
+ */
+const isDebugRequested = (context) => {
+  const secret = context.secrets?.[DEBUG_SECRET_NAME];
+  const value = context.headers?.[DEBUG_HEADER];
+  return (
+    typeof secret === 'string' &&
+    secret !== '' &&
+    typeof value === 'string' &&
+    matchesSecret(value, secret)
+  );
+};
+
+/**
+ * Start a trace for one resolver call when the request asked for it
+ * @param {object} context - Mesh request context
+ * @param {string} resolverName - e.g. "Citisignal_productCards"
+ * @returns {object} Context to run the resolver with, the same context when tracing is off
+ */
+const startDebugTrace = (context, resolverName) => {
+  if (!isDebugRequested(context)) return context;
+
+  // Request state stays shared with the other resolvers of the request
+  if (!context.state) {
+    context.state = {};
+  }
+
+  const trace = { resolver: resolverName, startedAt: Date.now(), sources: [] };
+  const tracedContext = observeSourceCalls(
+    context,
+    ({ source, field, args, durationMs, error }) => {
+      trace.sources.push({
+        source,
+        field,
+        args,
+        durationMs,
+        ...(error && { error: error.message?.substring(0, 100) }),
+      });
+    }
+  );
+  tracedContext.debugTrace = trace;
+
+  return tracedContext;
+};
+
+/**
+ * Add a value to the trace, if there is one
+ * @param {object} context - Context from startDebugTrace
+ * @param {string} key - Trace section, e.g. "strategy", "filters", "merge"
+ * @param {*} value - JSON-serializable value
+ */
+const recordDebug = (context, key, value) => {
+  if (context.debugTrace) {
+    context.debugTrace[key] = value;
+  }
+};
+
+/**
+ * The trace as the `_debug` field value
+ * @param {object} context - Context from startDebugTrace
+ * @returns {string|null} JSON trace, null when tracing is off
+ */
+const formatDebugTrace = (context) => {
+  if (!context.debugTrace) return null;
+
+  const { startedAt, ...trace } = context.debugTrace;
+  return JSON.stringify(redactPii({ ...trace, totalMs: Date.now() - startedAt }));
+};
+
+module.exports = {
+  startDebugTrace,
+  recordDebug,
+  formatDebugTrace,
+};
@@ -0,0 +1,179 @@
+/**
+ * ERROR UTILITIES
+ *
+ * Classifies upstream failures into Citisignal_Error so clients can tell
+ * "no results" from "a service is down" and decide whether to retry.
+ * Raw upstream messages are only logged, never returned.
+ *
+ * NOTE: This file uses module.exports for the build script to process.
+ * The functions will be injected inline into resolvers at build time.
+ */
+
+// Upstream failure classes, matched in order
+// Mesh surfaces failures as fetch errors, HTTP errors or GraphQL errors depending on where
+// the request failed, so each class checks error codes, HTTP status, the Commerce error
+// category and the message
+const UPSTREAM_ERROR_CLASSES = [
+  {
+    code: 'TIMEOUT',
+    retryable: true,
+    names: ['AbortError', 'TimeoutError'],
+    errorCodes: [
+      'ETIMEDOUT',
+      'ESOCKETTIMEDOUT',
+      'UND_ERR_CONNECT_TIMEOUT',
+      'UND_ERR_HEADERS_TIMEOUT',
+    ],
+    statuses: [408, 504],
+    pattern: /timed? ?out|timeout/i,
+    message: 'The service took too long to respond. Please try again.',
+  },
+  {
+    code: 'NETWORK',
+    retryable: true,
+    errorCodes: ['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE'],
+    statuses: [502, 503],
+    pattern: /socket hang up|fetch failed|network|ECONN|ENOTFOUND|unavailable/i,
+    message: 'The service could not be reached. Please try again.',
+  },
+  {
+    code: 'AUTH',
+    retryable: false,
+    statuses: [401, 403],
+    categories: ['graphql-authorization', 'graphql-authentication'],
+    pattern:
+      /not authori[sz]ed|isn't authori[sz]ed|unauthori[sz]ed|forbidden|api key|access denied/i,
+    message: 'The service did not accept the request credentials.',
+  },
+  {
+    code: 'NOT_FOUND',
+    retryable: false,
+    statuses: [404],
+    categories: ['graphql-no-such-entity'],
+    pattern: /not found|could not find|doesn't exist|does not exist|no such entity/i,
+    message: 'The requested data was not found.',
+  },
+  {
+    code: 'VALIDATION',
+    retryable: false,
+    statuses: [400, 422],
+    categories: ['graphql-input'],
+    pattern: /invalid|required|must be|cannot query field|expected type|variable "\$/i,
+    message: 'The service rejected the request.',
+  },
+];
+
+/**
+ * Collect what identifies an upstream failure
+ * Aggregate errors (several GraphQL errors) are classified by their first error
+ * @param {Error} error - Error thrown by a source call
+ * @returns {object} { name, errorCode, status, category, message }
+ */
+const getUpstreamErrorDetails = (error) => {
+  const first = Array.isArray(error?.errors) && error.errors.length > 0 ? error.errors[0] : error;
+  const extensions = first?.extensions || first?.originalError?.extensions || {};
+
+  return {
+    name: first?.name,
+    errorCode: first?.code || first?.cause?.code || extensions.code,
+    status:
+      first?.status || first?.statusCode || first?.response?.status || extensions.http?.status,
+    category: extensions.category,
+    message: first?.message || error?.message || String(error || ''),
+  };
+};
+
+/**
+ * Classify an upstream failure as a Citisignal_Error
+ * @param {Error} error - Error thrown by a source call
+ * @param {string} [source] - Source that failed, when the error was not tagged with one
+ * @returns {object} { code, message, source, retryable }
+ */
+const classifyUpstreamError = (error, source) => {
+  const details = getUpstreamErrorDetails(error);
+  const known = UPSTREAM_ERROR_CLASSES.find(
+    (errorClass) =>
+      (errorClass.names || []).includes(details.name) ||
+      (errorClass.errorCodes || []).includes(details.errorCode) ||
+      (errorClass.statuses || []).includes(details.status) ||
+      (errorClass.categories || []).includes(details.category) ||
+      errorClass.pattern.test(details.message)
+  );
+
+  return {
+    code: known ? known.code : 'UNKNOWN',
+    message: known ? known.message : 'The service returned an error.',
+    source: error?.source || source || null,
+    // Unclassified server errors are usually transient, anything else will fail again
+    retryable: known ? known.retryable : details.status >= 500,
+  };
+};
+
+/**
+ * Summarize the upstream errors of a response built from several sources
+ * @param {array} upstreamErrors - Citisignal_Error list
+ * @returns {object} { upstreamErrors, degraded, failedSources }
+ */
+const describeUpstreamErrors = (upstreamErrors) => {
+  return {
+    upstreamErrors,
+    degraded: upstreamErrors.length > 0,
+    failedSources: [
+      ...new Set(upstreamErrors.map((upstreamError) => upstreamError.source).filter(Boolean)),
+    ],
+  };
+};
+
+/**
+ * Map an upstream error to a storefront-ready user error
+ * Unrecognized messages become UNKNOWN with the fallback message, never the raw text.
+ * A pattern with a `limit` regex and `limitMessage` reports the number Commerce names.
+ * @param {Error|string} error - Error thrown by a source call
+ * @param {array} patterns - [{ code, pattern, message, limit?, limitMessage? }], matched in order
+ * @param {string} fallbackMessage - Message for errors that match no pattern
+ * @returns {object} { code, message }, plus maxQuantity when a limit is found
+ */
+const toUserError = (error, patterns, fallbackMessage) => {
+  const rawMessage = (error && error.message) || String(error || '');
+  const known = patterns.find(({ pattern }) => pattern.test(rawMessage));
+  if (!known) return { code: 'UNKNOWN', message: fallbackMessage };
+
+  const limit = known.limit && rawMessage.match(known.limit);
+  if (!limit) return { code: known.code, message: known.message };
+
+  const maxQuantity = parseInt(limit[1]);
+  return { code: known.code, message: known.limitMessage(maxQuantity), maxQuantity };
+};
+
+/**
+ * Upstream errors behind a failed write
+ * Failures mapped to a known user error are for the shopper to fix, only the rest are reported
+ * @param {object} userError - User error the failure was mapped to
+ * @param {Error} error - Error thrown by the source call
+ * @param {string} source - Mesh source that was called
+ * @returns {array} Citisignal_Error list, empty for known user errors
+ */
+const toUpstreamErrors = (userError, error, source) => {
+  return userError.code === 'UNKNOWN' ? [classifyUpstreamError(error, source)] : [];
+};
+
+/**
+ * Tag errors from one source call so they can be classified after Promise.all
+ * Use as .catch(rethrowFromSource('CatalogServiceSandbox'))
+ * @param {string} source - Mesh source name
+ * @returns {function} Catch handler that rethrows the tagged error
+ */
+const rethrowFromSource = (source) => (error) => {
+  if (error && typeof error === 'object' && !error.source) {
+    error.source = source;
+  }
+  throw error;
+};
+
+module.exports = {
+  classifyUpstreamError,
+  describeUpstreamErrors,
+  toUserError,
+  toUpstreamErrors,
+  rethrowFromSource,
+};
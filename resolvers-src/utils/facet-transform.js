@@ -12,9 +12,10 @@
 /**
  * Transform a single facet from Adobe format to frontend format
  * @param {object} facet - Adobe facet object
+ * @param {object} priceFormat - Store locale and currency for price facets
  * @returns {object} Transformed facet
  */
-const transformFacet = (facet) => {
+const transformFacet = (facet, priceFormat) => {
   if (!facet) return null;
 
   const originalAttribute = facet.attribute;
@@ -32,34 +33,38 @@ const transformFacet = (facet) => {
     attributeCode: originalAttribute, // Preserve original Adobe attribute code
     title: title,
     type: facetType,
-    options: transformFacetOptions(facet.buckets || [], urlKey),
+    options: transformFacetOptions(facet.buckets || [], urlKey, priceFormat),
   };
 };
 
 /**
  * Transform multiple facets and filter out empty ones
  * @param {array} facets - Array of Adobe facet objects
+ * @param {object} priceFormat - Store locale and currency for price facets
  * @returns {array} Array of transformed facets
  */
-const transformFacets = (facets) => {
+const transformFacets = (facets, priceFormat) => {
   if (!facets || !Array.isArray(facets)) return [];
 
-  return facets.map(transformFacet).filter((facet) => facet && facet.options.length > 0);
+  return facets
+    .map((facet) => transformFacet(facet, priceFormat))
+    .filter((facet) => facet && facet.options.length > 0);
 };
 
 /**
  * Transform facet options (buckets) into frontend format
  * @param {array} buckets - Array of facet buckets
  * @param {string} urlKey - The facet's URL key for special formatting
+ * @param {object} priceFormat - Store locale and currency for price facets
  * @returns {array} Array of transformed options
  */
-const transformFacetOptions = (buckets, urlKey) => {
+const transformFacetOptions = (buckets, urlKey, priceFormat) => {
   if (!buckets || !Array.isArray(buckets)) return [];
 
   return buckets.map((bucket) => {
     // Special formatting for price facets
     if (urlKey === 'price' && bucket.title) {
-      return transformPriceOption(bucket);
+      return transformPriceOption(bucket, priceFormat);
     }
 
     // Default handling for non-price facets
@@ -75,9 +80,10 @@ const transformFacetOptions = (buckets, urlKey) => {
 /**
  * Transform price facet option with currency formatting
  * @param {object} bucket - Price bucket
+ * @param {object} priceFormat - Store locale and currency from getPriceFormat
  * @returns {object} Transformed price option
  */
-const transformPriceOption = (bucket) => {
+const transformPriceOption = (bucket, priceFormat) => {
   // Parse price range (e.g., "300.0-400.0" or "300-400")
   const match = bucket.title.match(/^(\d+(?:\.\d+)?)-(\d+(?:\.\d+)?)$/);
 
@@ -86,8 +92,8 @@ const transformPriceOption = (bucket) => {
     const max = parseFloat(match[2]);
 
     // Format with currency and thousands separator
-    const formattedMin = formatPrice(min);
-    const formattedMax = formatPrice(max);
+    const formattedMin = formatPrice(min, priceFormat);
+    const formattedMax = formatPrice(max, priceFormat);
 
     return {
       id: bucket.title, // Keep original as ID for filtering
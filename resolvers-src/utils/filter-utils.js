@@ -20,6 +20,21 @@ const normalizeFilterValue = (value) => {
   return value.charAt(0).toUpperCase() + value.slice(1).toLowerCase();
 };
 
+/**
+ * Build the on-sale filter from config/facet-mappings.json (onSale.attribute)
+ * Same clause for Catalog Service and Live Search
+ * @param {object} filter - Frontend filter object with onSaleOnly
+ * @returns {object|null} Filter clause, null when not filtering or no attribute is configured
+ */
+const buildOnSaleFilter = (filter) => {
+  if (!filter?.onSaleOnly || !FACET_MAPPINGS.onSale?.attribute) return null;
+
+  return {
+    attribute: FACET_MAPPINGS.onSale.attribute,
+    eq: String(FACET_MAPPINGS.onSale.value ?? '1'),
+  };
+};
+
 /**
  * Build filters for Adobe Catalog Service
  * Converts frontend filter format to Catalog Service format
@@ -86,6 +101,10 @@ const buildCatalogFilters = (filter) => {
     });
   }
 
+  // On-sale attribute, when the catalog has one
+  const onSaleFilter = buildOnSaleFilter(filter);
+  if (onSaleFilter) catalogFilters.push(onSaleFilter);
+
   return catalogFilters;
 };
 
@@ -155,6 +174,10 @@ const buildLiveSearchFilters = (filter) => {
     });
   }
 
+  // On-sale attribute, when the catalog has one
+  const onSaleFilter = buildOnSaleFilter(filter);
+  if (onSaleFilter) searchFilters.push(onSaleFilter);
+
   return searchFilters;
 };
 
@@ -234,6 +257,7 @@ const buildSort = (sort, service = 'catalog') => {
 // Export for build script to process
 module.exports = {
   normalizeFilterValue,
+  buildOnSaleFilter,
   buildCatalogFilters,
   buildLiveSearchFilters,
   buildPageFilters,
@@ -75,6 +75,45 @@ const filterForNavigation = (categories, maxItems = 10) => {
     }));
 };
 
+// Navigation limits used when the request does not set one
+const DEFAULT_HEADER_NAV_ITEMS = 6; // Keep header clean
+const DEFAULT_FOOTER_NAV_ITEMS = 4; // Smaller footer menu
+
+/**
+ * Build the navigation response from the Commerce category tree
+ * Shared by Citisignal_categoryNavigation and Citisignal_categoryPageData
+ * @param {array} categoryTree - Raw categories from Commerce Core
+ * @param {string} type - 'HEADER' (default) or 'FOOTER', sets the default item limit
+ * @param {number} maxItems - Item limit, overrides the type default
+ * @returns {object} { items, headerNav, footerNav, cacheTags }
+ */
+const buildCategoryNavigation = (categoryTree, type, maxItems) => {
+  // Transform to navigation structure
+  const transformed = categoryTree?.map(transformCategory).filter(Boolean) || [];
+
+  // Determine item limit based on navigation type
+  const limit =
+    maxItems || (type === 'FOOTER' ? DEFAULT_FOOTER_NAV_ITEMS : DEFAULT_HEADER_NAV_ITEMS);
+  const navigation = filterForNavigation(transformed, limit);
+
+  return {
+    items: navigation,
+    // Header nav items
+    headerNav: navigation.slice(0, 5).map((cat) => ({
+      href: cat.href,
+      label: cat.label,
+      category: cat.urlKey,
+    })),
+    // Footer nav items
+    footerNav: navigation.slice(0, 8).map((cat) => ({
+      href: cat.href,
+      label: cat.label,
+    })),
+    // Categories the navigation shows, for cache purges
+    cacheTags: categoryCacheTags(navigation),
+  };
+};
+
 /**
  * Build header navigation items
  * Simplified structure for header menus
@@ -159,6 +198,92 @@ const buildBreadcrumbs = (category, includeHome = false) => {
   return breadcrumbs;
 };
 
+/**
+ * Transform Adobe's category breadcrumb to clean format
+ *
+ * ADOBE'S BREADCRUMB STRUCTURE:
+ * {
+ *   category_id: 4,
+ *   category_name: "Electronics",
+ *   category_url_path: "electronics",
+ *   category_level: 2
+ * }
+ *
+ * OUR CLEAN BREADCRUMB:
+ * {
+ *   name: "Electronics",
+ *   href: "/electronics",
+ *   isActive: false
+ * }
+ */
+const transformBreadcrumb = (breadcrumb, _isLast = false) => {
+  if (!breadcrumb) return null;
+
+  const urlPath = breadcrumb.category_url_path || breadcrumb.url_path || '';
+
+  return {
+    // Match the schema: Citisignal_BreadcrumbItem
+    categoryId: breadcrumb.category_id || null,
+    name: breadcrumb.category_name || breadcrumb.name || '',
+    urlPath: urlPath ? `/${urlPath}` : '/',
+    level: breadcrumb.category_level || breadcrumb.level || 0,
+  };
+};
+
+/**
+ * Build complete breadcrumb trail from category data
+ *
+ * ADOBE'S CATEGORY WITH BREADCRUMBS:
+ * {
+ *   id: 6,
+ *   name: "Phones",
+ *   url_path: "phones",
+ *   breadcrumbs: [{
+ *     category_name: "Electronics",
+ *     category_url_path: "electronics"
+ *   }]
+ * }
+ *
+ * OUR COMPLETE TRAIL:
+ * [
+ *   { name: "Home", href: "/", isActive: false },
+ *   { name: "Electronics", href: "/electronics", isActive: false },
+ *   { name: "Phones", href: "/phones", isActive: true }
+ * ]
+ *
+ * Shared by Citisignal_categoryBreadcrumbs and Citisignal_categoryPageData
+ * @param {object} category - Commerce category with breadcrumbs
+ * @returns {array} Citisignal_BreadcrumbItem list
+ */
+const buildBreadcrumbTrail = (category) => {
+  const breadcrumbs = [];
+
+  // Don't add Home - the frontend already displays a home icon
+
+  if (category) {
+    // Add parent categories from breadcrumbs array
+    if (category.breadcrumbs && Array.isArray(category.breadcrumbs)) {
+      const parentCrumbs = category.breadcrumbs
+        .map((crumb) => transformBreadcrumb(crumb, false))
+        .filter(Boolean);
+
+      breadcrumbs.push(...parentCrumbs);
+    }
+
+    // Add current category as the last breadcrumb
+    if (category.name) {
+      breadcrumbs.push({
+        categoryId: category.id || category.uid || null,
+        name: category.name,
+        urlPath: category.url_path ? `/${category.url_path}` : '/',
+        level: category.level || breadcrumbs.length,
+      });
+    }
+  }
+
+  return breadcrumbs;
+};
+
 /**
  * Find a category by URL key in a category tree
  * @param {array} categories - Category tree
@@ -275,9 +400,11 @@ const buildMegaMenu = (categories) => {
 module.exports = {
   transformCategory,
   filterForNavigation,
+  buildCategoryNavigation,
   buildHeaderNav,
   buildFooterNav,
   buildBreadcrumbs,
+  buildBreadcrumbTrail,
   findCategoryByUrlKey,
   getCategoryPath,
   flattenCategories,
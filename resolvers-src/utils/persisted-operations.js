@@ -0,0 +1,157 @@
+/**
+ * PERSISTED OPERATION UTILITIES
+ *
+ * Production builds can restrict the mesh to the storefront operations in operations/.
+ * The build computes a signature for each persisted operation, and root resolvers reject
+ * any operation whose signature is not in that list.
+ *
+ * Signatures are printed from the operation AST, so they ignore whitespace, comments and
+ * fragment names, and the build (graphql-js documents) and the mesh runtime (info.operation)
+ * compute the same signature for the same operation.
+ *
+ * NOTE: This file uses module.exports for the build script to process.
+ * The functions will be injected inline into resolvers at build time.
+ */
+
+// Shown to clients when an operation is not persisted
+const PERSISTED_ONLY_MESSAGE = 'Only persisted operations are allowed on this endpoint.';
+
+/**
+ * Print an argument value
+ * @param {object} node - GraphQL value node
+ * @returns {string}
+ */
+const printSignatureValue = (node) => {
+  switch (node.kind) {
+    case 'Variable':
+      return `$${node.name.value}`;
+    case 'StringValue':
+      return JSON.stringify(node.value);
+    case 'BooleanValue':
+      return String(node.value);
+    case 'NullValue':
+      return 'null';
+    case 'ListValue':
+      return `[${node.values.map(printSignatureValue).join(',')}]`;
+    case 'ObjectValue':
+      return `{${node.fields
+        .map((field) => `${field.name.value}:${printSignatureValue(field.value)}`)
+        .join(',')}}`;
+    default:
+      // Int, Float and Enum values
+      return node.value;
+  }
+};
+
+/**
+ * Print a variable type like [String!]!
+ * @param {object} node - GraphQL type node
+ * @returns {string}
+ */
+const printSignatureType = (node) => {
+  if (node.kind === 'NonNullType') return `${printSignatureType(node.type)}!`;
+  if (node.kind === 'ListType') return `[${printSignatureType(node.type)}]`;
+  return node.name.value;
+};
+
+/**
+ * Print the arguments of a field or directive
+ * @param {array} args - GraphQL argument nodes
+ * @returns {string}
+ */
+const printSignatureArguments = (args) => {
+  if (!args || args.length === 0) return '';
+  return `(${args.map((arg) => `${arg.name.value}:${printSignatureValue(arg.value)}`).join(',')})`;
+};
+
+/**
+ * Print directives like @include(if:$withImages)
+ * @param {array} directives - GraphQL directive nodes
+ * @returns {string}
+ */
+const printSignatureDirectives = (directives) => {
+  return (directives || [])
+    .map((directive) => `@${directive.name.value}${printSignatureArguments(directive.arguments)}`)
+    .join('');
+};
+
+/**
+ * Print a selection set, expanding fragment spreads into inline fragments
+ * @param {object} selectionSet - GraphQL selection set node
+ * @param {object} fragments - Fragment definitions by name
+ * @returns {string}
+ */
+const printSignatureSelections = (selectionSet, fragments) => {
+  if (!selectionSet) return '';
+
+  const selections = selectionSet.selections.map((selection) => {
+    if (selection.kind === 'Field') {
+      const alias = selection.alias ? `${selection.alias.value}:` : '';
+      return (
+        alias +
+        selection.name.value +
+        printSignatureArguments(selection.arguments) +
+        printSignatureDirectives(selection.directives) +
+        printSignatureSelections(selection.selectionSet, fragments)
+      );
+    }
+
+    // Inline fragments and named fragments print the same way
+    const fragment =
+      selection.kind === 'FragmentSpread' ? fragments[selection.name.value] : selection;
+    if (!fragment) return `...${selection.name.value}`;
+    const typeCondition = fragment.typeCondition ? `on ${fragment.typeCondition.name.value}` : '';
+    return (
+      `...${typeCondition}` +
+      printSignatureDirectives(selection.directives) +
+      printSignatureSelections(fragment.selectionSet, fragments)
+    );
+  });
+
+  return `{${selections.join(' ')}}`;
+};
+
+/**
+ * Signature of an operation, the same for the build and the mesh runtime
+ * @param {object} operation - Operation definition node (info.operation)
+ * @param {object} fragments - Fragment definitions by name (info.fragments)
+ * @returns {string} e.g. "query GetCart($cartId:String){Citisignal_cart(cartId:$cartId){id}}"
+ */
+const printOperationSignature = (operation, fragments = {}) => {
+  const variables = (operation.variableDefinitions || []).map(
+    (definition) =>
+      `$${definition.variable.name.value}:${printSignatureType(definition.type)}` +
+      (definition.defaultValue ? `=${printSignatureValue(definition.defaultValue)}` : '')
+  );
+
+  return (
+    operation.operation +
+    (operation.name ? ` ${operation.name.value}` : '') +
+    (variables.length > 0 ? `(${variables.join(',')})` : '') +
+    printSignatureDirectives(operation.directives) +
+    printSignatureSelections(operation.selectionSet, fragments)
+  );
+};
+
+/**
+ * Reject operations that are not persisted on every Query and Mutation resolver
+ * @param {object} resolvers - Resolver map of a resolver module
+ * @param {array} signatures - Signatures of the persisted operations
+ * @returns {object} Resolver map with guarded root resolvers
+ */
+const requirePersistedOperations = (resolvers, signatures) => {
+  const allowed = new Set(signatures);
+
+  return mapRootResolvers(resolvers, (resolve) => (root, args, context, info) => {
+    if (!allowed.has(printOperationSignature(info.operation, info.fragments))) {
+      logEvent(context, 'warn', 'Rejected operation not in the persisted operations');
+      throw new Error(PERSISTED_ONLY_MESSAGE);
+    }
+    return resolve(root, args, context, info);
+  });
+};
+
+module.exports = {
+  printOperationSignature,
+  requirePersistedOperations,
+};
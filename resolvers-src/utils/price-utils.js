@@ -8,15 +8,74 @@
  * The functions will be injected inline into resolvers at build time.
  */
 
+const DEFAULT_PRICE_FORMAT = { locale: 'en-US', currency: 'USD' };
+
+// Intl.NumberFormat is expensive to construct, keep one per locale and currency
+const PRICE_FORMATTERS = new Map();
+
+/**
+ * Resolve the price format for the request's store view
+ * Store views map to a locale and fallback currency in config/store-locales.json
+ * @param {object} context - Mesh context (headers are lowercased)
+ * @returns {object} { locale, currency } to pass to formatPrice
+ */
+const getPriceFormat = (context) => {
+  const headers = context?.headers || {};
+  const storeCode = headers['magento-store-view-code'] || headers['store'];
+  const store = (storeCode && STORE_LOCALES.stores?.[storeCode]) || {};
+
+  return { ...DEFAULT_PRICE_FORMAT, ...STORE_LOCALES.default, ...store };
+};
+
 /**
- * Format price for display with currency symbol and thousands separator
+ * Format price for display in the store's locale
  * @param {number|null} amount - Price amount to format
+ * @param {object} priceFormat - { locale, currency } from getPriceFormat
+ * @param {string|null} currency - Currency code returned with the amount (overrides the store's)
  * @returns {string} Formatted price string (never null for non-nullable GraphQL fields)
  */
-const formatPrice = (amount) => {
+const formatPrice = (amount, priceFormat = DEFAULT_PRICE_FORMAT, currency = null) => {
   // Always return a string for non-nullable price field
-  if (!amount && amount !== 0) return '$0.00';
-  return `$${amount.toFixed(2).replace(/\B(?=(\d{3})+(?!\d))/g, ',')}`;
+  const value = Number(amount) || 0;
+  const locale = priceFormat.locale || DEFAULT_PRICE_FORMAT.locale;
+  const currencyCode = currency || priceFormat.currency || DEFAULT_PRICE_FORMAT.currency;
+  const key = `${locale}|${currencyCode}`;
+
+  if (!PRICE_FORMATTERS.has(key)) {
+    try {
+      PRICE_FORMATTERS.set(
+        key,
+        new Intl.NumberFormat(locale, { style: 'currency', currency: currencyCode })
+      );
+    } catch {
+      // Invalid locale or currency code - show the code rather than failing the query
+      PRICE_FORMATTERS.set(key, { format: (number) => `${currencyCode} ${number.toFixed(2)}` });
+    }
+  }
+
+  return PRICE_FORMATTERS.get(key).format(value);
+};
+
+/**
+ * Convert a Commerce Money object ({ value, currency }) to a raw value and display string
+ * @param {object|null} money - Money object from Commerce GraphQL
+ * @param {object} priceFormat - { locale, currency } from getPriceFormat
+ * @returns {object} { value, display }
+ */
+const transformMoney = (money, priceFormat) => {
+  const value = Number(money?.value) || 0;
+  return { value, display: formatPrice(value, priceFormat, money?.currency) };
+};
+
+/**
+ * Extract the currency code of a product's price
+ * @param {object} product - Product object
+ * @param {boolean} isComplex - Whether product is complex type
+ * @returns {string|null} Currency code (e.g. 'EUR') or null if not selected
+ */
+const extractPriceCurrency = (product, isComplex) => {
+  const price = isComplex ? product?.priceRange?.minimum : product?.price;
+  return price?.final?.amount?.currency || price?.regular?.amount?.currency || null;
 };
 
 /**
@@ -90,11 +149,13 @@ const isOnSale = (regularPrice, finalPrice) => {
  * Format price range for display
  * @param {number} minPrice - Minimum price in range
  * @param {number} maxPrice - Maximum price in range
+ * @param {object} priceFormat - { locale, currency } from getPriceFormat
+ * @param {string|null} currency - Currency code returned with the prices
  * @returns {string} Formatted price range
  */
-const formatPriceRange = (minPrice, maxPrice) => {
-  const formattedMin = formatPrice(minPrice);
-  const formattedMax = formatPrice(maxPrice);
+const formatPriceRange = (minPrice, maxPrice, priceFormat, currency) => {
+  const formattedMin = formatPrice(minPrice, priceFormat, currency);
+  const formattedMax = formatPrice(maxPrice, priceFormat, currency);
 
   // If prices are the same, show single price
   if (minPrice === maxPrice) {
@@ -123,7 +184,10 @@ const parsePriceRange = (rangeStr) => {
 
 // Export for build script to process
 module.exports = {
+  getPriceFormat,
   formatPrice,
+  transformMoney,
+  extractPriceCurrency,
   calculateDiscountPercent,
   extractPriceValue,
   extractPriceFromAnyFormat,
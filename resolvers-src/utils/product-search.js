@@ -0,0 +1,375 @@
+/**
+ * PRODUCT SEARCH UTILITIES
+ *
+ * Consolidated product and facet queries against Live Search or Catalog Service,
+ * shared by Citisignal_productSearchFilter and Citisignal_categoryPageData.
+ * Each source answers products and facets in a single query.
+ *
+ * NOTE: This file uses module.exports for the build script to process.
+ * The functions will be injected inline into resolvers at build time.
+ */
+
+// Facets are optional: when the facets field fails (or cannot be transformed) the products
+// are still returned and the failure is reported on the facets only
+const resolveFacets = (context, rawFacets, priceFormat, source) => {
+  try {
+    // Mesh returns the GraphQL error in place of a field that failed while the rest resolved
+    if (rawFacets instanceof Error) throw rawFacets;
+
+    return { facets: transformFacets(rawFacets || [], priceFormat), facetErrors: [] };
+  } catch (error) {
+    logEvent(context, 'warn', 'Facets failed', { error });
+    return { facets: [], facetErrors: [classifyUpstreamError(error, source)] };
+  }
+};
+
+// Transform business-friendly sort to service-specific formats
+const mapSortForCatalog = (sort) => {
+  if (!sort) return null;
+
+  // Catalog doesn't support AI relevance sorting
+  if (sort.attribute === 'RELEVANCE') return null;
+
+  const attributeMap = {
+    PRICE: 'price',
+    NAME: 'name',
+  };
+
+  const fieldName = attributeMap[sort.attribute];
+  if (!fieldName) return null;
+
+  return {
+    attribute: fieldName,
+    direction: sort.direction || 'DESC',
+  };
+};
+
+const mapSortForLiveSearch = (sort) => {
+  if (!sort) return [];
+
+  const attributeMap = {
+    PRICE: 'price',
+    NAME: 'name',
+    RELEVANCE: 'relevance', // AI-powered sorting
+  };
+
+  const fieldName = attributeMap[sort.attribute];
+  if (!fieldName) return [];
+
+  return [
+    {
+      attribute: fieldName,
+      direction: sort.direction || 'DESC',
+    },
+  ];
+};
+
+// Execute consolidated query using Live Search (when searching)
+const executeLiveSearchQuery = async (context, args) => {
+  const filters = buildLiveSearchFilters(args.filter);
+
+  // Single query that returns both products and facets
+  const result = await context.LiveSearchSandbox.Query.Search_productSearch({
+    root: {},
+    args: {
+      phrase: args.phrase || '',
+      filter: filters,
+      page_size: args.limit || 24,
+      current_page: args.page || 1,
+      sort: mapSortForLiveSearch(args.sort),
+    },
+    context,
+    selectionSet: `{
+      items {
+        productView ${productCardSelection('Search_')}
+      }
+      total_count
+      page_info { current_page page_size total_pages }
+      facets {
+        attribute
+        title
+        type
+        buckets {
+          ... on Search_ScalarBucket { title count }
+          ... on Search_RangeBucket { title count }
+        }
+      }
+    }`,
+  });
+
+  return {
+    productViews: result?.items?.map((item) => item.productView) || [],
+    ...resolveFacets(context, result?.facets, getPriceFormat(context), 'LiveSearchSandbox'),
+    pageInfo: result?.page_info,
+    totalCount: result?.total_count || 0,
+  };
+};
+
+// One Live Search page without facets, for the pages an on-sale scan reads after the first
+const queryLiveSearchPage = async (context, args, page, pageSize) => {
+  const result = await context.LiveSearchSandbox.Query.Search_productSearch({
+    root: {},
+    args: {
+      phrase: args.phrase || '',
+      filter: buildLiveSearchFilters(args.filter),
+      page_size: pageSize,
+      current_page: page,
+      sort: mapSortForLiveSearch(args.sort),
+    },
+    context,
+    selectionSet: `{
+      items {
+        productView ${productCardSelection('Search_')}
+      }
+      total_count
+      page_info { current_page page_size total_pages }
+    }`,
+  });
+
+  return {
+    productViews: result?.items?.map((item) => item.productView) || [],
+    pageInfo: result?.page_info,
+    totalCount: result?.total_count || 0,
+  };
+};
+
+// Execute consolidated query using Catalog Service (when browsing/filtering)
+// Also answers searches when Live Search is down, so the phrase is kept
+const executeCatalogQuery = async (context, args) => {
+  const filters = buildCatalogFilters(args.filter);
+
+  // Single query that returns both products and facets
+  const result = await context.CatalogServiceSandbox.Query.Catalog_productSearch({
+    root: {},
+    args: {
+      phrase: args.phrase?.trim() || '',
+      filter: filters,
+      page_size: args.limit || 24,
+      current_page: args.page || 1,
+      sort: mapSortForCatalog(args.sort),
+    },
+    context,
+    selectionSet: `{
+      items {
+        productView ${productCardSelection('Catalog_')}
+      }
+      total_count
+      page_info { current_page page_size total_pages }
+      facets {
+        attribute
+        title
+        type
+        buckets {
+          ... on Catalog_ScalarBucket { title count }
+          ... on Catalog_RangeBucket { title count }
+        }
+      }
+    }`,
+  });
+
+  return {
+    productViews: result?.items?.map((item) => item.productView) || [],
+    ...resolveFacets(context, result?.facets, getPriceFormat(context), 'CatalogServiceSandbox'),
+    pageInfo: result?.page_info,
+    totalCount: result?.total_count || 0,
+  };
+};
+
+// One Catalog page without facets, for the pages an on-sale scan reads after the first
+// and for product cards, whose facets come from Citisignal_productFacets
+const queryCatalogPage = async (context, args, page, pageSize) => {
+  const result = await context.CatalogServiceSandbox.Query.Catalog_productSearch({
+    root: {},
+    args: {
+      phrase: args.phrase?.trim() || '',
+      filter: buildCatalogFilters(args.filter),
+      page_size: pageSize,
+      current_page: page,
+      sort: mapSortForCatalog(args.sort),
+    },
+    context,
+    selectionSet: `{
+      items {
+        productView ${productCardSelection('Catalog_')}
+      }
+      total_count
+      page_info { current_page page_size total_pages }
+    }`,
+  });
+
+  return {
+    productViews: result?.items?.map((item) => item.productView) || [],
+    pageInfo: result?.page_info,
+    totalCount: result?.total_count || 0,
+  };
+};
+
+/**
+ * Run a product query for on-sale products only, when onSaleOnly can't be filtered upstream
+ * Pages through the source: the first page comes from the query with its facets, the rest
+ * from queryPage without them. Products are kept by isProductOnSale.
+ * @param {object} context - Mesh request context
+ * @param {object} args - Search arguments
+ * @param {function} query - executeLiveSearchQuery or executeCatalogQuery
+ * @param {function} queryPage - queryLiveSearchPage or queryCatalogPage, same source
+ * @returns {Promise<object>} The query's result with only the requested page of on-sale
+ *   products, truncated when the page limit cut the scan short, and approximateFacets
+ */
+const executeOnSaleQuery = async (context, args, query, queryPage) => {
+  if (!args.filter?.onSaleOnly || hasUpstreamOnSaleFilter()) {
+    return query(context, args);
+  }
+
+  const sale = await collectOnSalePage(
+    async (page, pageSize) => {
+      const result =
+        page === 1
+          ? await query(context, { ...args, page, limit: pageSize })
+          : await queryPage(context, args, page, pageSize);
+      return { ...result, items: result.productViews, totalPages: result.pageInfo?.total_pages };
+    },
+    isProductOnSale,
+    args
+  );
+  if (sale.truncated) logEvent(context, 'warn', 'On-sale search scanned the first pages only');
+  recordDebug(context, 'onSale', {
+    upstream: false,
+    scannedPages: sale.scannedPages,
+    onSaleItems: sale.totalCount,
+    truncated: sale.truncated,
+  });
+
+  return {
+    productViews: sale.items,
+    // The first page's facets count the whole listing, not only its on-sale products
+    facets: sale.firstPage.facets,
+    facetErrors: sale.firstPage.facetErrors,
+    approximateFacets: true,
+    pageInfo: sale.pageInfo,
+    totalCount: sale.totalCount,
+    truncated: sale.truncated,
+  };
+};
+
+// Turn a query result's product views into product cards
+const withProductCards = (context, result) => {
+  const { productViews, ...rest } = result;
+  const priceFormat = getPriceFormat(context);
+  return {
+    ...rest,
+    products: productViews
+      .map((productView) => transformProductToCard(productView, priceFormat))
+      .filter(Boolean),
+  };
+};
+
+/**
+ * Query products and facets in one request per source
+ * Live Search for searches, Catalog for browsing and whenever Live Search fails.
+ * onSaleOnly is filtered upstream when configured, otherwise by paging through the source.
+ * Never throws for upstream failures: they come back in upstreamErrors with an empty result.
+ * @param {object} context - Mesh request context
+ * @param {object} args - { phrase, filter (Citisignal_ProductFilter), sort, limit, page }
+ * @returns {Promise<object>} { products, facets, pageInfo, totalCount, upstreamErrors, facetErrors,
+ *   truncated, approximateFacets }
+ */
+const executeProductSearch = async (context, args) => {
+  const upstreamErrors = [];
+  recordDebug(context, 'filters', {
+    catalog: buildCatalogFilters(args.filter),
+    liveSearch: buildLiveSearchFilters(args.filter),
+  });
+  recordDebug(context, 'sort', {
+    catalog: mapSortForCatalog(args.sort),
+    liveSearch: mapSortForLiveSearch(args.sort),
+  });
+
+  if (args.phrase && args.phrase.trim() !== '') {
+    recordDebug(context, 'strategy', 'live-search');
+    try {
+      return {
+        ...withProductCards(
+          context,
+          await executeOnSaleQuery(context, args, executeLiveSearchQuery, queryLiveSearchPage)
+        ),
+        upstreamErrors,
+      };
+    } catch (error) {
+      logEvent(context, 'warn', 'Live Search failed, using Catalog', { error });
+      upstreamErrors.push(classifyUpstreamError(error, 'LiveSearchSandbox'));
+      recordDebug(context, 'strategy', 'catalog (Live Search failed)');
+    }
+  } else {
+    recordDebug(context, 'strategy', 'catalog');
+  }
+
+  try {
+    return {
+      ...withProductCards(
+        context,
+        await executeOnSaleQuery(context, args, executeCatalogQuery, queryCatalogPage)
+      ),
+      upstreamErrors,
+    };
+  } catch (error) {
+    logEvent(context, 'error', 'Search filter failed', { error });
+    upstreamErrors.push(classifyUpstreamError(error, 'CatalogServiceSandbox'));
+    return {
+      products: [],
+      facets: [],
+      facetErrors: [],
+      pageInfo: null,
+      totalCount: 0,
+      upstreamErrors,
+    };
+  }
+};
+
+/**
+ * Build the products and facets sections of a search response
+ * Source failures are reported on both sections, facet failures only on the facets
+ * @param {object} result - executeProductSearch result
+ * @param {object} args - { limit, page } used when the source returns no page info
+ * @returns {object} { products: Citisignal_ProductCardResult, facets: Citisignal_ProductFacetsResult }
+ */
+const buildProductSearchSections = (result, args) => {
+  const currentPage = result.pageInfo?.current_page || args.page || 1;
+  const totalPages = result.pageInfo?.total_pages || 1;
+
+  return {
+    // Products with pagination
+    products: {
+      items: result.products || [],
+      totalCount: result.totalCount,
+      hasMoreItems: currentPage < totalPages,
+      currentPage: currentPage,
+      page_info: {
+        current_page: currentPage,
+        page_size: result.pageInfo?.page_size || args.limit || 24,
+        total_pages: totalPages,
+      },
+      cacheTags: productCacheTags(result.products),
+      unhydratedCount: 0, // Products and details come from the same source
+      truncated: Boolean(result.truncated),
+      ...describeUpstreamErrors(result.upstreamErrors),
+      // Totals of a truncated on-sale scan only cover the scanned pages
+      degraded: result.upstreamErrors.length > 0 || Boolean(result.truncated),
+    },
+
+    // Facets for filtering
+    facets: {
+      facets: result.facets || [],
+      totalCount: result.totalCount,
+      approximate: Boolean(result.approximateFacets),
+      ...describeUpstreamErrors([...result.upstreamErrors, ...result.facetErrors]),
+    },
+  };
+};
+
+module.exports = {
+  mapSortForCatalog,
+  mapSortForLiveSearch,
+  queryCatalogPage,
+  executeProductSearch,
+  buildProductSearchSections,
+};
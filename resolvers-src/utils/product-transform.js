@@ -10,13 +10,50 @@
  * Dependencies on price-utils and attribute-utils will be injected as well.
  */
 
+/**
+ * Product view fields transformProductToCard reads, shared by every query that builds cards
+ * @param {string} prefix - Type prefix of the source, 'Catalog_' or 'Search_'
+ * @returns {string} Selection set on the source's ProductView
+ */
+const productCardSelection = (prefix) => `{
+  __typename
+  id name sku urlKey inStock
+  images(roles: ["small_image"]) { url label }
+  attributes { name value }
+  ... on ${prefix}SimpleProductView {
+    price {
+      regular { amount { value currency } }
+      final { amount { value currency } }
+    }
+  }
+  ... on ${prefix}ComplexProductView {
+    priceRange {
+      minimum {
+        regular { amount { value currency } }
+        final { amount { value currency } }
+      }
+    }
+    options {
+      id
+      title
+      values {
+        ... on ${prefix}ProductViewOptionValueSwatch {
+          title
+          value
+        }
+      }
+    }
+  }
+}`;
+
 /**
  * Transform a product into a card format for listings
  * This is the main transformation function used across all resolvers
  * @param {object} product - Product object from Adobe services
+ * @param {object} priceFormat - Store locale and currency from getPriceFormat
  * @returns {object|null} Transformed product card or null if invalid
  */
-const transformProductToCard = (product) => {
+const transformProductToCard = (product, priceFormat) => {
   if (!product) return null;
 
   // Determine product type (handle both Catalog and Search types)
@@ -27,6 +64,7 @@ const transformProductToCard = (product) => {
   // Extract prices using price utilities (will be injected)
   const regularPrice = extractPriceValue(product, 'regular', isComplex);
   const finalPrice = extractPriceValue(product, 'final', isComplex);
+  const currency = extractPriceCurrency(product, isComplex);
 
   // Extract manufacturer using attribute utilities (will be injected)
   const manufacturer = findAttributeValue(product.attributes, 'manufacturer');
@@ -53,9 +91,9 @@ const transformProductToCard = (product) => {
 
     // Business fields with transformations
     manufacturer: manufacturer || null,
-    price: formatPrice(finalPrice), // Display string: "$1,199.99"
+    price: formatPrice(finalPrice, priceFormat, currency), // Display string: "$1,199.99"
     priceValue: finalPrice || 0, // Raw number: 1199.99
-    originalPrice: onSale ? formatPrice(regularPrice) : null,
+    originalPrice: onSale ? formatPrice(regularPrice, priceFormat, currency) : null,
     originalPriceValue: onSale ? regularPrice : null,
     discountPercent,
     inStock: product.inStock !== undefined ? product.inStock : true,
@@ -75,28 +113,30 @@ const transformProductToCard = (product) => {
  * Transform products from Live Search response
  * Live Search wraps products in a productView property
  * @param {array} items - Array of Live Search product items
+ * @param {object} priceFormat - Store locale and currency from getPriceFormat
  * @returns {array} Array of transformed product cards
  */
-const transformLiveSearchProducts = (items) => {
+const transformLiveSearchProducts = (items, priceFormat) => {
   if (!items || !Array.isArray(items)) return [];
 
-  return items.map((item) => transformProductToCard(item.productView)).filter(Boolean);
+  return items.map((item) => transformProductToCard(item.productView, priceFormat)).filter(Boolean);
 };
 
 /**
  * Transform products from Catalog Service response
  * Catalog Service products may have productView or direct properties
  * @param {array} items - Array of Catalog Service product items
+ * @param {object} priceFormat - Store locale and currency from getPriceFormat
  * @returns {array} Array of transformed product cards
  */
-const transformCatalogProducts = (items) => {
+const transformCatalogProducts = (items, priceFormat) => {
   if (!items || !Array.isArray(items)) return [];
 
   return items
     .map((item) => {
       // Catalog can have productView or direct product
       const product = item.productView || item.product || item;
-      return transformProductToCard(product);
+      return transformProductToCard(product, priceFormat);
     })
     .filter(Boolean);
 };
@@ -105,13 +145,14 @@ const transformCatalogProducts = (items) => {
  * Transform product for detailed view (PDP)
  * Includes additional fields not needed in listings
  * @param {object} product - Product object from Adobe services
+ * @param {object} priceFormat - Store locale and currency from getPriceFormat
  * @returns {object|null} Transformed product detail or null if invalid
  */
-const transformProductDetail = (product) => {
+const transformProductDetail = (product, priceFormat) => {
   if (!product) return null;
 
   // Start with basic card transformation
-  const card = transformProductToCard(product);
+  const card = transformProductToCard(product, priceFormat);
   if (!card) return null;
 
   // Add detailed fields
@@ -153,16 +194,17 @@ const transformProductDetail = (product) => {
  * Create an empty product card structure
  * Used for error cases to maintain GraphQL schema compliance
  * @param {string} message - Optional message to include
+ * @param {object} priceFormat - Store locale and currency from getPriceFormat
  * @returns {object} Empty product card structure
  */
-const createEmptyProductCard = (message = '') => {
+const createEmptyProductCard = (message = '', priceFormat) => {
   return {
     id: '',
     sku: '',
     name: message || 'Product not available',
     urlKey: '',
     manufacturer: null,
-    price: '$0.00',
+    price: formatPrice(0, priceFormat),
     originalPrice: null,
     discountPercent: null,
     inStock: false,
@@ -202,9 +244,10 @@ const mergeProducts = (primaryProducts, secondaryProducts, matchKey = 'sku') =>
  * Extract product pricing information from various product formats
  * @param {object} productData - Product data from Adobe services
  * @param {boolean} isComplex - Whether this is a complex/configurable product
+ * @param {object} priceFormat - Store locale and currency from getPriceFormat
  * @returns {object} Pricing information with formatted values
  */
-const extractProductPricing = (productData, isComplex) => {
+const extractProductPricing = (productData, isComplex, priceFormat) => {
   // Extract price information
   const regularPrice = isComplex
     ? productData.priceRange?.minimum?.regular?.amount?.value
@@ -212,6 +255,7 @@ const extractProductPricing = (productData, isComplex) => {
   const finalPrice = isComplex
     ? productData.priceRange?.minimum?.final?.amount?.value
     : productData.price?.final?.amount?.value;
+  const currency = extractPriceCurrency(productData, isComplex);
 
   const onSale = isOnSale(regularPrice, finalPrice);
   const discountPercent = calculateDiscountPercent(regularPrice, finalPrice);
@@ -222,9 +266,9 @@ const extractProductPricing = (productData, isComplex) => {
   )?.value;
 
   return {
-    price: formatPrice(finalPrice), // Display string: "$1,199.99"
+    price: formatPrice(finalPrice, priceFormat, currency), // Display string: "$1,199.99"
     priceValue: finalPrice || 0, // Raw number: 1199.99
-    originalPrice: onSale ? formatPrice(regularPrice) : null,
+    originalPrice: onSale ? formatPrice(regularPrice, priceFormat, currency) : null,
     originalPriceValue: onSale ? regularPrice : null,
     discountPercent,
     manufacturer: manufacturer || null,
@@ -339,14 +383,16 @@ const transformConfigurableOptions = (options) => {
  * Transform Commerce GraphQL variants with proper attribute mapping
  * @param {array} commerceVariants - Variants from Commerce GraphQL
  * @param {array} configurable_options - Configurable options for attribute mapping
+ * @param {object} priceFormat - Store locale and currency from getPriceFormat
  * @returns {array} Transformed variants array
  */
-const transformProductVariants = (commerceVariants, configurable_options) => {
+const transformProductVariants = (commerceVariants, configurable_options, priceFormat) => {
   return commerceVariants.map((variant) => {
     const variantProduct = variant.product;
-    const variantRegularPrice = variantProduct?.price_range?.minimum_price?.regular_price?.value;
-    const variantFinalPrice =
-      variantProduct?.price_range?.minimum_price?.final_price?.value || variantRegularPrice;
+    const minimumPrice = variantProduct?.price_range?.minimum_price;
+    const variantRegularPrice = minimumPrice?.regular_price?.value;
+    const variantFinalPrice = minimumPrice?.final_price?.value || variantRegularPrice;
+    const currency = minimumPrice?.final_price?.currency || minimumPrice?.regular_price?.currency;
 
     // Build attributes object from variant attributes
     // Map Commerce GraphQL labels back to configurable option values (especially for colors)
@@ -374,11 +420,11 @@ const transformProductVariants = (commerceVariants, configurable_options) => {
       id: variantProduct?.sku || '',
       sku: variantProduct?.sku || '',
       attributes,
-      price: formatPrice(variantFinalPrice), // Display string
+      price: formatPrice(variantFinalPrice, priceFormat, currency), // Display string
       priceValue: variantFinalPrice || 0, // Raw number
       originalPrice:
         variantRegularPrice && variantFinalPrice && variantRegularPrice > variantFinalPrice
-          ? formatPrice(variantRegularPrice)
+          ? formatPrice(variantRegularPrice, priceFormat, currency)
           : null,
       originalPriceValue:
         variantRegularPrice && variantFinalPrice && variantRegularPrice > variantFinalPrice
@@ -424,6 +470,7 @@ const generateProductBreadcrumbs = (attributes, productData) => {
 
 // Export for build script to process
 module.exports = {
+  productCardSelection,
   transformProductToCard,
   transformLiveSearchProducts,
   transformCatalogProducts,
@@ -0,0 +1,296 @@
+/**
+ * REQUEST LOGGING UTILITIES
+ *
+ * Resolvers log JSON lines through logEvent. Every line carries the request's correlation
+ * ID, the operation name and the root field, so one storefront request can be followed
+ * through every resolver and upstream call it caused. The correlation ID is taken from the
+ * x-correlation-id request header, or generated into it, and the mesh sources forward that
+ * header to Adobe.
+ *
+ * The build wraps the root resolvers of every resolver module with withRequestLogging,
+ * which also logs each upstream call with its source, field, duration and result size.
+ * Shopper data (names, emails, addresses, passwords, tokens, cart IDs) is redacted.
+ *
+ * NOTE: This file uses module.exports for the build script to process.
+ * The functions will be injected inline into resolvers at build time.
+ */
+
+// Request header with the correlation ID, forwarded to every source
+const CORRELATION_HEADER = 'x-correlation-id';
+
+// Field names whose values never reach the logs, compared without case, "_" or "-"
+const PII_FIELDS = new Set([
+  'email',
+  'firstname',
+  'lastname',
+  'middlename',
+  'telephone',
+  'street',
+  'city',
+  'postcode',
+  'dob',
+  'taxvat',
+  'password',
+  'currentpassword',
+  'newpassword',
+  'token',
+  'authorization',
+  'cartid',
+  'sourcecartid',
+  'destinationcartid',
+]);
+
+// Replaces redacted values and email addresses found in messages
+const REDACTED = '[redacted]';
+const EMAIL_PATTERN = /[^\s@"'<>]+@[^\s@"'<>]+\.[a-z]{2,}/gi;
+
+// Nesting kept in logged values, deeper levels are cut
+const MAX_LOG_DEPTH = 6;
+
+// Longest error message logged, enough for Commerce and SQL errors
+const MAX_ERROR_LENGTH = 500;
+
+/**
+ * Whether a field holds shopper data
+ * @param {string} key - Field name
+ * @returns {boolean}
+ */
+const isPiiField = (key) => {
+  return PII_FIELDS.has(key.toLowerCase().replace(/[_-]/g, ''));
+};
+
+/**
+ * Copy a value for logging with shopper data replaced
+ * @param {*} value - Value to log
+ * @param {number} depth - Current nesting level
+ * @returns {*} Redacted copy
+ */
+const redactPii = (value, depth = 0) => {
+  if (typeof value === 'string') return value.replace(EMAIL_PATTERN, REDACTED);
+  if (!value || typeof value !== 'object') return value;
+  if (depth >= MAX_LOG_DEPTH) return '[truncated]';
+  if (Array.isArray(value)) return value.map((item) => redactPii(item, depth + 1));
+
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => [
+      key,
+      isPiiField(key) ? REDACTED : redactPii(item, depth + 1),
+    ])
+  );
+};
+
+/**
+ * The request's correlation ID, taken from the request header or generated into it
+ * @param {object} context - Mesh request context
+ * @returns {string}
+ */
+const getCorrelationId = (context) => {
+  if (!context.state) {
+    context.state = {};
+  }
+
+  if (!context.state.correlationId) {
+    const requested = String(context.headers?.[CORRELATION_HEADER] ?? '').trim();
+    context.state.correlationId =
+      requested.substring(0, 128) ||
+      `${Date.now().toString(36)}-${Math.random().toString(36).substring(2, 12)}`;
+
+    // Sources forward the header, so upstream logs carry the same ID
+    if (context.headers) {
+      context.headers[CORRELATION_HEADER] = context.state.correlationId;
+    }
+  }
+
+  return context.state.correlationId;
+};
+
+/**
+ * The loggable parts of an error
+ * @param {Error} error - Caught error
+ * @returns {object} { name, message, code, status }
+ */
+const describeError = (error) => {
+  return {
+    name: error?.name,
+    message: String(error?.message ?? error).substring(0, MAX_ERROR_LENGTH),
+    code: error?.code,
+    status: error?.status ?? error?.response?.status,
+  };
+};
+
+/**
+ * Number of items an upstream call returned
+ * @param {*} result - Upstream result
+ * @returns {number} List length, items length, or 1 for a single object
+ */
+const resultSize = (result) => {
+  if (Array.isArray(result)) return result.length;
+  if (Array.isArray(result?.items)) return result.items.length;
+  return result ? 1 : 0;
+};
+
+/**
+ * Log one JSON line with the request's correlation ID, operation and resolver
+ * @param {object} context - Resolver context
+ * @param {string} level - error, warn, info or debug
+ * @param {string} message - What happened, without variable data
+ * @param {object} fields - Extra fields; `error` is logged with describeError
+ */
+const logEvent = (context, level, message, fields = {}) => {
+  const { error, ...details } = fields;
+  const line = {
+    level,
+    message,
+    correlationId: context.requestLog?.correlationId ?? context.state?.correlationId ?? null,
+    operation: context.requestLog?.operation ?? null,
+    resolver: context.requestLog?.resolver ?? null,
+    ...details,
+    ...(error && { error: describeError(error) }),
+  };
+
+  const logger = context.logger;
+  const log = logger?.[level] || logger?.info;
+  log?.call(logger, JSON.stringify(redactPii(line)));
+};
+
+/**
+ * Derive a context whose source calls are reported once they settle
+ * @param {object} context - Mesh request context
+ * @param {function} onCall - ({ source, field, args, startedAt, durationMs, result, error }) => void
+ * @returns {object} Context with the same Query and Mutation fields on every source,
+ *   everything else is inherited from the given context
+ */
+const observeSourceCalls = (context, onCall) => {
+  const observed = Object.create(context);
+
+  const observeSource = (source, sourceName) =>
+    new Proxy(source, {
+      get: (target, operation) => {
+        const fields = target[operation];
+        if ((operation !== 'Query' && operation !== 'Mutation') || !fields) return fields;
+
+        return new Proxy(fields, {
+          get: (fieldTarget, field) => {
+            const call = fieldTarget[field];
+            if (typeof call !== 'function') return call;
+
+            return async (options) => {
+              const startedAt = Date.now();
+              const report = (outcome) =>
+                onCall({
+                  source: sourceName,
+                  field,
+                  args: options?.args,
+                  startedAt,
+                  durationMs: Date.now() - startedAt,
+                  ...outcome,
+                });
+              try {
+                const result = await call(options);
+                report({ result });
+                return result;
+              } catch (error) {
+                report({ error });
+                throw error;
+              }
+            };
+          },
+        });
+      },
+    });
+
+  // Sources may be inherited from an already observed context
+  for (const key in context) {
+    const value = context[key];
+    if (value && typeof value === 'object' && (value.Query || value.Mutation)) {
+      observed[key] = observeSource(value, key);
+    }
+  }
+
+  return observed;
+};
+
+/**
+ * Wrap every Query and Mutation resolver of a resolver map
+ * @param {object} resolvers - Resolver map
+ * @param {function} wrap - (resolve, fieldName) => resolve
+ * @returns {object} Resolver map with wrapped root resolvers
+ */
+const mapRootResolvers = (resolvers, wrap) => {
+  if (!resolvers) return resolvers;
+
+  const mapped = { ...resolvers };
+  ['Query', 'Mutation'].forEach((typeName) => {
+    if (!resolvers[typeName]) return;
+
+    mapped[typeName] = Object.fromEntries(
+      Object.entries(resolvers[typeName]).map(([fieldName, fieldConfig]) => [
+        fieldName,
+        typeof fieldConfig === 'function'
+          ? wrap(fieldConfig, fieldName)
+          : { ...fieldConfig, resolve: wrap(fieldConfig.resolve, fieldName) },
+      ])
+    );
+  });
+
+  return mapped;
+};
+
+/**
+ * Run root resolvers with a logging context
+ * Upstream calls are logged at info, failed calls at warn, with their duration, and every
+ * call and resolver run is recorded for the response timings (request-timing.js).
+ * @param {object} resolvers - Resolver map
+ * @returns {object} Resolver map whose root resolvers log every upstream call
+ */
+const withRequestLogging = (resolvers) => {
+  return mapRootResolvers(
+    resolvers,
+    (resolve, fieldName) => async (root, args, requestContext, info) => {
+      const correlationId = getCorrelationId(requestContext);
+      const startedAt = Date.now();
+      const sourceCalls = [];
+      const context = observeSourceCalls(requestContext, (call) => {
+        sourceCalls.push(call);
+        recordSourceTiming(requestContext, call);
+        logEvent(
+          context,
+          call.error ? 'warn' : 'info',
+          call.error ? 'Upstream call failed' : 'Upstream call',
+          {
+            source: call.source,
+            field: call.field,
+            args: call.args,
+            durationMs: call.durationMs,
+            ...(call.error ? { error: call.error } : { resultSize: resultSize(call.result) }),
+          }
+        );
+      });
+      context.requestLog = {
+        correlationId,
+        operation: info?.operation?.name?.value ?? null,
+        resolver: fieldName,
+      };
+
+      try {
+        return await resolve(root, args, context, info);
+      } finally {
+        recordResolverTiming(requestContext, {
+          resolver: fieldName,
+          startedAt,
+          durationMs: Date.now() - startedAt,
+          sourceCalls,
+        });
+      }
+    }
+  );
+};
+
+module.exports = {
+  redactPii,
+  getCorrelationId,
+  logEvent,
+  observeSourceCalls,
+  mapRootResolvers,
+  withRequestLogging,
+};
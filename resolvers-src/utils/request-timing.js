@@ -0,0 +1,143 @@
+/**
+ * REQUEST TIMING UTILITIES
+ *
+ * Per-request breakdown of where a Citisignal operation spent its time: every upstream
+ * call by source field (Catalog_productSearch, Search_productSearch, Commerce_categoryList...)
+ * and the time root resolvers spent on their own work (transforms) rather than waiting for
+ * sources. withRequestLogging records both on context.state. For requests that send the
+ * x-mesh-timings header, the response timings hook adds the summary to the response as
+ * extensions.timings, with a Server-Timing header value.
+ *
+ * NOTE: This file uses module.exports for the build script to process.
+ * The functions will be injected inline into resolvers at build time.
+ */
+
+// Request header that asks for extensions.timings ("true" or "1")
+const TIMINGS_HEADER = 'x-mesh-timings';
+
+/**
+ * Whether the request asked for its timings
+ * @param {object} context - Mesh request context
+ * @returns {boolean}
+ */
+const isTimingRequested = (context) => {
+  const value = String(context?.headers?.[TIMINGS_HEADER] ?? '').toLowerCase();
+  return value === 'true' || value === '1';
+};
+
+/**
+ * The request's timing records, created on first use
+ * @param {object} context - Mesh request context
+ * @returns {object} { sourceCalls: [], resolvers: [] }
+ */
+const getRequestTimings = (context) => {
+  if (!context.state) {
+    context.state = {};
+  }
+  if (!context.state.timings) {
+    context.state.timings = { sourceCalls: [], resolvers: [] };
+  }
+  return context.state.timings;
+};
+
+/**
+ * Milliseconds covered by a set of possibly overlapping intervals
+ * @param {Array} intervals - [{ startedAt, durationMs }]
+ * @returns {number}
+ */
+const coveredMs = (intervals) => {
+  const sorted = intervals
+    .map(({ startedAt, durationMs }) => [startedAt, startedAt + durationMs])
+    .sort((a, b) => a[0] - b[0]);
+
+  let covered = 0;
+  let end = -Infinity;
+  sorted.forEach(([start, stop]) => {
+    if (stop <= end) return;
+    covered += stop - Math.max(start, end);
+    end = stop;
+  });
+  return covered;
+};
+
+/**
+ * Record a settled upstream call
+ * @param {object} context - Mesh request context
+ * @param {object} call - { source, field, startedAt, durationMs }
+ */
+const recordSourceTiming = (context, call) => {
+  const { source, field, startedAt, durationMs } = call;
+  getRequestTimings(context).sourceCalls.push({ source, field, startedAt, durationMs });
+};
+
+/**
+ * Record a finished root resolver
+ * Transform time is the resolver's time not covered by its own upstream calls.
+ * @param {object} context - Mesh request context
+ * @param {object} run - { resolver, startedAt, durationMs, sourceCalls } where sourceCalls
+ *   are the resolver's upstream calls ({ startedAt, durationMs })
+ */
+const recordResolverTiming = (context, run) => {
+  const { resolver, startedAt, durationMs, sourceCalls } = run;
+  getRequestTimings(context).resolvers.push({
+    resolver,
+    startedAt,
+    durationMs,
+    transformMs: Math.max(0, durationMs - coveredMs(sourceCalls)),
+  });
+};
+
+/**
+ * Format a timing summary as a Server-Timing header value
+ * Source metrics are named after the upstream field, which carries the source prefix.
+ * @param {object} summary - { totalMs, transformMs, sources }
+ * @returns {string} e.g. 'Catalog_productSearch;dur=84;desc="CatalogServiceSandbox, 1 call", ...'
+ */
+const formatServerTiming = (summary) => {
+  return [
+    ...summary.sources.map(
+      ({ source, field, calls, durationMs }) =>
+        `${field};dur=${durationMs};desc="${source}, ${calls} ${calls === 1 ? 'call' : 'calls'}"`
+    ),
+    `transform;dur=${summary.transformMs}`,
+    `total;dur=${summary.totalMs}`,
+  ].join(', ');
+};
+
+/**
+ * Summarize the request's timings
+ * Source durations add up every call to a field, so parallel calls can exceed totalMs.
+ * @param {object} context - Mesh request context
+ * @returns {object|null} { totalMs, transformMs, sources: [{ source, field, calls, durationMs }],
+ *   serverTiming }, slowest field first; null when no root resolver has finished
+ */
+const summarizeTimings = (context) => {
+  const timings = context?.state?.timings;
+  if (!timings?.resolvers.length) return null;
+
+  const bySourceField = new Map();
+  timings.sourceCalls.forEach(({ source, field, durationMs }) => {
+    const key = `${source}.${field}`;
+    const entry = bySourceField.get(key) || { source, field, calls: 0, durationMs: 0 };
+    entry.calls += 1;
+    entry.durationMs += durationMs;
+    bySourceField.set(key, entry);
+  });
+
+  const startedAt = Math.min(...timings.resolvers.map((run) => run.startedAt));
+  const finishedAt = Math.max(...timings.resolvers.map((run) => run.startedAt + run.durationMs));
+  const summary = {
+    totalMs: finishedAt - startedAt,
+    transformMs: timings.resolvers.reduce((sum, run) => sum + run.transformMs, 0),
+    sources: [...bySourceField.values()].sort((a, b) => b.durationMs - a.durationMs),
+  };
+
+  return { ...summary, serverTiming: formatServerTiming(summary) };
+};
+
+module.exports = {
+  isTimingRequested,
+  recordSourceTiming,
+  recordResolverTiming,
+  summarizeTimings,
+};
@@ -0,0 +1,96 @@
+/**
+ * SALE PAGINATION UTILITIES
+ *
+ * onSaleOnly is sent upstream when config/facet-mappings.json names an on-sale attribute
+ * (onSale.attribute), see buildOnSaleFilter. Neither Catalog Service nor Live Search can
+ * filter on a price discount by themselves, so without that attribute the resolvers page
+ * through the listing, keep the discounted products and cut the requested page from them.
+ * Totals and page counts are then those of the on-sale products found, not of the source
+ * page. The scan stops once the requested page is filled, so they count the scanned
+ * source pages only; hasMoreItems stays exact.
+ *
+ * NOTE: This file uses module.exports for the build script to process.
+ * The functions will be injected inline into resolvers at build time.
+ */
+
+// Source page size while collecting on-sale products
+const SALE_SCAN_PAGE_SIZE = 100;
+
+// Most source pages scanned for one request, so one sale listing can't flood the sources
+const SALE_SCAN_MAX_PAGES = 10;
+
+/**
+ * Whether onSaleOnly is sent to the sources as a filter
+ * @returns {boolean}
+ */
+const hasUpstreamOnSaleFilter = () => {
+  return Boolean(FACET_MAPPINGS.onSale?.attribute);
+};
+
+/**
+ * Whether a Catalog or Live Search product view is discounted
+ * @param {object} productView - Product view with price (simple) or priceRange (complex)
+ * @returns {boolean}
+ */
+const isProductOnSale = (productView) => {
+  const isComplex = Boolean(productView?.__typename?.endsWith('ComplexProductView'));
+  return Boolean(
+    isOnSale(
+      extractPriceValue(productView, 'regular', isComplex),
+      extractPriceValue(productView, 'final', isComplex)
+    )
+  );
+};
+
+/**
+ * Cut a page of on-sale products from a listing that can't filter them upstream
+ * Fetches source pages one at a time in sort order and keeps their on-sale items, until
+ * the requested page and one item past it are found, the listing ends, or
+ * SALE_SCAN_MAX_PAGES pages were read.
+ * @param {function} fetchPage - async (page, pageSize) => { items, totalPages }
+ * @param {function} isItemOnSale - Whether a fetched item is on sale
+ * @param {object} args - { limit, page } page of on-sale products to return
+ * @returns {Promise<object>} { items, totalCount, pageInfo, firstPage, scannedPages, truncated }
+ *   truncated is true when the page limit ended the scan before the requested page was
+ *   filled and before the end of the listing
+ */
+const collectOnSalePage = async (fetchPage, isItemOnSale, args) => {
+  const limit = args.limit || 24;
+  const page = args.page || 1;
+  const start = (page - 1) * limit;
+
+  // The item past the page tells whether another page follows
+  const wanted = start + limit + 1;
+
+  const firstPage = await fetchPage(1, SALE_SCAN_PAGE_SIZE);
+  const sourcePages = firstPage.totalPages || 1;
+  const lastPage = Math.min(sourcePages, SALE_SCAN_MAX_PAGES);
+  const onSaleItems = (firstPage.items || []).filter(isItemOnSale);
+  let scannedPages = 1;
+
+  // Sequential, so pages after the one that fills the request are never fetched
+  while (onSaleItems.length < wanted && scannedPages < lastPage) {
+    scannedPages += 1;
+    const sourcePage = await fetchPage(scannedPages, SALE_SCAN_PAGE_SIZE);
+    onSaleItems.push(...(sourcePage.items || []).filter(isItemOnSale));
+  }
+
+  return {
+    items: onSaleItems.slice(start, start + limit),
+    totalCount: onSaleItems.length,
+    pageInfo: {
+      current_page: page,
+      page_size: limit,
+      total_pages: Math.ceil(onSaleItems.length / limit),
+    },
+    firstPage,
+    scannedPages,
+    truncated: onSaleItems.length < wanted && scannedPages < sourcePages,
+  };
+};
+
+module.exports = {
+  hasUpstreamOnSaleFilter,
+  isProductOnSale,
+  collectOnSalePage,
+};
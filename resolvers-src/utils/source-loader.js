@@ -0,0 +1,125 @@
+/**
+ * SOURCE LOADER UTILITIES
+ *
+ * Request-scoped deduplication for upstream source queries, in the spirit of DataLoader.
+ * A GraphQL operation that selects several Citisignal fields often needs the same
+ * upstream data more than once. These loaders keep the pending promise on context.state,
+ * so identical queries run once per request, and keyed lookups started in the same
+ * microtask turn are batched into one upstream call.
+ *
+ * Only queries go through the loaders, mutations always reach the source.
+ * Failed calls are not kept, so a later resolver in the request can try again.
+ *
+ * NOTE: This file uses module.exports for the build script to process.
+ * The functions will be injected inline into resolvers at build time.
+ */
+
+/**
+ * Get the request-scoped loader state, creating it on first use
+ * @param {object} context - Mesh request context
+ * @returns {object} { results, batches }
+ */
+const getSourceLoaderState = (context) => {
+  if (!context.state) {
+    context.state = {};
+  }
+  if (!context.state.sourceLoader) {
+    context.state.sourceLoader = { results: new Map(), batches: new Map() };
+  }
+  return context.state.sourceLoader;
+};
+
+/**
+ * Serialize query arguments with sorted object keys
+ * Argument order differs between resolvers, the query does not
+ * @param {*} value - Query arguments
+ * @returns {string} Cache key fragment
+ */
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+/**
+ * Keep a pending result for the rest of the request, dropping it if the call fails
+ * @param {Map} results - Request-scoped results
+ * @param {string} key - Cache key
+ * @param {function} load - Starts the call, returns a promise
+ * @returns {Promise} Shared result
+ */
+const memoizeResult = (results, key, load) => {
+  if (!results.has(key)) {
+    const pending = load();
+    results.set(key, pending);
+    pending.catch(() => results.delete(key));
+  }
+  return results.get(key);
+};
+
+/**
+ * Run a source query once per request
+ * Calls with the same source, field, arguments and selection set share one upstream call
+ * @param {object} context - Mesh request context
+ * @param {string} sourceName - Mesh source like "CommerceGraphQL"
+ * @param {string} field - Query field like "Commerce_categoryList"
+ * @param {object} query - { args, selectionSet }
+ * @returns {Promise<*>} Query result
+ */
+const loadFromSource = (context, sourceName, field, { args = {}, selectionSet }) => {
+  const { results } = getSourceLoaderState(context);
+  // Whitespace in selection sets only reflects where the query was written
+  const selection = (selectionSet || '').replace(/\s+/g, ' ').trim();
+  const key = `${sourceName}.${field}:${stableStringify(args)}:${selection}`;
+
+  return memoizeResult(results, key, () =>
+    context[sourceName].Query[field]({ root: {}, args, context, selectionSet })
+  );
+};
+
+/**
+ * Load one keyed value, batching every key requested in the same microtask turn
+ * loadBatch receives the unique keys and resolves to values in the same order.
+ * The mesh runtime has no timers, so the batch is sent when the current promise jobs
+ * have run: resolvers that call loadBatched synchronously (e.g. fields resolved in
+ * parallel) share it, a caller that awaits anything first starts a new batch. Keys
+ * already loaded in the request are still served from the memoized result.
+ * @param {object} context - Mesh request context
+ * @param {string} batchName - Names the lookup, keys are memoized per batch name
+ * @param {string} key - Key to load, e.g. a SKU
+ * @param {function} loadBatch - async (keys) => values
+ * @returns {Promise<*>} Value for the key
+ */
+const loadBatched = (context, batchName, key, loadBatch) => {
+  const { results, batches } = getSourceLoaderState(context);
+
+  return memoizeResult(results, `${batchName}:${key}`, () => {
+    if (!batches.has(batchName)) {
+      const batch = { keys: [] };
+      // Dispatch once the current promise jobs run, so concurrent resolvers join the batch
+      batch.values = Promise.resolve().then(() => {
+        batches.delete(batchName);
+        return loadBatch(batch.keys);
+      });
+      batches.set(batchName, batch);
+    }
+
+    const batch = batches.get(batchName);
+    const index = batch.keys.push(key) - 1;
+    return batch.values.then((values) => values[index]);
+  });
+};
+
+module.exports = {
+  stableStringify,
+  loadFromSource,
+  loadBatched,
+};
@@ -0,0 +1,92 @@
+/**
+ * STOCK VALIDATION UTILITIES
+ *
+ * Checks the quantities a cart write would leave on each line against Commerce stock
+ * and the product's min/max sale quantities before any cart mutation runs, so shoppers
+ * get typed errors with the quantity they can still buy instead of raw Commerce messages.
+ *
+ * Lowering a line is always allowed above its minimum, even when the line is already
+ * over stock or over the maximum, so shoppers can fix their cart.
+ *
+ * NOTE: This file uses module.exports for the build script to process.
+ * The functions will be injected inline into resolvers at build time.
+ */
+
+/**
+ * Validate the final line quantities of a cart write against stock and sale quantities
+ * Lines without stock information pass, Commerce stays the final authority
+ * @param {array} lines - [{ sku, cartItemId, quantity, previousQuantity, stock }] where
+ *   previousQuantity is the line's current quantity (0 for new lines) and stock is a
+ *   Commerce product with name, stock_status, only_x_left_in_stock, min_sale_qty and
+ *   max_sale_qty
+ * @returns {array} Cart user errors with sku, cartItemId and minQuantity or maxQuantity
+ */
+const validateLineStock = (lines) => {
+  return lines.flatMap((line) => {
+    // Quantity 0 removes the line, stock does not matter
+    if (line.quantity === 0 || !line.stock) return [];
+
+    const { stock } = line;
+    const name = stock.name || line.sku;
+    const reference = { sku: line.sku, cartItemId: line.cartItemId || null };
+
+    const minQuantity = Math.ceil(stock.min_sale_qty || 0);
+    if (minQuantity > 1 && line.quantity < minQuantity) {
+      return [
+        {
+          code: 'INVALID_QUANTITY',
+          message: `Add at least ${minQuantity} of ${name}.`,
+          ...reference,
+          minQuantity,
+        },
+      ];
+    }
+
+    // Lowering a line never makes it less available
+    if (line.quantity <= (line.previousQuantity || 0)) return [];
+
+    if (stock.stock_status === 'OUT_OF_STOCK') {
+      return [
+        {
+          code: 'OUT_OF_STOCK',
+          message: `${name} is out of stock.`,
+          ...reference,
+          maxQuantity: 0,
+        },
+      ];
+    }
+
+    // Commerce only reports the remaining quantity below its "Only X left" threshold
+    const available = stock.only_x_left_in_stock;
+    if (typeof available === 'number' && line.quantity > available) {
+      const maxQuantity = Math.max(0, Math.floor(available));
+      return [
+        {
+          code: 'QTY_EXCEEDS_AVAILABLE',
+          message: `Only ${maxQuantity} of ${name} left in stock.`,
+          ...reference,
+          maxQuantity,
+        },
+      ];
+    }
+
+    const maxSaleQuantity = stock.max_sale_qty;
+    if (typeof maxSaleQuantity === 'number' && line.quantity > maxSaleQuantity) {
+      const maxQuantity = Math.floor(maxSaleQuantity);
+      return [
+        {
+          code: 'QTY_EXCEEDS_AVAILABLE',
+          message: `You can add up to ${maxQuantity} of ${name}.`,
+          ...reference,
+          maxQuantity,
+        },
+      ];
+    }
+
+    return [];
+  });
+};
+
+module.exports = {
+  validateLineStock,
+};
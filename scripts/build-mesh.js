@@ -9,6 +9,22 @@
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const {
+  loadUtilityModules,
+  detectUsedFunctions,
+  buildUtilityInjection,
+} = require('./lib/resolver-injection');
+const { validateSchema } = require('./lib/schema-validation');
+const { SOURCE_SCHEMAS_DIR, validateSelectionSets } = require('./lib/selection-validation');
+const { validateCacheRules, applyCacheRules, hasCachedOperations } = require('./lib/cache-rules');
+const {
+  OPERATIONS_DIR,
+  loadOperationFiles,
+  compilePersistedOperations,
+  buildPersistedOnlyGuard,
+  restrictSchemaFilters,
+} = require('./lib/persisted-operations');
+const { buildLocalSchema } = require('./local-mesh');
 
 // Check if ora and chalk are available
 let ora, chalk;
@@ -51,231 +67,163 @@ const format = {
 };
 
 /**
- * Combine GraphQL schema files into a single string
+ * Read all .graphql files from the schema directory
+ * @returns {Array} [{ file, content }] sorted by file name
  */
-function combineSchemaFiles() {
+function loadSchemaFiles() {
   const schemaDir = path.join(__dirname, '..', 'schema');
 
   // Automatically include all .graphql files in the schema directory
-  const schemaFiles = fs
+  return fs
     .readdirSync(schemaDir)
     .filter((file) => file.endsWith('.graphql'))
-    .sort(); // Sort for consistent output order
+    .sort() // Sort for consistent output order
+    .map((file) => ({
+      file: `schema/${file}`,
+      content: fs.readFileSync(path.join(schemaDir, file), 'utf8'),
+    }));
+}
 
+/**
+ * Combine GraphQL schema files into a single string
+ */
+function combineSchemaFiles(schemaFiles = loadSchemaFiles()) {
   let combinedSchema = '';
 
-  for (const file of schemaFiles) {
-    const filePath = path.join(schemaDir, file);
-    if (fs.existsSync(filePath)) {
-      const content = fs.readFileSync(filePath, 'utf8');
-      // Remove comments for cleaner output
-      const cleanContent = content
-        .split('\n')
-        .filter((line) => !line.trim().startsWith('#'))
-        .join('\n')
-        .trim();
-
-      if (cleanContent) {
-        combinedSchema += cleanContent + '\n\n';
-      }
+  for (const { content } of schemaFiles) {
+    // Remove comments for cleaner output
+    const cleanContent = content
+      .split('\n')
+      .filter((line) => !line.trim().startsWith('#'))
+      .join('\n')
+      .trim();
+
+    if (cleanContent) {
+      combinedSchema += cleanContent + '\n\n';
     }
   }
 
   return combinedSchema.trim();
 }
 
-// Note: getResolverFiles function removed in favor of processResolversWithMappings
-
 /**
- * Load utility modules from resolvers-src/utils/
- * @returns {object} Map of utility module names to their functions
+ * Validate the schema files against the built resolvers
+ * Fails on duplicate/conflicting types, unknown types and resolvers without schema fields;
+ * Citisignal_* root fields without a resolver are reported as warnings.
+ * @param {Array} schemaFiles - Schema files from loadSchemaFiles()
+ * @param {Array} resolverFiles - Built resolver paths (./build/resolvers/*.js)
+ * @param {object} meshConfig - The meshConfig section of mesh.config.js
+ * @returns {string[]} Warnings
  */
-function loadUtilityModules() {
-  const utilsDir = path.join(__dirname, '..', 'resolvers-src', 'utils');
-  const utilities = {};
+function validateMeshSchema(schemaFiles, resolverFiles, meshConfig) {
+  const resolverModules = resolverFiles.map((resolverFile) => {
+    const resolverPath = path.join(__dirname, '..', resolverFile);
+    delete require.cache[require.resolve(resolverPath)];
+    return {
+      file: resolverFile.replace('./build/resolvers/', 'resolvers-src/'),
+      resolvers: require(resolverPath).resolvers,
+    };
+  });
 
-  if (!fs.existsSync(utilsDir)) {
-    return utilities;
-  }
+  const sourcePrefixes = (meshConfig.sources || [])
+    .flatMap((source) => source.transforms || [])
+    .map((transform) => transform.prefix?.value)
+    .filter(Boolean);
 
-  const utilFiles = fs
-    .readdirSync(utilsDir)
-    .filter((file) => file.endsWith('.js') && !file.includes('facet-mapper'));
-
-  utilFiles.forEach((file) => {
-    const moduleName = file.replace('.js', '');
-    const modulePath = path.join(utilsDir, file);
-
-    try {
-      // Clear require cache to get fresh module
-      delete require.cache[require.resolve(modulePath)];
-      const moduleExports = require(modulePath);
-      utilities[moduleName] = moduleExports;
-    } catch (err) {
-      console.warn(`Warning: Could not load utility module ${file}: ${err.message}`);
-    }
-  });
+  const { errors, warnings } = validateSchema({ schemaFiles, resolverModules, sourcePrefixes });
+  if (errors.length > 0) {
+    throw new Error(`Schema validation failed:\n  ${errors.join('\n  ')}`);
+  }
 
-  return utilities;
+  return warnings;
 }
 
 /**
- * Detect which utility functions are used in a resolver
- * @param {string} content - Resolver file content
- * @param {object} utilities - Available utility modules
- * @returns {Set} Set of function names used
+ * Validate resolver and utility selectionSet strings against the source schema snapshots
+ * Sources without a snapshot in schema/sources/ are skipped with a warning. Once snapshots
+ * are committed, a missing one fails the build when CI is set, so CI builds never ship
+ * selection sets of a source that was left out.
+ * @param {Array} resolverFiles - Built resolver paths (./build/resolvers/*.js)
+ * @param {object} meshConfig - The meshConfig section of mesh.config.js
+ * @returns {string[]} Warnings
  */
-function detectUsedFunctions(content, utilities) {
-  const usedFunctions = new Set();
-  const toCheck = new Set();
-
-  // Initial scan of resolver content
-  Object.values(utilities).forEach((module) => {
-    Object.keys(module).forEach((funcName) => {
-      // Check for various usage patterns
-      const patterns = [
-        new RegExp(`\\b${funcName}\\s*\\(`, 'g'), // Direct call: funcName(
-        new RegExp(`\\.map\\(${funcName}\\)`, 'g'), // Map usage: .map(funcName)
-        new RegExp(`\\.filter\\(${funcName}\\)`, 'g'), // Filter usage: .filter(funcName)
-        new RegExp(`\\(${funcName}\\)`, 'g'), // Passed as argument: (funcName)
-        new RegExp(`\\b${funcName}\\b(?=\\s*[,\\)])`, 'g'), // In argument list
-      ];
-
-      const isUsed = patterns.some((pattern) => pattern.test(content));
-      if (isUsed) {
-        usedFunctions.add(funcName);
-        toCheck.add(funcName);
-      }
-    });
+function validateResolverSelections(resolverFiles, meshConfig) {
+  const readSource = (file) => ({
+    file,
+    content: fs.readFileSync(path.join(__dirname, '..', file), 'utf8'),
   });
+  const utilsDir = path.join(__dirname, '..', 'resolvers-src', 'utils');
 
-  // Check dependencies of used functions (transitive dependencies)
-  const checked = new Set();
-  while (toCheck.size > 0) {
-    const funcName = toCheck.values().next().value;
-    toCheck.delete(funcName);
-
-    if (checked.has(funcName)) continue;
-    checked.add(funcName);
-
-    // Find the function in utilities
-    for (const module of Object.values(utilities)) {
-      if (module[funcName]) {
-        const funcStr = module[funcName].toString();
-
-        // Check what other utility functions this function uses
-        Object.values(utilities).forEach((utilModule) => {
-          Object.keys(utilModule).forEach((depFuncName) => {
-            if (depFuncName !== funcName) {
-              // Check for function calls with parenthesis or as method arguments
-              const patterns = [
-                new RegExp(`\\b${depFuncName}\\s*\\(`, 'g'), // Direct call: funcName(
-                new RegExp(`\\.${depFuncName}\\b`, 'g'), // Method call: .funcName
-                new RegExp(`\\(${depFuncName}\\)`, 'g'), // Passed as argument: (funcName)
-                new RegExp(`\\b${depFuncName}\\b(?=\\s*[,\\)])`, 'g'), // In argument list: funcName, or funcName)
-              ];
-
-              const isUsed = patterns.some((pattern) => pattern.test(funcStr));
-              if (isUsed) {
-                if (!usedFunctions.has(depFuncName)) {
-                  usedFunctions.add(depFuncName);
-                  toCheck.add(depFuncName);
-                }
-              }
-            }
-          });
-        });
-        break;
-      }
-    }
+  const { errors, warnings } = validateSelectionSets({
+    resolverFiles: resolverFiles.map((resolverFile) =>
+      readSource(resolverFile.replace('./build/resolvers/', 'resolvers-src/'))
+    ),
+    utilityFiles: fs
+      .readdirSync(utilsDir)
+      .filter((file) => file.endsWith('.js'))
+      .sort()
+      .map((file) => readSource(`resolvers-src/utils/${file}`)),
+    meshConfig,
+    requireSnapshots: Boolean(process.env.CI) && fs.existsSync(SOURCE_SCHEMAS_DIR),
+  });
+  if (errors.length > 0) {
+    throw new Error(`Selection set validation failed:\n  ${errors.join('\n  ')}`);
   }
 
-  return usedFunctions;
+  return warnings;
 }
 
 /**
- * Build injection code for required utility functions
- * @param {Set} usedFunctions - Set of function names to inject
- * @param {object} utilities - Available utility modules
- * @returns {string} JavaScript code to inject
+ * Turn the cacheRules of mesh.config.js into cache settings for mesh.json
+ * @param {object} config - mesh.config.js exports
+ * @param {string} combinedSchema - Combined schema from combineSchemaFiles()
+ * @returns {string} Schema with @cacheControl directives
  */
-function buildUtilityInjection(usedFunctions, utilities) {
-  if (usedFunctions.size === 0) {
-    return '';
+function applyMeshCacheRules(config, combinedSchema) {
+  const cacheRules = config.cacheRules || {};
+  const errors = validateCacheRules(cacheRules, combinedSchema);
+  if (errors.length > 0) {
+    throw new Error(`Cache rule validation failed:\n  ${errors.join('\n  ')}`);
   }
 
-  let injection = `
-// ============================================================================
-// INJECTED UTILITY FUNCTIONS - Added during build from resolvers-src/utils/
-// ============================================================================
-`;
+  if (hasCachedOperations(cacheRules)) {
+    config.meshConfig.responseConfig = { ...config.meshConfig.responseConfig, cache: true };
+  }
 
-  // Group functions by module for better organization
-  const functionsByModule = {};
-
-  usedFunctions.forEach((funcName) => {
-    // Find which module contains this function
-    for (const [moduleName, module] of Object.entries(utilities)) {
-      if (module[funcName]) {
-        if (!functionsByModule[moduleName]) {
-          functionsByModule[moduleName] = [];
-        }
-        functionsByModule[moduleName].push(funcName);
-        break;
-      }
-    }
-  });
+  return applyCacheRules(combinedSchema, cacheRules);
+}
 
-  // Add functions grouped by module
-  Object.entries(functionsByModule).forEach(([moduleName, functions]) => {
-    injection += `\n// From ${moduleName}.js\n`;
-
-    functions.forEach((funcName) => {
-      const func = utilities[moduleName][funcName];
-      if (func) {
-        // Convert function to string and ensure it has proper declaration
-        let funcStr = func.toString();
-
-        // If it's an arrow function without a name, add const declaration
-        if (funcStr.startsWith('(') || funcStr.startsWith('async (')) {
-          funcStr = `const ${funcName} = ${funcStr};`;
-        }
-        // If it's a regular function expression, ensure it has const
-        else if (!funcStr.startsWith('function') && !funcStr.startsWith('async function')) {
-          funcStr = `const ${funcName} = ${funcStr};`;
-        }
-
-        injection += funcStr + '\n\n';
-      }
-    });
-  });
+/**
+ * Compile operations/*.graphql against the combined schema
+ * @param {string} combinedSchema - Combined schema from combineSchemaFiles()
+ * @returns {object} { operations: [{ file, name, type, hash, signature }], manifest }
+ */
+function compileOperations(combinedSchema) {
+  const schema = buildLocalSchema(combinedSchema, { warn: () => {} });
+  const { operations, manifest, errors } = compilePersistedOperations(loadOperationFiles(), schema);
+  if (errors.length > 0) {
+    throw new Error(`Persisted operation validation failed:\n  ${errors.join('\n  ')}`);
+  }
 
-  return injection;
+  return { operations, manifest };
 }
 
 /**
- * Process resolver files to inject facet mappings and utilities
- * This creates processed versions with the mappings and utilities injected
+ * Write the persisted operation manifest, once the whole build has validated
+ * @param {object} manifest - Hash -> document from compileOperations()
  */
-function processResolversWithMappings() {
-  const resolversDir = path.join(__dirname, '..', 'resolvers-src');
-  const processedDir = path.join(__dirname, '..', 'build', 'resolvers');
+function writePersistedOperations(manifest) {
+  const manifestPath = path.join(__dirname, '..', 'persisted-operations.json');
+  fs.writeFileSync(manifestPath, `${JSON.stringify(manifest, null, 2)}\n`, 'utf8');
+}
 
-  // Create build directory structure if it doesn't exist
-  const buildDir = path.join(__dirname, '..', 'build');
-  if (!fs.existsSync(buildDir)) {
-    fs.mkdirSync(buildDir);
-  }
-  if (!fs.existsSync(processedDir)) {
-    fs.mkdirSync(processedDir);
-  }
-  // Create reference subdirectory in build
-  const processedReferenceDir = path.join(processedDir, 'reference');
-  if (!fs.existsSync(processedReferenceDir)) {
-    fs.mkdirSync(processedReferenceDir, { recursive: true });
-  }
+// Note: getResolverFiles function removed in favor of processResolversWithMappings
 
-  // Load facet mappings
+/**
+ * Load facet mappings from config/facet-mappings.json
+ * @returns {object} Facet mapping configuration (empty if not found)
+ */
+function loadFacetMappings() {
   let facetMappings = {};
   try {
     const mappingsPath = path.join(__dirname, '..', 'config', 'facet-mappings.json');
@@ -286,42 +234,79 @@ function processResolversWithMappings() {
     console.log(format.warning('No facet-mappings.json found, proceeding without URL mappings'));
   }
 
-  // Load utility modules
-  const utilities = loadUtilityModules();
+  return facetMappings;
+}
 
-  // Inject mappings and utilities into each resolver (excluding template and utility files)
-  // Include resolvers from main directory
-  const mainResolverFiles = fs
-    .readdirSync(resolversDir)
-    .filter(
-      (file) => file.endsWith('.js') && !file.includes('template') && !file.includes('utils')
-    );
+/**
+ * Load the store view to locale/currency map from config/store-locales.json
+ * @returns {object} Store locale configuration (empty if not found)
+ */
+function loadStoreLocales() {
+  let storeLocales = {};
+  try {
+    const localesPath = path.join(__dirname, '..', 'config', 'store-locales.json');
+    if (fs.existsSync(localesPath)) {
+      storeLocales = JSON.parse(fs.readFileSync(localesPath, 'utf8'));
+    }
+  } catch {
+    console.log(format.warning('Invalid store-locales.json, formatting prices as en-US/USD'));
+  }
 
-  // Include resolvers from reference directory
-  const referenceDir = path.join(resolversDir, 'reference');
-  const referenceResolverFiles = fs.existsSync(referenceDir)
-    ? fs
-        .readdirSync(referenceDir)
-        .filter((file) => file.endsWith('.js'))
-        .map((file) => `reference/${file}`)
-    : [];
+  return storeLocales;
+}
 
-  const resolverFiles = [...mainResolverFiles, ...referenceResolverFiles];
+// Appended to every resolver, see resolvers-src/utils/request-logger.js
+const REQUEST_LOGGING_WRAPPER = `
+// ============================================================================
+// INJECTED REQUEST LOGGING - Added during build from utils/request-logger.js
+// ============================================================================
+module.exports.resolvers = withRequestLogging(module.exports.resolvers);
+`;
 
-  resolverFiles.forEach((file) => {
-    const originalPath = path.join(resolversDir, file);
-    const processedPath = path.join(processedDir, file);
+/**
+ * Inject configuration and required utilities into a resolver's source
+ * @param {string} content - Resolver file content
+ * @param {object} utilities - Analyzed utility modules from loadUtilityModules()
+ * @param {object} config - { facetMappings, storeLocales } from config/, plus
+ *   persistedOperationSignatures to only serve persisted operations
+ * @param {string} file - Resolver file name for error messages
+ * @returns {string} Self-contained resolver source
+ */
+function injectResolverSource(content, utilities, config, file) {
+  // Production builds wrap the exported resolvers in the persisted operation check,
+  // and every build wraps them in request logging, outermost so rejections are logged too
+  const guarded = config.persistedOperationSignatures
+    ? content + buildPersistedOnlyGuard(config.persistedOperationSignatures)
+    : content;
+
+  return injectModuleSource(guarded + REQUEST_LOGGING_WRAPPER, utilities, config, file);
+}
+
+/**
+ * Inject configuration and the utilities a module reaches into its source
+ * Used for resolvers (through injectResolverSource) and mesh hooks
+ * @param {string} source - Module source
+ * @param {object} utilities - Analyzed utility modules from loadUtilityModules()
+ * @param {object} config - { facetMappings, storeLocales } from config/
+ * @param {string} file - File name for error messages
+ * @returns {string} Self-contained module source
+ */
+function injectModuleSource(source, utilities, config, file) {
+  const { facetMappings = {}, storeLocales = {} } = config;
 
-    let content = fs.readFileSync(originalPath, 'utf8');
+  // Resolve the utility declarations this module reaches, dependencies first
+  const usedFunctions = detectUsedFunctions(source, utilities, file);
 
-    // Detect which utility functions are used
-    const usedFunctions = detectUsedFunctions(content, utilities);
+  // Build utility injection code
+  const utilityInjection = buildUtilityInjection(usedFunctions);
 
-    // Build utility injection code
-    const utilityInjection = buildUtilityInjection(usedFunctions, utilities);
+  // Build the complete injection with configuration and utilities
+  const injection = `
+// ============================================================================
+// INJECTED STORE LOCALES - Added during build from config/store-locales.json
+// ============================================================================
+const STORE_LOCALES = ${JSON.stringify(storeLocales, null, 2)};
 
-    // Build the complete injection with facet mappings and utilities
-    const injection = `
 // ============================================================================
 // INJECTED FACET MAPPINGS - Added during build from config/facet-mappings.json
 // ============================================================================
@@ -379,8 +364,69 @@ ${utilityInjection}
 // ============================================================================
 `;
 
+  return injection + source;
+}
+
+/**
+ * Process resolver files to inject facet mappings and utilities
+ * This creates processed versions with the mappings and utilities injected
+ * @param {object} options - { persistedOperationSignatures } for persisted-only builds
+ */
+function processResolversWithMappings(options = {}) {
+  const resolversDir = path.join(__dirname, '..', 'resolvers-src');
+  const processedDir = path.join(__dirname, '..', 'build', 'resolvers');
+
+  // Create build directory structure if it doesn't exist
+  const buildDir = path.join(__dirname, '..', 'build');
+  if (!fs.existsSync(buildDir)) {
+    fs.mkdirSync(buildDir);
+  }
+  if (!fs.existsSync(processedDir)) {
+    fs.mkdirSync(processedDir);
+  }
+  // Create reference subdirectory in build
+  const processedReferenceDir = path.join(processedDir, 'reference');
+  if (!fs.existsSync(processedReferenceDir)) {
+    fs.mkdirSync(processedReferenceDir, { recursive: true });
+  }
+
+  // Load configuration injected into every resolver
+  const config = {
+    facetMappings: loadFacetMappings(),
+    storeLocales: loadStoreLocales(),
+    persistedOperationSignatures: options.persistedOperationSignatures,
+  };
+
+  // Load utility modules
+  const utilities = loadUtilityModules();
+
+  // Inject mappings and utilities into each resolver (excluding template and utility files)
+  // Include resolvers from main directory
+  const mainResolverFiles = fs
+    .readdirSync(resolversDir)
+    .filter(
+      (file) => file.endsWith('.js') && !file.includes('template') && !file.includes('utils')
+    );
+
+  // Include resolvers from reference directory
+  const referenceDir = path.join(resolversDir, 'reference');
+  const referenceResolverFiles = fs.existsSync(referenceDir)
+    ? fs
+        .readdirSync(referenceDir)
+        .filter((file) => file.endsWith('.js'))
+        .map((file) => `reference/${file}`)
+    : [];
+
+  const resolverFiles = [...mainResolverFiles, ...referenceResolverFiles];
+
+  resolverFiles.forEach((file) => {
+    const originalPath = path.join(resolversDir, file);
+    const processedPath = path.join(processedDir, file);
+
+    const content = fs.readFileSync(originalPath, 'utf8');
+
     // Write the processed file
-    fs.writeFileSync(processedPath, injection + content, 'utf8');
+    fs.writeFileSync(processedPath, injectResolverSource(content, utilities, config, file), 'utf8');
   });
 
   // Return the processed resolver paths (excluding templates)
@@ -391,13 +437,70 @@ ${utilityInjection}
     .map((file) => `./build/resolvers/${file}`);
 }
 
+/**
+ * Process mesh hook files from resolvers-src/hooks/ into build/hooks/
+ * Hooks get the same configuration and utility injection as resolvers
+ * @returns {Array} Processed hook paths (./build/hooks/<file>)
+ */
+function processHooks() {
+  const hooksDir = path.join(__dirname, '..', 'resolvers-src', 'hooks');
+  const processedDir = path.join(__dirname, '..', 'build', 'hooks');
+  if (!fs.existsSync(hooksDir)) {
+    return [];
+  }
+  fs.mkdirSync(processedDir, { recursive: true });
+
+  const config = { facetMappings: loadFacetMappings(), storeLocales: loadStoreLocales() };
+  const utilities = loadUtilityModules();
+
+  return fs
+    .readdirSync(hooksDir)
+    .filter((file) => file.endsWith('.js'))
+    .sort()
+    .map((file) => {
+      const content = fs.readFileSync(path.join(hooksDir, file), 'utf8');
+      fs.writeFileSync(
+        path.join(processedDir, file),
+        injectModuleSource(content, utilities, config, `hooks/${file}`),
+        'utf8'
+      );
+      return `./build/hooks/${file}`;
+    });
+}
+
+/**
+ * Add the response timings hook to the mesh plugins when responseTimings.enabled is set
+ * @param {object} meshConfig - mesh.config.js export
+ * @param {Array} hookFiles - Processed hook paths from processHooks()
+ * @returns {Array|undefined} meshConfig.plugins for mesh.json
+ */
+function applyResponseTimings(meshConfig, hookFiles) {
+  const plugins = meshConfig.meshConfig.plugins;
+  if (meshConfig.responseTimings?.enabled !== true) {
+    return plugins;
+  }
+
+  const hookFile = hookFiles.find((file) => file.endsWith('/response-timings.js'));
+  if (!hookFile) {
+    throw new Error(
+      'responseTimings is enabled but resolvers-src/hooks/response-timings.js is missing'
+    );
+  }
+
+  return [
+    ...(plugins || []),
+    { hooks: { afterAll: { composer: `${hookFile}#addResponseTimings`, blocking: true } } },
+  ];
+}
+
 /**
  * Get hash of source files to detect changes
  * Dynamically discovers all files like the build process does
+ * @param {object} options - { production } so switching build modes always rebuilds
  */
-function getMeshSourceHash() {
+function getMeshSourceHash(options = {}) {
   try {
-    let combinedContent = '';
+    let combinedContent = options.production ? 'production' : '';
 
     // 1. Include mesh config
     const meshConfigPath = path.join(__dirname, '..', 'mesh.config.js');
@@ -417,6 +520,17 @@ function getMeshSourceHash() {
         const filePath = path.join(schemaDir, file);
         combinedContent += fs.readFileSync(filePath, 'utf8');
       }
+
+      // Source schema snapshots used for selection set validation
+      const sourcesDir = path.join(schemaDir, 'sources');
+      if (fs.existsSync(sourcesDir)) {
+        fs.readdirSync(sourcesDir)
+          .filter((file) => file.endsWith('.graphql'))
+          .sort()
+          .forEach((file) => {
+            combinedContent += fs.readFileSync(path.join(sourcesDir, file), 'utf8');
+          });
+      }
     }
 
     // 3. Include all resolver source files (matches processResolversWithMappings logic)
@@ -446,25 +560,31 @@ function getMeshSourceHash() {
       }
     }
 
-    // 4. Include all utility files (matches loadUtilityModules logic)
-    const utilsDir = path.join(__dirname, '..', 'resolvers-src', 'utils');
-    if (fs.existsSync(utilsDir)) {
-      const utilFiles = fs
-        .readdirSync(utilsDir)
-        .filter((file) => file.endsWith('.js') && !file.includes('facet-mapper'))
-        .sort();
+    // 4. Include all utility and hook files (matches loadUtilityModules and processHooks logic)
+    ['utils', 'hooks'].forEach((dir) => {
+      const moduleDir = path.join(__dirname, '..', 'resolvers-src', dir);
+      if (!fs.existsSync(moduleDir)) return;
 
-      for (const file of utilFiles) {
-        const filePath = path.join(utilsDir, file);
-        combinedContent += fs.readFileSync(filePath, 'utf8');
+      fs.readdirSync(moduleDir)
+        .filter((file) => file.endsWith('.js'))
+        .sort()
+        .forEach((file) => {
+          combinedContent += fs.readFileSync(path.join(moduleDir, file), 'utf8');
+        });
+    });
+
+    // 5. Include injected configuration
+    ['facet-mappings.json', 'store-locales.json'].forEach((file) => {
+      const configPath = path.join(__dirname, '..', 'config', file);
+      if (fs.existsSync(configPath)) {
+        combinedContent += fs.readFileSync(configPath, 'utf8');
       }
-    }
+    });
 
-    // 5. Include facet mappings
-    const mappingsPath = path.join(__dirname, '..', 'config', 'facet-mappings.json');
-    if (fs.existsSync(mappingsPath)) {
-      combinedContent += fs.readFileSync(mappingsPath, 'utf8');
-    }
+    // 6. Include persisted storefront operations
+    loadOperationFiles(OPERATIONS_DIR).forEach(({ content }) => {
+      combinedContent += content;
+    });
 
     return crypto.createHash('md5').update(combinedContent).digest('hex');
   } catch (error) {
@@ -510,7 +630,11 @@ function parseArgs(args) {
   return parsed;
 }
 
-async function generateMeshConfig() {
+/**
+ * Generate mesh.json and persisted-operations.json
+ * @param {object} options - { production } enables persistedOnlyInProduction
+ */
+async function generateMeshConfig(options = {}) {
   const spinner = ora({
     text: format.muted('Generating mesh configuration'),
     spinner: 'dots',
@@ -537,24 +661,66 @@ async function generateMeshConfig() {
 
     // Combine schema files
     spinner.text = format.muted('Combining GraphQL schema files');
-    const combinedSchema = combineSchemaFiles();
+    const schemaFiles = loadSchemaFiles();
+    const combinedSchema = combineSchemaFiles(schemaFiles);
+
+    // Storefront operations become the persisted operation manifest, written with mesh.json
+    spinner.text = format.muted('Compiling persisted operations');
+    const { operations, manifest } = compileOperations(combinedSchema);
+    const persistedOnly =
+      options.production === true &&
+      meshConfig.persistedOperations?.persistedOnlyInProduction === true;
 
     // Process resolver files with facet mappings
     spinner.text = format.muted('Injecting facet mappings into resolvers');
-    const resolverFiles = processResolversWithMappings();
+    const resolverFiles = processResolversWithMappings({
+      persistedOperationSignatures: persistedOnly
+        ? operations.map((operation) => operation.signature)
+        : undefined,
+    });
+
+    // Check the schema and resolvers agree before writing mesh.json
+    spinner.text = format.muted('Validating schema and resolvers');
+    const warnings = [
+      ...validateMeshSchema(schemaFiles, resolverFiles, meshConfig.meshConfig),
+      ...validateResolverSelections(resolverFiles, meshConfig.meshConfig),
+    ];
+
+    // Per-operation cache TTLs become @cacheControl directives
+    spinner.text = format.muted('Applying cache rules');
+    const cachedSchema = applyMeshCacheRules(meshConfig, combinedSchema);
+
+    // Persisted-only meshes don't expose the raw source fields, which no guard covers
+    if (persistedOnly) {
+      meshConfig.meshConfig.transforms = restrictSchemaFilters(meshConfig.meshConfig.transforms);
+    }
 
     // Add the combined schema and resolvers to the config
-    meshConfig.meshConfig.additionalTypeDefs = combinedSchema;
+    meshConfig.meshConfig.additionalTypeDefs = cachedSchema;
     meshConfig.meshConfig.additionalResolvers = resolverFiles;
 
+    // Mesh hooks, currently the response timings
+    spinner.text = format.muted('Processing mesh hooks');
+    const plugins = applyResponseTimings(meshConfig, processHooks());
+    if (plugins) {
+      meshConfig.meshConfig.plugins = plugins;
+    }
+
     // Write the configuration to mesh.json
+    // (cacheRules, persistedOperations and responseTimings are build input only)
     const meshJsonPath = path.join(__dirname, '..', 'mesh.json');
-    fs.writeFileSync(meshJsonPath, JSON.stringify(meshConfig, null, 2), 'utf8');
+    fs.writeFileSync(
+      meshJsonPath,
+      JSON.stringify({ meshConfig: meshConfig.meshConfig }, null, 2),
+      'utf8'
+    );
 
     // Verify the output is valid JSON
     const written = fs.readFileSync(meshJsonPath, 'utf8');
     JSON.parse(written);
 
+    writePersistedOperations(manifest);
+
     spinner.stop();
     console.log(format.success('Mesh configuration generated (mesh.json)'));
     console.log(
@@ -562,6 +728,21 @@ async function generateMeshConfig() {
     );
     console.log(format.muted(`  - Processed ${resolverFiles.length} resolvers`));
     console.log(format.muted('  - Injected facet mappings for SEO-friendly URLs'));
+    console.log(format.muted('  - Validated schema and selection sets against resolvers'));
+    console.log(format.muted('  - Applied cache rules'));
+    console.log(
+      format.muted(
+        `  - Compiled ${operations.length} persisted operations (persisted-operations.json)`
+      )
+    );
+    if (persistedOnly) {
+      console.log(format.muted('  - Restricted resolvers to persisted operations'));
+      console.log(format.muted('  - Removed the raw source fields from the schema'));
+    }
+    if (meshConfig.responseTimings?.enabled === true) {
+      console.log(format.muted('  - Added the response timings hook'));
+    }
+    warnings.forEach((warning) => console.log(format.warning(warning)));
 
     return true;
   } catch (error) {
@@ -582,6 +763,9 @@ Options:
   --help          Show this help message
   --force         Force rebuild even if no changes detected
   --watch         Watch for changes and rebuild automatically
+  --prod          Production build: only serve persisted operations and no raw
+                  source fields when persistedOperations.persistedOnlyInProduction
+                  is set
 
 This script converts mesh.config.js and schema/*.graphql 
 files into the mesh.json format required by Adobe API Mesh.
@@ -595,7 +779,8 @@ files into the mesh.json format required by Adobe API Mesh.
 
   try {
     // Check if rebuild is needed
-    const currentHash = getMeshSourceHash();
+    const production = args.prod === true || args.production === true;
+    const currentHash = getMeshSourceHash({ production });
     const storedHash = getStoredMeshHash();
 
     if (!args.force && currentHash === storedHash) {
@@ -605,7 +790,7 @@ files into the mesh.json format required by Adobe API Mesh.
     }
 
     // Generate mesh configuration
-    const success = await generateMeshConfig();
+    const success = await generateMeshConfig({ production });
 
     if (success) {
       // Store the hash for next time
@@ -633,4 +818,16 @@ if (require.main === module) {
   });
 }
 
-module.exports = { generateMeshConfig, getMeshSourceHash };
+module.exports = {
+  generateMeshConfig,
+  loadSchemaFiles,
+  combineSchemaFiles,
+  getMeshSourceHash,
+  loadUtilityModules,
+  loadFacetMappings,
+  loadStoreLocales,
+  detectUsedFunctions,
+  buildUtilityInjection,
+  injectResolverSource,
+  injectModuleSource,
+};
@@ -0,0 +1,155 @@
+/**
+ * Build-time response cache rules
+ *
+ * mesh.config.js declares a TTL per Citisignal query in `cacheRules`. The build checks
+ * them against the schema and writes them into mesh.json:
+ *
+ * - Each ruled Query field gets `@cacheControl(maxAge: <seconds>)`, 0 means never cached
+ * - Per-request fields (`_debug`) get `@cacheControl(maxAge: 0)`, so a response that
+ *   selects them is never cached and never served to another client
+ * - Citisignal_Error gets `@cacheControl(maxAge: 0)`, so a response that reports an
+ *   upstream failure is never cached (see withUncachedDegradation in cache-utils.js)
+ * - `responseConfig.cache` is enabled when any operation is cached
+ *
+ * Every Citisignal_* query needs a rule, so a new query is never cached by accident.
+ * Mutations are never cached and cannot have rules.
+ */
+
+const { parse, Kind } = require('graphql');
+
+const CACHE_CONTROL_DIRECTIVE =
+  'directive @cacheControl(maxAge: Int) on FIELD_DEFINITION | OBJECT | INTERFACE';
+const CUSTOM_FIELD_PREFIX = 'Citisignal_';
+
+// Fields whose value belongs to one request, on any type
+const UNCACHED_FIELDS = ['_debug'];
+
+// Types whose presence in a response means it must not be cached
+const UNCACHED_TYPES = ['Citisignal_Error'];
+
+/**
+ * Find the Query and Mutation fields declared in the combined schema
+ * @param {string} typeDefs - Combined schema
+ * @returns {object} { Query: [FieldDefinitionNode], Mutation: [FieldDefinitionNode] }
+ */
+function findRootFields(typeDefs) {
+  const rootFields = { Query: [], Mutation: [] };
+
+  parse(typeDefs).definitions.forEach((node) => {
+    const isObjectType =
+      node.kind === Kind.OBJECT_TYPE_DEFINITION || node.kind === Kind.OBJECT_TYPE_EXTENSION;
+    if (isObjectType && rootFields[node.name.value]) {
+      rootFields[node.name.value].push(...(node.fields || []));
+    }
+  });
+
+  return rootFields;
+}
+
+/**
+ * Find the fields named in UNCACHED_FIELDS on every object type
+ * @param {string} typeDefs - Combined schema
+ * @returns {Array} [FieldDefinitionNode]
+ */
+function findUncachedFields(typeDefs) {
+  return parse(typeDefs)
+    .definitions.filter(
+      (node) =>
+        node.kind === Kind.OBJECT_TYPE_DEFINITION || node.kind === Kind.OBJECT_TYPE_EXTENSION
+    )
+    .flatMap((node) => node.fields || [])
+    .filter((field) => UNCACHED_FIELDS.includes(field.name.value));
+}
+
+/**
+ * Find the object type definitions named in UNCACHED_TYPES
+ * @param {string} typeDefs - Combined schema
+ * @returns {Array} [ObjectTypeDefinitionNode]
+ */
+function findUncachedTypes(typeDefs) {
+  return parse(typeDefs).definitions.filter(
+    (node) => node.kind === Kind.OBJECT_TYPE_DEFINITION && UNCACHED_TYPES.includes(node.name.value)
+  );
+}
+
+/**
+ * Check cache rules against the schema
+ * @param {object} cacheRules - { [queryField]: { maxAge } }, maxAge in seconds
+ * @param {string} typeDefs - Combined schema
+ * @returns {string[]} Errors
+ */
+function validateCacheRules(cacheRules, typeDefs) {
+  const rootFields = findRootFields(typeDefs);
+  const queryNames = rootFields.Query.map((field) => field.name.value);
+  const mutationNames = rootFields.Mutation.map((field) => field.name.value);
+  const errors = [];
+
+  Object.entries(cacheRules).forEach(([name, rule]) => {
+    const maxAge = rule?.maxAge;
+
+    if (mutationNames.includes(name)) {
+      errors.push(`cacheRules.${name}: mutations are never cached`);
+    } else if (!queryNames.includes(name)) {
+      errors.push(`cacheRules.${name}: no Query field named ${name}`);
+    } else if (!Number.isInteger(maxAge) || maxAge < 0) {
+      errors.push(`cacheRules.${name}: maxAge must be a whole number of seconds, 0 or more`);
+    }
+  });
+
+  queryNames
+    .filter((name) => name.startsWith(CUSTOM_FIELD_PREFIX) && !(name in cacheRules))
+    .forEach((name) => {
+      errors.push(`cacheRules has no rule for ${name} (use 0 for responses that are never cached)`);
+    });
+
+  return errors;
+}
+
+/**
+ * Add @cacheControl directives for the cache rules to the combined schema
+ * Directives are inserted after each field's type so the rest of the schema is unchanged
+ * @param {string} typeDefs - Combined schema
+ * @param {object} cacheRules - Validated cache rules
+ * @returns {string} Schema with directives and the directive definition
+ */
+function applyCacheRules(typeDefs, cacheRules) {
+  const insertions = [
+    ...findRootFields(typeDefs)
+      .Query.filter((field) => field.name.value in cacheRules)
+      .map((field) => ({
+        position: field.type.loc.end,
+        text: ` @cacheControl(maxAge: ${cacheRules[field.name.value].maxAge})`,
+      })),
+    ...findUncachedFields(typeDefs).map((field) => ({
+      position: field.type.loc.end,
+      text: ' @cacheControl(maxAge: 0)',
+    })),
+    // Type directives follow the implemented interfaces
+    ...findUncachedTypes(typeDefs).map((type) => ({
+      position: (type.interfaces.at(-1) || type.name).loc.end,
+      text: ' @cacheControl(maxAge: 0)',
+    })),
+  ].sort((a, b) => b.position - a.position);
+
+  const withDirectives = insertions.reduce(
+    (schema, { position, text }) => schema.slice(0, position) + text + schema.slice(position),
+    typeDefs
+  );
+
+  return `${CACHE_CONTROL_DIRECTIVE}\n\n${withDirectives}`;
+}
+
+/**
+ * Whether any operation is cached, which turns on the mesh response cache
+ * @param {object} cacheRules - Validated cache rules
+ * @returns {boolean}
+ */
+function hasCachedOperations(cacheRules) {
+  return Object.values(cacheRules).some((rule) => rule.maxAge > 0);
+}
+
+module.exports = {
+  validateCacheRules,
+  applyCacheRules,
+  hasCachedOperations,
+};
@@ -0,0 +1,47 @@
+/**
+ * API Mesh secrets
+ *
+ * Values resolvers read at runtime from context.secrets instead of having them built
+ * into mesh.json. update-mesh.js passes them to `aio api-mesh:update --secrets` from a
+ * short-lived YAML file, and the local mesh reads them from the environment.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Environment variables sent to the mesh as secrets of the same name
+const MESH_SECRET_NAMES = ['MESH_DEBUG_SECRET'];
+
+const SECRETS_FILE = path.join(__dirname, '..', '..', 'build', 'mesh-secrets.yaml');
+
+/**
+ * Read the mesh secrets that are set in the environment
+ * @param {object} env - Environment to read, process.env by default
+ * @returns {object} Secret values by name, unset and empty ones left out
+ */
+function loadMeshSecrets(env = process.env) {
+  return Object.fromEntries(
+    MESH_SECRET_NAMES.filter((name) => typeof env[name] === 'string' && env[name] !== '').map(
+      (name) => [name, env[name]]
+    )
+  );
+}
+
+/**
+ * Write secrets as the YAML file `aio api-mesh:update --secrets` takes
+ * Values are written as JSON strings, which YAML reads as double-quoted scalars.
+ * @param {object} secrets - Secret values by name
+ * @param {string} filePath - File to write, readable by the current user only
+ * @returns {string|null} The written file, null when there are no secrets to send
+ */
+function writeSecretsFile(secrets, filePath = SECRETS_FILE) {
+  const entries = Object.entries(secrets);
+  if (entries.length === 0) return null;
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const yaml = entries.map(([name, value]) => `${name}: ${JSON.stringify(value)}`).join('\n');
+  fs.writeFileSync(filePath, `${yaml}\n`, { mode: 0o600 });
+  return filePath;
+}
+
+module.exports = { MESH_SECRET_NAMES, SECRETS_FILE, loadMeshSecrets, writeSecretsFile };
@@ -0,0 +1,246 @@
+/**
+ * Persisted operations for the storefront
+ *
+ * The storefront's operations live in operations/*.graphql, one named operation per file.
+ * The build validates them against the mesh schema and compiles them into
+ * persisted-operations.json, a manifest of sha256 hash -> document. API Mesh does not
+ * look up hashes itself: resolvePersistedRequest swaps a hash (GET ?documentId=<hash>)
+ * for its document, in the local mesh and in the proxy in front of the deployed mesh
+ * (persisted-proxy.js).
+ *
+ * Production builds can also restrict the mesh to these operations: each root resolver
+ * checks the operation's signature against the persisted ones (see
+ * resolvers-src/utils/persisted-operations.js), and the raw source fields the filterSchema
+ * transform exposes next to the Citisignal ones are removed, since no resolver of ours
+ * could check them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { parse, print, validate, Kind } = require('graphql');
+const { printOperationSignature } = require('../../resolvers-src/utils/persisted-operations');
+
+const OPERATIONS_DIR = path.join(__dirname, '..', '..', 'operations');
+
+/**
+ * Read all .graphql files from the operations directory
+ * @param {string} dir - Operations directory
+ * @returns {Array} [{ file, content }] sorted by file name
+ */
+function loadOperationFiles(dir = OPERATIONS_DIR) {
+  if (!fs.existsSync(dir)) return [];
+
+  return fs
+    .readdirSync(dir)
+    .filter((file) => file.endsWith('.graphql'))
+    .sort()
+    .map((file) => ({ file, content: fs.readFileSync(path.join(dir, file), 'utf8') }));
+}
+
+/**
+ * Hash of a persisted document, the id clients send instead of the document
+ * @param {string} document - Printed document
+ * @returns {string} Hex sha256
+ */
+function hashDocument(document) {
+  return crypto.createHash('sha256').update(document).digest('hex');
+}
+
+/**
+ * Compile operation files into the persisted operation manifest
+ * @param {Array} files - [{ file, content }] from loadOperationFiles()
+ * @param {GraphQLSchema} schema - Schema to validate operations against
+ * @returns {object} { operations: [{ file, name, type, hash, signature }], manifest, errors }
+ */
+function compilePersistedOperations(files, schema) {
+  const operations = [];
+  const manifest = {};
+  const errors = [];
+
+  files.forEach(({ file, content }) => {
+    let document;
+    try {
+      document = parse(content);
+    } catch (error) {
+      errors.push(`${file}: ${error.message}`);
+      return;
+    }
+
+    const definitions = document.definitions.filter(
+      (definition) => definition.kind === Kind.OPERATION_DEFINITION
+    );
+    if (definitions.length !== 1 || !definitions[0].name) {
+      errors.push(`${file}: must contain exactly one named operation`);
+      return;
+    }
+
+    const [definition] = definitions;
+    const name = definition.name.value;
+    const duplicate = operations.find((operation) => operation.name === name);
+    if (duplicate) {
+      errors.push(`${file}: operation ${name} is already defined in ${duplicate.file}`);
+      return;
+    }
+
+    const validationErrors = validate(schema, document);
+    if (validationErrors.length > 0) {
+      validationErrors.forEach((error) => errors.push(`${file}: ${error.message}`));
+      return;
+    }
+
+    const fragments = Object.fromEntries(
+      document.definitions
+        .filter((node) => node.kind === Kind.FRAGMENT_DEFINITION)
+        .map((node) => [node.name.value, node])
+    );
+    const printed = print(document);
+    const hash = hashDocument(printed);
+
+    manifest[hash] = printed;
+    operations.push({
+      file,
+      name,
+      type: definition.operation,
+      hash,
+      signature: printOperationSignature(definition, fragments),
+    });
+  });
+
+  return { operations, manifest, errors };
+}
+
+/**
+ * Parse a GET query parameter that carries JSON
+ */
+function parseJsonParam(value, name) {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    throw new Error(`${name} must be valid JSON`);
+  }
+}
+
+/**
+ * Turn a request into the document to execute
+ * Accepts `documentId` or the Apollo style `extensions.persistedQuery.sha256Hash`, as
+ * POST body fields or GET query parameters (where extensions and variables are JSON).
+ * @param {object} request - { query, documentId, extensions, variables, operationName }
+ * @param {object} manifest - hash -> document from persisted-operations.json
+ * @param {object} options - { persistedOnly } rejects requests that send a document
+ * @returns {object} { query, variables, operationName, hash }
+ */
+function resolvePersistedRequest(request, manifest, options = {}) {
+  const extensions = parseJsonParam(request.extensions, 'extensions');
+  const variables = parseJsonParam(request.variables, 'variables') || {};
+  const hash = request.documentId || extensions?.persistedQuery?.sha256Hash;
+
+  if (!hash) {
+    if (options.persistedOnly) {
+      throw new Error('Only persisted operations are allowed (send documentId)');
+    }
+    if (!request.query) {
+      throw new Error('Request has no query or documentId');
+    }
+    return { query: request.query, variables, operationName: request.operationName };
+  }
+
+  if (!Object.prototype.hasOwnProperty.call(manifest, hash)) {
+    throw new Error(`PersistedQueryNotFound: ${hash}`);
+  }
+
+  return { query: manifest[hash], variables, operationName: request.operationName, hash };
+}
+
+// Root fields a persisted-only mesh exposes; resolvers still reach the source fields
+// through context.<Source>, which the unified schema's filters don't apply to
+const PERSISTED_ONLY_ROOT_FILTERS = ['Query.{Citisignal_*}', 'Mutation.{Citisignal_*}'];
+
+/**
+ * Turn a filterSchema field pattern like "Citisignal_*" into a regular expression
+ * @param {string} pattern - Field name, * matches any characters
+ * @returns {RegExp}
+ */
+function fieldPatternToRegExp(pattern) {
+  const escaped = pattern.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`^${escaped.join('.*')}$`);
+}
+
+/**
+ * Whether filterSchema filters like "Query.{Citisignal_*, Commerce_categoryList}" keep a
+ * root field
+ * @param {string[]} filters - filterSchema filters
+ * @param {string} typeName - Query or Mutation
+ * @param {string} fieldName - Root field name
+ * @returns {boolean}
+ */
+function isRootFieldExposed(filters, typeName, fieldName) {
+  const typeFilters = filters.filter((filter) => filter.startsWith(`${typeName}.`));
+  // Root types without a filter keep all their fields
+  if (typeFilters.length === 0) return true;
+
+  return typeFilters.some((filter) => {
+    const [, negated, list] = filter.slice(typeName.length + 1).match(/^(!?)\{?([^}]*)\}?$/);
+    const matches = list
+      .split(',')
+      .some((pattern) => fieldPatternToRegExp(pattern.trim()).test(fieldName));
+    return negated ? !matches : matches;
+  });
+}
+
+/**
+ * Limit the unified schema's root fields to the Citisignal ones for persisted-only builds
+ * Replaces the Query and Mutation filters of the filterSchema transform, other filters stay.
+ * @param {Array} transforms - meshConfig.transforms
+ * @returns {Array} Transforms with the restricted filterSchema
+ */
+function restrictSchemaFilters(transforms = []) {
+  const hasFilterSchema = transforms.some((transform) => transform.filterSchema);
+  const restricted = transforms.map((transform) => {
+    if (!transform.filterSchema) return transform;
+
+    const typeFilters = (transform.filterSchema.filters || []).filter(
+      (filter) => !/^(Query|Mutation)\./.test(filter)
+    );
+    return {
+      ...transform,
+      filterSchema: {
+        ...transform.filterSchema,
+        filters: [...PERSISTED_ONLY_ROOT_FILTERS, ...typeFilters],
+      },
+    };
+  });
+
+  return hasFilterSchema
+    ? restricted
+    : [...restricted, { filterSchema: { mode: 'bare', filters: PERSISTED_ONLY_ROOT_FILTERS } }];
+}
+
+/**
+ * Code appended to a resolver so it only serves persisted operations
+ * @param {string[]} signatures - Signatures of the persisted operations
+ * @returns {string} Source that wraps module.exports.resolvers
+ */
+function buildPersistedOnlyGuard(signatures) {
+  return `
+// ============================================================================
+// INJECTED PERSISTED OPERATIONS - Added during production builds from operations/
+// ============================================================================
+module.exports.resolvers = requirePersistedOperations(
+  module.exports.resolvers,
+  ${JSON.stringify(signatures, null, 2).replace(/\n/g, '\n  ')}
+);
+`;
+}
+
+module.exports = {
+  OPERATIONS_DIR,
+  loadOperationFiles,
+  hashDocument,
+  compilePersistedOperations,
+  resolvePersistedRequest,
+  isRootFieldExposed,
+  restrictSchemaFilters,
+  buildPersistedOnlyGuard,
+};
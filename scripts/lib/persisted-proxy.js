@@ -0,0 +1,139 @@
+/**
+ * Persisted operation lookup in front of the deployed mesh
+ *
+ * API Mesh only executes full documents. The proxy takes the storefront's requests,
+ * swaps a hash (GET ?documentId=<sha256>, or Apollo's extensions.persistedQuery) for its
+ * document from persisted-operations.json and forwards the request to the mesh as a POST.
+ * Requests that already carry a document are forwarded unchanged unless persistedOnly is
+ * set. The response gets the cacheTags of its results as a Surrogate-Key header
+ * (surrogate-keys.js).
+ *
+ * The handler takes and returns Fetch API Request/Response objects, so it runs in
+ * scripts/persisted-proxy.js (npm run proxy) or in an edge worker.
+ */
+
+/* global Headers, Response, URL */
+
+const { resolvePersistedRequest } = require('./persisted-operations');
+const { surrogateKeyHeaders } = require('./surrogate-keys');
+
+// Request headers that describe the incoming connection rather than the request
+const SKIPPED_REQUEST_HEADERS = ['host', 'connection', 'content-length', 'accept-encoding'];
+
+// Response headers that no longer match once fetch has decoded the body
+const SKIPPED_RESPONSE_HEADERS = ['content-encoding', 'content-length', 'transfer-encoding'];
+
+/**
+ * Copy headers without the given ones
+ * @param {Headers} headers - Headers to copy
+ * @param {string[]} skipped - Lowercase header names to leave out
+ * @returns {Headers}
+ */
+function copyHeaders(headers, skipped) {
+  const copy = new Headers();
+  headers.forEach((value, name) => {
+    if (!skipped.includes(name)) copy.set(name, value);
+  });
+  return copy;
+}
+
+/**
+ * Read the GraphQL request parameters of a GET or POST request
+ * @param {Request} request - Incoming request
+ * @returns {Promise<object>} { query, documentId, extensions, variables, operationName }
+ */
+async function readRequestParams(request) {
+  if (request.method === 'GET') {
+    return Object.fromEntries(new URL(request.url).searchParams);
+  }
+
+  try {
+    return await request.json();
+  } catch {
+    throw new Error('Request body must be JSON');
+  }
+}
+
+/**
+ * Parse a mesh response body
+ * @param {string} text - Response body
+ * @returns {object|null} Parsed body, null when it is not JSON
+ */
+function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * JSON response in the shape of a GraphQL error
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ * @returns {Response}
+ */
+function errorResponse(status, message) {
+  return new Response(JSON.stringify({ errors: [{ message }] }), {
+    status,
+    headers: { 'content-type': 'application/json' },
+  });
+}
+
+/**
+ * Create the request handler
+ * @param {object} options - { manifest, meshUrl, persistedOnly, fetch } - manifest is
+ *   persisted-operations.json, meshUrl the deployed mesh's GraphQL endpoint
+ * @returns {Function} async (Request) => Response
+ */
+function createPersistedProxy(options) {
+  const { manifest, meshUrl, persistedOnly = false } = options;
+  const fetchMesh = options.fetch || globalThis.fetch;
+
+  return async (request) => {
+    const headers = copyHeaders(request.headers, SKIPPED_REQUEST_HEADERS);
+
+    // CORS preflights are answered by the mesh (responseConfig.CORS)
+    if (request.method === 'OPTIONS') {
+      const response = await fetchMesh(meshUrl, { method: 'OPTIONS', headers });
+      return new Response(null, {
+        status: response.status,
+        headers: copyHeaders(response.headers, SKIPPED_RESPONSE_HEADERS),
+      });
+    }
+
+    if (request.method !== 'GET' && request.method !== 'POST') {
+      return errorResponse(405, `Method ${request.method} is not allowed`);
+    }
+
+    let resolved;
+    try {
+      resolved = resolvePersistedRequest(await readRequestParams(request), manifest, {
+        persistedOnly,
+      });
+    } catch (error) {
+      return errorResponse(400, error.message);
+    }
+
+    headers.set('content-type', 'application/json');
+    const response = await fetchMesh(meshUrl, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        query: resolved.query,
+        variables: resolved.variables,
+        operationName: resolved.operationName,
+      }),
+    });
+
+    const text = await response.text();
+    const responseHeaders = copyHeaders(response.headers, SKIPPED_RESPONSE_HEADERS);
+    Object.entries(surrogateKeyHeaders(parseJson(text))).forEach(([name, value]) =>
+      responseHeaders.set(name, value)
+    );
+
+    return new Response(text, { status: response.status, headers: responseHeaders });
+  };
+}
+
+module.exports = { createPersistedProxy };
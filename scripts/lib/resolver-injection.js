@@ -0,0 +1,324 @@
+/**
+ * Resolver dependency analysis for build-time utility injection
+ *
+ * API Mesh resolvers must be self-contained files, so the build copies the utility
+ * functions each resolver needs from resolvers-src/utils/ into it. This module parses
+ * resolvers and utilities, resolves every free identifier against the utility exports,
+ * and returns the reachable declarations in dependency order.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const espree = require('espree');
+const eslintScope = require('eslint-scope');
+const globals = require('globals');
+
+const ECMA_VERSION = 2022;
+const UTILS_DIR = path.join(__dirname, '..', '..', 'resolvers-src', 'utils');
+
+// Identifiers the mesh runtime provides to every resolver
+// (globals.builtin leaves out Intl, which ESLint and the runtime both provide)
+const RUNTIME_GLOBALS = new Set([
+  ...Object.keys(globals.builtin),
+  'Intl',
+  'console',
+  'module',
+  'exports',
+]);
+
+// Injected separately from config/facet-mappings.json and config/store-locales.json
+const CONFIG_NAMES = [
+  'FACET_MAPPINGS',
+  'attributeCodeToUrlKey',
+  'urlKeyToAttributeCode',
+  'STORE_LOCALES',
+];
+
+/**
+ * Parse a CommonJS source file and analyze its scopes
+ * @param {string} source - File content
+ * @param {string} file - File name for error messages
+ * @returns {object} { ast, scopeManager, moduleScope }
+ */
+function analyzeScopes(source, file) {
+  let ast;
+  try {
+    ast = espree.parse(source, {
+      ecmaVersion: ECMA_VERSION,
+      sourceType: 'script',
+      range: true,
+      loc: true,
+    });
+  } catch (error) {
+    throw new Error(`${file}:${error.lineNumber}: ${error.message}`);
+  }
+
+  // 'commonjs' wraps the program in a function scope, like Node's module wrapper
+  const scopeManager = eslintScope.analyze(ast, {
+    ecmaVersion: ECMA_VERSION,
+    sourceType: 'commonjs',
+  });
+
+  return { ast, scopeManager, moduleScope: scopeManager.globalScope.childScopes[0] };
+}
+
+/**
+ * Names declared by a top-level statement (const/let/var, function, class)
+ */
+function declaredNames(statement) {
+  if (statement.type === 'VariableDeclaration') {
+    return statement.declarations
+      .filter((declarator) => declarator.id.type === 'Identifier')
+      .map((declarator) => declarator.id.name);
+  }
+  if (
+    (statement.type === 'FunctionDeclaration' || statement.type === 'ClassDeclaration') &&
+    statement.id
+  ) {
+    return [statement.id.name];
+  }
+  return [];
+}
+
+/**
+ * Every reference in the file, classified as module-level or free (unresolved)
+ * @returns {Array} [{ name, position, line, column, moduleLevel }]
+ */
+function collectReferences(scopeManager, moduleScope) {
+  const references = [];
+
+  scopeManager.scopes.forEach((scope) => {
+    scope.references.forEach((reference) => {
+      const resolvedScope = reference.resolved?.scope;
+      if (resolvedScope && resolvedScope !== moduleScope) return;
+
+      references.push({
+        name: reference.identifier.name,
+        position: reference.identifier.range[0],
+        line: reference.identifier.loc.start.line,
+        column: reference.identifier.loc.start.column + 1,
+        moduleLevel: Boolean(resolvedScope),
+      });
+    });
+  });
+
+  return references.sort((a, b) => a.position - b.position);
+}
+
+/**
+ * Analyze a utility module: its top-level declarations, their dependencies and exports
+ * @param {string} source - Module content
+ * @param {string} file - File name for error messages
+ * @returns {object} { file, declarations, exports, selfContained }
+ */
+function analyzeUtilityModule(source, file) {
+  const { ast, scopeManager, moduleScope } = analyzeScopes(source, file);
+
+  const declarations = new Map();
+  ast.body.forEach((statement) => {
+    const names = declaredNames(statement);
+    const declaration = {
+      names,
+      code: source.slice(statement.range[0], statement.range[1]),
+      range: statement.range,
+      dependencies: new Set(),
+      freeReferences: [],
+    };
+    names.forEach((name) => declarations.set(name, declaration));
+  });
+
+  const declarationAt = (position) =>
+    [...declarations.values()].find(({ range }) => position >= range[0] && position < range[1]);
+
+  const references = collectReferences(scopeManager, moduleScope);
+  references.forEach((reference) => {
+    const declaration = declarationAt(reference.position);
+    if (!declaration || declaration.names.includes(reference.name)) return;
+
+    if (reference.moduleLevel) {
+      declaration.dependencies.add(reference.name);
+    } else {
+      declaration.freeReferences.push(reference);
+    }
+  });
+
+  // module.exports = { name, ... } - only shorthand exports can be injected by name
+  const exports = new Set();
+  ast.body.forEach((statement) => {
+    const expression = statement.type === 'ExpressionStatement' && statement.expression;
+    const isModuleExports =
+      expression?.type === 'AssignmentExpression' &&
+      expression.left.type === 'MemberExpression' &&
+      expression.left.object.name === 'module' &&
+      expression.left.property.name === 'exports' &&
+      expression.right.type === 'ObjectExpression';
+    if (!isModuleExports) return;
+
+    expression.right.properties.forEach((property) => {
+      const exportName = property.key?.name;
+      const localName = property.value?.name;
+      if (!exportName || exportName !== localName || !declarations.has(localName)) {
+        throw new Error(
+          `${file}:${property.loc.start.line}: utility exports must be top-level declarations exported by name`
+        );
+      }
+      exports.add(exportName);
+    });
+  });
+
+  // Modules that require() other files can't be copied into a resolver
+  const selfContained = !references.some(
+    (reference) => !reference.moduleLevel && reference.name === 'require'
+  );
+
+  return { file, declarations, exports, selfContained };
+}
+
+/**
+ * Load and analyze the utility modules in resolvers-src/utils/
+ * Modules that aren't self-contained (module-level require) are skipped.
+ * @param {string} utilsDir - Defaults to resolvers-src/utils/
+ * @returns {object} Map of module names to analyzed modules
+ */
+function loadUtilityModules(utilsDir = UTILS_DIR) {
+  const utilities = {};
+
+  if (!fs.existsSync(utilsDir)) {
+    return utilities;
+  }
+
+  fs.readdirSync(utilsDir)
+    .filter((file) => file.endsWith('.js'))
+    .sort()
+    .forEach((file) => {
+      const source = fs.readFileSync(path.join(utilsDir, file), 'utf8');
+      const analyzed = analyzeUtilityModule(source, `utils/${file}`);
+      if (analyzed.selfContained) {
+        utilities[file.replace('.js', '')] = analyzed;
+      }
+    });
+
+  return utilities;
+}
+
+/**
+ * Map each exported utility name to the module that exports it
+ */
+function indexExports(utilities) {
+  const exportIndex = new Map();
+
+  Object.entries(utilities).forEach(([moduleName, module]) => {
+    module.exports.forEach((name) => {
+      if (exportIndex.has(name)) {
+        throw new Error(
+          `${name} is exported by both ${exportIndex.get(name)}.js and ${moduleName}.js`
+        );
+      }
+      exportIndex.set(name, moduleName);
+    });
+  });
+
+  return exportIndex;
+}
+
+/**
+ * Resolve the utility declarations a resolver needs, dependencies first
+ * Fails on identifiers that are neither declared, injected, nor runtime globals.
+ * @param {string} content - Resolver file content
+ * @param {object} utilities - Analyzed modules from loadUtilityModules()
+ * @param {string} file - Resolver file name for error messages
+ * @returns {Array} [{ moduleName, names, code }] in injection order
+ */
+function detectUsedFunctions(content, utilities, file = 'resolver') {
+  const { ast, scopeManager, moduleScope } = analyzeScopes(content, file);
+  const exportIndex = indexExports(utilities);
+  const provided = (name) => RUNTIME_GLOBALS.has(name) || CONFIG_NAMES.includes(name);
+
+  const ordered = [];
+  const visited = new Set();
+  const undefinedReferences = [];
+
+  // Post-order walk of the call graph, so every declaration follows its dependencies
+  const visit = (moduleName, name) => {
+    const module = utilities[moduleName];
+    const declaration = module.declarations.get(name);
+    if (visited.has(declaration)) return;
+    visited.add(declaration);
+
+    declaration.dependencies.forEach((dependency) => visit(moduleName, dependency));
+    declaration.freeReferences.forEach((reference) => {
+      if (provided(reference.name)) return;
+      if (exportIndex.has(reference.name)) {
+        visit(exportIndex.get(reference.name), reference.name);
+        return;
+      }
+      undefinedReferences.push(
+        `${module.file}:${reference.line}:${reference.column} ${reference.name}`
+      );
+    });
+
+    ordered.push({ moduleName, names: declaration.names, code: declaration.code });
+  };
+
+  collectReferences(scopeManager, moduleScope)
+    .filter((reference) => !reference.moduleLevel && !provided(reference.name))
+    .forEach((reference) => {
+      if (exportIndex.has(reference.name)) {
+        visit(exportIndex.get(reference.name), reference.name);
+      } else {
+        undefinedReferences.push(`${file}:${reference.line}:${reference.column} ${reference.name}`);
+      }
+    });
+
+  if (undefinedReferences.length > 0) {
+    throw new Error(`Undefined identifiers:\n  ${[...new Set(undefinedReferences)].join('\n  ')}`);
+  }
+
+  // Injected code shares the resolver's top-level scope
+  const resolverNames = new Set([...CONFIG_NAMES, ...ast.body.flatMap(declaredNames)]);
+  const collisions = ordered
+    .flatMap(({ names }) => names)
+    .filter((name) => resolverNames.has(name));
+  if (collisions.length > 0) {
+    throw new Error(
+      `${file} declares ${collisions.join(', ')}, which is also injected from utils/`
+    );
+  }
+
+  return ordered;
+}
+
+/**
+ * Build injection code for required utility declarations
+ * @param {Array} usedFunctions - Ordered declarations from detectUsedFunctions()
+ * @returns {string} JavaScript code to inject
+ */
+function buildUtilityInjection(usedFunctions) {
+  if (usedFunctions.length === 0) {
+    return '';
+  }
+
+  let injection = `
+// ============================================================================
+// INJECTED UTILITY FUNCTIONS - Added during build from resolvers-src/utils/
+// ============================================================================
+`;
+
+  let currentModule = null;
+  usedFunctions.forEach(({ moduleName, code }) => {
+    if (moduleName !== currentModule) {
+      injection += `\n// From ${moduleName}.js\n`;
+      currentModule = moduleName;
+    }
+    injection += code + '\n\n';
+  });
+
+  return injection;
+}
+
+module.exports = {
+  loadUtilityModules,
+  analyzeUtilityModule,
+  detectUsedFunctions,
+  buildUtilityInjection,
+};
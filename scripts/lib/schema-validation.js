@@ -0,0 +1,254 @@
+/**
+ * Build-time checks for schema/*.graphql and the resolvers that implement it
+ *
+ * - Every type is defined once (duplicates and conflicting definitions are errors)
+ * - Every referenced type exists locally, is a built-in scalar or comes from a source
+ * - Every resolver field exists in the schema
+ * - Every Citisignal_* Query/Mutation field has a resolver (warning)
+ */
+
+const { parse, print, Kind } = require('graphql');
+
+const BUILT_IN_SCALARS = ['String', 'Int', 'Float', 'Boolean', 'ID'];
+const ROOT_TYPES = ['Query', 'Mutation'];
+const CUSTOM_FIELD_PREFIX = 'Citisignal_';
+
+const TYPE_DEFINITION_KINDS = [
+  Kind.OBJECT_TYPE_DEFINITION,
+  Kind.INTERFACE_TYPE_DEFINITION,
+  Kind.INPUT_OBJECT_TYPE_DEFINITION,
+  Kind.ENUM_TYPE_DEFINITION,
+  Kind.UNION_TYPE_DEFINITION,
+  Kind.SCALAR_TYPE_DEFINITION,
+];
+
+const TYPE_EXTENSION_KINDS = [
+  Kind.OBJECT_TYPE_EXTENSION,
+  Kind.INTERFACE_TYPE_EXTENSION,
+  Kind.INPUT_OBJECT_TYPE_EXTENSION,
+];
+
+/**
+ * "file:line" for a node parsed from a schema file
+ */
+const locate = (entry) => `${entry.file}:${entry.node.loc.startToken.line}`;
+
+/**
+ * Unwrap list and non-null wrappers to the named type
+ */
+const namedType = (typeNode) =>
+  typeNode.kind === Kind.NAMED_TYPE ? typeNode : namedType(typeNode.type);
+
+/**
+ * Parse each schema file separately so errors point at the right file and line
+ * @param {Array} schemaFiles - [{ file, content }]
+ * @returns {object} { definitions: [{ file, node }], errors }
+ */
+function parseSchemaFiles(schemaFiles) {
+  const definitions = [];
+  const errors = [];
+
+  schemaFiles.forEach(({ file, content }) => {
+    // Placeholder files with only comments are allowed
+    if (!content.replace(/#.*$/gm, '').trim()) return;
+
+    try {
+      parse(content).definitions.forEach((node) => definitions.push({ file, node }));
+    } catch (error) {
+      const line = error.locations?.[0]?.line;
+      errors.push(`${file}${line ? `:${line}` : ''} ${error.message}`);
+    }
+  });
+
+  return { definitions, errors };
+}
+
+/**
+ * Describe how two definitions of the same type differ, field by field
+ */
+function describeConflict(first, second) {
+  const fieldsOf = (node) =>
+    new Map((node.fields || node.values || []).map((field) => [field.name.value, field]));
+  const firstFields = fieldsOf(first.node);
+  const secondFields = fieldsOf(second.node);
+  const differences = [];
+
+  firstFields.forEach((field, name) => {
+    const other = secondFields.get(name);
+    if (!other) {
+      differences.push(`${name} only in ${first.file}`);
+    } else if (field.type && print(field.type) !== print(other.type)) {
+      differences.push(`${name}: ${print(field.type)} vs ${print(other.type)}`);
+    }
+  });
+  secondFields.forEach((_field, name) => {
+    if (!firstFields.has(name)) differences.push(`${name} only in ${second.file}`);
+  });
+
+  return differences.length > 0 ? differences.join(', ') : 'different definitions';
+}
+
+/**
+ * Report types defined more than once, distinguishing identical copies from conflicts
+ */
+function findDuplicateTypes(definitions) {
+  const errors = [];
+  const byName = new Map();
+
+  definitions
+    .filter(({ node }) => TYPE_DEFINITION_KINDS.includes(node.kind))
+    .forEach((entry) => {
+      const name = entry.node.name.value;
+      const first = byName.get(name);
+      if (!first) {
+        byName.set(name, entry);
+        return;
+      }
+
+      // Descriptions don't change the contract, so compare without them
+      const strip = (node) => print({ ...node, description: undefined });
+      if (strip(first.node) === strip(entry.node)) {
+        errors.push(`Duplicate type ${name} in ${locate(first)} and ${locate(entry)}`);
+      } else {
+        errors.push(
+          `Conflicting definitions of ${name} in ${locate(first)} and ${locate(entry)} (${describeConflict(first, entry)})`
+        );
+      }
+    });
+
+  return errors;
+}
+
+/**
+ * Map each locally defined or extended type to its fields and where they are declared
+ * @returns {Map} typeName -> { defined, fields: Map fieldName -> entry }
+ */
+function indexFields(definitions) {
+  const types = new Map();
+  const typeEntry = (name) => {
+    if (!types.has(name)) types.set(name, { defined: false, extended: false, fields: new Map() });
+    return types.get(name);
+  };
+
+  definitions.forEach((entry) => {
+    const { node } = entry;
+    const isDefinition = TYPE_DEFINITION_KINDS.includes(node.kind);
+    if (!isDefinition && !TYPE_EXTENSION_KINDS.includes(node.kind)) return;
+
+    const type = typeEntry(node.name.value);
+    if (isDefinition) type.defined = true;
+    else type.extended = true;
+    (node.fields || []).forEach((field) =>
+      type.fields.set(field.name.value, { file: entry.file, node: field })
+    );
+  });
+
+  return types;
+}
+
+/**
+ * Check that every type referenced by a field or argument exists
+ * Source types (Catalog_*, Search_*, Commerce_*) can't be checked without the source schemas.
+ */
+function findUnknownTypeReferences(definitions, types, sourcePrefixes) {
+  const errors = [];
+  const known = (name) =>
+    BUILT_IN_SCALARS.includes(name) ||
+    types.get(name)?.defined ||
+    sourcePrefixes.some((prefix) => name.startsWith(prefix));
+
+  definitions.forEach((entry) => {
+    const { node } = entry;
+    if (!TYPE_DEFINITION_KINDS.includes(node.kind) && !TYPE_EXTENSION_KINDS.includes(node.kind)) {
+      return;
+    }
+
+    // Extending a custom type that is never defined
+    const typeName = node.name.value;
+    if (!known(typeName) && !ROOT_TYPES.includes(typeName)) {
+      errors.push(`${locate(entry)} extends unknown type ${typeName}`);
+    }
+
+    (node.fields || []).forEach((field) => {
+      const references = [field.type, ...(field.arguments || []).map((arg) => arg.type)];
+      references
+        .filter(Boolean)
+        .map((typeNode) => namedType(typeNode).name.value)
+        .filter((name) => !known(name))
+        .forEach((name) =>
+          errors.push(
+            `${entry.file}:${field.loc.startToken.line} ${typeName}.${field.name.value} references unknown type ${name}`
+          )
+        );
+    });
+
+    (node.types || []).forEach((member) => {
+      if (!known(member.name.value)) {
+        errors.push(`${locate(entry)} ${typeName} references unknown type ${member.name.value}`);
+      }
+    });
+  });
+
+  return errors;
+}
+
+/**
+ * Check resolver maps against the schema fields
+ * @param {Array} resolverModules - [{ file, resolvers }]
+ * @returns {object} { errors, warnings }
+ */
+function validateResolvers(resolverModules, types) {
+  const errors = [];
+  const warnings = [];
+  const resolved = new Set();
+
+  resolverModules.forEach(({ file, resolvers }) => {
+    Object.entries(resolvers || {}).forEach(([typeName, fields]) => {
+      Object.keys(fields || {}).forEach((fieldName) => {
+        resolved.add(`${typeName}.${fieldName}`);
+        if (!types.get(typeName)?.fields.has(fieldName)) {
+          errors.push(`${file} resolves ${typeName}.${fieldName}, which is not in the schema`);
+        }
+      });
+    });
+  });
+
+  ROOT_TYPES.forEach((typeName) => {
+    types.get(typeName)?.fields.forEach((entry, fieldName) => {
+      if (fieldName.startsWith(CUSTOM_FIELD_PREFIX) && !resolved.has(`${typeName}.${fieldName}`)) {
+        warnings.push(`${locate(entry)} ${typeName}.${fieldName} has no resolver`);
+      }
+    });
+  });
+
+  return { errors, warnings };
+}
+
+/**
+ * Validate schema files and the resolvers built for them
+ * @param {object} options - { schemaFiles: [{ file, content }], resolverModules: [{ file, resolvers }],
+ *   sourcePrefixes: ['Catalog_', ...] }
+ * @returns {object} { errors: string[], warnings: string[] }
+ */
+function validateSchema({ schemaFiles, resolverModules = [], sourcePrefixes = [] }) {
+  const { definitions, errors } = parseSchemaFiles(schemaFiles);
+  if (errors.length > 0) {
+    return { errors, warnings: [] };
+  }
+
+  const types = indexFields(definitions);
+  const resolverResults = validateResolvers(resolverModules, types);
+
+  return {
+    errors: [
+      ...findDuplicateTypes(definitions),
+      ...findUnknownTypeReferences(definitions, types, sourcePrefixes),
+      ...resolverResults.errors,
+    ],
+    warnings: resolverResults.warnings,
+  };
+}
+
+module.exports = {
+  validateSchema,
+};
@@ -0,0 +1,408 @@
+/**
+ * Build-time validation of the selectionSet strings resolvers send to their sources
+ *
+ * Source schemas are snapshotted into schema/sources/<SourceName>.graphql by
+ * `npm run schema:snapshot`. They are stored as the source serves them, so the
+ * mesh prefix transform (Catalog_, Search_, Commerce_) is applied here before validating.
+ *
+ * Selection sets may be built from top-level constants and template functions, in the
+ * resolver or in resolvers-src/utils (e.g. productCardSelection('Catalog_')), as long as
+ * every part resolves to a string at build time.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const espree = require('espree');
+const {
+  buildASTSchema,
+  getNamedType,
+  isLeafType,
+  Kind,
+  NoUnusedFragmentsRule,
+  parse,
+  specifiedRules,
+  validate,
+  visit,
+} = require('graphql');
+
+const SOURCE_SCHEMAS_DIR = path.join(__dirname, '..', '..', 'schema', 'sources');
+const BUILT_IN_SCALARS = ['String', 'Int', 'Float', 'Boolean', 'ID'];
+const DEFAULT_ROOT_TYPES = ['Query', 'Mutation', 'Subscription'];
+const ROOT_OPERATIONS = ['Query', 'Mutation'];
+
+// Deepest chain of constants and template functions followed for one selection set
+const MAX_STATIC_DEPTH = 10;
+
+// Selection sets are validated as standalone fragments, which are never "used"
+const SELECTION_RULES = specifiedRules.filter((rule) => rule !== NoUnusedFragmentsRule);
+
+const NAMED_TYPE_DEFINITIONS = [
+  Kind.OBJECT_TYPE_DEFINITION,
+  Kind.INTERFACE_TYPE_DEFINITION,
+  Kind.UNION_TYPE_DEFINITION,
+  Kind.ENUM_TYPE_DEFINITION,
+  Kind.INPUT_OBJECT_TYPE_DEFINITION,
+  Kind.SCALAR_TYPE_DEFINITION,
+];
+
+/**
+ * Path of the snapshot for one source
+ */
+function sourceSchemaPath(sourceName, schemasDir = SOURCE_SCHEMAS_DIR) {
+  return path.join(schemasDir, `${sourceName}.graphql`);
+}
+
+/**
+ * Read a source's prefix transform from its mesh.config.js entry
+ * @returns {object|null} { value, includeRootOperations }
+ */
+function sourcePrefix(sourceConfig) {
+  return (sourceConfig.transforms || []).find((transform) => transform.prefix)?.prefix || null;
+}
+
+/**
+ * Apply the mesh prefix transform to a source SDL and build the schema
+ * @param {string} sdl - Source schema as introspected
+ * @param {object} prefix - { value, includeRootOperations } from mesh.config.js
+ * @returns {GraphQLSchema} Schema with mesh type and root field names
+ */
+function buildPrefixedSchema(sdl, prefix) {
+  const document = parse(sdl);
+  if (!prefix) return buildASTSchema(document);
+
+  const rootTypes = new Set(DEFAULT_ROOT_TYPES);
+  document.definitions
+    .filter((definition) => definition.kind === Kind.SCHEMA_DEFINITION)
+    .forEach((definition) =>
+      definition.operationTypes.forEach((operation) => rootTypes.add(operation.type.name.value))
+    );
+
+  const keepName = (name) =>
+    BUILT_IN_SCALARS.includes(name) || rootTypes.has(name) || name.startsWith('__');
+  const withName = (node, value) => ({ ...node, name: { ...node.name, value } });
+  const renameType = (node) =>
+    keepName(node.name.value) ? undefined : withName(node, `${prefix.value}${node.name.value}`);
+
+  const typeVisitors = Object.fromEntries(NAMED_TYPE_DEFINITIONS.map((kind) => [kind, renameType]));
+
+  const prefixed = visit(document, {
+    ...typeVisitors,
+    NamedType: renameType,
+    [Kind.OBJECT_TYPE_DEFINITION]: (node) => {
+      if (!rootTypes.has(node.name.value)) return renameType(node);
+      if (!prefix.includeRootOperations) return undefined;
+      return {
+        ...node,
+        fields: node.fields.map((field) => withName(field, `${prefix.value}${field.name.value}`)),
+      };
+    },
+  });
+
+  return buildASTSchema(prefixed);
+}
+
+/**
+ * Load the snapshotted schema of every configured source
+ * @param {object} meshConfig - The meshConfig section of mesh.config.js
+ * @returns {object} { schemas: Map sourceName -> { schema, prefix }, missing: [sourceName] }
+ */
+function loadSourceSchemas(meshConfig, schemasDir = SOURCE_SCHEMAS_DIR) {
+  const schemas = new Map();
+  const missing = [];
+
+  (meshConfig.sources || []).forEach((sourceConfig) => {
+    const schemaPath = sourceSchemaPath(sourceConfig.name, schemasDir);
+    if (!fs.existsSync(schemaPath)) {
+      missing.push(sourceConfig.name);
+      return;
+    }
+
+    const prefix = sourcePrefix(sourceConfig);
+    schemas.set(sourceConfig.name, {
+      schema: buildPrefixedSchema(fs.readFileSync(schemaPath, 'utf8'), prefix),
+      prefix: prefix?.value || '',
+    });
+  });
+
+  return { schemas, missing };
+}
+
+/**
+ * Property name of an object property node, for identifier and string keys
+ */
+const propertyName = (property) =>
+  property?.type === 'Property' && !property.computed
+    ? property.key.name || property.key.value
+    : null;
+
+/**
+ * Parse a resolver or utility module
+ */
+const parseModule = (content) =>
+  espree.parse(content, { ecmaVersion: 2022, sourceType: 'script', loc: true });
+
+/**
+ * Top-level const declarations of a module, by name
+ * @returns {Map} name => initializer node
+ */
+function collectDeclarations(ast) {
+  const declarations = new Map();
+  ast.body
+    .filter((node) => node.type === 'VariableDeclaration' && node.kind === 'const')
+    .flatMap((node) => node.declarations)
+    .filter((declarator) => declarator.id.type === 'Identifier' && declarator.init)
+    .forEach((declarator) => declarations.set(declarator.id.name, declarator.init));
+  return declarations;
+}
+
+/**
+ * Static string value of an expression, null when it depends on runtime values
+ * Resolves string literals, template literals, names of top-level constants and calls of
+ * top-level arrow functions that return a template, with static arguments.
+ * @param {object} node - Expression node
+ * @param {Map} declarations - Top-level declarations by name
+ * @param {Map} scope - Parameter values inside a template function
+ */
+function staticString(node, declarations = new Map(), scope = new Map(), depth = 0) {
+  if (!node || depth > MAX_STATIC_DEPTH) return null;
+  const resolve = (child, childScope = scope) =>
+    staticString(child, declarations, childScope, depth + 1);
+
+  if (node.type === 'Literal' && typeof node.value === 'string') return node.value;
+
+  if (node.type === 'TemplateLiteral') {
+    const parts = node.expressions.map((expression) => resolve(expression));
+    if (parts.includes(null)) return null;
+    return node.quasis.map((quasi, index) => quasi.value.cooked + (parts[index] ?? '')).join('');
+  }
+
+  if (node.type === 'Identifier') {
+    if (scope.has(node.name)) return scope.get(node.name);
+    return declarations.has(node.name) ? resolve(declarations.get(node.name), new Map()) : null;
+  }
+
+  if (node.type === 'CallExpression' && node.callee.type === 'Identifier') {
+    const template = declarations.get(node.callee.name);
+    const isTemplateFunction =
+      template?.type === 'ArrowFunctionExpression' &&
+      template.body.type !== 'BlockStatement' &&
+      template.params.every((param) => param.type === 'Identifier');
+    if (!isTemplateFunction) return null;
+
+    const args = node.arguments.map((argument) => resolve(argument));
+    if (args.includes(null)) return null;
+    const params = template.params.map((param, index) => [param.name, args[index] ?? null]);
+    return resolve(template.body, new Map(params));
+  }
+
+  return null;
+}
+
+/**
+ * Work out what a selectionSet property selects from
+ * - context.<Source>.<Query|Mutation>.<field>({ selectionSet }) selects from the field's type
+ * - resolvers.<Type>.<field>.selectionSet selects from <Type> (field extensions)
+ */
+function selectionTarget(ancestors, sourceNames) {
+  const [objectNode, parent, grandparent, greatGrandparent] = ancestors;
+
+  const isCallArgument = parent?.type === 'CallExpression' && parent.arguments[0] === objectNode;
+  if (isCallArgument) {
+    const field = parent.callee;
+    const operation = field.type === 'MemberExpression' ? field.object : null;
+    const source = operation?.type === 'MemberExpression' ? operation.object : null;
+    const sourceName = source?.type === 'MemberExpression' ? source.property.name : null;
+
+    if (sourceNames.includes(sourceName) && ROOT_OPERATIONS.includes(operation.property.name)) {
+      return {
+        kind: 'root',
+        source: sourceName,
+        operation: operation.property.name,
+        field: field.property.name,
+      };
+    }
+    return null;
+  }
+
+  // { Type: { field: { selectionSet } } }
+  const fieldName = propertyName(parent);
+  const typeName =
+    greatGrandparent && grandparent?.type === 'ObjectExpression'
+      ? propertyName(greatGrandparent)
+      : null;
+  if (fieldName && typeName) {
+    return { kind: 'type', typeName, field: fieldName };
+  }
+  return null;
+}
+
+/**
+ * Find the selectionSet strings in a resolver file
+ * @param {string} content - Resolver source
+ * @param {string} file - File name for messages
+ * @param {string[]} sourceNames - Configured source names
+ * @param {Map} sharedDeclarations - Top-level declarations of the utilities, which the
+ *   build injects into resolvers
+ * @returns {object} { selections: [{ file, line, text, target }], skipped: [message] }
+ */
+function collectSelectionSets(content, file, sourceNames, sharedDeclarations = new Map()) {
+  const ast = parseModule(content);
+  const declarations = new Map([...sharedDeclarations, ...collectDeclarations(ast)]);
+  const selections = [];
+  const skipped = [];
+
+  const walk = (node, ancestors) => {
+    if (!node || typeof node.type !== 'string') return;
+
+    if (node.type === 'ObjectExpression') {
+      node.properties
+        .filter((property) => propertyName(property) === 'selectionSet')
+        .forEach((property) => {
+          const target = selectionTarget([node, ...ancestors], sourceNames);
+          if (!target) return;
+
+          const line = property.value.loc.start.line;
+          const text = staticString(property.value, declarations);
+          if (text === null) {
+            skipped.push(`${file}:${line} selectionSet is not a static string`);
+            return;
+          }
+          selections.push({ file, line, text, target });
+        });
+    }
+
+    Object.entries(node).forEach(([key, child]) => {
+      if (key === 'loc') return;
+      const children = Array.isArray(child) ? child : [child];
+      children
+        .filter((item) => item && typeof item.type === 'string')
+        .forEach((item) => walk(item, [node, ...ancestors]));
+    });
+  };
+
+  walk(ast, []);
+  return { selections, skipped };
+}
+
+/**
+ * Resolve the schema and named type a selection set applies to
+ * @returns {object} { schema, type } or { error }
+ */
+function resolveTargetType(target, schemas) {
+  if (target.kind === 'root') {
+    const { schema } = schemas.get(target.source);
+    const rootType =
+      target.operation === 'Mutation' ? schema.getMutationType() : schema.getQueryType();
+    const field = rootType?.getFields()[target.field];
+    if (!field) {
+      return { error: `${target.source} has no ${target.operation} field ${target.field}` };
+    }
+    return { schema, type: getNamedType(field.type) };
+  }
+
+  const entry = [...schemas.values()].find(
+    ({ prefix }) => prefix && target.typeName.startsWith(prefix)
+  );
+  const type = entry?.schema.getType(target.typeName);
+  if (!type) {
+    return { error: `unknown type ${target.typeName}` };
+  }
+  return { schema: entry.schema, type };
+}
+
+/**
+ * Validate one selection set against its target type
+ * @returns {string[]} Error messages with resolver file and line
+ */
+function validateSelection(selection, schemas) {
+  const { file, line, text, target } = selection;
+  const resolved = resolveTargetType(target, schemas);
+  if (resolved.error) {
+    return [`${file}:${line} ${resolved.error}`];
+  }
+
+  const { schema, type } = resolved;
+  const label = target.kind === 'root' ? `${target.operation}.${target.field}` : type.name;
+  const trimmed = text.trim();
+
+  if (isLeafType(type)) {
+    return trimmed
+      ? [`${file}:${line} ${label} returns ${type.name} and takes no selection set`]
+      : [];
+  }
+  if (!trimmed) {
+    return [`${file}:${line} ${label} returns ${type.name} and needs a selection set`];
+  }
+
+  let document;
+  try {
+    document = parse(`fragment Selection on ${type.name} ${trimmed}`);
+  } catch (error) {
+    const errorLine = line + (error.locations?.[0]?.line || 1) - 1;
+    return [`${file}:${errorLine} ${label}: ${error.message}`];
+  }
+
+  return validate(schema, document, SELECTION_RULES).map((error) => {
+    const errorLine = line + (error.locations?.[0]?.line || 1) - 1;
+    return `${file}:${errorLine} ${label}: ${error.message}`;
+  });
+}
+
+/**
+ * Validate every selectionSet in the given resolver and utility files
+ * A missing source snapshot is a warning, or an error with requireSnapshots.
+ * Errors in a selection set built from several parts are reported at lines counted from
+ * the selectionSet property.
+ * @param {object} options - { resolverFiles: [{ file, content }], utilityFiles (same shape,
+ *   their declarations are shared with every file), meshConfig, schemasDir, requireSnapshots }
+ * @returns {object} { errors: string[], warnings: string[] }
+ */
+function validateSelectionSets({
+  resolverFiles,
+  utilityFiles = [],
+  meshConfig,
+  schemasDir,
+  requireSnapshots,
+}) {
+  const sourceNames = (meshConfig.sources || []).map((source) => source.name);
+  const { schemas, missing } = loadSourceSchemas(meshConfig, schemasDir);
+  const errors = [];
+  const warnings = [];
+
+  const sharedDeclarations = new Map(
+    utilityFiles.flatMap(({ content }) => [...collectDeclarations(parseModule(content))])
+  );
+  const collected = [...resolverFiles, ...utilityFiles].map(({ file, content }) =>
+    collectSelectionSets(content, file, sourceNames, sharedDeclarations)
+  );
+  collected.forEach(({ skipped }) => warnings.push(...skipped));
+
+  const selections = collected.flatMap(({ selections: found }) => found);
+  const sourceOf = ({ target }) =>
+    target.kind === 'root'
+      ? target.source
+      : (meshConfig.sources || []).find((source) =>
+          target.typeName.startsWith(sourcePrefix(source)?.value || '\0')
+        )?.name;
+
+  missing.forEach((sourceName) => {
+    const count = selections.filter((selection) => sourceOf(selection) === sourceName).length;
+    (requireSnapshots ? errors : warnings).push(
+      `No schema snapshot for ${sourceName} - skipped ${count} selection set(s) (run npm run schema:snapshot)`
+    );
+  });
+
+  selections
+    .filter((selection) => schemas.has(sourceOf(selection)))
+    .forEach((selection) => errors.push(...validateSelection(selection, schemas)));
+
+  return { errors, warnings };
+}
+
+module.exports = {
+  SOURCE_SCHEMAS_DIR,
+  sourceSchemaPath,
+  buildPrefixedSchema,
+  collectSelectionSets,
+  validateSelectionSets,
+};
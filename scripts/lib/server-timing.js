@@ -0,0 +1,62 @@
+/**
+ * Server-Timing for mesh responses
+ *
+ * API Mesh can't set per-response headers, so Server-Timing is added by the storefront's
+ * GraphQL proxy (or edge worker), which is not part of this repo:
+ *
+ * 1. Forward the request to the mesh with requestTimings(headers), which adds x-mesh-timings
+ * 2. The response timings hook (resolvers-src/hooks/response-timings.js) adds
+ *    extensions.timings to the response, when responseTimings.enabled is set
+ * 3. Return applyServerTiming(body) to the browser: the breakdown moves into Server-Timing
+ *
+ * The local mesh does the same.
+ */
+
+const SERVER_TIMING_HEADER = 'Server-Timing';
+
+// Request header the response timings hook answers (see isTimingRequested in request-timing.js)
+const TIMINGS_REQUEST_HEADER = 'x-mesh-timings';
+
+/**
+ * Ask the mesh for the request's timings
+ * @param {object} headers - Headers forwarded to the mesh
+ * @returns {object} Headers with x-mesh-timings set
+ */
+function requestTimings(headers = {}) {
+  return { ...headers, [TIMINGS_REQUEST_HEADER]: 'true' };
+}
+
+/**
+ * Move extensions.timings of a mesh response into a Server-Timing header
+ * @param {object} body - Parsed GraphQL response
+ * @param {object} options - { keepExtensions } to also leave extensions.timings in the body
+ * @returns {object} { headers, body } - headers is empty when the response has no timings
+ *   (e.g. served from the mesh cache)
+ */
+function applyServerTiming(body, options = {}) {
+  const timings = body?.extensions?.timings;
+  if (!timings?.serverTiming) {
+    return { headers: {}, body };
+  }
+
+  const headers = { [SERVER_TIMING_HEADER]: timings.serverTiming };
+  if (options.keepExtensions) {
+    return { headers, body };
+  }
+
+  // Other extensions stay, the block is dropped when timings was all it had
+  const extensions = { ...body.extensions };
+  delete extensions.timings;
+  const stripped = { ...body, extensions };
+  if (Object.keys(extensions).length === 0) {
+    delete stripped.extensions;
+  }
+  return { headers, body: stripped };
+}
+
+module.exports = {
+  SERVER_TIMING_HEADER,
+  TIMINGS_REQUEST_HEADER,
+  requestTimings,
+  applyServerTiming,
+};
@@ -0,0 +1,48 @@
+/**
+ * Surrogate-Key headers for mesh responses
+ *
+ * Cacheable Citisignal results return `cacheTags` (product:<sku>, category:<id>). API Mesh
+ * can't set response headers, so the persisted operation proxy (persisted-proxy.js) sends
+ * them on as a Surrogate-Key header, which lets the CDN in front of it purge one product
+ * or category (npm run cache:purge -- --tag=...).
+ */
+
+const SURROGATE_KEY_HEADER = 'Surrogate-Key';
+
+/**
+ * Collect the cacheTags of every result in a response
+ * @param {*} data - Response data, searched at any depth
+ * @returns {string[]} Sorted unique tags
+ */
+function collectCacheTags(data) {
+  const tags = new Set();
+
+  const visit = (value) => {
+    if (Array.isArray(value)) {
+      value.forEach(visit);
+    } else if (value && typeof value === 'object') {
+      Object.entries(value).forEach(([key, child]) => {
+        if (key === 'cacheTags' && Array.isArray(child)) {
+          child.filter((tag) => typeof tag === 'string').forEach((tag) => tags.add(tag));
+        } else {
+          visit(child);
+        }
+      });
+    }
+  };
+  visit(data);
+
+  return [...tags].sort();
+}
+
+/**
+ * Surrogate-Key header for a mesh response
+ * @param {object} body - Parsed GraphQL response
+ * @returns {object} { 'Surrogate-Key': 'product:a category:4' }, empty without tags
+ */
+function surrogateKeyHeaders(body) {
+  const tags = collectCacheTags(body?.data);
+  return tags.length > 0 ? { [SURROGATE_KEY_HEADER]: tags.join(' ') } : {};
+}
+
+module.exports = { SURROGATE_KEY_HEADER, collectCacheTags, surrogateKeyHeaders };
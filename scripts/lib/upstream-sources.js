@@ -0,0 +1,340 @@
+/* global fetch */
+
+/**
+ * Upstream source stand-ins for the local mesh runtime
+ * Each factory returns an object shaped like context.<SourceName> in API Mesh:
+ * { Query: { Field(options) }, Mutation: { Field(options) } }
+ *
+ * - createLiveSource: calls the real endpoint from mesh.config.js
+ * - createRecordingSource: wraps another source and writes every call to disk
+ * - createReplaySource: answers from previously recorded calls
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { parse, print, visit } = require('graphql');
+
+// Same serialization the resolvers use to share source calls, for fixture matching and call hashing
+const { stableStringify } = require('../../resolvers-src/utils/source-loader');
+
+const MESH_CONFIG_PATH = path.join(__dirname, '..', '..', 'mesh.config.js');
+
+/**
+ * Normalize a selectionSet string so formatting differences don't change the hash
+ */
+function normalizeSelectionSet(selectionSet) {
+  if (!selectionSet) return null;
+  return print(parse(selectionSet));
+}
+
+/**
+ * Stable key for one upstream call: source, operation, field, args and selection
+ */
+function callHash({ source, operation, field, args, selectionSet }) {
+  const key = stableStringify({
+    source,
+    operation,
+    field,
+    args: args || {},
+    selectionSet: normalizeSelectionSet(selectionSet),
+  });
+  return crypto.createHash('sha256').update(key).digest('hex').substring(0, 16);
+}
+
+/**
+ * Location of a recorded call: <dir>/<SourceName>/<field>-<hash>.json
+ */
+function recordingPath(dir, call) {
+  return path.join(dir, call.source, `${call.field}-${callHash(call)}.json`);
+}
+
+/**
+ * Read the recording for a call, or null if it was never recorded
+ */
+function readRecording(dir, call) {
+  const recordingFile = recordingPath(dir, call);
+  if (!fs.existsSync(recordingFile)) return null;
+  return JSON.parse(fs.readFileSync(recordingFile, 'utf8'));
+}
+
+/**
+ * Write a recording for a call; returns the file path
+ */
+function writeRecording(dir, call, outcome) {
+  const recordingFile = recordingPath(dir, call);
+  const recording = {
+    source: call.source,
+    operation: call.operation,
+    field: call.field,
+    args: call.args || {},
+    selectionSet: normalizeSelectionSet(call.selectionSet),
+    ...outcome,
+  };
+
+  fs.mkdirSync(path.dirname(recordingFile), { recursive: true });
+  fs.writeFileSync(recordingFile, JSON.stringify(recording, null, 2) + '\n');
+  return recordingFile;
+}
+
+/**
+ * Build a source object whose fields all route through one call handler
+ * @param {string} sourceName - e.g. 'CatalogServiceSandbox'
+ * @param {Function} handleCall - async (call, callContext) => response
+ */
+function createSourceProxy(sourceName, handleCall) {
+  const createOperationProxy = (operation) =>
+    new Proxy(
+      {},
+      {
+        get: (_target, field) => {
+          if (typeof field !== 'string') return undefined;
+
+          return async ({ args = {}, selectionSet, context } = {}) =>
+            handleCall({ source: sourceName, operation, field, args, selectionSet }, context);
+        },
+      }
+    );
+
+  return {
+    Query: createOperationProxy('Query'),
+    Mutation: createOperationProxy('Mutation'),
+  };
+}
+
+/**
+ * Wrap a source so every call and its response (or error) is written to `dir`
+ */
+function createRecordingSource(sourceName, innerSource, options = {}) {
+  const onRecord = options.onRecord || (() => {});
+
+  return createSourceProxy(sourceName, async (call, context) => {
+    const invoke = innerSource[call.operation][call.field];
+
+    try {
+      const response = await invoke({
+        root: {},
+        args: call.args,
+        context,
+        selectionSet: call.selectionSet,
+      });
+      onRecord(call, writeRecording(options.dir, call, { response: response ?? null }));
+      return response;
+    } catch (error) {
+      onRecord(call, writeRecording(options.dir, call, { error: error.message }));
+      throw error;
+    }
+  });
+}
+
+/**
+ * Serve responses recorded by createRecordingSource
+ * Calls that were never recorded fail, so stale recordings surface immediately
+ */
+function createReplaySource(sourceName, options = {}) {
+  return createSourceProxy(sourceName, async (call) => {
+    const recording = readRecording(options.dir, call);
+
+    if (!recording) {
+      throw new Error(
+        `No recording for ${call.source}.${call.operation}.${call.field} (${callHash(call)}) with args ${stableStringify(call.args)}`
+      );
+    }
+    if (recording.error) {
+      throw new Error(recording.error);
+    }
+
+    return JSON.parse(JSON.stringify(recording.response ?? null));
+  });
+}
+
+// ============================================================================
+// LIVE SOURCES - Call the real endpoints configured in mesh.config.js
+// ============================================================================
+
+/**
+ * Resolve mesh placeholders: {env.NAME} and {context.headers['name']}
+ */
+function interpolate(template, headers = {}) {
+  return template
+    .replace(/\{env\.([A-Za-z0-9_]+)\}/g, (_match, name) => process.env[name] || '')
+    .replace(
+      /\{context\.headers\[['"]([^'"]+)['"]\]\}/g,
+      (_match, name) => headers[name.toLowerCase()] || ''
+    );
+}
+
+/**
+ * Interpolate a header map, dropping headers that resolve to empty values
+ */
+function resolveHeaders(headerTemplates = {}, headers = {}) {
+  return Object.fromEntries(
+    Object.entries(headerTemplates)
+      .map(([name, template]) => [name, interpolate(template, headers)])
+      .filter(([, value]) => value !== '')
+  );
+}
+
+/**
+ * Print an introspected type reference as GraphQL type syntax (e.g. [String!]!)
+ */
+function printTypeRef(typeRef) {
+  if (typeRef.kind === 'NON_NULL') return `${printTypeRef(typeRef.ofType)}!`;
+  if (typeRef.kind === 'LIST') return `[${printTypeRef(typeRef.ofType)}]`;
+  return typeRef.name;
+}
+
+const TYPE_REF = 'kind name ofType { kind name ofType { kind name ofType { kind name } } }';
+const ROOT_ARGS_QUERY = `{
+  __schema {
+    queryType { fields { name args { name type { ${TYPE_REF} } } } }
+    mutationType { fields { name args { name type { ${TYPE_REF} } } } }
+  }
+}`;
+
+/**
+ * Remove the source prefix from type conditions (... on Catalog_X -> ... on X)
+ */
+function stripTypePrefix(selectionSet, prefix) {
+  if (!selectionSet) return '';
+
+  const document = visit(parse(selectionSet), {
+    NamedType: (node) =>
+      prefix && node.name.value.startsWith(prefix)
+        ? { ...node, name: { ...node.name, value: node.name.value.substring(prefix.length) } }
+        : undefined,
+  });
+  return print(document.definitions[0].selectionSet);
+}
+
+/**
+ * Add the source prefix back to __typename values, as the mesh would return them
+ */
+function addTypenamePrefix(value, prefix) {
+  if (Array.isArray(value)) {
+    return value.map((item) => addTypenamePrefix(item, prefix));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) =>
+        key === '__typename' && typeof item === 'string' && !item.startsWith(prefix)
+          ? [key, `${prefix}${item}`]
+          : [key, addTypenamePrefix(item, prefix)]
+      )
+    );
+  }
+  return value;
+}
+
+/**
+ * Call an upstream GraphQL endpoint, throwing on transport and GraphQL errors
+ */
+async function postGraphQL(fetchImpl, endpoint, headers, body) {
+  const response = await fetchImpl(endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+  });
+
+  const text = await response.text();
+  let result;
+  try {
+    result = JSON.parse(text);
+  } catch {
+    throw new Error(`${endpoint} returned ${response.status}: ${text.substring(0, 200)}`);
+  }
+
+  if (result.errors?.length && !result.data) {
+    throw new Error(result.errors.map((error) => error.message).join('; '));
+  }
+  return result;
+}
+
+/**
+ * Create a source that sends each call to the real endpoint for `sourceName`
+ * Endpoint, headers and type prefix come from the source's entry in mesh.config.js;
+ * argument types are introspected once per source.
+ * @param {object} options - { meshConfig, fetch } to override mesh.config.js and global fetch
+ */
+function createLiveSource(sourceName, options = {}) {
+  const meshConfig = options.meshConfig || require(MESH_CONFIG_PATH).meshConfig;
+  const fetchImpl = options.fetch || fetch;
+  const sourceConfig = meshConfig.sources.find((source) => source.name === sourceName);
+  if (!sourceConfig) {
+    throw new Error(`Source ${sourceName} is not configured in mesh.config.js`);
+  }
+
+  const { endpoint, operationHeaders, schemaHeaders } = sourceConfig.handler.graphql;
+  const prefix = (sourceConfig.transforms || []).find((transform) => transform.prefix)?.prefix
+    .value;
+  const resolvedEndpoint = interpolate(endpoint);
+  if (!resolvedEndpoint) {
+    throw new Error(`No endpoint for ${sourceName} - check ${endpoint} in .env`);
+  }
+
+  let rootArgTypes = null;
+  const getRootArgTypes = async () => {
+    if (!rootArgTypes) {
+      const { data } = await postGraphQL(
+        fetchImpl,
+        resolvedEndpoint,
+        resolveHeaders(schemaHeaders || operationHeaders),
+        { query: ROOT_ARGS_QUERY }
+      );
+      const byField = (rootType) =>
+        Object.fromEntries(
+          (rootType?.fields || []).map((field) => [
+            field.name,
+            Object.fromEntries(field.args.map((arg) => [arg.name, printTypeRef(arg.type)])),
+          ])
+        );
+      rootArgTypes = {
+        Query: byField(data.__schema.queryType),
+        Mutation: byField(data.__schema.mutationType),
+      };
+    }
+    return rootArgTypes;
+  };
+
+  return createSourceProxy(sourceName, async (call, context) => {
+    const field =
+      prefix && call.field.startsWith(prefix) ? call.field.substring(prefix.length) : call.field;
+    const argTypes = (await getRootArgTypes())[call.operation][field];
+    if (!argTypes) {
+      throw new Error(`${sourceName} has no ${call.operation} field ${field}`);
+    }
+
+    const argNames = Object.keys(call.args).filter((name) => call.args[name] !== undefined);
+    const unknown = argNames.filter((name) => !argTypes[name]);
+    if (unknown.length > 0) {
+      throw new Error(`${sourceName}.${field} has no argument(s) ${unknown.join(', ')}`);
+    }
+
+    const variableDefinitions = argNames.map((name) => `$${name}: ${argTypes[name]}`).join(', ');
+    const fieldArgs = argNames.map((name) => `${name}: $${name}`).join(', ');
+    const query = `${call.operation.toLowerCase()}${variableDefinitions ? ` (${variableDefinitions})` : ''} {
+  ${field}${fieldArgs ? `(${fieldArgs})` : ''} ${stripTypePrefix(call.selectionSet, prefix)}
+}`;
+
+    const { data } = await postGraphQL(
+      fetchImpl,
+      resolvedEndpoint,
+      resolveHeaders(operationHeaders, context?.headers),
+      { query, variables: call.args }
+    );
+    return prefix ? addTypenamePrefix(data[field], prefix) : data[field];
+  });
+}
+
+module.exports = {
+  stableStringify,
+  interpolate,
+  resolveHeaders,
+  postGraphQL,
+  callHash,
+  readRecording,
+  createSourceProxy,
+  createLiveSource,
+  createRecordingSource,
+  createReplaySource,
+};
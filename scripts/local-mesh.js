@@ -0,0 +1,461 @@
+#!/usr/bin/env node
+
+/**
+ * Local offline mesh runtime
+ * Executes the built resolvers (build/resolvers/*.js) against recorded JSON fixtures,
+ * so Citisignal operations can be run without deploying or reaching Adobe services.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { buildASTSchema, graphql, Kind, parse } = require('graphql');
+const {
+  stableStringify,
+  createSourceProxy,
+  createLiveSource,
+  createRecordingSource,
+  createReplaySource,
+} = require('./lib/upstream-sources');
+const { resolvePersistedRequest } = require('./lib/persisted-operations');
+const { loadMeshSecrets } = require('./lib/mesh-secrets');
+const { SERVER_TIMING_HEADER, requestTimings, applyServerTiming } = require('./lib/server-timing');
+
+// Check if chalk is available
+let chalk;
+try {
+  chalk = require('chalk');
+} catch {
+  // Fallback if chalk is not installed
+  chalk = {
+    green: (str) => str,
+    red: (str) => str,
+    yellow: (str) => str,
+    blue: (str) => str,
+    cyan: (str) => str,
+    gray: (str) => str,
+    bold: { green: (str) => str },
+  };
+}
+
+// Formatting helpers matching the other scripts
+const format = {
+  success: (msg) => chalk.green(`✔ ${msg}`),
+  error: (msg) => chalk.red(`✖ ${msg}`),
+  warning: (msg) => chalk.yellow(`⚠ ${msg}`),
+  muted: (msg) => chalk.gray(msg),
+};
+
+const ROOT_DIR = path.join(__dirname, '..');
+const DEFAULT_MESH_JSON = path.join(ROOT_DIR, 'mesh.json');
+const DEFAULT_FIXTURES_DIR = path.join(ROOT_DIR, 'fixtures');
+const DEFAULT_RECORDINGS_DIR = path.join(DEFAULT_FIXTURES_DIR, 'recorded');
+const DEFAULT_PERSISTED_OPERATIONS = path.join(ROOT_DIR, 'persisted-operations.json');
+const ROOT_TYPES = ['Query', 'Mutation'];
+
+/**
+ * Parse command line arguments
+ * Splits on the first "=" only so JSON values can be passed inline
+ */
+function parseArgs(args) {
+  const parsed = { params: {} };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg.startsWith('--')) {
+      const separator = arg.indexOf('=');
+      const key = separator === -1 ? arg.substring(2) : arg.substring(2, separator);
+      const value = separator === -1 ? true : arg.substring(separator + 1);
+      parsed[key] = value;
+    }
+  }
+
+  return parsed;
+}
+
+/**
+ * Check whether every key in `expected` matches the corresponding value in `actual`
+ * Objects are compared recursively, everything else by stable serialization
+ */
+function matchesArgs(expected, actual) {
+  if (expected === undefined) return true;
+  if (expected && typeof expected === 'object' && !Array.isArray(expected)) {
+    if (!actual || typeof actual !== 'object') return false;
+    return Object.keys(expected).every((key) => matchesArgs(expected[key], actual[key]));
+  }
+  return stableStringify(expected) === stableStringify(actual);
+}
+
+/**
+ * Load the hand-written fixtures for one source field
+ * Layout: fixtures/<SourceName>/<fieldName>.json containing an array of
+ * { "args": { ...subset to match }, "response": ... } entries (first match wins)
+ */
+function loadFieldFixtures(fixturesDir, sourceName, fieldName) {
+  const fixturePath = path.join(fixturesDir, sourceName, `${fieldName}.json`);
+  if (!fs.existsSync(fixturePath)) return [];
+
+  const content = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+  return Array.isArray(content) ? content : [content];
+}
+
+/**
+ * Create a stand-in for context.<SourceName> that answers from fixtures
+ * Mirrors the mesh source API: context.Source.Query.Field({ root, args, context, selectionSet })
+ */
+function createFixtureSource(sourceName, options = {}) {
+  const fixturesDir = options.fixturesDir || DEFAULT_FIXTURES_DIR;
+  const onCall = options.onCall || (() => {});
+
+  return createSourceProxy(sourceName, async (call) => {
+    const fixtures = loadFieldFixtures(fixturesDir, sourceName, call.field);
+    const fixture = fixtures.find((entry) => matchesArgs(entry.args, call.args));
+
+    onCall(call);
+
+    if (!fixture) {
+      throw new Error(
+        `No fixture for ${sourceName}.${call.operation}.${call.field} with args ${stableStringify(call.args)}`
+      );
+    }
+    if (fixture.error) {
+      throw new Error(fixture.error);
+    }
+
+    // Hand out a copy so resolvers can't mutate the fixture between calls
+    return JSON.parse(JSON.stringify(fixture.response ?? null));
+  });
+}
+
+/**
+ * Create the stand-ins for every configured source
+ * @param {string[]} sourceNames - Source names from mesh.json
+ * @param {object} options - { mode: 'fixtures' | 'record' | 'replay', fixturesDir, recordingsDir, onCall, onRecord }
+ */
+function createSources(sourceNames, options = {}) {
+  const mode = options.mode || 'fixtures';
+  const recordingsDir = options.recordingsDir || DEFAULT_RECORDINGS_DIR;
+  const onCall = options.onCall || (() => {});
+
+  // Report calls made through sources that don't report them themselves
+  const tracing = (sourceName, source) =>
+    createSourceProxy(sourceName, async (call, context) => {
+      onCall(call);
+      return source[call.operation][call.field]({
+        root: {},
+        args: call.args,
+        context,
+        selectionSet: call.selectionSet,
+      });
+    });
+
+  return Object.fromEntries(
+    sourceNames.map((sourceName) => {
+      if (mode === 'record') {
+        const recording = createRecordingSource(sourceName, createLiveSource(sourceName), {
+          dir: recordingsDir,
+          onRecord: options.onRecord,
+        });
+        return [sourceName, tracing(sourceName, recording)];
+      }
+      if (mode === 'replay') {
+        const replay = createReplaySource(sourceName, { dir: recordingsDir });
+        return [sourceName, tracing(sourceName, replay)];
+      }
+      return [
+        sourceName,
+        createFixtureSource(sourceName, { fixturesDir: options.fixturesDir, onCall }),
+      ];
+    })
+  );
+}
+
+/**
+ * Build a console-backed logger matching the context.logger API
+ */
+function createConsoleLogger(quiet = false) {
+  const write = (level, formatter) => (message) => {
+    if (!quiet) console.error(formatter(`[${level}] ${message}`));
+  };
+
+  return {
+    error: write('error', format.error),
+    warn: write('warn', format.warning),
+    info: write('info', format.muted),
+    debug: () => {},
+  };
+}
+
+/**
+ * Combine additionalTypeDefs into an executable local schema
+ * Source types (Catalog_*, Search_*, Commerce_*) are not available offline,
+ * so extensions of types that are not defined locally are dropped.
+ */
+function buildLocalSchema(typeDefs, logger) {
+  const document = parse(typeDefs);
+  const definedTypes = new Set();
+  const definitions = [];
+
+  document.definitions.forEach((definition) => {
+    const isTypeDefinition = definition.kind.endsWith('Definition') && definition.name;
+    if (!isTypeDefinition) return;
+
+    if (definedTypes.has(definition.name.value)) {
+      logger.warn(`Duplicate type ${definition.name.value} - keeping the first definition`);
+      return;
+    }
+    definedTypes.add(definition.name.value);
+    definitions.push(definition);
+  });
+
+  document.definitions.forEach((definition) => {
+    if (!definition.kind.endsWith('Extension')) return;
+
+    const typeName = definition.name.value;
+    if (ROOT_TYPES.includes(typeName) || definedTypes.has(typeName)) {
+      definitions.push(definition);
+    }
+  });
+
+  // Base root types - the mesh provides these from its sources
+  ROOT_TYPES.forEach((typeName) => {
+    if (definedTypes.has(typeName)) return;
+    definitions.unshift({
+      kind: Kind.OBJECT_TYPE_DEFINITION,
+      name: { kind: Kind.NAME, value: typeName },
+      fields: [],
+    });
+  });
+
+  return buildASTSchema({ kind: Kind.DOCUMENT, definitions }, { assumeValidSDL: true });
+}
+
+/**
+ * Attach resolver maps from the built resolver files to the local schema
+ */
+function attachResolvers(schema, resolverFiles, logger) {
+  const attached = [];
+
+  resolverFiles.forEach((resolverFile) => {
+    const resolverPath = path.resolve(ROOT_DIR, resolverFile);
+    delete require.cache[require.resolve(resolverPath)];
+    const { resolvers = {} } = require(resolverPath);
+
+    Object.entries(resolvers).forEach(([typeName, fields]) => {
+      const type = schema.getType(typeName);
+      if (!type || typeof type.getFields !== 'function') {
+        // Field extensions on source types can't run offline
+        return;
+      }
+
+      Object.entries(fields).forEach(([fieldName, fieldConfig]) => {
+        const field = type.getFields()[fieldName];
+        if (!field) {
+          logger.warn(`${resolverFile}: ${typeName}.${fieldName} is not in the schema`);
+          return;
+        }
+        field.resolve = typeof fieldConfig === 'function' ? fieldConfig : fieldConfig.resolve;
+        attached.push(`${typeName}.${fieldName}`);
+      });
+    });
+  });
+
+  return attached;
+}
+
+/**
+ * Load the afterAll hooks of the mesh.json plugins, run after every operation like API Mesh does
+ * @param {Array} plugins - meshConfig.plugins
+ * @returns {Array} Hook functions ({ payload: { context, result } }) => hook response
+ */
+function loadAfterAllHooks(plugins = []) {
+  return plugins
+    .map((plugin) => plugin.hooks?.afterAll?.composer)
+    .filter(Boolean)
+    .map((composer) => {
+      const [hookFile, exportName] = composer.split('#');
+      const hookPath = path.resolve(ROOT_DIR, hookFile);
+      if (!fs.existsSync(hookPath)) {
+        throw new Error(`Built hook missing (${hookFile}) - run "npm run build" first`);
+      }
+      delete require.cache[require.resolve(hookPath)];
+      return require(hookPath)[exportName];
+    });
+}
+
+/**
+ * Create a local mesh from the generated mesh.json
+ * @param {object} options - { meshJsonPath, mode, fixturesDir, recordingsDir, sources, logger,
+ *   onSourceCall, onRecord, persistedOperationsPath, persistedOnly, secrets } - `mode` is
+ *   'fixtures' (default), 'record' or 'replay'; `secrets` (context.secrets) default to the
+ *   mesh secrets set in the environment
+ * @returns {object} { schema, resolvers, sourceNames, execute(query, variables, headers),
+ *   executeRequest(request, headers) } - executeRequest takes GET/POST request parameters,
+ *   including documentId for persisted operations
+ */
+function createLocalMesh(options = {}) {
+  const meshJsonPath = options.meshJsonPath || DEFAULT_MESH_JSON;
+  const logger = options.logger || createConsoleLogger();
+
+  if (!fs.existsSync(meshJsonPath)) {
+    throw new Error(`${path.basename(meshJsonPath)} not found - run "npm run build" first`);
+  }
+
+  const { meshConfig } = JSON.parse(fs.readFileSync(meshJsonPath, 'utf8'));
+  const resolverFiles = meshConfig.additionalResolvers || [];
+  const missing = resolverFiles.filter((file) => !fs.existsSync(path.resolve(ROOT_DIR, file)));
+  if (missing.length > 0) {
+    throw new Error(`Built resolvers missing (${missing.join(', ')}) - run "npm run build" first`);
+  }
+
+  const schema = buildLocalSchema(meshConfig.additionalTypeDefs || '', logger);
+  const resolvers = attachResolvers(schema, resolverFiles, logger);
+  const afterAllHooks = loadAfterAllHooks(meshConfig.plugins);
+  const sourceNames = (meshConfig.sources || []).map((source) => source.name);
+
+  // One stand-in per configured source; explicit `sources` override the mode
+  const sources = {
+    ...createSources(sourceNames, {
+      mode: options.mode,
+      fixturesDir: options.fixturesDir,
+      recordingsDir: options.recordingsDir,
+      onCall: options.onSourceCall,
+      onRecord: options.onRecord,
+    }),
+    ...options.sources,
+  };
+
+  const secrets = options.secrets || loadMeshSecrets();
+
+  const execute = async (query, variables = {}, headers = {}) => {
+    const contextValue = {
+      headers: Object.fromEntries(
+        Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value])
+      ),
+      logger,
+      secrets,
+      ...sources,
+    };
+
+    let result = await graphql({ schema, source: query, variableValues: variables, contextValue });
+    for (const hook of afterAllHooks) {
+      const hookResponse = await hook({ payload: { context: contextValue, result } });
+      result = hookResponse?.data?.result || result;
+    }
+    return result;
+  };
+
+  // Persisted operation manifest from the build, read on first use
+  let manifest;
+  const executeRequest = async (request, headers = {}) => {
+    const manifestPath = options.persistedOperationsPath || DEFAULT_PERSISTED_OPERATIONS;
+    if (!manifest) {
+      manifest = fs.existsSync(manifestPath)
+        ? JSON.parse(fs.readFileSync(manifestPath, 'utf8'))
+        : {};
+    }
+
+    const { query, variables } = resolvePersistedRequest(request, manifest, {
+      persistedOnly: options.persistedOnly === true,
+    });
+    return execute(query, variables, headers);
+  };
+
+  return { schema, resolvers, sourceNames, execute, executeRequest };
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  require('dotenv').config();
+
+  if (args.help || (!args.query && !args.file && !args.hash)) {
+    console.log(`
+Usage: npm run local -- [options]
+
+Options:
+  --help               Show this help message
+  --query=<graphql>    Operation to execute
+  --file=<path>        Read the operation from a .graphql file
+  --hash=<sha256>      Run a persisted operation from persisted-operations.json
+  --persisted-only     Reject --query and --file, like a persisted-only endpoint
+  --variables=<json>   Operation variables as JSON
+  --headers=<json>     Request headers as JSON (e.g. {"x-cart-id":"abc"})
+  --fixtures=<dir>     Fixtures directory (default: fixtures/)
+  --record[=<dir>]     Call the real sources from .env and record every call
+                       (default: fixtures/recorded/)
+  --replay[=<dir>]     Answer only from recorded calls (default: fixtures/recorded/)
+  --trace              Print every upstream source call
+  --timings            Keep extensions.timings in the printed response
+                       (the Server-Timing header is printed when
+                       responseTimings.enabled is set in mesh.config.js)
+  --quiet              Suppress resolver logging
+
+Runs the built resolvers from mesh.json against the JSON fixtures in
+fixtures/<SourceName>/<fieldName>.json. Run "npm run build" first.
+
+Recordings are keyed by a hash of source, field, args and selection set, so
+replay fails when a resolver's upstream call changes.
+    `);
+    return;
+  }
+
+  const query = args.file ? fs.readFileSync(path.resolve(args.file), 'utf8') : args.query;
+  const headers = args.headers ? JSON.parse(args.headers) : {};
+
+  if (args.record && args.replay) {
+    throw new Error('Use either --record or --replay, not both');
+  }
+  const mode = args.record ? 'record' : args.replay ? 'replay' : 'fixtures';
+  const recordingsDir = args.record || args.replay;
+
+  const mesh = createLocalMesh({
+    mode,
+    fixturesDir: args.fixtures ? path.resolve(args.fixtures) : DEFAULT_FIXTURES_DIR,
+    recordingsDir:
+      typeof recordingsDir === 'string' ? path.resolve(recordingsDir) : DEFAULT_RECORDINGS_DIR,
+    logger: createConsoleLogger(args.quiet === true),
+    onSourceCall: args.trace
+      ? ({ source, operation, field, args: callArgs }) =>
+          console.error(
+            format.muted(`→ ${source}.${operation}.${field} ${stableStringify(callArgs)}`)
+          )
+      : undefined,
+    onRecord: (_call, recordingFile) =>
+      console.error(format.success(`Recorded ${path.relative(process.cwd(), recordingFile)}`)),
+    persistedOnly: args['persisted-only'] === true,
+  });
+
+  const result = await mesh.executeRequest(
+    { query, documentId: args.hash, variables: args.variables },
+    requestTimings(headers)
+  );
+  const { headers: responseHeaders, body } = applyServerTiming(result, {
+    keepExtensions: args.timings === true,
+  });
+  if (responseHeaders[SERVER_TIMING_HEADER]) {
+    console.error(
+      format.muted(`${SERVER_TIMING_HEADER}: ${responseHeaders[SERVER_TIMING_HEADER]}`)
+    );
+  }
+  console.log(JSON.stringify(body, null, 2));
+
+  if (result.errors?.length) {
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(format.error(`Local mesh failed: ${error.message}`));
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  createLocalMesh,
+  createFixtureSource,
+  createSources,
+  buildLocalSchema,
+  stableStringify,
+  matchesArgs,
+};
@@ -0,0 +1,148 @@
+#!/usr/bin/env node
+
+/**
+ * Persisted operation proxy
+ * Serves the storefront's GET ?documentId=<sha256> requests against the deployed mesh,
+ * which only executes full documents (see scripts/lib/persisted-proxy.js).
+ */
+
+/* global Buffer, Request, URL */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { createPersistedProxy } = require('./lib/persisted-proxy');
+
+// Check if chalk is available
+let chalk;
+try {
+  chalk = require('chalk');
+} catch {
+  // Fallback if chalk is not installed
+  chalk = {
+    green: (str) => str,
+    red: (str) => str,
+    gray: (str) => str,
+  };
+}
+
+// Formatting helpers matching the other scripts
+const format = {
+  success: (msg) => chalk.green(`✔ ${msg}`),
+  error: (msg) => chalk.red(`✖ ${msg}`),
+  muted: (msg) => chalk.gray(msg),
+};
+
+const PERSISTED_OPERATIONS_PATH = path.join(__dirname, '..', 'persisted-operations.json');
+const DEFAULT_PORT = 4000;
+
+/**
+ * Parse command line arguments
+ * Splits on the first "=" only so URLs with query strings can be passed
+ */
+function parseArgs(args) {
+  const parsed = { params: {} };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg.startsWith('--')) {
+      const separator = arg.indexOf('=');
+      const key = separator === -1 ? arg.substring(2) : arg.substring(2, separator);
+      const value = separator === -1 ? true : arg.substring(separator + 1);
+      parsed[key] = value;
+    }
+  }
+
+  return parsed;
+}
+
+/**
+ * Read a Node request's body
+ * @param {http.IncomingMessage} req - Incoming request
+ * @returns {Promise<Buffer>}
+ */
+async function readBody(req) {
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Serve the proxy handler over HTTP
+ * @param {Function} handle - Handler from createPersistedProxy()
+ * @returns {http.Server}
+ */
+function createProxyServer(handle) {
+  return http.createServer(async (req, res) => {
+    try {
+      const hasBody = req.method !== 'GET' && req.method !== 'HEAD';
+      const request = new Request(new URL(req.url, `http://${req.headers.host}`), {
+        method: req.method,
+        headers: Object.entries(req.headers).map(([name, value]) => [name, String(value)]),
+        body: hasBody ? await readBody(req) : undefined,
+      });
+
+      const response = await handle(request);
+      res.writeHead(response.status, Object.fromEntries(response.headers));
+      res.end(Buffer.from(await response.arrayBuffer()));
+    } catch (error) {
+      console.error(format.error(`Proxy request failed: ${error.message}`));
+      res.writeHead(502, { 'content-type': 'application/json' });
+      res.end(JSON.stringify({ errors: [{ message: 'Mesh request failed' }] }));
+    }
+  });
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  require('dotenv').config();
+
+  const meshUrl = args['mesh-url'] || process.env.MESH_ENDPOINT;
+  if (args.help || !meshUrl) {
+    console.log(`
+Usage: npm run proxy -- [options]
+
+Options:
+  --help               Show this help message
+  --mesh-url=<url>     GraphQL endpoint of the deployed mesh (default: MESH_ENDPOINT)
+  --port=<port>        Port to listen on (default: ${DEFAULT_PORT})
+  --persisted-only     Reject requests that send a document instead of a hash
+
+Swaps the documentId (or extensions.persistedQuery.sha256Hash) of GET and POST
+requests for the document in persisted-operations.json and forwards the request
+to the mesh. Run "npm run build" first.
+    `);
+    return;
+  }
+
+  if (!fs.existsSync(PERSISTED_OPERATIONS_PATH)) {
+    throw new Error('persisted-operations.json missing - run "npm run build" first');
+  }
+  const manifest = JSON.parse(fs.readFileSync(PERSISTED_OPERATIONS_PATH, 'utf8'));
+
+  const handle = createPersistedProxy({
+    manifest,
+    meshUrl,
+    persistedOnly: args['persisted-only'] === true,
+  });
+  const port = Number(args.port) || DEFAULT_PORT;
+
+  createProxyServer(handle).listen(port, () => {
+    console.log(format.success(`Persisted operation proxy listening on http://localhost:${port}`));
+    console.log(
+      format.muted(`  - ${Object.keys(manifest).length} persisted operations → ${meshUrl}`)
+    );
+  });
+}
+
+// Run if called directly
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(format.error(`Proxy failed: ${error.message}`));
+    process.exit(1);
+  });
+}
+
+module.exports = { createProxyServer };
@@ -0,0 +1,194 @@
+#!/usr/bin/env node
+
+/**
+ * Purge cached responses by cache tag
+ * Cacheable Citisignal results return `cacheTags` (product:<sku>, category:<id>). The
+ * persisted operation proxy (npm run proxy) sends them on as a Surrogate-Key header, so
+ * the Fastly service in front of it can purge one product or category instead of the
+ * whole storefront. The Fastly service itself is not part of this repository.
+ *
+ * The mesh response cache can only be purged as a whole. A tag purge clears it too,
+ * otherwise the CDN would fetch the stale mesh entries again until their TTL (cacheRules
+ * in mesh.config.js) runs out.
+ */
+
+/* global fetch */
+
+const { execSync } = require('child_process');
+
+require('dotenv').config();
+
+// Check if chalk is available
+let chalk;
+try {
+  chalk = require('chalk');
+} catch {
+  // Fallback if chalk is not installed
+  chalk = {
+    green: (str) => str,
+    red: (str) => str,
+    yellow: (str) => str,
+    gray: (str) => str,
+  };
+}
+
+// Formatting helpers matching the other scripts
+const format = {
+  success: (msg) => chalk.green(`✔ ${msg}`),
+  error: (msg) => chalk.red(`✖ ${msg}`),
+  warning: (msg) => chalk.yellow(`⚠ ${msg}`),
+  muted: (msg) => chalk.gray(msg),
+};
+
+const FASTLY_API = 'https://api.fastly.com';
+const CACHE_TAG_PATTERN = /^(product|category):\S+$/;
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(args) {
+  const parsed = { params: {} };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg.startsWith('--')) {
+      const [key, value] = arg.substring(2).split('=');
+      parsed[key] = value || true;
+    }
+  }
+
+  return parsed;
+}
+
+/**
+ * Split and check --tag values
+ * @param {string} value - Comma-separated tags, e.g. "product:iphone-15,category:4"
+ * @returns {string[]} Unique tags
+ */
+function parseTags(value) {
+  const tags = [
+    ...new Set(
+      String(value || '')
+        .split(',')
+        .map((tag) => tag.trim())
+        .filter(Boolean)
+    ),
+  ];
+
+  if (tags.length === 0) {
+    throw new Error('No cache tags given (use --tag=product:<sku> or --tag=category:<id>)');
+  }
+
+  const invalid = tags.filter((tag) => !CACHE_TAG_PATTERN.test(tag));
+  if (invalid.length > 0) {
+    throw new Error(`Unknown cache tag format: ${invalid.join(', ')}`);
+  }
+
+  return tags;
+}
+
+/**
+ * Build the CDN surrogate key purge request for the tags
+ * @param {string[]} tags - Cache tags
+ * @param {object} env - Needs FASTLY_SERVICE_ID and FASTLY_API_TOKEN
+ * @returns {object} { url, options } for fetch
+ */
+function buildPurgeRequest(tags, env) {
+  if (!env.FASTLY_SERVICE_ID || !env.FASTLY_API_TOKEN) {
+    throw new Error('FASTLY_SERVICE_ID and FASTLY_API_TOKEN must be set to purge by tag');
+  }
+
+  return {
+    url: `${FASTLY_API}/service/${encodeURIComponent(env.FASTLY_SERVICE_ID)}/purge`,
+    options: {
+      method: 'POST',
+      headers: {
+        'Fastly-Key': env.FASTLY_API_TOKEN,
+        'Surrogate-Key': tags.join(' '),
+        Accept: 'application/json',
+      },
+    },
+  };
+}
+
+/**
+ * Purge the tags from the CDN
+ * @param {string[]} tags - Cache tags
+ * @param {object} options - { env, fetch } to override process.env and global fetch
+ */
+async function purgeTags(tags, options = {}) {
+  const fetchImpl = options.fetch || fetch;
+  const { url, options: requestOptions } = buildPurgeRequest(tags, options.env || process.env);
+
+  const response = await fetchImpl(url, requestOptions);
+  if (!response.ok) {
+    throw new Error(`Purge request failed with HTTP ${response.status}`);
+  }
+}
+
+/**
+ * Purge the whole mesh response cache
+ */
+function purgeMeshCache(isProd) {
+  execSync(`aio api-mesh:cache:purge -a -c${isProd ? ' --prod' : ''}`, { stdio: 'inherit' });
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const isProd = args.prod === true || args.production === true;
+
+  if (args.help || (!args.tag && !args.all)) {
+    console.log(`
+Usage: npm run cache:purge -- [options]
+
+Options:
+  --help                   Show this help message
+  --tag=<tags>             Purge cached responses with these tags from the CDN,
+                           comma-separated: product:<sku>, category:<id>,
+                           and the mesh response cache behind it
+  --cdn-only               Leave the mesh cache alone (with --tag)
+  --all                    Purge the whole mesh response cache
+  --prod                   Use the production mesh
+
+Examples:
+  npm run cache:purge -- --tag=product:iphone-15
+  npm run cache:purge -- --tag=category:4,category:5
+  npm run cache:purge -- --all --prod
+
+Tag purges need FASTLY_SERVICE_ID and FASTLY_API_TOKEN for the CDN in front of the
+proxy. The mesh cache can't be purged by tag, so it is purged as a whole.
+    `);
+    return;
+  }
+
+  try {
+    if (args.tag) {
+      const tags = parseTags(args.tag);
+      await purgeTags(tags);
+      console.log(format.success(`Purged ${tags.length} cache tag(s): ${tags.join(', ')}`));
+    }
+
+    // The CDN refills from the mesh, whose entries would still be stale
+    if (args.all || (args.tag && !args['cdn-only'])) {
+      purgeMeshCache(isProd);
+      console.log(format.success(`Purged mesh cache (${isProd ? 'production' : 'staging'})`));
+    }
+  } catch (error) {
+    console.error(format.error(`Cache purge failed: ${error.message}`));
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(format.error(`Error: ${error.message}`));
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  parseTags,
+  buildPurgeRequest,
+  purgeTags,
+};
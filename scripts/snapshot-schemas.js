@@ -0,0 +1,169 @@
+#!/usr/bin/env node
+/* global fetch */
+
+/**
+ * Snapshot the introspection schema of each mesh source into schema/sources/
+ * The build validates resolver selectionSet strings against these snapshots.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { buildClientSchema, getIntrospectionQuery, printSchema } = require('graphql');
+const { interpolate, resolveHeaders, postGraphQL } = require('./lib/upstream-sources');
+const { sourceSchemaPath } = require('./lib/selection-validation');
+
+// Check if ora and chalk are available
+let ora, chalk;
+try {
+  ora = require('ora');
+} catch {
+  // Fallback if ora is not installed
+  ora = (options) => ({
+    start: () => {
+      console.log(options.text || options);
+      return { stop: () => {}, fail: () => {} };
+    },
+  });
+}
+
+try {
+  chalk = require('chalk');
+} catch {
+  // Fallback if chalk is not installed
+  chalk = {
+    green: (str) => str,
+    red: (str) => str,
+    yellow: (str) => str,
+    blue: (str) => str,
+    cyan: (str) => str,
+    gray: (str) => str,
+    bold: { green: (str) => str },
+  };
+}
+
+// Formatting helpers matching the other scripts
+const format = {
+  success: (msg) => chalk.green(`✔ ${msg}`),
+  majorSuccess: (msg) => chalk.green(`✅ ${msg}`),
+  error: (msg) => chalk.red(`✖ ${msg}`),
+  muted: (msg) => chalk.gray(msg),
+};
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(args) {
+  const parsed = { params: {} };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg.startsWith('--')) {
+      const [key, value] = arg.substring(2).split('=');
+      parsed[key] = value || true;
+    }
+  }
+
+  return parsed;
+}
+
+/**
+ * Introspect one source and return its SDL
+ * Uses the source's schemaHeaders (falling back to operationHeaders), like the mesh does.
+ */
+async function introspectSource(sourceConfig, fetchImpl = fetch) {
+  const { endpoint, schemaHeaders, operationHeaders } = sourceConfig.handler.graphql;
+  const resolvedEndpoint = interpolate(endpoint);
+  if (!resolvedEndpoint) {
+    throw new Error(`No endpoint for ${sourceConfig.name} - check ${endpoint} in .env`);
+  }
+
+  const { data } = await postGraphQL(
+    fetchImpl,
+    resolvedEndpoint,
+    resolveHeaders(schemaHeaders || operationHeaders),
+    { query: getIntrospectionQuery() }
+  );
+
+  return printSchema(buildClientSchema(data));
+}
+
+/**
+ * Write the snapshot for one source
+ * @returns {string} Path of the written file
+ */
+function writeSnapshot(sourceName, sdl, schemasDir) {
+  const snapshotPath = sourceSchemaPath(sourceName, schemasDir);
+  fs.mkdirSync(path.dirname(snapshotPath), { recursive: true });
+  fs.writeFileSync(
+    snapshotPath,
+    `# ${sourceName} schema as served by the source (before the mesh prefix transform)\n` +
+      '# Generated by npm run schema:snapshot - do not edit\n\n' +
+      sdl +
+      '\n'
+  );
+  return snapshotPath;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (args.help) {
+    console.log(`
+Usage: npm run schema:snapshot [options]
+
+Options:
+  --help               Show this help message
+  --source=<name>      Only snapshot one source (e.g. CatalogServiceSandbox)
+
+Introspects every source in mesh.config.js using the endpoints and schema
+headers from .env, and writes schema/sources/<SourceName>.graphql.
+    `);
+    return;
+  }
+
+  const meshConfigPath = path.join(__dirname, '..', 'mesh.config.js');
+  const { meshConfig } = require(meshConfigPath);
+  const sources = meshConfig.sources.filter(
+    (source) => !args.source || source.name === args.source
+  );
+  if (sources.length === 0) {
+    throw new Error(`Source ${args.source} is not configured in mesh.config.js`);
+  }
+
+  for (const sourceConfig of sources) {
+    const spinner = ora({
+      text: format.muted(`Introspecting ${sourceConfig.name}`),
+      spinner: 'dots',
+    }).start();
+
+    try {
+      const sdl = await introspectSource(sourceConfig);
+      const snapshotPath = writeSnapshot(sourceConfig.name, sdl);
+      spinner.stop();
+      console.log(
+        format.success(`${sourceConfig.name} → ${path.relative(process.cwd(), snapshotPath)}`)
+      );
+    } catch (error) {
+      spinner.stop();
+      throw new Error(`${sourceConfig.name}: ${error.message}`);
+    }
+  }
+
+  console.log();
+  console.log(
+    format.majorSuccess('Schema snapshots updated - run npm run build to validate resolvers')
+  );
+}
+
+// Run if called directly
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(format.error('Snapshot failed:'), error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  introspectSource,
+  writeSnapshot,
+};
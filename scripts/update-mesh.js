@@ -11,6 +11,9 @@ const { execSync } = require('child_process');
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const { loadMeshSecrets, writeSecretsFile } = require('./lib/mesh-secrets');
+
+require('dotenv').config();
 
 // Check if ora and chalk are available
 let ora, chalk;
@@ -81,12 +84,13 @@ function isProdEnvironment(args) {
 }
 
 /**
- * Get hash of source files (schemas, resolvers, and config) to detect changes
+ * Get hash of source files (schemas, resolvers, hooks and config) to detect changes
  * Does NOT include mesh.json since that gets rebuilt
  */
 function getSourceFilesHash() {
   try {
     const resolversDir = path.join(__dirname, '..', 'build', 'resolvers');
+    const hooksDir = path.join(__dirname, '..', 'build', 'hooks');
     const schemasDir = path.join(__dirname, '..', 'schema');
     const meshConfigPath = path.join(__dirname, '..', 'mesh.config.js');
 
@@ -97,18 +101,20 @@ function getSourceFilesHash() {
       combinedContent += fs.readFileSync(meshConfigPath, 'utf8');
     }
 
-    // Include all resolver files
-    if (fs.existsSync(resolversDir)) {
-      const resolverFiles = fs
-        .readdirSync(resolversDir)
+    // Include all resolver and hook files
+    [resolversDir, hooksDir].forEach((dir) => {
+      if (!fs.existsSync(dir)) return;
+
+      const builtFiles = fs
+        .readdirSync(dir)
         .filter((f) => f.endsWith('.js'))
         .sort(); // Sort for consistent hash
 
-      resolverFiles.forEach((file) => {
-        const filePath = path.join(resolversDir, file);
+      builtFiles.forEach((file) => {
+        const filePath = path.join(dir, file);
         combinedContent += fs.readFileSync(filePath, 'utf8');
       });
-    }
+    });
 
     // Include all schema files
     if (fs.existsSync(schemasDir)) {
@@ -323,10 +329,25 @@ async function purgeMeshCache(isProd, environment) {
 
 /**
  * Update mesh configuration
+ * Mesh secrets (MESH_DEBUG_SECRET) go with the update from a temporary file, never
+ * through mesh.json.
  */
 async function updateMeshConfiguration(isProd, environment) {
-  const meshCommand = `echo "y" | aio api-mesh:update mesh.json${isProd ? ' --prod' : ''} 2>&1`;
-  await runDeployCommand(meshCommand, `Updating mesh configuration in ${environment}`, true, true);
+  const secretsFile = writeSecretsFile(loadMeshSecrets());
+  const secretsOption = secretsFile
+    ? ` --secrets ${path.relative(process.cwd(), secretsFile)}`
+    : '';
+  const meshCommand = `echo "y" | aio api-mesh:update mesh.json${isProd ? ' --prod' : ''}${secretsOption} 2>&1`;
+  try {
+    await runDeployCommand(
+      meshCommand,
+      `Updating mesh configuration in ${environment}`,
+      true,
+      true
+    );
+  } finally {
+    if (secretsFile) fs.rmSync(secretsFile, { force: true });
+  }
   return true;
 }
 
@@ -374,7 +395,7 @@ Use --skip-check to bypass this and always deploy.
 
     // Always rebuild mesh.json to ensure all resolver changes are included
     console.log(format.muted('Rebuilding mesh configuration...'));
-    execSync('npm run build -- --force', { stdio: 'inherit' });
+    execSync(`npm run build -- --force${isProd ? ' --prod' : ''}`, { stdio: 'inherit' });
     console.log();
 
     // Purge cache if not skipped
@@ -0,0 +1,89 @@
+/**
+ * Cart fixtures shared by resolver tests
+ * Shapes match the Commerce GraphQL cart response requested by queryCartDetails
+ */
+
+const money = (value, currency = 'USD') => ({ value: Math.round(value * 100) / 100, currency });
+
+const cartItem = (overrides = {}) => {
+  const quantity = overrides.quantity || 1;
+
+  return {
+    id: '1',
+    quantity,
+    product: {
+      id: '202',
+      sku: 'usb-c-charger',
+      name: 'USB-C Charger',
+      stock_status: 'IN_STOCK',
+      only_x_left_in_stock: null, // Only set below the store's "Only X left" threshold
+      min_sale_qty: 1,
+      max_sale_qty: 10000,
+      thumbnail: { url: 'https://example.com/media/charger-thumb.jpg' },
+      media_gallery: [
+        { url: 'https://example.com/media/charger-thumb.jpg', label: 'Charger', role: 'thumbnail' },
+      ],
+    },
+    prices: {
+      row_total: money(29.99 * quantity),
+      price: money(29.99),
+    },
+    ...overrides,
+  };
+};
+
+// Prices default to the sum of the item rows, with no discounts, taxes or shipping
+const commerceCart = (items = [cartItem()], overrides = {}) => {
+  const subtotal = money(items.reduce((total, item) => total + item.prices.row_total.value, 0));
+
+  return {
+    id: 'cart-123',
+    total_quantity: items.reduce((total, item) => total + item.quantity, 0),
+    items,
+    prices: {
+      grand_total: subtotal,
+      subtotal_excluding_tax: subtotal,
+      subtotal_including_tax: subtotal,
+      discounts: null,
+      applied_taxes: [],
+    },
+    applied_coupons: null,
+    shipping_addresses: [],
+    ...overrides,
+  };
+};
+
+const address = (overrides = {}) => ({
+  firstname: 'Ada',
+  lastname: 'Lovelace',
+  company: null,
+  street: ['1 Main St', ''],
+  city: 'San Diego',
+  postcode: '92101',
+  telephone: '555-0100',
+  region: { code: 'CA', label: 'California' },
+  country: { code: 'US', label: 'United States' },
+  ...overrides,
+});
+
+const flatRate = (overrides = {}) => ({
+  carrier_code: 'flatrate',
+  method_code: 'flatrate',
+  carrier_title: 'Flat Rate',
+  method_title: 'Fixed',
+  amount: money(5),
+  ...overrides,
+});
+
+// Cart as requested by queryCheckoutDetails, with nothing set yet
+const checkoutCart = (overrides = {}) => ({
+  ...commerceCart(),
+  email: null,
+  is_virtual: false,
+  billing_address: null,
+  available_payment_methods: [{ code: 'checkmo', title: 'Check / Money order' }],
+  selected_payment_method: { code: '', title: '' },
+  ...overrides,
+});
+
+module.exports = { money, cartItem, commerceCart, address, flatRate, checkoutCart };
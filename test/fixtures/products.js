@@ -0,0 +1,58 @@
+/**
+ * Product fixtures shared by resolver tests
+ * Shapes match the Catalog Service / Live Search productView responses
+ */
+
+const simpleProductView = (overrides = {}) => ({
+  __typename: 'Catalog_SimpleProductView',
+  id: '202',
+  name: 'USB-C Charger',
+  sku: 'usb-c-charger',
+  urlKey: 'usb-c-charger',
+  inStock: true,
+  images: [{ url: 'http://example.com/media/charger.jpg', label: 'Charger' }],
+  attributes: [{ name: 'cs_manufacturer', value: 'Anker' }],
+  price: {
+    regular: { amount: { value: 29.99 } },
+    final: { amount: { value: 29.99 } },
+  },
+  ...overrides,
+});
+
+const complexProductView = (overrides = {}) => ({
+  __typename: 'Catalog_ComplexProductView',
+  id: '101',
+  name: 'iPhone 15',
+  sku: 'iphone-15',
+  urlKey: 'iphone-15',
+  inStock: true,
+  images: [{ url: 'https://example.com/media/iphone-15.jpg', label: 'iPhone 15' }],
+  attributes: [{ name: 'cs_manufacturer', label: 'Manufacturer', value: 'Apple' }],
+  priceRange: {
+    minimum: {
+      regular: { amount: { value: 899.99 } },
+      final: { amount: { value: 799.99 } },
+    },
+  },
+  options: [
+    {
+      id: 'cs_color',
+      title: 'Color',
+      values: [
+        { title: 'Black', value: '#000000' },
+        { title: 'Pink', value: '#FFC0CB' },
+      ],
+    },
+  ],
+  ...overrides,
+});
+
+// Wrap product views the way productSearch returns them
+const searchResult = (productViews, pageInfo = {}) => ({
+  total_count: productViews.length,
+  page_info: { current_page: 1, page_size: 24, total_pages: 1, ...pageInfo },
+  items: productViews.map((productView) => ({ productView })),
+  facets: [],
+});
+
+module.exports = { simpleProductView, complexProductView, searchResult };
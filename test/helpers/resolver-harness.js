@@ -0,0 +1,265 @@
+/**
+ * Resolver Test Harness
+ * Loads resolvers from resolvers-src/ with the same utility injection the build uses,
+ * and runs them against a mock context that records every upstream source call.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parse } = require('graphql');
+const {
+  loadUtilityModules,
+  loadFacetMappings,
+  loadStoreLocales,
+  injectResolverSource,
+  injectModuleSource,
+} = require('../../scripts/build-mesh');
+const { readRecording } = require('../../scripts/lib/upstream-sources');
+
+const RESOLVERS_DIR = path.join(__dirname, '..', '..', 'resolvers-src');
+const HOOKS_DIR = path.join(RESOLVERS_DIR, 'hooks');
+
+// Utilities and configuration are the same for every resolver, load them once
+let buildInputs = null;
+const getBuildInputs = () => {
+  if (!buildInputs) {
+    buildInputs = {
+      utilities: loadUtilityModules(),
+      config: { facetMappings: loadFacetMappings(), storeLocales: loadStoreLocales() },
+    };
+  }
+  return buildInputs;
+};
+
+/**
+ * Load a resolver module exactly as the build would produce it
+ * @param {string} file - Resolver file relative to resolvers-src/ (e.g. 'product-cards.js')
+ * @param {object} options - { expose: ['executeSearchMode'] } to also return module-private functions,
+ *   { storeLocales } and { facetMappings } to replace config/store-locales.json and
+ *   config/facet-mappings.json,
+ *   { persistedOperationSignatures } to build it like a persisted-only production build
+ * @returns {object} { resolvers, internals, source }
+ */
+const loadResolver = (file, options = {}) => {
+  const { utilities, config: buildConfig } = getBuildInputs();
+  const config = {
+    ...buildConfig,
+    ...(options.storeLocales && { storeLocales: options.storeLocales }),
+    ...(options.facetMappings && { facetMappings: options.facetMappings }),
+    persistedOperationSignatures: options.persistedOperationSignatures,
+  };
+  const content = fs.readFileSync(path.join(RESOLVERS_DIR, file), 'utf8');
+  const expose = options.expose || [];
+
+  // Module-private helpers are only reachable from inside the module scope
+  const exposeCode = expose.length
+    ? `\nmodule.exports.__internals = { ${expose.join(', ')} };\n`
+    : '';
+  const source = injectResolverSource(content, utilities, config, file) + exposeCode;
+
+  // Evaluate in this realm so results compare cleanly with assert.deepStrictEqual
+  const module = { exports: {} };
+  const evaluate = new Function('module', 'exports', `${source}\n//# sourceURL=${file}`);
+  evaluate(module, module.exports);
+
+  const { __internals: internals = {}, ...moduleExports } = module.exports;
+  return { resolvers: moduleExports.resolvers, internals, source };
+};
+
+/**
+ * Load a mesh hook module exactly as the build would produce it
+ * @param {string} file - Hook file relative to resolvers-src/hooks/ (e.g. 'response-timings.js')
+ * @returns {object} The hook module's exports
+ */
+const loadHook = (file) => {
+  const { utilities, config } = getBuildInputs();
+  const content = fs.readFileSync(path.join(HOOKS_DIR, file), 'utf8');
+  const source = injectModuleSource(content, utilities, config, `hooks/${file}`);
+
+  const module = { exports: {} };
+  const evaluate = new Function('module', 'exports', `${source}\n//# sourceURL=${file}`);
+  evaluate(module, module.exports);
+  return module.exports;
+};
+
+/**
+ * Create a logger that keeps messages for assertions instead of printing them
+ * `entries(message)` parses the JSON lines from logEvent, optionally only those with a message
+ */
+const createMockLogger = () => {
+  const messages = [];
+  const log = (level) => (message) => messages.push({ level, message });
+
+  return {
+    messages,
+    entries: (message) =>
+      messages
+        .map((logged) => JSON.parse(logged.message))
+        .filter((entry) => !message || entry.message === message),
+    error: log('error'),
+    warn: log('warn'),
+    info: log('info'),
+    debug: log('debug'),
+  };
+};
+
+/**
+ * Create a mock mesh context with recording source stand-ins
+ *
+ * Responses are keyed by "<Source>.<Operation>.<field>", e.g.
+ * 'CatalogServiceSandbox.Query.Catalog_productSearch'. A response may be a value
+ * or a function receiving the call ({ args, selectionSet, context }); throw inside
+ * the function to simulate an upstream failure. Each recorded call also keeps the
+ * headers of the context it was made with.
+ *
+ * With `recordings` set to a directory written by `npm run local -- --record`,
+ * calls without an explicit response are answered from the matching recording.
+ *
+ * `secrets` become context.secrets, the mesh secrets (e.g. MESH_DEBUG_SECRET).
+ *
+ * @param {object} options - { responses, recordings, headers, state, secrets }
+ * @returns {object} { context, calls, logger, callsTo(key) }
+ */
+const createMockContext = (options = {}) => {
+  const responses = options.responses || {};
+  const calls = [];
+  const logger = createMockLogger();
+
+  const createSource = (sourceName) => {
+    const createOperation = (operation) =>
+      new Proxy(
+        {},
+        {
+          get: (_target, field) => {
+            if (typeof field !== 'string') return undefined;
+
+            return async ({ args = {}, selectionSet, context } = {}) => {
+              const key = `${sourceName}.${operation}.${field}`;
+              // Headers of the context passed to the call, which may differ from the request's
+              const headers = context?.headers || {};
+              calls.push({
+                key,
+                source: sourceName,
+                operation,
+                field,
+                args,
+                selectionSet,
+                headers,
+              });
+
+              if (!(key in responses)) {
+                const recording =
+                  options.recordings &&
+                  readRecording(options.recordings, {
+                    source: sourceName,
+                    operation,
+                    field,
+                    args,
+                    selectionSet,
+                  });
+                if (!recording) {
+                  throw new Error(`Unexpected upstream call: ${key}`);
+                }
+                if (recording.error) {
+                  throw new Error(recording.error);
+                }
+                return recording.response;
+              }
+
+              const response = responses[key];
+              return typeof response === 'function'
+                ? response({ args, selectionSet, context })
+                : JSON.parse(JSON.stringify(response));
+            };
+          },
+        }
+      );
+
+    return { Query: createOperation('Query'), Mutation: createOperation('Mutation') };
+  };
+
+  const context = {
+    headers: options.headers || {},
+    logger,
+    CommerceGraphQL: createSource('CommerceGraphQL'),
+    CatalogServiceSandbox: createSource('CatalogServiceSandbox'),
+    LiveSearchSandbox: createSource('LiveSearchSandbox'),
+  };
+  if (options.state) {
+    context.state = options.state;
+  }
+  if (options.secrets) {
+    context.secrets = options.secrets;
+  }
+
+  return {
+    context,
+    calls,
+    logger,
+    callsTo: (key) => calls.filter((call) => call.key === key),
+  };
+};
+
+/**
+ * Run a root field resolver from a loaded resolver module
+ * @param {object} resolvers - Resolver map from loadResolver()
+ * @param {string} fieldPath - e.g. 'Query.Citisignal_productCards'
+ * @param {object} args - Field arguments
+ * @param {object} context - Mock context from createMockContext()
+ * @param {object} info - Resolve info, e.g. from resolveInfo()
+ */
+const runResolver = (resolvers, fieldPath, args, context, info = {}) => {
+  const [typeName, fieldName] = fieldPath.split('.');
+  const fieldConfig = resolvers?.[typeName]?.[fieldName];
+  if (!fieldConfig) {
+    throw new Error(`Resolver ${fieldPath} not found`);
+  }
+
+  const resolve = typeof fieldConfig === 'function' ? fieldConfig : fieldConfig.resolve;
+  return resolve({}, args || {}, context, info);
+};
+
+/**
+ * Resolve info for the first root field of a document, as the mesh passes it
+ * @param {string} document - Operation, e.g. '{ Citisignal_productCards { upstreamErrors { code } } }'
+ * @returns {object} { operation, fieldNodes, fragments }
+ */
+const resolveInfo = (document) => {
+  const { definitions } = parse(document);
+  const operation = definitions.find((definition) => definition.kind === 'OperationDefinition');
+  const fragments = Object.fromEntries(
+    definitions
+      .filter((definition) => definition.kind === 'FragmentDefinition')
+      .map((fragment) => [fragment.name.value, fragment])
+  );
+  return { operation, fieldNodes: [operation.selectionSet.selections[0]], fragments };
+};
+
+/**
+ * Parse a recorded selectionSet so tests can assert on requested fields
+ * Throws on GraphQL syntax errors, which makes typos in selection sets fail fast
+ * @returns {object} GraphQL SelectionSet AST node
+ */
+const parseSelectionSet = (selectionSet) => {
+  const document = parse(selectionSet);
+  return document.definitions[0].selectionSet;
+};
+
+/**
+ * List the top-level field names requested by a selectionSet string
+ */
+const selectedFields = (selectionSet) =>
+  parseSelectionSet(selectionSet)
+    .selections.filter((selection) => selection.kind === 'Field')
+    .map((selection) => selection.name.value);
+
+module.exports = {
+  loadResolver,
+  loadHook,
+  createMockContext,
+  createMockLogger,
+  runResolver,
+  resolveInfo,
+  parseSelectionSet,
+  selectedFields,
+};
@@ -0,0 +1,882 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const {
+  loadResolver,
+  createMockContext,
+  runResolver,
+  selectedFields,
+} = require('../helpers/resolver-harness');
+const { money, cartItem, commerceCart } = require('../fixtures/cart');
+
+const CART = 'CommerceGraphQL.Query.Commerce_cart';
+const CREATE_CART = 'CommerceGraphQL.Mutation.Commerce_createEmptyCart';
+const CUSTOMER_CART = 'CommerceGraphQL.Query.Commerce_customerCart';
+const REMOVE_ITEM = 'CommerceGraphQL.Mutation.Commerce_removeItemFromCart';
+const UPDATE_ITEMS = 'CommerceGraphQL.Mutation.Commerce_updateCartItems';
+const ADD_SIMPLE = 'CommerceGraphQL.Mutation.Commerce_addSimpleProductsToCart';
+const ADD_CONFIGURABLE = 'CommerceGraphQL.Mutation.Commerce_addConfigurableProductsToCart';
+const APPLY_COUPON = 'CommerceGraphQL.Mutation.Commerce_applyCouponToCart';
+const REMOVE_COUPON = 'CommerceGraphQL.Mutation.Commerce_removeCouponFromCart';
+const PRODUCTS = 'CommerceGraphQL.Query.Commerce_products';
+
+describe('cart-operations resolver', () => {
+  const { resolvers, internals } = loadResolver('cart-operations.js', {
+    expose: ['queryCartDetails'],
+  });
+
+  describe('queryCartDetails', () => {
+    it('requests items and cart prices for the given cart', async () => {
+      const { context, callsTo } = createMockContext({
+        responses: { [CART]: commerceCart() },
+      });
+
+      const cart = await internals.queryCartDetails(context, 'cart-123');
+
+      const [call] = callsTo(CART);
+      assert.deepStrictEqual(call.args, { cart_id: 'cart-123' });
+      assert.deepStrictEqual(selectedFields(call.selectionSet), [
+        'id',
+        'total_quantity',
+        'items',
+        'prices',
+        'applied_coupons',
+        'shipping_addresses',
+      ]);
+      assert.strictEqual(cart.id, 'cart-123');
+    });
+  });
+
+  describe('Citisignal_cart', () => {
+    it('uses the cart ID from the x-cart-id header', async () => {
+      const { context, calls } = createMockContext({
+        headers: { 'x-cart-id': 'cart-123' },
+        responses: { [CART]: commerceCart([cartItem({ quantity: 2 })]) },
+      });
+
+      const cart = await runResolver(resolvers, 'Query.Citisignal_cart', {}, context);
+
+      assert.ok(calls.every((call) => call.args.cart_id === 'cart-123'));
+      assert.strictEqual(cart.itemCount, 2);
+      assert.strictEqual(cart.totalValue, 59.98);
+      assert.strictEqual(cart.totalDisplay, '$59.98');
+      assert.strictEqual(cart.items[0].image.url, 'https://example.com/media/charger-thumb.jpg');
+    });
+
+    it('formats cart prices in the currency Commerce returns', async () => {
+      const euroPrice = { value: 29.99, currency: 'EUR' };
+      const { context } = createMockContext({
+        headers: { 'x-cart-id': 'cart-123' },
+        responses: {
+          [CART]: commerceCart([cartItem({ prices: { row_total: euroPrice, price: euroPrice } })], {
+            prices: { grand_total: euroPrice, subtotal_excluding_tax: euroPrice },
+          }),
+        },
+      });
+
+      const cart = await runResolver(resolvers, 'Query.Citisignal_cart', {}, context);
+
+      assert.strictEqual(cart.items[0].priceDisplay, '€29.99');
+      assert.strictEqual(cart.totalDisplay, '€29.99');
+    });
+
+    it('takes the totals breakdown from Commerce once promotions apply', async () => {
+      const items = [cartItem({ quantity: 2 })];
+      const { context, callsTo } = createMockContext({
+        headers: { 'x-cart-id': 'cart-123' },
+        responses: {
+          [CART]: commerceCart(items, {
+            prices: {
+              subtotal_excluding_tax: money(59.98),
+              subtotal_including_tax: money(64.93),
+              discounts: [{ label: 'Summer Sale', amount: money(6) }],
+              applied_taxes: [{ label: 'US-CA-Rate 1', amount: money(4.45) }],
+              grand_total: money(63.43),
+            },
+            shipping_addresses: [
+              {
+                selected_shipping_method: {
+                  carrier_title: 'Flat Rate',
+                  method_title: 'Fixed',
+                  amount: money(5),
+                },
+              },
+            ],
+          }),
+        },
+      });
+
+      const cart = await runResolver(resolvers, 'Query.Citisignal_cart', {}, context);
+
+      assert.match(callsTo(CART).pop().selectionSet, /applied_taxes/);
+      assert.deepStrictEqual(cart.totals, {
+        subtotal: { value: 59.98, display: '$59.98' },
+        subtotalIncludingTax: { value: 64.93, display: '$64.93' },
+        discounts: [{ label: 'Summer Sale', amount: { value: 6, display: '$6.00' } }],
+        discountTotal: { value: 6, display: '$6.00' },
+        taxes: [{ label: 'US-CA-Rate 1', amount: { value: 4.45, display: '$4.45' } }],
+        taxTotal: { value: 4.45, display: '$4.45' },
+        shipping: { label: 'Flat Rate - Fixed', amount: { value: 5, display: '$5.00' } },
+        grandTotal: { value: 63.43, display: '$63.43' },
+      });
+      assert.strictEqual(cart.totalValue, 63.43);
+      assert.strictEqual(cart.items[0].totalDisplay, '$59.98');
+    });
+
+    it('resolves the customer cart when a customer token is present', async () => {
+      const { context, callsTo } = createMockContext({
+        headers: { authorization: 'Bearer customer-token', 'x-cart-id': 'guest-cart' },
+        responses: {
+          [CUSTOMER_CART]: { id: 'customer-cart' },
+          [CART]: commerceCart([cartItem()], { id: 'customer-cart' }),
+        },
+      });
+
+      const cart = await runResolver(resolvers, 'Query.Citisignal_cart', {}, context);
+
+      assert.strictEqual(callsTo(CREATE_CART).length, 0);
+      assert.ok(callsTo(CART).every((call) => call.args.cart_id === 'customer-cart'));
+      assert.strictEqual(cart.id, 'customer-cart');
+    });
+
+    it('returns null without creating a cart when no cart ID is provided', async () => {
+      const { context, calls } = createMockContext();
+
+      const cart = await runResolver(resolvers, 'Query.Citisignal_cart', {}, context);
+
+      assert.strictEqual(cart, null);
+      assert.strictEqual(calls.length, 0);
+    });
+
+    it('prefers the cartId argument over the header', async () => {
+      const { context, callsTo } = createMockContext({
+        headers: { 'x-cart-id': 'header-cart' },
+        responses: { [CART]: commerceCart([], { id: 'argument-cart' }) },
+      });
+
+      await runResolver(resolvers, 'Query.Citisignal_cart', { cartId: 'argument-cart' }, context);
+
+      assert.ok(callsTo(CART).every((call) => call.args.cart_id === 'argument-cart'));
+    });
+
+    it('returns null for an expired cart instead of replacing it', async () => {
+      const { context, callsTo } = createMockContext({
+        headers: { 'x-cart-id': 'ordered-cart' },
+        responses: {
+          [CART]: () => {
+            throw new Error('The cart is not active.');
+          },
+        },
+      });
+
+      const cart = await runResolver(resolvers, 'Query.Citisignal_cart', {}, context);
+
+      assert.strictEqual(cart, null);
+      assert.strictEqual(callsTo(CREATE_CART).length, 0);
+    });
+  });
+
+  describe('Citisignal_clearCart', () => {
+    it('removes every item in one update and keeps the cart', async () => {
+      let cleared = false;
+      const { context, callsTo } = createMockContext({
+        headers: { 'x-cart-id': 'cart-123' },
+        responses: {
+          [CART]: () =>
+            cleared ? commerceCart([]) : commerceCart([cartItem(), cartItem({ id: '2' })]),
+          [UPDATE_ITEMS]: () => {
+            cleared = true;
+            return { cart: { id: 'cart-123', items: [] } };
+          },
+        },
+      });
+
+      const result = await runResolver(resolvers, 'Mutation.Citisignal_clearCart', {}, context);
+
+      assert.deepStrictEqual(
+        callsTo(UPDATE_ITEMS).map((call) => call.args.input),
+        [
+          {
+            cart_id: 'cart-123',
+            cart_items: [
+              { cart_item_id: 1, quantity: 0 },
+              { cart_item_id: 2, quantity: 0 },
+            ],
+          },
+        ]
+      );
+      assert.strictEqual(callsTo(REMOVE_ITEM).length, 0);
+      assert.strictEqual(callsTo(CREATE_CART).length, 0);
+      assert.strictEqual(result.cart.id, 'cart-123');
+      assert.strictEqual(result.cart.isEmpty, true);
+      assert.deepStrictEqual(result.cart.totals.grandTotal, { value: 0, display: '$0.00' });
+      assert.deepStrictEqual(result.cartIdentity, {
+        cartId: 'cart-123',
+        status: 'EXISTING',
+        reason: null,
+      });
+    });
+
+    it('reports a failed clear instead of returning the cart', async () => {
+      const { context } = createMockContext({
+        headers: { 'x-cart-id': 'cart-123' },
+        responses: {
+          [CART]: commerceCart([cartItem()]),
+          [UPDATE_ITEMS]: () => {
+            throw new Error('socket hang up');
+          },
+        },
+      });
+
+      const result = await runResolver(resolvers, 'Mutation.Citisignal_clearCart', {}, context);
+
+      assert.strictEqual(result.success, false);
+      assert.strictEqual(result.cart, null);
+      assert.strictEqual(result.userErrors.length, 1);
+      assert.strictEqual(result.cartIdentity.cartId, 'cart-123');
+    });
+
+    it('does nothing without a cart', async () => {
+      const { context, calls } = createMockContext();
+
+      const result = await runResolver(resolvers, 'Mutation.Citisignal_clearCart', {}, context);
+
+      assert.strictEqual(calls.length, 0);
+      assert.strictEqual(result.success, true);
+      assert.strictEqual(result.cart, null);
+      assert.strictEqual(result.cartIdentity.status, 'NONE');
+    });
+  });
+
+  describe('Citisignal_addToCart', () => {
+    it('increments the quantity of an item already in the cart', async () => {
+      const { context, callsTo } = createMockContext({
+        headers: { 'x-cart-id': 'cart-123' },
+        responses: {
+          [CART]: commerceCart([cartItem({ id: '7', quantity: 2 })]),
+          [UPDATE_ITEMS]: { cart: { id: 'cart-123', items: [] } },
+        },
+      });
+
+      const result = await runResolver(
+        resolvers,
+        'Mutation.Citisignal_addToCart',
+        { input: { productId: '202', sku: 'usb-c-charger', quantity: 3 } },
+        context
+      );
+
+      const [update] = callsTo(UPDATE_ITEMS);
+      assert.deepStrictEqual(update.args.input.cart_items, [{ cart_item_id: 7, quantity: 5 }]);
+      assert.strictEqual(callsTo(ADD_SIMPLE).length, 0);
+      assert.strictEqual(result.success, true);
+    });
+
+    it('adds a new simple product', async () => {
+      const { context, callsTo } = createMockContext({
+        headers: { 'x-cart-id': 'cart-123' },
+        responses: {
+          [CART]: commerceCart([]),
+          [ADD_SIMPLE]: { cart: { id: 'cart-123', items: [] } },
+        },
+      });
+
+      await runResolver(
+        resolvers,
+        'Mutation.Citisignal_addToCart',
+        { input: { productId: '202', sku: 'usb-c-charger', quantity: 1 } },
+        context
+      );
+
+      const [add] = callsTo(ADD_SIMPLE);
+      assert.deepStrictEqual(add.args.input, {
+        cart_id: 'cart-123',
+        cart_items: [{ data: { sku: 'usb-c-charger', quantity: 1 } }],
+      });
+    });
+
+    it('creates the cart on the first write', async () => {
+      const { context, callsTo } = createMockContext({
+        responses: {
+          [CREATE_CART]: 'new-cart',
+          [ADD_SIMPLE]: { cart: { id: 'new-cart', items: [] } },
+          [CART]: commerceCart([cartItem()], { id: 'new-cart' }),
+        },
+      });
+
+      const result = await runResolver(
+        resolvers,
+        'Mutation.Citisignal_addToCart',
+        { input: { productId: '202', sku: 'usb-c-charger', quantity: 1 } },
+        context
+      );
+
+      assert.strictEqual(callsTo(ADD_SIMPLE)[0].args.input.cart_id, 'new-cart');
+      assert.deepStrictEqual(result.cartIdentity, {
+        cartId: 'new-cart',
+        status: 'CREATED',
+        reason: 'NO_CART_ID',
+      });
+      assert.strictEqual(result.cart.id, 'new-cart');
+    });
+
+    it('replaces an expired cart and reports why', async () => {
+      const { context } = createMockContext({
+        headers: { 'x-cart-id': 'ordered-cart' },
+        responses: {
+          [CREATE_CART]: 'new-cart',
+          [ADD_SIMPLE]: { cart: { id: 'new-cart', items: [] } },
+          [CART]: ({ args }) => {
+            if (args.cart_id === 'ordered-cart') throw new Error('The cart is not active.');
+            return commerceCart([cartItem()], { id: 'new-cart' });
+          },
+        },
+      });
+
+      const result = await runResolver(
+        resolvers,
+        'Mutation.Citisignal_addToCart',
+        { input: { productId: '202', sku: 'usb-c-charger', quantity: 1 } },
+        context
+      );
+
+      assert.deepStrictEqual(result.cartIdentity, {
+        cartId: 'new-cart',
+        status: 'REPLACED',
+        reason: 'CART_INACTIVE',
+      });
+    });
+
+    it('keeps the cart when Commerce is unavailable', async () => {
+      const { context, callsTo } = createMockContext({
+        headers: { 'x-cart-id': 'cart-123' },
+        responses: {
+          [CART]: () => {
+            throw new Error('socket hang up');
+          },
+        },
+      });
+
+      const result = await runResolver(
+        resolvers,
+        'Mutation.Citisignal_addToCart',
+        { input: { productId: '202', sku: 'usb-c-charger', quantity: 1 } },
+        context
+      );
+
+      assert.strictEqual(result.success, false);
+      assert.strictEqual(result.cartIdentity, null);
+      assert.strictEqual(callsTo(CREATE_CART).length, 0);
+      assert.deepStrictEqual(result.upstreamErrors, [
+        {
+          code: 'NETWORK',
+          message: 'The service could not be reached. Please try again.',
+          source: 'CommerceGraphQL',
+          retryable: true,
+        },
+      ]);
+    });
+
+    it('maps upstream errors to user errors instead of throwing', async () => {
+      const { context, logger } = createMockContext({
+        headers: { 'x-cart-id': 'cart-123' },
+        responses: {
+          [CART]: commerceCart([]),
+          [ADD_SIMPLE]: () => {
+            throw new Error('The requested qty is not available');
+          },
+        },
+      });
+
+      const result = await runResolver(
+        resolvers,
+        'Mutation.Citisignal_addToCart',
+        { input: { productId: '202', sku: 'usb-c-charger', quantity: 1 } },
+        context
+      );
+
+      assert.strictEqual(result.success, false);
+      assert.deepStrictEqual(result.userErrors, [
+        { code: 'QTY_EXCEEDS_AVAILABLE', message: 'The requested quantity is not available.' },
+      ]);
+      assert.deepStrictEqual(result.errors, ['The requested quantity is not available.']);
+      // Shopper-fixable errors are not upstream failures
+      assert.deepStrictEqual(result.upstreamErrors, []);
+      assert.ok(logger.messages.some(({ message }) => /requested qty/.test(message)));
+    });
+
+    it('rejects an out of stock product before writing', async () => {
+      const { context, callsTo } = createMockContext({
+        headers: { 'x-cart-id': 'cart-123' },
+        responses: {
+          [CART]: commerceCart([]),
+          [PRODUCTS]: {
+            items: [{ sku: 'phone-case', name: 'Phone Case', stock_status: 'OUT_OF_STOCK' }],
+          },
+        },
+      });
+
+      const result = await runResolver(
+        resolvers,
+        'Mutation.Citisignal_addToCart',
+        { input: { productId: '303', sku: 'phone-case', quantity: 1 } },
+        context
+      );
+
+      assert.deepStrictEqual(callsTo(PRODUCTS)[0].args.filter, { sku: { in: ['phone-case'] } });
+      assert.strictEqual(callsTo(ADD_SIMPLE).length, 0);
+      assert.strictEqual(result.success, false);
+      assert.strictEqual(result.cartIdentity.status, 'EXISTING');
+      assert.deepStrictEqual(result.userErrors, [
+        {
+          code: 'OUT_OF_STOCK',
+          message: 'Phone Case is out of stock.',
+          sku: 'phone-case',
+          cartItemId: null,
+          maxQuantity: 0,
+        },
+      ]);
+    });
+
+    it('reports the maximum quantity Commerce allows', async () => {
+      const { context } = createMockContext({
+        headers: { 'x-cart-id': 'cart-123' },
+        responses: {
+          [CART]: commerceCart([]),
+          [PRODUCTS]: { items: [] },
+          [ADD_SIMPLE]: () => {
+            throw new Error('The most you may purchase is 5.');
+          },
+        },
+      });
+
+      const result = await runResolver(
+        resolvers,
+        'Mutation.Citisignal_addToCart',
+        { input: { productId: '202', sku: 'usb-c-charger', quantity: 8 } },
+        context
+      );
+
+      assert.deepStrictEqual(result.userErrors, [
+        {
+          code: 'QTY_EXCEEDS_AVAILABLE',
+          message: 'You can add up to 5 of this product.',
+          maxQuantity: 5,
+        },
+      ]);
+    });
+
+    it('rejects a zero quantity without calling Commerce', async () => {
+      const { context, calls } = createMockContext({ headers: { 'x-cart-id': 'cart-123' } });
+
+      const result = await runResolver(
+        resolvers,
+        'Mutation.Citisignal_addToCart',
+        { input: { productId: '202', sku: 'usb-c-charger', quantity: 0 } },
+        context
+      );
+
+      assert.strictEqual(calls.length, 0);
+      assert.strictEqual(result.userErrors[0].code, 'INVALID_QUANTITY');
+    });
+  });
+
+  describe('Citisignal_updateCartItem', () => {
+    it('rejects quantities below 1 without calling Commerce', async () => {
+      const { context, calls } = createMockContext({ headers: { 'x-cart-id': 'cart-123' } });
+
+      const result = await runResolver(
+        resolvers,
+        'Mutation.Citisignal_updateCartItem',
+        { input: { cartItemId: '1', quantity: -2 } },
+        context
+      );
+
+      assert.strictEqual(calls.length, 0);
+      assert.deepStrictEqual(result.userErrors, [
+        { code: 'INVALID_QUANTITY', message: 'Enter a quantity of at least 1.', cartItemId: '1' },
+      ]);
+    });
+
+    it('rejects more than is left in stock with the maximum quantity', async () => {
+      const lowStock = cartItem({
+        product: { ...cartItem().product, stock_status: 'IN_STOCK', only_x_left_in_stock: 3 },
+      });
+      const { context, callsTo } = createMockContext({
+        headers: { 'x-cart-id': 'cart-123' },
+        responses: { [CART]: commerceCart([lowStock]) },
+      });
+
+      const result = await runResolver(
+        resolvers,
+        'Mutation.Citisignal_updateCartItem',
+        { input: { cartItemId: '1', quantity: 4 } },
+        context
+      );
+
+      assert.strictEqual(callsTo(UPDATE_ITEMS).length, 0);
+      assert.deepStrictEqual(result.userErrors, [
+        {
+          code: 'QTY_EXCEEDS_AVAILABLE',
+          message: 'Only 3 of USB-C Charger left in stock.',
+          sku: 'usb-c-charger',
+          cartItemId: '1',
+          maxQuantity: 3,
+        },
+      ]);
+    });
+
+    it('allows lowering a line that is already over stock', async () => {
+      const overStock = cartItem({
+        quantity: 5,
+        product: { ...cartItem().product, stock_status: 'IN_STOCK', only_x_left_in_stock: 3 },
+      });
+      const { context, callsTo } = createMockContext({
+        headers: { 'x-cart-id': 'cart-123' },
+        responses: {
+          [CART]: commerceCart([overStock]),
+          [UPDATE_ITEMS]: { cart: { id: 'cart-123', items: [] } },
+        },
+      });
+
+      const result = await runResolver(
+        resolvers,
+        'Mutation.Citisignal_updateCartItem',
+        { input: { cartItemId: '1', quantity: 4 } },
+        context
+      );
+
+      assert.deepStrictEqual(result.userErrors, []);
+      assert.deepStrictEqual(callsTo(UPDATE_ITEMS)[0].args.input.cart_items, [
+        { cart_item_id: 1, quantity: 4 },
+      ]);
+    });
+
+    it('rejects quantities outside the sale quantities before writing', async () => {
+      const limited = cartItem({
+        quantity: 2,
+        product: { ...cartItem().product, min_sale_qty: 2, max_sale_qty: 5 },
+      });
+      const { context, callsTo } = createMockContext({
+        headers: { 'x-cart-id': 'cart-123' },
+        responses: { [CART]: commerceCart([limited]) },
+      });
+
+      const tooFew = await runResolver(
+        resolvers,
+        'Mutation.Citisignal_updateCartItem',
+        { input: { cartItemId: '1', quantity: 1 } },
+        context
+      );
+      const tooMany = await runResolver(
+        resolvers,
+        'Mutation.Citisignal_updateCartItem',
+        { input: { cartItemId: '1', quantity: 6 } },
+        context
+      );
+
+      assert.strictEqual(callsTo(UPDATE_ITEMS).length, 0);
+      assert.deepStrictEqual(tooFew.userErrors, [
+        {
+          code: 'INVALID_QUANTITY',
+          message: 'Add at least 2 of USB-C Charger.',
+          sku: 'usb-c-charger',
+          cartItemId: '1',
+          minQuantity: 2,
+        },
+      ]);
+      assert.deepStrictEqual(tooMany.userErrors, [
+        {
+          code: 'QTY_EXCEEDS_AVAILABLE',
+          message: 'You can add up to 5 of USB-C Charger.',
+          sku: 'usb-c-charger',
+          cartItemId: '1',
+          maxQuantity: 5,
+        },
+      ]);
+    });
+
+    it('updates the line when the quantity is available', async () => {
+      const { context, callsTo } = createMockContext({
+        headers: { 'x-cart-id': 'cart-123' },
+        responses: {
+          [CART]: commerceCart(),
+          [UPDATE_ITEMS]: { cart: { id: 'cart-123', items: [] } },
+        },
+      });
+
+      const result = await runResolver(
+        resolvers,
+        'Mutation.Citisignal_updateCartItem',
+        { input: { cartItemId: '1', quantity: 2 } },
+        context
+      );
+
+      assert.deepStrictEqual(callsTo(UPDATE_ITEMS)[0].args.input, {
+        cart_id: 'cart-123',
+        cart_items: [{ cart_item_id: 1, quantity: 2 }],
+      });
+      assert.strictEqual(result.success, true);
+    });
+  });
+
+  describe('Citisignal_updateCart', () => {
+    const phone = cartItem({
+      id: '8',
+      product: { id: '101', sku: 'iphone-15', name: 'iPhone 15', media_gallery: [] },
+    });
+
+    it('collapses the batch into one update and one add per product type', async () => {
+      const { context, calls, callsTo } = createMockContext({
+        headers: { 'x-cart-id': 'cart-123' },
+        responses: {
+          [CART]: commerceCart([cartItem({ id: '7', quantity: 2 }), phone]),
+          [UPDATE_ITEMS]: { cart: { id: 'cart-123', items: [] } },
+          [ADD_SIMPLE]: { cart: { id: 'cart-123', items: [] } },
+          [ADD_CONFIGURABLE]: { cart: { id: 'cart-123', items: [] } },
+          [PRODUCTS]: { items: [] },
+        },
+      });
+      const purple = [{ attributeCode: 'color', value: 'Purple' }];
+
+      const result = await runResolver(
+        resolvers,
+        'Mutation.Citisignal_updateCart',
+        {
+          operations: [
+            { type: 'ADD', sku: 'usb-c-charger', quantity: 3 },
+            { type: 'ADD', sku: 'phone-case' },
+            { type: 'ADD', sku: 'phone-case', quantity: 2 },
+            { type: 'ADD', sku: 'iphone-15-pro', selectedOptions: purple },
+            { type: 'REMOVE', cartItemId: '8' },
+            { type: 'SET_QUANTITY', cartItemId: '9', quantity: 4 },
+          ],
+        },
+        context
+      );
+
+      assert.deepStrictEqual(callsTo(UPDATE_ITEMS)[0].args.input.cart_items, [
+        { cart_item_id: 7, quantity: 5 },
+        { cart_item_id: 8, quantity: 0 },
+        { cart_item_id: 9, quantity: 4 },
+      ]);
+      assert.deepStrictEqual(callsTo(ADD_SIMPLE)[0].args.input.cart_items, [
+        { data: { sku: 'phone-case', quantity: 3 } },
+      ]);
+      assert.deepStrictEqual(callsTo(ADD_CONFIGURABLE)[0].args.input.cart_items, [
+        {
+          data: { sku: 'iphone-15-pro', quantity: 1 },
+          selected_options: [{ option_value: 'Purple', option_id: 'color' }],
+        },
+      ]);
+      // Validate, read lines, stock for new products, three writes, one refresh
+      assert.strictEqual(calls.length, 7);
+      assert.strictEqual(result.success, true);
+    });
+
+    it('applies the last quantity set on a line', async () => {
+      const { context, callsTo } = createMockContext({
+        headers: { 'x-cart-id': 'cart-123' },
+        responses: {
+          [CART]: commerceCart(),
+          [UPDATE_ITEMS]: { cart: { id: 'cart-123', items: [] } },
+        },
+      });
+
+      await runResolver(
+        resolvers,
+        'Mutation.Citisignal_updateCart',
+        {
+          operations: [
+            { type: 'SET_QUANTITY', cartItemId: '1', quantity: 2 },
+            { type: 'SET_QUANTITY', cartItemId: '1', quantity: 3 },
+          ],
+        },
+        context
+      );
+
+      // Validate, read lines for the stock check, refresh; no product lookup without additions
+      assert.strictEqual(callsTo(CART).length, 3);
+      assert.strictEqual(callsTo(PRODUCTS).length, 0);
+      assert.deepStrictEqual(callsTo(UPDATE_ITEMS)[0].args.input.cart_items, [
+        { cart_item_id: 1, quantity: 3 },
+      ]);
+    });
+
+    it('rejects incomplete operations without calling Commerce', async () => {
+      const { context, calls } = createMockContext({ headers: { 'x-cart-id': 'cart-123' } });
+
+      const result = await runResolver(
+        resolvers,
+        'Mutation.Citisignal_updateCart',
+        {
+          operations: [
+            { type: 'ADD', quantity: 1 },
+            { type: 'SET_QUANTITY', cartItemId: '1' },
+          ],
+        },
+        context
+      );
+
+      assert.strictEqual(calls.length, 0);
+      assert.deepStrictEqual(result.userErrors, [
+        { code: 'INVALID_OPERATION', message: 'Operation 1 needs a sku to add.' },
+        { code: 'INVALID_OPERATION', message: 'Operation 2 needs a quantity to set.' },
+      ]);
+    });
+
+    it('rejects fractional and non-finite quantities without calling Commerce', async () => {
+      const { context, calls } = createMockContext({ headers: { 'x-cart-id': 'cart-123' } });
+
+      const result = await runResolver(
+        resolvers,
+        'Mutation.Citisignal_updateCart',
+        {
+          operations: [
+            { type: 'ADD', sku: 'usb-c-charger', quantity: 1.5 },
+            { type: 'SET_QUANTITY', cartItemId: '1', quantity: NaN },
+            { type: 'SET_QUANTITY', cartItemId: '2', quantity: Infinity },
+          ],
+        },
+        context
+      );
+
+      assert.strictEqual(calls.length, 0);
+      assert.deepStrictEqual(result.userErrors, [
+        { code: 'INVALID_QUANTITY', message: 'Operation 1 needs a whole quantity.' },
+        { code: 'INVALID_QUANTITY', message: 'Operation 2 needs a whole quantity.' },
+        { code: 'INVALID_QUANTITY', message: 'Operation 3 needs a whole quantity.' },
+      ]);
+    });
+
+    it('does not create a cart for removals', async () => {
+      const { context, callsTo } = createMockContext();
+
+      const result = await runResolver(
+        resolvers,
+        'Mutation.Citisignal_updateCart',
+        { operations: [{ type: 'REMOVE', cartItemId: '1' }] },
+        context
+      );
+
+      assert.strictEqual(callsTo(CREATE_CART).length, 0);
+      assert.strictEqual(result.userErrors[0].code, 'CART_NOT_FOUND');
+    });
+  });
+
+  describe('Citisignal_applyCoupon', () => {
+    const discountedCart = commerceCart([cartItem()], {
+      applied_coupons: [{ code: 'SUMMER10' }],
+      prices: {
+        subtotal_excluding_tax: money(29.99),
+        discounts: [{ label: 'SUMMER10', amount: money(3) }],
+        grand_total: money(26.99),
+      },
+    });
+
+    it('applies the trimmed code and returns the discounted cart', async () => {
+      const { context, callsTo } = createMockContext({
+        headers: { 'x-cart-id': 'cart-123' },
+        responses: {
+          [CART]: discountedCart,
+          [APPLY_COUPON]: { cart: { id: 'cart-123', applied_coupons: [{ code: 'SUMMER10' }] } },
+        },
+      });
+
+      const result = await runResolver(
+        resolvers,
+        'Mutation.Citisignal_applyCoupon',
+        { code: ' SUMMER10 ' },
+        context
+      );
+
+      assert.deepStrictEqual(callsTo(APPLY_COUPON)[0].args.input, {
+        cart_id: 'cart-123',
+        coupon_code: 'SUMMER10',
+      });
+      assert.strictEqual(result.success, true);
+      assert.strictEqual(result.cart.appliedCouponCode, 'SUMMER10');
+      assert.strictEqual(result.cart.totals.discountTotal.display, '$3.00');
+      assert.strictEqual(result.cart.totalDisplay, '$26.99');
+      assert.deepStrictEqual(result.userErrors, []);
+    });
+
+    it('returns invalid coupons as structured errors', async () => {
+      const { context } = createMockContext({
+        headers: { 'x-cart-id': 'cart-123' },
+        responses: {
+          [CART]: commerceCart(),
+          [APPLY_COUPON]: () => {
+            throw new Error('The coupon code "NOPE" is not valid.');
+          },
+        },
+      });
+
+      const result = await runResolver(
+        resolvers,
+        'Mutation.Citisignal_applyCoupon',
+        { code: 'NOPE' },
+        context
+      );
+
+      assert.strictEqual(result.success, false);
+      assert.deepStrictEqual(result.userErrors, [
+        { code: 'COUPON_INVALID', message: 'This coupon code is not valid.' },
+      ]);
+      assert.deepStrictEqual(result.errors, ['This coupon code is not valid.']);
+    });
+
+    it('hides unrecognized Commerce messages', async () => {
+      const { context, logger } = createMockContext({
+        headers: { 'x-cart-id': 'cart-123' },
+        responses: {
+          [CART]: commerceCart(),
+          [APPLY_COUPON]: () => {
+            throw new Error('SQLSTATE[40001]: Serialization failure');
+          },
+        },
+      });
+
+      const result = await runResolver(
+        resolvers,
+        'Mutation.Citisignal_applyCoupon',
+        { code: 'SUMMER10' },
+        context
+      );
+
+      assert.strictEqual(result.userErrors[0].code, 'UNKNOWN');
+      assert.doesNotMatch(result.userErrors[0].message, /SQLSTATE/);
+      assert.match(logger.entries('Coupon failed')[0].error.message, /SQLSTATE/);
+    });
+
+    it('rejects an empty code without calling Commerce', async () => {
+      const { context, calls } = createMockContext({ headers: { 'x-cart-id': 'cart-123' } });
+
+      const result = await runResolver(
+        resolvers,
+        'Mutation.Citisignal_applyCoupon',
+        { code: '  ' },
+        context
+      );
+
+      assert.strictEqual(calls.length, 0);
+      assert.strictEqual(result.userErrors[0].code, 'COUPON_INVALID');
+    });
+  });
+
+  describe('Citisignal_removeCoupon', () => {
+    it('removes the coupon from the current cart', async () => {
+      const { context, callsTo } = createMockContext({
+        headers: { 'x-cart-id': 'cart-123' },
+        responses: {
+          [CART]: commerceCart(),
+          [REMOVE_COUPON]: { cart: { id: 'cart-123' } },
+        },
+      });
+
+      const result = await runResolver(resolvers, 'Mutation.Citisignal_removeCoupon', {}, context);
+
+      assert.deepStrictEqual(callsTo(REMOVE_COUPON)[0].args.input, { cart_id: 'cart-123' });
+      assert.strictEqual(result.success, true);
+      assert.strictEqual(result.cart.appliedCouponCode, null);
+    });
+  });
+});
@@ -0,0 +1,260 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { setTimeout: delay } = require('node:timers/promises');
+const {
+  loadResolver,
+  loadHook,
+  createMockContext,
+  runResolver,
+  resolveInfo,
+} = require('../helpers/resolver-harness');
+const { simpleProductView, searchResult } = require('../fixtures/products');
+
+const CATEGORY_LIST = 'CommerceGraphQL.Query.Commerce_categoryList';
+const CATALOG = 'CatalogServiceSandbox.Query.Catalog_productSearch';
+
+const categoryTree = () => [
+  {
+    id: 2,
+    uid: 'Mg==',
+    name: 'Default Category',
+    url_path: '',
+    url_key: 'default-category',
+    include_in_menu: 1,
+    is_active: true,
+    level: 1,
+    position: 1,
+    children: [
+      {
+        id: 3,
+        uid: 'Mw==',
+        name: 'Phones',
+        url_path: 'phones',
+        url_key: 'phones',
+        include_in_menu: 1,
+        is_active: true,
+        level: 2,
+        position: 1,
+        product_count: 12,
+        children: [],
+      },
+    ],
+  },
+];
+
+const phonesCategory = () => ({
+  id: 3,
+  uid: 'Mw==',
+  name: 'Phones',
+  url_key: 'phones',
+  url_path: 'phones',
+  level: 2,
+  description: 'Latest smartphones',
+  meta_title: 'Buy Phones Online',
+  meta_description: 'Shop the latest phones.',
+  breadcrumbs: null,
+});
+
+// Category tree lookups have no URL key filter, single category lookups do
+const categoryList =
+  ({ tree = categoryTree } = {}) =>
+  ({ args }) =>
+    args.filters?.url_key ? [phonesCategory()] : tree();
+
+// Degraded results are only returned to queries that select upstreamErrors
+const WITH_UPSTREAM_ERRORS = resolveInfo(
+  '{ Citisignal_categoryPageData { upstreamErrors { code } } }'
+);
+
+describe('category-page resolver', () => {
+  const { resolvers } = loadResolver('category-page.js');
+
+  describe('Citisignal_categoryPageData', () => {
+    it('returns category info with the meta title and description', async () => {
+      const { context } = createMockContext({
+        responses: {
+          [CATEGORY_LIST]: categoryList(),
+          [CATALOG]: searchResult([simpleProductView()]),
+        },
+      });
+
+      const result = await runResolver(
+        resolvers,
+        'Query.Citisignal_categoryPageData',
+        { categoryUrlKey: 'phones' },
+        context
+      );
+
+      assert.deepStrictEqual(result.categoryInfo, {
+        id: '3',
+        name: 'Phones',
+        urlKey: 'phones',
+        description: 'Latest smartphones',
+        metaTitle: 'Buy Phones Online',
+        metaDescription: 'Shop the latest phones.',
+      });
+      assert.strictEqual(result.products.items.length, 1);
+      assert.deepStrictEqual(
+        result.navigation.headerNav.map((item) => item.label),
+        ['Default Category']
+      );
+      assert.deepStrictEqual(
+        result.breadcrumbs.items.map((item) => item.name),
+        ['Phones']
+      );
+      assert.deepStrictEqual(result.cacheTags, [
+        'category:2',
+        'category:3',
+        'product:usb-c-charger',
+      ]);
+      assert.strictEqual(result.degraded, false);
+    });
+
+    it('fetches the category tree once per request', async () => {
+      const { context, callsTo } = createMockContext({
+        responses: {
+          [CATEGORY_LIST]: categoryList(),
+          [CATALOG]: searchResult([simpleProductView()]),
+        },
+      });
+      const navigation = loadResolver('category-navigation.js');
+      const breadcrumbs = loadResolver('category-breadcrumbs.js');
+
+      await Promise.all([
+        runResolver(
+          resolvers,
+          'Query.Citisignal_categoryPageData',
+          { categoryUrlKey: 'phones' },
+          context
+        ),
+        runResolver(
+          navigation.resolvers,
+          'Query.Citisignal_categoryNavigation',
+          { type: 'HEADER' },
+          context
+        ),
+        runResolver(
+          breadcrumbs.resolvers,
+          'Query.Citisignal_categoryBreadcrumbs',
+          { categoryUrlKey: 'phones' },
+          context
+        ),
+      ]);
+
+      const lookups = callsTo(CATEGORY_LIST);
+      assert.strictEqual(lookups.length, 2);
+      assert.deepStrictEqual(
+        lookups.map((call) => call.args.filters),
+        [{}, { url_key: { eq: 'phones' } }]
+      );
+    });
+
+    it('adds upstream and transform timings for the whole request', async () => {
+      const { context } = createMockContext({
+        headers: { 'x-mesh-timings': 'true' },
+        responses: {
+          [CATEGORY_LIST]: categoryList(),
+          [CATALOG]: async () => {
+            await delay(20);
+            return searchResult([simpleProductView()]);
+          },
+        },
+      });
+      const navigation = loadResolver('category-navigation.js');
+      const { addResponseTimings } = loadHook('response-timings.js');
+
+      await Promise.all([
+        runResolver(
+          resolvers,
+          'Query.Citisignal_categoryPageData',
+          { categoryUrlKey: 'phones' },
+          context
+        ),
+        runResolver(
+          navigation.resolvers,
+          'Query.Citisignal_categoryNavigation',
+          { type: 'HEADER' },
+          context
+        ),
+      ]);
+      const hookResponse = await addResponseTimings({
+        payload: { context, result: { data: {} } },
+      });
+
+      const { timings } = hookResponse.data.result.extensions;
+      assert.deepStrictEqual(
+        timings.sources.map(({ source, field, calls }) => [source, field, calls]),
+        [
+          ['CatalogServiceSandbox', 'Catalog_productSearch', 1],
+          ['CommerceGraphQL', 'Commerce_categoryList', 2],
+        ]
+      );
+      assert.ok(timings.sources[0].durationMs >= 15);
+      assert.ok(timings.totalMs >= timings.sources[0].durationMs);
+      assert.ok(timings.transformMs >= 0);
+      assert.match(
+        timings.serverTiming,
+        /^Catalog_productSearch;dur=\d+;desc="CatalogServiceSandbox, 1 call", Commerce_categoryList;dur=\d+;desc="CommerceGraphQL, 2 calls", transform;dur=\d+, total;dur=\d+$/
+      );
+    });
+
+    it('leaves responses without resolver runs unchanged', async () => {
+      const { addResponseTimings } = loadHook('response-timings.js');
+
+      const hookResponse = await addResponseTimings({
+        payload: { context: { headers: { 'x-mesh-timings': 'true' } }, result: { data: {} } },
+      });
+
+      assert.strictEqual(hookResponse.data, undefined);
+    });
+
+    it('adds no timings unless the request asks for them', async () => {
+      const { context } = createMockContext({
+        responses: { [CATEGORY_LIST]: categoryList(), [CATALOG]: searchResult([]) },
+      });
+      const { addResponseTimings } = loadHook('response-timings.js');
+
+      await runResolver(
+        resolvers,
+        'Query.Citisignal_categoryPageData',
+        { categoryUrlKey: 'phones' },
+        context
+      );
+      const hookResponse = await addResponseTimings({
+        payload: { context, result: { data: {} } },
+      });
+
+      assert.strictEqual(hookResponse.message, 'Timings not requested');
+      assert.strictEqual(hookResponse.data, undefined);
+    });
+
+    it('keeps the products when the category tree fails', async () => {
+      const { context } = createMockContext({
+        responses: {
+          [CATEGORY_LIST]: categoryList({
+            tree: () => {
+              throw new Error('socket hang up');
+            },
+          }),
+          [CATALOG]: searchResult([simpleProductView()]),
+        },
+      });
+
+      const result = await runResolver(
+        resolvers,
+        'Query.Citisignal_categoryPageData',
+        { categoryUrlKey: 'phones' },
+        context,
+        WITH_UPSTREAM_ERRORS
+      );
+
+      assert.strictEqual(result.products.items.length, 1);
+      assert.strictEqual(result.products.degraded, false);
+      assert.deepStrictEqual(result.navigation.items, []);
+      assert.strictEqual(result.navigation.upstreamErrors[0].code, 'NETWORK');
+      assert.strictEqual(result.categoryInfo.name, 'Phones');
+      assert.strictEqual(result.degraded, true);
+      assert.deepStrictEqual(result.failedSources, ['CommerceGraphQL']);
+    });
+  });
+});
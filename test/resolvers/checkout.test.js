@@ -0,0 +1,313 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { loadResolver, createMockContext, runResolver } = require('../helpers/resolver-harness');
+const { money, address, flatRate, checkoutCart } = require('../fixtures/cart');
+
+const CART = 'CommerceGraphQL.Query.Commerce_cart';
+const SET_EMAIL = 'CommerceGraphQL.Mutation.Commerce_setGuestEmailOnCart';
+const SET_SHIPPING_ADDRESS = 'CommerceGraphQL.Mutation.Commerce_setShippingAddressesOnCart';
+const SET_BILLING_ADDRESS = 'CommerceGraphQL.Mutation.Commerce_setBillingAddressOnCart';
+const SET_SHIPPING_METHOD = 'CommerceGraphQL.Mutation.Commerce_setShippingMethodsOnCart';
+const PLACE_ORDER = 'CommerceGraphQL.Mutation.Commerce_placeOrder';
+
+const addressInput = {
+  firstName: 'Ada',
+  lastName: 'Lovelace',
+  street: ['1 Main St', ' '],
+  city: 'San Diego',
+  regionCode: 'CA',
+  postcode: '92101',
+  countryCode: 'US',
+  telephone: '555-0100',
+};
+
+describe('checkout resolver', () => {
+  const { resolvers } = loadResolver('checkout.js');
+
+  describe('Citisignal_checkout', () => {
+    it('returns null without calling Commerce when the request has no cart', async () => {
+      const { context, calls } = createMockContext();
+
+      const checkout = await runResolver(resolvers, 'Query.Citisignal_checkout', {}, context);
+
+      assert.strictEqual(checkout, null);
+      assert.strictEqual(calls.length, 0);
+    });
+
+    it('returns null for an unknown cart ID argument', async () => {
+      const { context } = createMockContext({
+        responses: {
+          [CART]: () => {
+            throw new Error('Could not find a cart with ID "ordered-cart"');
+          },
+        },
+      });
+
+      const checkout = await runResolver(
+        resolvers,
+        'Query.Citisignal_checkout',
+        { cartId: 'ordered-cart' },
+        context
+      );
+
+      assert.strictEqual(checkout, null);
+    });
+
+    it('lists the remaining steps for a new checkout', async () => {
+      const { context } = createMockContext({
+        headers: { 'x-cart-id': 'cart-123' },
+        responses: { [CART]: checkoutCart() },
+      });
+
+      const checkout = await runResolver(resolvers, 'Query.Citisignal_checkout', {}, context);
+
+      assert.deepStrictEqual(checkout.missingSteps, [
+        'EMAIL',
+        'SHIPPING_ADDRESS',
+        'SHIPPING_METHOD',
+        'BILLING_ADDRESS',
+        'PAYMENT_METHOD',
+      ]);
+      assert.strictEqual(checkout.isReadyToPlaceOrder, false);
+      assert.strictEqual(checkout.selectedPaymentMethod, null);
+      assert.deepStrictEqual(checkout.availablePaymentMethods, [
+        { code: 'checkmo', title: 'Check / Money order' },
+      ]);
+    });
+
+    it('transforms addresses and shipping methods with dual pricing', async () => {
+      const { context } = createMockContext({
+        headers: { 'x-cart-id': 'cart-123' },
+        responses: {
+          [CART]: checkoutCart({
+            email: 'ada@example.com',
+            shipping_addresses: [
+              address({
+                available_shipping_methods: [
+                  flatRate(),
+                  flatRate({
+                    carrier_code: 'ups',
+                    method_code: 'GND',
+                    carrier_title: 'UPS',
+                    method_title: 'Ground',
+                    amount: money(12.5),
+                    available: false,
+                    error_message: 'This shipping method is not available.',
+                  }),
+                ],
+                selected_shipping_method: flatRate(),
+              }),
+            ],
+            billing_address: address(),
+            selected_payment_method: { code: 'checkmo', title: 'Check / Money order' },
+          }),
+        },
+      });
+
+      const checkout = await runResolver(resolvers, 'Query.Citisignal_checkout', {}, context);
+
+      assert.deepStrictEqual(checkout.shippingAddress, {
+        firstName: 'Ada',
+        lastName: 'Lovelace',
+        company: null,
+        street: ['1 Main St'],
+        city: 'San Diego',
+        region: 'California',
+        regionCode: 'CA',
+        postcode: '92101',
+        countryCode: 'US',
+        telephone: '555-0100',
+      });
+      assert.deepStrictEqual(checkout.selectedShippingMethod, {
+        carrierCode: 'flatrate',
+        methodCode: 'flatrate',
+        label: 'Flat Rate - Fixed',
+        amount: { value: 5, display: '$5.00' },
+        available: true,
+        errorMessage: null,
+      });
+      assert.strictEqual(checkout.availableShippingMethods[1].available, false);
+      assert.strictEqual(checkout.availableShippingMethods[1].amount.display, '$12.50');
+      assert.deepStrictEqual(checkout.missingSteps, []);
+      assert.strictEqual(checkout.isReadyToPlaceOrder, true);
+    });
+  });
+
+  describe('Citisignal_setGuestEmail', () => {
+    it('rejects a malformed email without calling Commerce', async () => {
+      const { context, calls } = createMockContext({ headers: { 'x-cart-id': 'cart-123' } });
+
+      const result = await runResolver(
+        resolvers,
+        'Mutation.Citisignal_setGuestEmail',
+        { email: 'ada@example' },
+        context
+      );
+
+      assert.strictEqual(calls.length, 0);
+      assert.strictEqual(result.success, false);
+      assert.strictEqual(result.userErrors[0].code, 'INVALID_EMAIL');
+    });
+
+    it('sets the trimmed email and returns the updated checkout', async () => {
+      const { context, callsTo } = createMockContext({
+        headers: { 'x-cart-id': 'cart-123' },
+        responses: {
+          [SET_EMAIL]: { cart: { id: 'cart-123', email: 'ada@example.com' } },
+          [CART]: checkoutCart({ email: 'ada@example.com' }),
+        },
+      });
+
+      const result = await runResolver(
+        resolvers,
+        'Mutation.Citisignal_setGuestEmail',
+        { email: ' ada@example.com ' },
+        context
+      );
+
+      assert.deepStrictEqual(callsTo(SET_EMAIL)[0].args.input, {
+        cart_id: 'cart-123',
+        email: 'ada@example.com',
+      });
+      assert.strictEqual(result.success, true);
+      assert.strictEqual(result.checkout.email, 'ada@example.com');
+      assert.ok(!result.checkout.missingSteps.includes('EMAIL'));
+    });
+  });
+
+  describe('Citisignal_setShippingAddress', () => {
+    it('sends the address in Commerce format', async () => {
+      const { context, callsTo } = createMockContext({
+        headers: { 'x-cart-id': 'cart-123' },
+        responses: {
+          [SET_SHIPPING_ADDRESS]: { cart: { id: 'cart-123' } },
+          [CART]: checkoutCart({ shipping_addresses: [address()] }),
+        },
+      });
+
+      await runResolver(
+        resolvers,
+        'Mutation.Citisignal_setShippingAddress',
+        { address: addressInput },
+        context
+      );
+
+      assert.deepStrictEqual(callsTo(SET_SHIPPING_ADDRESS)[0].args.input.shipping_addresses, [
+        {
+          address: {
+            firstname: 'Ada',
+            lastname: 'Lovelace',
+            company: null,
+            street: ['1 Main St'],
+            city: 'San Diego',
+            region: 'CA',
+            postcode: '92101',
+            country_code: 'US',
+            telephone: '555-0100',
+            save_in_address_book: false,
+          },
+        },
+      ]);
+    });
+  });
+
+  describe('Citisignal_setBillingAddress', () => {
+    it('copies the shipping address when sameAsShipping is set', async () => {
+      const { context, callsTo } = createMockContext({
+        headers: { 'x-cart-id': 'cart-123' },
+        responses: {
+          [SET_BILLING_ADDRESS]: { cart: { id: 'cart-123' } },
+          [CART]: checkoutCart({ billing_address: address() }),
+        },
+      });
+
+      const result = await runResolver(
+        resolvers,
+        'Mutation.Citisignal_setBillingAddress',
+        { sameAsShipping: true },
+        context
+      );
+
+      assert.deepStrictEqual(callsTo(SET_BILLING_ADDRESS)[0].args.input.billing_address, {
+        same_as_shipping: true,
+      });
+      assert.strictEqual(result.checkout.billingAddress.city, 'San Diego');
+    });
+  });
+
+  describe('Citisignal_setShippingMethod', () => {
+    it('returns unavailable carriers as structured errors', async () => {
+      const { context } = createMockContext({
+        headers: { 'x-cart-id': 'cart-123' },
+        responses: {
+          [CART]: checkoutCart(),
+          [SET_SHIPPING_METHOD]: () => {
+            throw new Error('Carrier with such method not found: ups, GND');
+          },
+        },
+      });
+
+      const result = await runResolver(
+        resolvers,
+        'Mutation.Citisignal_setShippingMethod',
+        { carrierCode: 'ups', methodCode: 'GND' },
+        context
+      );
+
+      assert.strictEqual(result.success, false);
+      assert.strictEqual(result.checkout, null);
+      assert.deepStrictEqual(result.userErrors, [
+        {
+          code: 'SHIPPING_METHOD_UNAVAILABLE',
+          message: 'This shipping method is not available for your address.',
+        },
+      ]);
+    });
+  });
+
+  describe('Citisignal_placeOrder', () => {
+    it('returns the order number', async () => {
+      const { context, callsTo } = createMockContext({
+        headers: { 'x-cart-id': 'cart-123' },
+        responses: {
+          [CART]: checkoutCart(),
+          [PLACE_ORDER]: { order: { order_number: '000000042' } },
+        },
+      });
+
+      const result = await runResolver(resolvers, 'Mutation.Citisignal_placeOrder', {}, context);
+
+      assert.deepStrictEqual(callsTo(PLACE_ORDER)[0].args.input, { cart_id: 'cart-123' });
+      assert.strictEqual(result.success, true);
+      assert.deepStrictEqual(result.order, { orderNumber: '000000042' });
+    });
+
+    it('reports missing checkout details', async () => {
+      const { context, logger } = createMockContext({
+        headers: { 'x-cart-id': 'cart-123' },
+        responses: {
+          [CART]: checkoutCart(),
+          [PLACE_ORDER]: () => {
+            throw new Error('Guest email for cart is missing.');
+          },
+        },
+      });
+
+      const result = await runResolver(resolvers, 'Mutation.Citisignal_placeOrder', {}, context);
+
+      assert.strictEqual(result.success, false);
+      assert.strictEqual(result.order, null);
+      assert.strictEqual(result.userErrors[0].code, 'MISSING_INFORMATION');
+      assert.match(logger.entries('Checkout failed')[0].error.message, /Guest email/);
+    });
+
+    it('fails with CART_NOT_FOUND when the request has no cart', async () => {
+      const { context, calls } = createMockContext();
+
+      const result = await runResolver(resolvers, 'Mutation.Citisignal_placeOrder', {}, context);
+
+      assert.strictEqual(calls.length, 0);
+      assert.strictEqual(result.userErrors[0].code, 'CART_NOT_FOUND');
+    });
+  });
+});
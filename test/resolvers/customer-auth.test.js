@@ -0,0 +1,193 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { loadResolver, createMockContext, runResolver } = require('../helpers/resolver-harness');
+
+const GENERATE_TOKEN = 'CommerceGraphQL.Mutation.Commerce_generateCustomerToken';
+const REVOKE_TOKEN = 'CommerceGraphQL.Mutation.Commerce_revokeCustomerToken';
+const CUSTOMER = 'CommerceGraphQL.Query.Commerce_customer';
+const CUSTOMER_CART = 'CommerceGraphQL.Query.Commerce_customerCart';
+const MERGE_CARTS = 'CommerceGraphQL.Mutation.Commerce_mergeCarts';
+
+const credentials = { email: ' ada@example.com ', password: 'secret' };
+
+const customerResponses = (overrides = {}) => ({
+  [GENERATE_TOKEN]: { token: 'customer-token' },
+  [CUSTOMER]: { firstname: 'Ada', lastname: 'Lovelace', email: 'ada@example.com' },
+  [CUSTOMER_CART]: { id: 'customer-cart' },
+  ...overrides,
+});
+
+describe('customer-auth resolver', () => {
+  const { resolvers } = loadResolver('customer-auth.js');
+
+  describe('Citisignal_login', () => {
+    it('merges the guest cart into the customer cart', async () => {
+      const { context, callsTo } = createMockContext({
+        headers: { 'x-cart-id': 'guest-cart' },
+        responses: customerResponses({ [MERGE_CARTS]: { id: 'customer-cart' } }),
+      });
+
+      const result = await runResolver(
+        resolvers,
+        'Mutation.Citisignal_login',
+        credentials,
+        context
+      );
+
+      assert.deepStrictEqual(callsTo(GENERATE_TOKEN)[0].args, {
+        email: 'ada@example.com',
+        password: 'secret',
+      });
+      const [merge] = callsTo(MERGE_CARTS);
+      assert.deepStrictEqual(merge.args, {
+        source_cart_id: 'guest-cart',
+        destination_cart_id: 'customer-cart',
+      });
+      assert.strictEqual(merge.headers.authorization, 'Bearer customer-token');
+      assert.strictEqual(callsTo(CUSTOMER_CART)[0].headers.authorization, 'Bearer customer-token');
+      assert.deepStrictEqual(result, {
+        success: true,
+        token: 'customer-token',
+        customer: { firstName: 'Ada', lastName: 'Lovelace', email: 'ada@example.com' },
+        cartId: 'customer-cart',
+        errors: [],
+        userErrors: [],
+        upstreamErrors: [],
+      });
+    });
+
+    it('skips the merge without a guest cart', async () => {
+      const { context, callsTo } = createMockContext({ responses: customerResponses() });
+
+      const result = await runResolver(
+        resolvers,
+        'Mutation.Citisignal_login',
+        credentials,
+        context
+      );
+
+      assert.strictEqual(callsTo(MERGE_CARTS).length, 0);
+      assert.strictEqual(result.cartId, 'customer-cart');
+    });
+
+    it('keeps the login when the merge fails', async () => {
+      const { context, logger } = createMockContext({
+        headers: { 'x-cart-id': 'guest-cart' },
+        responses: customerResponses({
+          [MERGE_CARTS]: () => {
+            throw new Error('The cart isn’t active.');
+          },
+        }),
+      });
+
+      const result = await runResolver(
+        resolvers,
+        'Mutation.Citisignal_login',
+        credentials,
+        context
+      );
+
+      assert.strictEqual(result.success, true);
+      assert.strictEqual(result.cartId, 'customer-cart');
+      assert.strictEqual(logger.entries('Cart merge failed').length, 1);
+    });
+
+    it('returns wrong credentials as structured errors', async () => {
+      const { context, calls } = createMockContext({
+        headers: { 'x-cart-id': 'guest-cart' },
+        responses: {
+          [GENERATE_TOKEN]: () => {
+            throw new Error(
+              'The account sign-in was incorrect or your account is disabled temporarily.'
+            );
+          },
+        },
+      });
+
+      const result = await runResolver(
+        resolvers,
+        'Mutation.Citisignal_login',
+        credentials,
+        context
+      );
+
+      assert.strictEqual(calls.length, 1);
+      assert.strictEqual(result.success, false);
+      assert.strictEqual(result.token, null);
+      assert.deepStrictEqual(result.userErrors, [
+        { code: 'INVALID_CREDENTIALS', message: 'The email or password is incorrect.' },
+      ]);
+    });
+  });
+
+  describe('request logging', () => {
+    it('logs upstream calls with the correlation ID and without credentials', async () => {
+      const { context, logger } = createMockContext({
+        headers: { 'x-correlation-id': 'req-42', 'x-cart-id': 'guest-cart' },
+        responses: customerResponses({
+          [MERGE_CARTS]: () => {
+            throw new Error('The cart isn’t active.');
+          },
+        }),
+      });
+
+      await runResolver(resolvers, 'Mutation.Citisignal_login', credentials, context, {
+        operation: { name: { value: 'Login' } },
+      });
+
+      const entries = logger.entries();
+      assert.ok(entries.every((entry) => entry.correlationId === 'req-42'));
+      assert.ok(entries.every((entry) => entry.operation === 'Login'));
+      assert.ok(entries.every((entry) => entry.resolver === 'Citisignal_login'));
+
+      const [tokenCall] = logger.entries('Upstream call');
+      assert.strictEqual(tokenCall.source, 'CommerceGraphQL');
+      assert.strictEqual(tokenCall.field, 'Commerce_generateCustomerToken');
+      assert.deepStrictEqual(tokenCall.args, { email: '[redacted]', password: '[redacted]' });
+      assert.strictEqual(typeof tokenCall.durationMs, 'number');
+      assert.strictEqual(tokenCall.resultSize, 1);
+
+      const [failedMerge] = logger.entries('Upstream call failed');
+      assert.strictEqual(failedMerge.level, 'warn');
+      assert.strictEqual(failedMerge.args.source_cart_id, '[redacted]');
+      assert.strictEqual(failedMerge.error.message, 'The cart isn’t active.');
+
+      const logged = logger.messages.map(({ message }) => message).join('\n');
+      assert.doesNotMatch(logged, /ada@example\.com|secret|customer-token|guest-cart/);
+    });
+
+    it('generates a correlation ID and forwards it to every source call', async () => {
+      const { context, calls, logger } = createMockContext({ responses: customerResponses() });
+
+      await runResolver(resolvers, 'Mutation.Citisignal_login', credentials, context);
+
+      const { correlationId } = logger.entries()[0];
+      assert.ok(correlationId);
+      assert.ok(calls.every((call) => call.headers['x-correlation-id'] === correlationId));
+    });
+  });
+
+  describe('Citisignal_logout', () => {
+    it('revokes the token from the Authorization header', async () => {
+      const { context, callsTo } = createMockContext({
+        headers: { authorization: 'Bearer customer-token' },
+        responses: { [REVOKE_TOKEN]: { result: true } },
+      });
+
+      const result = await runResolver(resolvers, 'Mutation.Citisignal_logout', {}, context);
+
+      assert.strictEqual(callsTo(REVOKE_TOKEN).length, 1);
+      assert.strictEqual(result.success, true);
+      assert.strictEqual(result.token, null);
+    });
+
+    it('succeeds without calling Commerce for guests', async () => {
+      const { context, calls } = createMockContext();
+
+      const result = await runResolver(resolvers, 'Mutation.Citisignal_logout', {}, context);
+
+      assert.strictEqual(calls.length, 0);
+      assert.strictEqual(result.success, true);
+    });
+  });
+});
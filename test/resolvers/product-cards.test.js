@@ -0,0 +1,636 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const {
+  loadResolver,
+  createMockContext,
+  runResolver,
+  resolveInfo,
+} = require('../helpers/resolver-harness');
+const { simpleProductView, complexProductView, searchResult } = require('../fixtures/products');
+
+const LIVE_SEARCH = 'LiveSearchSandbox.Query.Search_productSearch';
+const CATALOG = 'CatalogServiceSandbox.Query.Catalog_productSearch';
+const CATALOG_PRODUCTS = 'CatalogServiceSandbox.Query.Catalog_products';
+
+const liveSearchRanking = (skus) => ({
+  total_count: skus.length,
+  page_info: { current_page: 1, page_size: 24, total_pages: 1 },
+  items: skus.map((sku) => ({ productView: { sku } })),
+});
+
+// Mesh secret the x-mesh-debug header has to match
+const DEBUG_SECRETS = { MESH_DEBUG_SECRET: 'test-secret' };
+
+// Degraded results are only returned to queries that select upstreamErrors
+const WITH_UPSTREAM_ERRORS = resolveInfo('{ Citisignal_productCards { upstreamErrors { code } } }');
+
+describe('product-cards resolver', () => {
+  const { resolvers, internals } = loadResolver('product-cards.js', {
+    expose: ['executeSearchMode', 'executeCatalogMode', 'classifyUpstreamError'],
+  });
+
+  describe('classifyUpstreamError', () => {
+    const classify = (error) => internals.classifyUpstreamError(error, 'CommerceGraphQL');
+
+    it('classifies HTTP status codes', () => {
+      const forbidden = Object.assign(new Error('Request failed'), { status: 403 });
+      assert.deepStrictEqual(classify(forbidden), {
+        code: 'AUTH',
+        message: 'The service did not accept the request credentials.',
+        source: 'CommerceGraphQL',
+        retryable: false,
+      });
+    });
+
+    it('classifies the first GraphQL error by its Commerce category', () => {
+      const aggregate = Object.assign(new Error('2 errors'), {
+        errors: [
+          { message: 'Product missing', extensions: { category: 'graphql-no-such-entity' } },
+          { message: 'Second error' },
+        ],
+      });
+      assert.strictEqual(classify(aggregate).code, 'NOT_FOUND');
+    });
+
+    it('classifies connection failures by error code', () => {
+      const refused = Object.assign(new Error('request failed'), { code: 'ECONNREFUSED' });
+      assert.strictEqual(classify(refused).code, 'NETWORK');
+      assert.strictEqual(classify(refused).retryable, true);
+    });
+
+    it('keeps the source a failed call was tagged with', () => {
+      const tagged = Object.assign(new Error('Boom'), { source: 'LiveSearchSandbox' });
+      assert.strictEqual(classify(tagged).source, 'LiveSearchSandbox');
+    });
+
+    it('retries unknown errors only when the server failed', () => {
+      const serverError = Object.assign(new Error('Boom'), { status: 500 });
+      assert.deepStrictEqual(classify(serverError), {
+        code: 'UNKNOWN',
+        message: 'The service returned an error.',
+        source: 'CommerceGraphQL',
+        retryable: true,
+      });
+      assert.strictEqual(classify(new Error('Boom')).retryable, false);
+    });
+  });
+
+  describe('executeSearchMode', () => {
+    it('fetches Catalog details for exactly the ranked SKUs', async () => {
+      const { context, callsTo } = createMockContext({
+        responses: {
+          [LIVE_SEARCH]: liveSearchRanking(['iphone-15']),
+          [CATALOG_PRODUCTS]: [complexProductView()],
+        },
+      });
+
+      await internals.executeSearchMode(context, { phrase: 'phone', limit: 12, page: 2 });
+
+      const [liveSearchCall] = callsTo(LIVE_SEARCH);
+      assert.strictEqual(liveSearchCall.args.phrase, 'phone');
+      assert.strictEqual(liveSearchCall.args.page_size, 12);
+      assert.strictEqual(liveSearchCall.args.current_page, 2);
+      assert.deepStrictEqual(
+        callsTo(CATALOG_PRODUCTS).map((call) => call.args),
+        [{ skus: ['iphone-15'] }]
+      );
+    });
+
+    it('keeps the Live Search ranking order and page size', async () => {
+      const ranked = Array.from({ length: 12 }, (_, index) => `sku-${index}`);
+      const { context } = createMockContext({
+        responses: {
+          [LIVE_SEARCH]: { ...liveSearchRanking(ranked), total_count: 40 },
+          // Catalog returns details in its own order
+          [CATALOG_PRODUCTS]: ({ args }) =>
+            [...args.skus].reverse().map((sku) => simpleProductView({ sku, urlKey: sku })),
+        },
+      });
+
+      const result = await internals.executeSearchMode(context, { phrase: 'phone', limit: 12 });
+
+      assert.deepStrictEqual(
+        result.items.map((item) => item.sku),
+        ranked
+      );
+      assert.strictEqual(result.totalCount, 40);
+      assert.strictEqual(result.unhydratedCount, 0);
+    });
+
+    it('counts ranked products Catalog has no details for', async () => {
+      const { context } = createMockContext({
+        responses: {
+          [LIVE_SEARCH]: liveSearchRanking(['usb-c-charger', 'discontinued', 'iphone-15']),
+          [CATALOG_PRODUCTS]: [complexProductView(), simpleProductView()],
+        },
+      });
+
+      const result = await runResolver(
+        resolvers,
+        'Query.Citisignal_productCards',
+        { phrase: 'phone' },
+        context
+      );
+
+      assert.deepStrictEqual(
+        result.items.map((item) => item.sku),
+        ['usb-c-charger', 'iphone-15']
+      );
+      assert.strictEqual(result.unhydratedCount, 1);
+      assert.strictEqual(result.degraded, true);
+      assert.deepStrictEqual(result.upstreamErrors, []);
+    });
+
+    it('searches Catalog when Live Search fails', async () => {
+      const { context, callsTo } = createMockContext({
+        responses: {
+          [LIVE_SEARCH]: () => {
+            throw Object.assign(new Error('Bad gateway'), { status: 502 });
+          },
+          [CATALOG]: searchResult([complexProductView(), simpleProductView()]),
+        },
+      });
+
+      const result = await internals.executeSearchMode(context, { phrase: 'phone' });
+
+      assert.deepStrictEqual(
+        result.items.map((item) => item.sku),
+        ['iphone-15', 'usb-c-charger']
+      );
+      assert.strictEqual(callsTo(CATALOG)[0].args.phrase, 'phone');
+      assert.strictEqual(result.totalCount, 2);
+      assert.deepStrictEqual(
+        result.upstreamErrors.map(({ code, source }) => ({ code, source })),
+        [{ code: 'NETWORK', source: 'LiveSearchSandbox' }]
+      );
+    });
+
+    it('reports every ranked product as unhydrated when Catalog fails', async () => {
+      const { context } = createMockContext({
+        responses: {
+          [LIVE_SEARCH]: liveSearchRanking(['usb-c-charger', 'iphone-15']),
+          [CATALOG_PRODUCTS]: () => {
+            throw new Error('socket hang up');
+          },
+        },
+      });
+
+      const result = await internals.executeSearchMode(context, { phrase: 'phone' });
+
+      assert.deepStrictEqual(result.items, []);
+      assert.strictEqual(result.unhydratedCount, 2);
+      assert.strictEqual(result.upstreamErrors[0].source, 'CatalogServiceSandbox');
+    });
+
+    it('reports both sources when neither answers', async () => {
+      const { context } = createMockContext({
+        responses: {
+          [LIVE_SEARCH]: () => {
+            throw new Error('socket hang up');
+          },
+          [CATALOG]: () => {
+            throw new Error('socket hang up');
+          },
+        },
+      });
+
+      const result = await runResolver(
+        resolvers,
+        'Query.Citisignal_productCards',
+        { phrase: 'phone' },
+        context,
+        WITH_UPSTREAM_ERRORS
+      );
+
+      assert.deepStrictEqual(result.items, []);
+      assert.strictEqual(result.degraded, true);
+      assert.deepStrictEqual(result.failedSources, ['LiveSearchSandbox', 'CatalogServiceSandbox']);
+    });
+  });
+
+  describe('onSaleOnly', () => {
+    // Every other product is discounted: usb-c-charger-0, -2, -4, ...
+    const catalogPage = ({ args }) => {
+      const first = (args.current_page - 1) * args.page_size;
+      const count = Math.max(0, Math.min(args.page_size, 250 - first));
+      const views = Array.from({ length: count }, (_, index) => {
+        const number = first + index;
+        const final = number % 2 === 0 ? 19.99 : 29.99;
+        return simpleProductView({
+          sku: `usb-c-charger-${number}`,
+          price: { regular: { amount: { value: 29.99 } }, final: { amount: { value: final } } },
+        });
+      });
+      return searchResult(views, {
+        current_page: args.current_page,
+        page_size: args.page_size,
+        total_pages: 3,
+      });
+    };
+
+    it('pages through the listing when no on-sale attribute is configured', async () => {
+      const { context, callsTo } = createMockContext({ responses: { [CATALOG]: catalogPage } });
+
+      const result = await runResolver(
+        resolvers,
+        'Query.Citisignal_productCards',
+        { filter: { categoryUrlKey: 'deals', onSaleOnly: true }, limit: 24, page: 3 },
+        context
+      );
+
+      assert.deepStrictEqual(
+        callsTo(CATALOG).map((call) => [call.args.current_page, call.args.page_size]),
+        [
+          [1, 100],
+          [2, 100],
+        ]
+      );
+      assert.strictEqual(result.items.length, 24);
+      assert.strictEqual(result.items[0].sku, 'usb-c-charger-96');
+      assert.strictEqual(result.totalCount, 100);
+      assert.strictEqual(result.hasMoreItems, true);
+      assert.strictEqual(result.truncated, false);
+    });
+
+    it('stops paging once the requested page and the next item are found', async () => {
+      const { context, callsTo } = createMockContext({ responses: { [CATALOG]: catalogPage } });
+
+      const result = await runResolver(
+        resolvers,
+        'Query.Citisignal_productCards',
+        { filter: { onSaleOnly: true }, limit: 24, page: 2 },
+        context
+      );
+
+      assert.strictEqual(callsTo(CATALOG).length, 1);
+      assert.strictEqual(result.items[0].sku, 'usb-c-charger-48');
+      assert.strictEqual(result.totalCount, 50);
+      assert.deepStrictEqual(result.page_info, { current_page: 2, page_size: 24, total_pages: 3 });
+      assert.strictEqual(result.hasMoreItems, true);
+    });
+
+    it('hydrates only the on-sale page of a search ranking', async () => {
+      const { context, callsTo } = createMockContext({
+        responses: {
+          [LIVE_SEARCH]: (call) => {
+            const page = catalogPage(call);
+            return {
+              ...page,
+              items: page.items.map(({ productView }) => ({
+                productView: { ...productView, __typename: 'Search_SimpleProductView' },
+              })),
+            };
+          },
+          [CATALOG_PRODUCTS]: ({ args }) =>
+            args.skus.map((sku) => simpleProductView({ sku, urlKey: sku })),
+        },
+      });
+
+      const result = await internals.executeSearchMode(context, {
+        phrase: 'charger',
+        filter: { onSaleOnly: true },
+        limit: 10,
+        page: 13,
+      });
+
+      assert.strictEqual(result.totalCount, 125);
+      assert.strictEqual(result.pageInfo.total_pages, 13);
+      assert.deepStrictEqual(callsTo(CATALOG_PRODUCTS)[0].args.skus, [
+        'usb-c-charger-240',
+        'usb-c-charger-242',
+        'usb-c-charger-244',
+        'usb-c-charger-246',
+        'usb-c-charger-248',
+      ]);
+      assert.strictEqual(result.items.length, 5);
+    });
+
+    it('sends the on-sale attribute upstream when one is configured', async () => {
+      const onSale = loadResolver('product-cards.js', {
+        facetMappings: { mappings: {}, onSale: { attribute: 'cs_on_sale', value: '1' } },
+      });
+      const { context, callsTo } = createMockContext({
+        responses: { [CATALOG]: searchResult([simpleProductView()], { total_pages: 4 }) },
+      });
+
+      const result = await runResolver(
+        onSale.resolvers,
+        'Query.Citisignal_productCards',
+        { filter: { onSaleOnly: true }, limit: 24, page: 1 },
+        context
+      );
+
+      const [call] = callsTo(CATALOG);
+      assert.deepStrictEqual(call.args.filter, [{ attribute: 'cs_on_sale', eq: '1' }]);
+      assert.strictEqual(call.args.page_size, 24);
+      // The source already filtered, so its items and totals are used as they are
+      assert.strictEqual(result.items.length, 1);
+      assert.strictEqual(result.hasMoreItems, true);
+    });
+  });
+
+  describe('Citisignal_productCards', () => {
+    it('uses Catalog Service only when browsing', async () => {
+      const { context, calls } = createMockContext({
+        responses: { [CATALOG]: searchResult([simpleProductView()]) },
+      });
+
+      const result = await runResolver(
+        resolvers,
+        'Query.Citisignal_productCards',
+        { filter: { categoryUrlKey: 'accessories' }, limit: 24, page: 1 },
+        context
+      );
+
+      assert.deepStrictEqual(
+        calls.map((call) => call.key),
+        [CATALOG]
+      );
+      assert.deepStrictEqual(calls[0].args.filter, [
+        { attribute: 'categoryPath', in: ['accessories'] },
+      ]);
+      assert.strictEqual(result.items[0].price, '$29.99');
+      assert.strictEqual(result.items[0].image.url, 'https://example.com/media/charger.jpg');
+      assert.strictEqual(result.hasMoreItems, false);
+    });
+
+    it('reports upstream failures instead of an empty listing', async () => {
+      const { context, logger } = createMockContext({
+        responses: {
+          [CATALOG]: () => {
+            throw new Error('Catalog Service unavailable');
+          },
+        },
+      });
+
+      const result = await runResolver(
+        resolvers,
+        'Query.Citisignal_productCards',
+        {},
+        context,
+        WITH_UPSTREAM_ERRORS
+      );
+
+      assert.deepStrictEqual(result.items, []);
+      assert.deepStrictEqual(result.upstreamErrors, [
+        {
+          code: 'NETWORK',
+          message: 'The service could not be reached. Please try again.',
+          source: 'CatalogServiceSandbox',
+          retryable: true,
+        },
+      ]);
+      assert.strictEqual(logger.entries('Product cards failed')[0].level, 'error');
+    });
+
+    it('names the source that failed in search mode', async () => {
+      const timeout = Object.assign(new Error('The operation was aborted'), { name: 'AbortError' });
+      const { context } = createMockContext({
+        responses: {
+          [LIVE_SEARCH]: () => {
+            throw timeout;
+          },
+          [CATALOG]: searchResult([]),
+        },
+      });
+
+      const result = await runResolver(
+        resolvers,
+        'Query.Citisignal_productCards',
+        { phrase: 'iphone' },
+        context,
+        WITH_UPSTREAM_ERRORS
+      );
+
+      assert.strictEqual(result.upstreamErrors[0].code, 'TIMEOUT');
+      assert.strictEqual(result.upstreamErrors[0].source, 'LiveSearchSandbox');
+    });
+
+    it('fails instead of returning a degraded listing to a query without upstreamErrors', async () => {
+      const failingCatalog = {
+        [CATALOG]: () => {
+          throw new Error('Catalog Service unavailable');
+        },
+      };
+      const queries = [
+        '{ Citisignal_productCards { items { sku } degraded } }',
+        '{ Citisignal_productCards { items { sku } upstreamErrors @include(if: true) { code } } }',
+      ];
+
+      for (const query of queries) {
+        const { context } = createMockContext({ responses: failingCatalog });
+        await assert.rejects(
+          runResolver(resolvers, 'Query.Citisignal_productCards', {}, context, resolveInfo(query)),
+          /Select upstreamErrors to receive the partial result/,
+          query
+        );
+      }
+    });
+
+    it('returns a degraded listing to a query selecting upstreamErrors through a fragment', async () => {
+      const { context } = createMockContext({
+        responses: {
+          [CATALOG]: () => {
+            throw new Error('Catalog Service unavailable');
+          },
+        },
+      });
+      const info = resolveInfo(`
+        query { Citisignal_productCards { ...Listing } }
+        fragment Listing on Citisignal_ProductCardResult { items { sku } upstreamErrors { code } }
+      `);
+
+      const result = await runResolver(
+        resolvers,
+        'Query.Citisignal_productCards',
+        {},
+        context,
+        info
+      );
+
+      assert.strictEqual(result.upstreamErrors[0].code, 'NETWORK');
+    });
+
+    it('returns no upstream errors for a complete listing', async () => {
+      const { context } = createMockContext({ responses: { [CATALOG]: searchResult([]) } });
+
+      const result = await runResolver(resolvers, 'Query.Citisignal_productCards', {}, context);
+
+      assert.deepStrictEqual(result.upstreamErrors, []);
+      assert.strictEqual(result.degraded, false);
+      assert.deepStrictEqual(result.failedSources, []);
+    });
+  });
+
+  describe('debug trace', () => {
+    it('traces strategy, filters, source calls and the SKU merge with x-mesh-debug', async () => {
+      const { context } = createMockContext({
+        headers: { 'x-mesh-debug': 'test-secret' },
+        secrets: DEBUG_SECRETS,
+        responses: {
+          [LIVE_SEARCH]: liveSearchRanking(['iphone-15', 'discontinued-phone']),
+          [CATALOG_PRODUCTS]: [complexProductView()],
+        },
+      });
+
+      const result = await runResolver(
+        resolvers,
+        'Query.Citisignal_productCards',
+        { phrase: 'phone', filter: { categoryUrlKey: 'phones' } },
+        context
+      );
+
+      const trace = JSON.parse(result._debug);
+      assert.strictEqual(trace.resolver, 'Citisignal_productCards');
+      assert.strictEqual(trace.strategy, 'live-search + catalog');
+      assert.deepStrictEqual(trace.filters.catalog, [
+        { attribute: 'categoryPath', in: ['phones'] },
+      ]);
+      assert.deepStrictEqual(
+        trace.sources.map((call) => `${call.source}.${call.field}`),
+        ['LiveSearchSandbox.Search_productSearch', 'CatalogServiceSandbox.Catalog_products']
+      );
+      assert.ok(trace.sources.every((call) => typeof call.durationMs === 'number'));
+      assert.deepStrictEqual(trace.merge.unhydratedSkus, ['discontinued-phone']);
+      assert.strictEqual(typeof trace.totalMs, 'number');
+    });
+
+    it('records the failing call and the fallback strategy', async () => {
+      const { context } = createMockContext({
+        headers: { 'x-mesh-debug': 'test-secret' },
+        secrets: DEBUG_SECRETS,
+        responses: {
+          [LIVE_SEARCH]: () => {
+            throw new Error('socket hang up');
+          },
+          [CATALOG]: searchResult([]),
+        },
+      });
+
+      const result = await runResolver(
+        resolvers,
+        'Query.Citisignal_productCards',
+        { phrase: 'phone' },
+        context,
+        WITH_UPSTREAM_ERRORS
+      );
+
+      const trace = JSON.parse(result._debug);
+      assert.strictEqual(trace.strategy, 'catalog (Live Search failed)');
+      assert.strictEqual(trace.sources[0].error, 'socket hang up');
+      assert.strictEqual(trace.sources[1].args.phrase, 'phone');
+    });
+
+    it('returns no trace when the header does not match the debug secret', async () => {
+      const { context } = createMockContext({
+        headers: { 'x-mesh-debug': 'true' },
+        secrets: DEBUG_SECRETS,
+        responses: { [CATALOG]: searchResult([]) },
+      });
+
+      const result = await runResolver(resolvers, 'Query.Citisignal_productCards', {}, context);
+
+      assert.strictEqual(result._debug, null);
+    });
+
+    it('returns no trace when the mesh has no debug secret', async () => {
+      const { context } = createMockContext({
+        headers: { 'x-mesh-debug': '' },
+        secrets: {},
+        responses: { [CATALOG]: searchResult([]) },
+      });
+
+      const result = await runResolver(resolvers, 'Query.Citisignal_productCards', {}, context);
+
+      assert.strictEqual(result._debug, null);
+    });
+
+    it('returns no trace for a prefix or an extension of the debug secret', async () => {
+      for (const header of ['test-', 'test-secret-', 'test-secreT']) {
+        const { context } = createMockContext({
+          headers: { 'x-mesh-debug': header },
+          secrets: DEBUG_SECRETS,
+          responses: { [CATALOG]: searchResult([]) },
+        });
+
+        const result = await runResolver(resolvers, 'Query.Citisignal_productCards', {}, context);
+
+        assert.strictEqual(result._debug, null, header);
+      }
+    });
+
+    it('redacts shopper data in the trace', async () => {
+      const { context } = createMockContext({
+        headers: { 'x-mesh-debug': 'test-secret' },
+        secrets: DEBUG_SECRETS,
+        responses: { [LIVE_SEARCH]: liveSearchRanking([]) },
+      });
+
+      const result = await runResolver(
+        resolvers,
+        'Query.Citisignal_productCards',
+        { phrase: 'jane@example.com' },
+        context
+      );
+
+      assert.ok(!result._debug.includes('jane@example.com'));
+      assert.strictEqual(JSON.parse(result._debug).sources[0].args.phrase, '[redacted]');
+    });
+
+    it('returns no trace without the header', async () => {
+      const { context } = createMockContext({ responses: { [CATALOG]: searchResult([]) } });
+
+      const result = await runResolver(resolvers, 'Query.Citisignal_productCards', {}, context);
+
+      assert.strictEqual(result._debug, null);
+    });
+  });
+
+  describe('price formatting', () => {
+    const storeLocales = {
+      default: { locale: 'en-US', currency: 'USD' },
+      stores: { de_de: { locale: 'de-DE', currency: 'EUR' } },
+    };
+    const euroProduct = simpleProductView({
+      price: {
+        regular: { amount: { value: 1299.99, currency: 'EUR' } },
+        final: { amount: { value: 1199.99, currency: 'EUR' } },
+      },
+    });
+    const { resolvers: localized } = loadResolver('product-cards.js', { storeLocales });
+
+    it('formats prices in the locale of the store view header', async () => {
+      const { context, callsTo } = createMockContext({
+        headers: { 'magento-store-view-code': 'de_de' },
+        responses: { [CATALOG]: searchResult([euroProduct]) },
+      });
+
+      const result = await runResolver(localized, 'Query.Citisignal_productCards', {}, context);
+
+      assert.match(callsTo(CATALOG)[0].selectionSet, /amount \{ value currency \}/);
+      assert.strictEqual(result.items[0].price, '1.199,99\u00a0€');
+      assert.strictEqual(result.items[0].originalPrice, '1.299,99\u00a0€');
+    });
+
+    it('uses the currency returned with the price over the store default', async () => {
+      const { context } = createMockContext({
+        responses: { [CATALOG]: searchResult([euroProduct]) },
+      });
+
+      const result = await runResolver(localized, 'Query.Citisignal_productCards', {}, context);
+
+      assert.strictEqual(result.items[0].price, '€1,199.99');
+    });
+
+    it('falls back to the store currency when the price has none', async () => {
+      const { context } = createMockContext({
+        headers: { store: 'de_de' },
+        responses: { [CATALOG]: searchResult([simpleProductView()]) },
+      });
+
+      const result = await runResolver(localized, 'Query.Citisignal_productCards', {}, context);
+
+      assert.strictEqual(result.items[0].price, '29,99\u00a0€');
+    });
+  });
+});
@@ -0,0 +1,181 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { loadResolver, createMockContext, runResolver } = require('../helpers/resolver-harness');
+const { complexProductView, simpleProductView, searchResult } = require('../fixtures/products');
+
+const CATALOG = 'CatalogServiceSandbox.Query.Catalog_productSearch';
+const PRODUCTS = 'CommerceGraphQL.Query.Commerce_products';
+
+const commerceVariant = (sku, colorLabel) => ({
+  product: {
+    sku,
+    name: `iPhone 15 ${colorLabel}`,
+    price_range: {
+      minimum_price: {
+        regular_price: { value: 899.99 },
+        final_price: { value: 799.99 },
+      },
+    },
+    image: { url: `http://example.com/media/${sku}.jpg`, label: colorLabel },
+    stock_status: 'IN_STOCK',
+  },
+  attributes: [{ code: 'cs_color', label: colorLabel, value_index: 1 }],
+});
+
+// Mesh secret the x-mesh-debug header has to match
+const DEBUG_SECRETS = { MESH_DEBUG_SECRET: 'test-secret' };
+
+describe('product-detail resolver', () => {
+  const { resolvers, internals } = loadResolver('product-detail.js', {
+    expose: ['transformProduct'],
+  });
+
+  describe('transformProduct', () => {
+    it('builds dual pricing for complex products', async () => {
+      const product = await internals.transformProduct(complexProductView());
+
+      assert.strictEqual(product.price, '$799.99');
+      assert.strictEqual(product.priceValue, 799.99);
+      assert.strictEqual(product.originalPrice, '$899.99');
+      assert.strictEqual(product.discountPercent, 11);
+      assert.strictEqual(product.manufacturer, 'Apple');
+    });
+
+    it('maps variant color labels back to swatch values', async () => {
+      const product = await internals.transformProduct(complexProductView(), [
+        commerceVariant('iphone-15-pink', 'Pink'),
+      ]);
+
+      assert.deepStrictEqual(product.variants[0].attributes, { cs_color: '#FFC0CB' });
+      assert.strictEqual(
+        product.variants[0].image.url,
+        'https://example.com/media/iphone-15-pink.jpg'
+      );
+      assert.strictEqual(product.variants[0].inStock, true);
+    });
+
+    it('falls back to attribute breadcrumbs without a context', async () => {
+      const product = await internals.transformProduct(complexProductView());
+
+      assert.deepStrictEqual(product.breadcrumbs.items, [
+        { name: 'Products', urlPath: '/products' },
+        { name: 'iPhone 15', urlPath: '/products/iphone-15' },
+      ]);
+    });
+  });
+
+  describe('Citisignal_productDetail', () => {
+    it('fetches variants and category breadcrumbs for configurable products', async () => {
+      const { context, callsTo } = createMockContext({
+        responses: {
+          [CATALOG]: searchResult([complexProductView()]),
+          [PRODUCTS]: {
+            items: [
+              {
+                sku: 'iphone-15',
+                variants: [commerceVariant('iphone-15-black', 'Black')],
+                categories: [{ id: 4, name: 'Phones', url_path: 'phones', level: 2 }],
+              },
+            ],
+          },
+        },
+      });
+
+      const product = await runResolver(
+        resolvers,
+        'Query.Citisignal_productDetail',
+        { urlKey: 'iphone-15' },
+        context
+      );
+
+      assert.deepStrictEqual(callsTo(CATALOG)[0].args.filter, [
+        { attribute: 'url_key', in: ['iphone-15'] },
+      ]);
+      assert.strictEqual(callsTo(PRODUCTS).length, 1);
+      assert.strictEqual(product.variants.length, 1);
+      assert.deepStrictEqual(product.breadcrumbs.items[0], { name: 'Phones', urlPath: '/phones' });
+      assert.deepStrictEqual(product.cacheTags, ['product:iphone-15', 'product:iphone-15-black']);
+    });
+
+    it('traces the lookup and both source calls with x-mesh-debug', async () => {
+      const { context } = createMockContext({
+        headers: { 'x-mesh-debug': 'test-secret' },
+        secrets: DEBUG_SECRETS,
+        responses: {
+          [CATALOG]: searchResult([complexProductView()]),
+          [PRODUCTS]: {
+            items: [{ sku: 'iphone-15', variants: [commerceVariant('iphone-15-black', 'Black')] }],
+          },
+        },
+      });
+
+      const product = await runResolver(
+        resolvers,
+        'Query.Citisignal_productDetail',
+        { urlKey: 'iphone-15' },
+        context
+      );
+
+      const trace = JSON.parse(product._debug);
+      assert.deepStrictEqual(trace.lookup, {
+        urlKey: 'iphone-15',
+        matches: 1,
+        sku: 'iphone-15',
+        type: 'Catalog_ComplexProductView',
+        variants: 1,
+      });
+      assert.deepStrictEqual(
+        trace.sources.map((call) => call.field),
+        ['Catalog_productSearch', 'Commerce_products']
+      );
+    });
+
+    it('batches Commerce lookups for products resolved in the same request', async () => {
+      const productViews = {
+        'iphone-15': complexProductView(),
+        'usb-c-charger': simpleProductView(),
+      };
+      const { context, callsTo } = createMockContext({
+        responses: {
+          [CATALOG]: ({ args }) => searchResult([productViews[args.filter[0].in[0]]]),
+          [PRODUCTS]: ({ args }) => ({
+            items: args.filter.sku.in.map((sku) => ({
+              sku,
+              categories: [{ id: 4, name: 'Phones', url_path: 'phones', level: 2 }],
+            })),
+          }),
+        },
+      });
+
+      const products = await Promise.all(
+        ['iphone-15', 'usb-c-charger'].map((urlKey) =>
+          runResolver(resolvers, 'Query.Citisignal_productDetail', { urlKey }, context)
+        )
+      );
+
+      assert.deepStrictEqual(
+        callsTo(PRODUCTS).map((call) => call.args.filter),
+        [{ sku: { in: ['iphone-15', 'usb-c-charger'] } }]
+      );
+      assert.deepStrictEqual(
+        products.map((product) => product.breadcrumbs.items[0].name),
+        ['Phones', 'Phones']
+      );
+    });
+
+    it('returns null when the URL key is unknown', async () => {
+      const { context } = createMockContext({
+        responses: { [CATALOG]: searchResult([]) },
+      });
+
+      const product = await runResolver(
+        resolvers,
+        'Query.Citisignal_productDetail',
+        { urlKey: 'missing' },
+        context
+      );
+
+      assert.strictEqual(product, null);
+    });
+  });
+});
@@ -0,0 +1,250 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const {
+  loadResolver,
+  createMockContext,
+  runResolver,
+  resolveInfo,
+} = require('../helpers/resolver-harness');
+const { simpleProductView, complexProductView, searchResult } = require('../fixtures/products');
+
+const LIVE_SEARCH = 'LiveSearchSandbox.Query.Search_productSearch';
+const CATALOG = 'CatalogServiceSandbox.Query.Catalog_productSearch';
+
+const unreachable = () => {
+  throw new Error('socket hang up');
+};
+
+// Mesh secret the x-mesh-debug header has to match
+const DEBUG_SECRETS = { MESH_DEBUG_SECRET: 'test-secret' };
+
+// Degraded results are only returned to queries that select upstreamErrors
+const WITH_UPSTREAM_ERRORS = resolveInfo(
+  '{ Citisignal_productSearchFilter { upstreamErrors { code } } }'
+);
+
+describe('product-search-filter resolver', () => {
+  const { resolvers } = loadResolver('product-search-filter.js');
+
+  describe('Citisignal_productSearchFilter', () => {
+    it('reports a complete result as not degraded', async () => {
+      const { context } = createMockContext({
+        responses: { [CATALOG]: searchResult([simpleProductView()]) },
+      });
+
+      const result = await runResolver(
+        resolvers,
+        'Query.Citisignal_productSearchFilter',
+        {},
+        context
+      );
+
+      assert.strictEqual(result.products.items.length, 1);
+      assert.strictEqual(result.facets.approximate, false);
+      assert.strictEqual(result.degraded, false);
+      assert.deepStrictEqual(result.failedSources, []);
+      assert.deepStrictEqual(result.upstreamErrors, []);
+    });
+
+    it('searches Catalog with the phrase when Live Search fails', async () => {
+      const { context, callsTo } = createMockContext({
+        responses: {
+          [LIVE_SEARCH]: unreachable,
+          [CATALOG]: searchResult([complexProductView(), simpleProductView()]),
+        },
+      });
+
+      const result = await runResolver(
+        resolvers,
+        'Query.Citisignal_productSearchFilter',
+        { phrase: 'phone' },
+        context,
+        WITH_UPSTREAM_ERRORS
+      );
+
+      assert.strictEqual(callsTo(CATALOG)[0].args.phrase, 'phone');
+      assert.deepStrictEqual(
+        result.products.items.map((item) => item.sku),
+        ['iphone-15', 'usb-c-charger']
+      );
+      assert.strictEqual(result.products.degraded, true);
+      assert.deepStrictEqual(result.failedSources, ['LiveSearchSandbox']);
+      assert.strictEqual(result.upstreamErrors[0].code, 'NETWORK');
+    });
+
+    it('pages on-sale products with totals for the sale only', async () => {
+      const { context, callsTo } = createMockContext({
+        responses: {
+          // iphone-15 is discounted, usb-c-charger is not
+          [CATALOG]: searchResult([complexProductView(), simpleProductView()]),
+        },
+      });
+
+      const result = await runResolver(
+        resolvers,
+        'Query.Citisignal_productSearchFilter',
+        { filter: { onSaleOnly: true }, limit: 24 },
+        context
+      );
+
+      assert.strictEqual(callsTo(CATALOG)[0].args.page_size, 100);
+      assert.deepStrictEqual(
+        result.products.items.map((item) => item.sku),
+        ['iphone-15']
+      );
+      assert.strictEqual(result.products.totalCount, 1);
+      assert.strictEqual(result.products.hasMoreItems, false);
+    });
+
+    it('fetches facets with the first page of an on-sale scan only', async () => {
+      const { context, callsTo } = createMockContext({
+        responses: {
+          [CATALOG]: ({ args }) =>
+            searchResult(args.current_page === 1 ? [complexProductView()] : [simpleProductView()], {
+              current_page: args.current_page,
+              total_pages: 3,
+            }),
+        },
+      });
+
+      const result = await runResolver(
+        resolvers,
+        'Query.Citisignal_productSearchFilter',
+        { filter: { onSaleOnly: true } },
+        context
+      );
+
+      assert.deepStrictEqual(
+        callsTo(CATALOG).map((call) => call.selectionSet.includes('facets')),
+        [true, false, false]
+      );
+      assert.strictEqual(result.products.totalCount, 1);
+      assert.strictEqual(result.products.truncated, false);
+      assert.strictEqual(result.facets.approximate, true);
+    });
+
+    it('counts products with any discount as on sale', async () => {
+      // 0.2% off rounds to a 0% discount on the card, but the product is still on sale
+      const barelyDiscounted = simpleProductView({
+        price: {
+          regular: { amount: { value: 500, currency: 'USD' } },
+          final: { amount: { value: 499, currency: 'USD' } },
+        },
+      });
+      const { context } = createMockContext({
+        responses: { [CATALOG]: searchResult([barelyDiscounted]) },
+      });
+
+      const result = await runResolver(
+        resolvers,
+        'Query.Citisignal_productSearchFilter',
+        { filter: { onSaleOnly: true } },
+        context
+      );
+
+      assert.strictEqual(result.products.totalCount, 1);
+    });
+
+    it('reports an on-sale scan that stopped before the end of the listing', async () => {
+      const { context, callsTo } = createMockContext({
+        responses: {
+          [CATALOG]: ({ args }) =>
+            searchResult([complexProductView()], {
+              current_page: args.current_page,
+              total_pages: 12,
+            }),
+        },
+      });
+
+      const result = await runResolver(
+        resolvers,
+        'Query.Citisignal_productSearchFilter',
+        { filter: { onSaleOnly: true } },
+        context
+      );
+
+      assert.strictEqual(callsTo(CATALOG).length, 10);
+      assert.strictEqual(result.products.truncated, true);
+      assert.strictEqual(result.products.degraded, true);
+      assert.deepStrictEqual(result.products.upstreamErrors, []);
+    });
+
+    it('traces the on-sale scan with x-mesh-debug', async () => {
+      const { context } = createMockContext({
+        headers: { 'x-mesh-debug': 'test-secret' },
+        secrets: DEBUG_SECRETS,
+        responses: { [CATALOG]: searchResult([complexProductView(), simpleProductView()]) },
+      });
+
+      const result = await runResolver(
+        resolvers,
+        'Query.Citisignal_productSearchFilter',
+        { filter: { onSaleOnly: true }, sort: { attribute: 'PRICE', direction: 'ASC' } },
+        context
+      );
+
+      const trace = JSON.parse(result._debug);
+      assert.strictEqual(trace.strategy, 'catalog');
+      assert.deepStrictEqual(trace.sort.catalog, { attribute: 'price', direction: 'ASC' });
+      assert.deepStrictEqual(trace.onSale, {
+        upstream: false,
+        scannedPages: 1,
+        onSaleItems: 1,
+        truncated: false,
+      });
+      assert.strictEqual(trace.sources.length, 1);
+    });
+
+    it('keeps the products when only the facets fail', async () => {
+      const facetsError = Object.assign(new Error('Facet aggregation failed'), {
+        extensions: { category: 'graphql-input' },
+      });
+      const { context } = createMockContext({
+        responses: {
+          // Mesh puts the error in place of the failed field
+          [CATALOG]: () => ({ ...searchResult([simpleProductView()]), facets: facetsError }),
+        },
+      });
+
+      const result = await runResolver(
+        resolvers,
+        'Query.Citisignal_productSearchFilter',
+        {},
+        context,
+        WITH_UPSTREAM_ERRORS
+      );
+
+      assert.strictEqual(result.products.items.length, 1);
+      assert.strictEqual(result.products.degraded, false);
+      assert.deepStrictEqual(result.facets.facets, []);
+      assert.strictEqual(result.facets.degraded, true);
+      assert.deepStrictEqual(result.facets.upstreamErrors, [
+        {
+          code: 'VALIDATION',
+          message: 'The service rejected the request.',
+          source: 'CatalogServiceSandbox',
+          retryable: false,
+        },
+      ]);
+      assert.strictEqual(result.degraded, true);
+    });
+
+    it('returns an empty result naming both sources when neither answers', async () => {
+      const { context } = createMockContext({
+        responses: { [LIVE_SEARCH]: unreachable, [CATALOG]: unreachable },
+      });
+
+      const result = await runResolver(
+        resolvers,
+        'Query.Citisignal_productSearchFilter',
+        { phrase: 'phone' },
+        context,
+        WITH_UPSTREAM_ERRORS
+      );
+
+      assert.deepStrictEqual(result.products.items, []);
+      assert.strictEqual(result.totalCount, 0);
+      assert.deepStrictEqual(result.failedSources, ['LiveSearchSandbox', 'CatalogServiceSandbox']);
+    });
+  });
+});
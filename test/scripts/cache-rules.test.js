@@ -0,0 +1,118 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { buildASTSchema, parse } = require('graphql');
+const {
+  validateCacheRules,
+  applyCacheRules,
+  hasCachedOperations,
+} = require('../../scripts/lib/cache-rules');
+const { parseTags, buildPurgeRequest, purgeTags } = require('../../scripts/purge-cache');
+const { combineSchemaFiles } = require('../../scripts/build-mesh');
+const { cacheRules } = require('../../mesh.config');
+
+const typeDefs = `
+type Citisignal_Navigation { items: [String] }
+
+type Query {
+  Citisignal_categoryNavigation(maxItems: Int): Citisignal_Navigation
+  Citisignal_cart(cartId: String): Citisignal_Navigation
+}
+
+type Mutation {
+  Citisignal_addToCart(sku: String!): Citisignal_Navigation
+}
+`;
+
+describe('cache rules', () => {
+  it('accepts the rules in mesh.config.js for the project schema', () => {
+    assert.deepStrictEqual(validateCacheRules(cacheRules, combineSchemaFiles()), []);
+  });
+
+  it('reports unknown operations, mutations, bad TTLs and queries without a rule', () => {
+    const errors = validateCacheRules(
+      {
+        Citisignal_categoryNavigation: { maxAge: -1 },
+        Citisignal_addToCart: { maxAge: 60 },
+        Citisignal_missing: { maxAge: 60 },
+      },
+      typeDefs
+    );
+
+    assert.deepStrictEqual(errors, [
+      'cacheRules.Citisignal_categoryNavigation: maxAge must be a whole number of seconds, 0 or more',
+      'cacheRules.Citisignal_addToCart: mutations are never cached',
+      'cacheRules.Citisignal_missing: no Query field named Citisignal_missing',
+      'cacheRules has no rule for Citisignal_cart (use 0 for responses that are never cached)',
+    ]);
+  });
+
+  it('adds a @cacheControl directive to each ruled query', () => {
+    const rules = {
+      Citisignal_categoryNavigation: { maxAge: 3600 },
+      Citisignal_cart: { maxAge: 0 },
+    };
+    const schema = applyCacheRules(typeDefs, rules);
+
+    assert.match(
+      schema,
+      /Citisignal_categoryNavigation\(maxItems: Int\): Citisignal_Navigation @cacheControl\(maxAge: 3600\)/
+    );
+    assert.match(
+      schema,
+      /Citisignal_cart\(cartId: String\): Citisignal_Navigation @cacheControl\(maxAge: 0\)/
+    );
+    assert.doesNotThrow(() => buildASTSchema(parse(schema)));
+    assert.strictEqual(hasCachedOperations(rules), true);
+    assert.strictEqual(hasCachedOperations({ Citisignal_cart: { maxAge: 0 } }), false);
+  });
+
+  it('never caches _debug fields', () => {
+    const schema = applyCacheRules(
+      'type Result { items: [String] _debug: String }\ntype Query { search: Result }',
+      {}
+    );
+
+    assert.match(schema, /_debug: String @cacheControl\(maxAge: 0\)/);
+    assert.doesNotThrow(() => buildASTSchema(parse(schema)));
+  });
+
+  it('never caches responses that report an upstream error', () => {
+    const schema = applyCacheRules(
+      'type Citisignal_Error implements Node { id: ID! code: String }\ninterface Node { id: ID! }\ntype Query { search: [Citisignal_Error!]! }',
+      {}
+    );
+
+    assert.match(schema, /type Citisignal_Error implements Node @cacheControl\(maxAge: 0\) \{/);
+    assert.doesNotThrow(() => buildASTSchema(parse(schema)));
+  });
+});
+
+describe('cache purge', () => {
+  it('rejects tags that responses never carry', () => {
+    assert.deepStrictEqual(parseTags('product:iphone-15, category:4,product:iphone-15'), [
+      'product:iphone-15',
+      'category:4',
+    ]);
+    assert.throws(() => parseTags('iphone-15'), /Unknown cache tag format: iphone-15/);
+    assert.throws(() => parseTags(''), /No cache tags given/);
+  });
+
+  it('purges every tag with one surrogate key request', async () => {
+    const requests = [];
+    await purgeTags(['product:iphone-15', 'category:4'], {
+      env: { FASTLY_SERVICE_ID: 'svc1', FASTLY_API_TOKEN: 'token' },
+      fetch: async (url, options) => {
+        requests.push({ url, options });
+        return { ok: true, status: 200 };
+      },
+    });
+
+    assert.strictEqual(requests.length, 1);
+    assert.strictEqual(requests[0].url, 'https://api.fastly.com/service/svc1/purge');
+    assert.strictEqual(
+      requests[0].options.headers['Surrogate-Key'],
+      'product:iphone-15 category:4'
+    );
+    assert.throws(() => buildPurgeRequest(['category:4'], {}), /FASTLY_SERVICE_ID/);
+  });
+});
@@ -0,0 +1,49 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadMeshSecrets, writeSecretsFile } = require('../../scripts/lib/mesh-secrets');
+
+describe('mesh secrets', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mesh-secrets-'));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('loadMeshSecrets', () => {
+    it('reads the mesh secrets that are set and ignores other variables', () => {
+      const secrets = loadMeshSecrets({ MESH_DEBUG_SECRET: 's3cret', FASTLY_API_TOKEN: 'token' });
+
+      assert.deepStrictEqual(secrets, { MESH_DEBUG_SECRET: 's3cret' });
+    });
+
+    it('leaves out empty secrets', () => {
+      assert.deepStrictEqual(loadMeshSecrets({ MESH_DEBUG_SECRET: '' }), {});
+    });
+  });
+
+  describe('writeSecretsFile', () => {
+    it('writes the secrets as quoted YAML readable by the owner only', () => {
+      const filePath = path.join(dir, 'secrets.yaml');
+
+      const written = writeSecretsFile({ MESH_DEBUG_SECRET: 'a: "b" #c' }, filePath);
+
+      assert.strictEqual(written, filePath);
+      assert.strictEqual(fs.readFileSync(filePath, 'utf8'), 'MESH_DEBUG_SECRET: "a: \\"b\\" #c"\n');
+      assert.strictEqual(fs.statSync(filePath).mode & 0o777, 0o600);
+    });
+
+    it('writes nothing without secrets', () => {
+      const filePath = path.join(dir, 'empty.yaml');
+
+      assert.strictEqual(writeSecretsFile({}, filePath), null);
+      assert.ok(!fs.existsSync(filePath));
+    });
+  });
+});
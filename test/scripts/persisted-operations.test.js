@@ -0,0 +1,241 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const {
+  graphql,
+  parse,
+  validate,
+  extendSchema,
+  getNamedType,
+  GraphQLSchema,
+  GraphQLObjectType,
+} = require('graphql');
+const {
+  loadOperationFiles,
+  hashDocument,
+  compilePersistedOperations,
+  resolvePersistedRequest,
+  isRootFieldExposed,
+  restrictSchemaFilters,
+} = require('../../scripts/lib/persisted-operations');
+const { meshConfig, cacheRules } = require('../../mesh.config');
+const { combineSchemaFiles } = require('../../scripts/build-mesh');
+const { buildLocalSchema } = require('../../scripts/local-mesh');
+const { printOperationSignature } = require('../../resolvers-src/utils/persisted-operations');
+const { loadResolver, createMockContext } = require('../helpers/resolver-harness');
+
+const schema = buildLocalSchema(combineSchemaFiles(), { warn: () => {} });
+
+const NAVIGATION_QUERY = `
+query CategoryNavigation {
+  Citisignal_categoryNavigation {
+    headerNav { href label }
+  }
+}
+`;
+
+describe('persisted operations', () => {
+  it('compiles every storefront operation against the mesh schema', () => {
+    const files = loadOperationFiles();
+    const { operations, manifest, errors } = compilePersistedOperations(files, schema);
+
+    assert.deepStrictEqual(errors, []);
+    assert.strictEqual(operations.length, files.length);
+    assert.ok(operations.some((operation) => operation.name === 'ProductCards'));
+    operations.forEach((operation) => {
+      assert.strictEqual(hashDocument(manifest[operation.hash]), operation.hash);
+    });
+  });
+
+  it('selects upstreamErrors in every cached query, so degraded results reach the storefront', () => {
+    const queryFields = schema.getQueryType().getFields();
+    loadOperationFiles().forEach(({ file, content }) => {
+      const [operation] = parse(content).definitions;
+      operation.selectionSet.selections
+        .filter((field) => cacheRules[field.name.value]?.maxAge > 0)
+        .filter((field) => {
+          const resultType = getNamedType(queryFields[field.name.value].type);
+          return 'upstreamErrors' in resultType.getFields();
+        })
+        .forEach((field) => {
+          const selected = field.selectionSet.selections.map((selection) => selection.name?.value);
+          assert.ok(selected.includes('upstreamErrors'), `${file}: ${field.name.value}`);
+        });
+    });
+  });
+
+  it('reports invalid, unnamed and duplicate operations', () => {
+    const { errors } = compilePersistedOperations(
+      [
+        { file: 'a.graphql', content: NAVIGATION_QUERY },
+        { file: 'b.graphql', content: NAVIGATION_QUERY },
+        { file: 'c.graphql', content: '{ Citisignal_categoryNavigation { nope } }' },
+        { file: 'd.graphql', content: 'query Broken {' },
+      ],
+      schema
+    );
+
+    assert.strictEqual(errors.length, 3);
+    assert.strictEqual(
+      errors[0],
+      'b.graphql: operation CategoryNavigation is already defined in a.graphql'
+    );
+    assert.strictEqual(errors[1], 'c.graphql: must contain exactly one named operation');
+    assert.match(errors[2], /^d\.graphql: Syntax Error/);
+  });
+
+  it('resolves GET parameters by document id or persisted query hash', () => {
+    const manifest = { abc123: NAVIGATION_QUERY };
+
+    assert.strictEqual(
+      resolvePersistedRequest({ documentId: 'abc123' }, manifest).query,
+      NAVIGATION_QUERY
+    );
+    assert.deepStrictEqual(
+      resolvePersistedRequest(
+        {
+          extensions: '{"persistedQuery":{"version":1,"sha256Hash":"abc123"}}',
+          variables: '{"limit":4}',
+        },
+        manifest
+      ).variables,
+      { limit: 4 }
+    );
+    assert.throws(
+      () => resolvePersistedRequest({ documentId: 'unknown' }, manifest),
+      /PersistedQueryNotFound/
+    );
+    assert.throws(
+      () => resolvePersistedRequest({ query: NAVIGATION_QUERY }, manifest, { persistedOnly: true }),
+      /Only persisted operations are allowed/
+    );
+  });
+
+  it('prints the same signature however the operation is formatted', () => {
+    const spread = parse(`
+      # Fragment names and formatting do not matter
+      query CategoryNavigation { Citisignal_categoryNavigation { ...Nav } }
+      fragment Nav on Citisignal_CategoryNavigationResponse { headerNav { href, label } }
+    `);
+    const fragments = { Nav: spread.definitions[1] };
+
+    assert.strictEqual(
+      printOperationSignature(spread.definitions[0], fragments),
+      'query CategoryNavigation{Citisignal_categoryNavigation{...on Citisignal_CategoryNavigationResponse{headerNav{href label}}}}'
+    );
+    assert.strictEqual(
+      printOperationSignature(parse(NAVIGATION_QUERY).definitions[0]),
+      'query CategoryNavigation{Citisignal_categoryNavigation{headerNav{href label}}}'
+    );
+  });
+
+  it('rejects operations that are not persisted in persisted-only builds', async () => {
+    const { operations } = compilePersistedOperations(
+      [{ file: 'category-navigation.graphql', content: NAVIGATION_QUERY }],
+      schema
+    );
+    const { resolvers } = loadResolver('category-navigation.js', {
+      persistedOperationSignatures: operations.map((operation) => operation.signature),
+    });
+    const localSchema = buildLocalSchema(combineSchemaFiles(), { warn: () => {} });
+    localSchema.getQueryType().getFields().Citisignal_categoryNavigation.resolve =
+      resolvers.Query.Citisignal_categoryNavigation.resolve;
+
+    const run = (source) => {
+      const { context } = createMockContext({
+        responses: { 'CommerceGraphQL.Query.Commerce_categoryList': [] },
+      });
+      return graphql({ schema: localSchema, source, contextValue: context });
+    };
+
+    const persisted = await run(NAVIGATION_QUERY);
+    assert.strictEqual(persisted.errors, undefined);
+    assert.deepStrictEqual(persisted.data.Citisignal_categoryNavigation.headerNav, []);
+
+    const arbitrary = await run('{ Citisignal_categoryNavigation { cacheTags } }');
+    assert.strictEqual(
+      arbitrary.errors[0].message,
+      'Only persisted operations are allowed on this endpoint.'
+    );
+  });
+
+  describe('restrictSchemaFilters', () => {
+    // The unified schema with the source fields mesh.config.js exposes
+    const unifiedSchema = extendSchema(
+      schema,
+      parse(`
+        extend type Query {
+          Catalog_productSearch(phrase: String!): String
+          Search_productSearch(phrase: String!): String
+          Commerce_categoryList: String
+        }
+      `)
+    );
+
+    // Keep the root fields filterSchema filters would keep
+    const filterRootFields = (filters) => {
+      const rootType = (type) =>
+        type &&
+        new GraphQLObjectType({
+          ...type.toConfig(),
+          fields: Object.fromEntries(
+            Object.entries(type.toConfig().fields).filter(([name]) =>
+              isRootFieldExposed(filters, type.name, name)
+            )
+          ),
+        });
+      const config = unifiedSchema.toConfig();
+      const query = rootType(config.query);
+      const mutation = rootType(config.mutation);
+      return new GraphQLSchema({
+        ...config,
+        query,
+        mutation,
+        types: config.types.map((type) =>
+          type.name === query.name ? query : type.name === mutation?.name ? mutation : type
+        ),
+      });
+    };
+    const filtersOf = (transforms) => transforms.find((t) => t.filterSchema).filterSchema.filters;
+
+    const rawQuery = '{ Catalog_productSearch(phrase: "") }';
+
+    it('keeps the raw source fields in development builds', () => {
+      const developmentSchema = filterRootFields(filtersOf(meshConfig.transforms));
+
+      assert.deepStrictEqual(validate(developmentSchema, parse(rawQuery)), []);
+    });
+
+    it('rejects queries on raw source fields in persisted-only builds', () => {
+      const productionSchema = filterRootFields(
+        filtersOf(restrictSchemaFilters(meshConfig.transforms))
+      );
+
+      ['Catalog_productSearch', 'Search_productSearch'].forEach((field) => {
+        const errors = validate(productionSchema, parse(`{ ${field}(phrase: "") }`));
+        assert.match(errors[0].message, new RegExp(`Cannot query field "${field}"`));
+      });
+      assert.strictEqual(validate(productionSchema, parse('{ Commerce_categoryList }')).length, 1);
+    });
+
+    it('keeps every persisted operation valid in persisted-only builds', () => {
+      const productionSchema = filterRootFields(
+        filtersOf(restrictSchemaFilters(meshConfig.transforms))
+      );
+
+      loadOperationFiles().forEach(({ file, content }) => {
+        assert.deepStrictEqual(validate(productionSchema, parse(content)), [], file);
+      });
+    });
+
+    it('adds a filterSchema transform when the mesh has none', () => {
+      assert.deepStrictEqual(restrictSchemaFilters([]), [
+        {
+          filterSchema: {
+            mode: 'bare',
+            filters: ['Query.{Citisignal_*}', 'Mutation.{Citisignal_*}'],
+          },
+        },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,160 @@
+/* global Request, Response, fetch */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { createPersistedProxy } = require('../../scripts/lib/persisted-proxy');
+const { createProxyServer } = require('../../scripts/persisted-proxy');
+
+const MESH_URL = 'https://mesh.example.com/graphql';
+const NAVIGATION_QUERY = 'query CategoryNavigation { Citisignal_categoryNavigation { cacheTags } }';
+const manifest = { abc123: NAVIGATION_QUERY };
+
+// Stand-in for the mesh that records what the proxy forwards
+const createMesh = () => {
+  const calls = [];
+  const fetchMesh = async (url, init) => {
+    calls.push({ url, method: init.method, headers: init.headers, body: init.body });
+    return new Response(JSON.stringify({ data: { ok: true } }), {
+      status: 200,
+      headers: { 'content-type': 'application/json', 'access-control-allow-origin': '*' },
+    });
+  };
+  return { calls, fetchMesh };
+};
+
+describe('persisted operation proxy', () => {
+  it('forwards a GET by document id to the mesh as the persisted document', async () => {
+    const { calls, fetchMesh } = createMesh();
+    const handle = createPersistedProxy({ manifest, meshUrl: MESH_URL, fetch: fetchMesh });
+
+    const variables = encodeURIComponent(JSON.stringify({ depth: 2 }));
+    const response = await handle(
+      new Request(`https://shop.example.com/graphql?documentId=abc123&variables=${variables}`, {
+        headers: { store: 'default', host: 'shop.example.com' },
+      })
+    );
+
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(await response.json(), { data: { ok: true } });
+    assert.strictEqual(response.headers.get('access-control-allow-origin'), '*');
+    assert.strictEqual(calls.length, 1);
+    assert.strictEqual(calls[0].url, MESH_URL);
+    assert.strictEqual(calls[0].method, 'POST');
+    assert.strictEqual(calls[0].headers.get('store'), 'default');
+    assert.strictEqual(calls[0].headers.get('host'), null);
+    assert.deepStrictEqual(JSON.parse(calls[0].body), {
+      query: NAVIGATION_QUERY,
+      variables: { depth: 2 },
+    });
+  });
+
+  it('sends the cacheTags of the results as a Surrogate-Key header', async () => {
+    const handle = createPersistedProxy({
+      manifest,
+      meshUrl: MESH_URL,
+      fetch: async () =>
+        new Response(
+          JSON.stringify({
+            data: {
+              Citisignal_categoryPageData: {
+                navigation: { cacheTags: ['category:4', 'category:5'] },
+                products: { cacheTags: ['product:iphone-15', 'category:4'] },
+              },
+            },
+          }),
+          { headers: { 'content-type': 'application/json' } }
+        ),
+    });
+
+    const response = await handle(
+      new Request('https://shop.example.com/graphql?documentId=abc123')
+    );
+
+    assert.strictEqual(
+      response.headers.get('surrogate-key'),
+      'category:4 category:5 product:iphone-15'
+    );
+  });
+
+  it('sends no Surrogate-Key header for results without tags', async () => {
+    const { fetchMesh } = createMesh();
+    const handle = createPersistedProxy({ manifest, meshUrl: MESH_URL, fetch: fetchMesh });
+
+    const response = await handle(
+      new Request('https://shop.example.com/graphql?documentId=abc123')
+    );
+
+    assert.strictEqual(response.headers.get('surrogate-key'), null);
+  });
+
+  it('resolves the Apollo persisted query hash of a POST', async () => {
+    const { calls, fetchMesh } = createMesh();
+    const handle = createPersistedProxy({ manifest, meshUrl: MESH_URL, fetch: fetchMesh });
+
+    await handle(
+      new Request('https://shop.example.com/graphql', {
+        method: 'POST',
+        body: JSON.stringify({
+          operationName: 'CategoryNavigation',
+          extensions: { persistedQuery: { version: 1, sha256Hash: 'abc123' } },
+        }),
+      })
+    );
+
+    assert.strictEqual(JSON.parse(calls[0].body).query, NAVIGATION_QUERY);
+    assert.strictEqual(JSON.parse(calls[0].body).operationName, 'CategoryNavigation');
+  });
+
+  it('answers unknown hashes without calling the mesh', async () => {
+    const { calls, fetchMesh } = createMesh();
+    const handle = createPersistedProxy({ manifest, meshUrl: MESH_URL, fetch: fetchMesh });
+
+    const response = await handle(new Request('https://shop.example.com/graphql?documentId=nope'));
+
+    assert.strictEqual(response.status, 400);
+    assert.deepStrictEqual(await response.json(), {
+      errors: [{ message: 'PersistedQueryNotFound: nope' }],
+    });
+    assert.strictEqual(calls.length, 0);
+  });
+
+  it('rejects documents when persisted-only', async () => {
+    const { calls, fetchMesh } = createMesh();
+    const handle = createPersistedProxy({
+      manifest,
+      meshUrl: MESH_URL,
+      persistedOnly: true,
+      fetch: fetchMesh,
+    });
+
+    const response = await handle(
+      new Request('https://shop.example.com/graphql', {
+        method: 'POST',
+        body: JSON.stringify({ query: '{ Citisignal_cart { id } }' }),
+      })
+    );
+
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual(calls.length, 0);
+  });
+
+  it('serves GET requests by hash over HTTP', async () => {
+    const { calls, fetchMesh } = createMesh();
+    const server = createProxyServer(
+      createPersistedProxy({ manifest, meshUrl: MESH_URL, fetch: fetchMesh })
+    );
+    await new Promise((resolve) => server.listen(0, resolve));
+
+    try {
+      const response = await fetch(
+        `http://localhost:${server.address().port}/graphql?documentId=abc123`
+      );
+
+      assert.strictEqual(response.status, 200);
+      assert.deepStrictEqual(await response.json(), { data: { ok: true } });
+      assert.strictEqual(JSON.parse(calls[0].body).query, NAVIGATION_QUERY);
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+});
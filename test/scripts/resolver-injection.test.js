@@ -0,0 +1,112 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const {
+  analyzeUtilityModule,
+  detectUsedFunctions,
+  buildUtilityInjection,
+} = require('../../scripts/lib/resolver-injection');
+
+const priceUtils = `
+const CURRENCY_SYMBOL = '$';
+
+const formatPrice = (amount) => \`\${CURRENCY_SYMBOL}\${amount.toFixed(2)}\`;
+
+const isOnSale = (regular, final) => final < regular;
+
+module.exports = { formatPrice, isOnSale };
+`;
+
+const cartUtils = `
+const transformCartItem = (item) => ({ ...item, price: formatPrice(item.value) });
+
+const transformCart = (cart) => cart.items.map(transformCartItem);
+
+module.exports = { transformCart, transformCartItem };
+`;
+
+const utilities = {
+  'price-utils': analyzeUtilityModule(priceUtils, 'utils/price-utils.js'),
+  'cart-utils': analyzeUtilityModule(cartUtils, 'utils/cart-utils.js'),
+};
+
+const injectedNames = (content) =>
+  detectUsedFunctions(content, utilities, 'test.js').flatMap(({ names }) => names);
+
+describe('resolver injection', () => {
+  it('injects transitive dependencies before the functions that use them', () => {
+    const names = injectedNames('module.exports = { resolve: (cart) => transformCart(cart) };');
+
+    assert.deepStrictEqual(names, [
+      'CURRENCY_SYMBOL',
+      'formatPrice',
+      'transformCartItem',
+      'transformCart',
+    ]);
+  });
+
+  it('ignores names in strings, comments and property keys', () => {
+    const names = injectedNames(`
+      // isOnSale(regular, final) is computed upstream
+      const label = 'formatPrice(amount)';
+      module.exports = { isOnSale: label, resolve: (root) => root.formatPrice };
+    `);
+
+    assert.deepStrictEqual(names, []);
+  });
+
+  it('does not inject names shadowed by local bindings', () => {
+    const names = injectedNames(`
+      const resolve = (formatPrice, amount) => formatPrice(amount);
+      module.exports = { resolve };
+    `);
+
+    assert.deepStrictEqual(names, []);
+  });
+
+  it('fails the build on undefined identifiers', () => {
+    assert.throws(
+      () => detectUsedFunctions('const total = calculateTotal(1);\n', utilities, 'cart.js'),
+      /cart\.js:1:15 calculateTotal/
+    );
+  });
+
+  it('fails when a resolver redeclares an injected name', () => {
+    assert.throws(
+      () =>
+        detectUsedFunctions(
+          'const CURRENCY_SYMBOL = "€";\nmodule.exports = formatPrice(1);\n',
+          utilities,
+          'prices.js'
+        ),
+      /prices\.js declares CURRENCY_SYMBOL/
+    );
+  });
+
+  it('allows runtime globals and injected facet mappings', () => {
+    const names = injectedNames(`
+      const keys = Object.keys(FACET_MAPPINGS).map(attributeCodeToUrlKey);
+      console.log(JSON.stringify(keys), Math.max(1, 2));
+    `);
+
+    assert.deepStrictEqual(names, []);
+  });
+
+  it('marks modules that require other files as not self-contained', () => {
+    const facetMapper = analyzeUtilityModule(
+      'const config = require("./config.json");\nconst map = () => config;\nmodule.exports = { map };\n',
+      'utils/facet-mapper.js'
+    );
+
+    assert.strictEqual(facetMapper.selfContained, false);
+    assert.strictEqual(utilities['price-utils'].selfContained, true);
+  });
+
+  it('groups injected code by source module', () => {
+    const injection = buildUtilityInjection(
+      detectUsedFunctions('transformCart([]);\n', utilities, 'test.js')
+    );
+
+    assert.match(injection, /\/\/ From price-utils\.js\nconst CURRENCY_SYMBOL = '\$';/);
+    assert.match(injection, /\/\/ From cart-utils\.js\nconst transformCartItem = /);
+  });
+});
@@ -0,0 +1,113 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { validateSchema } = require('../../scripts/lib/schema-validation');
+const { loadSchemaFiles } = require('../../scripts/build-mesh');
+const { loadResolver } = require('../helpers/resolver-harness');
+
+const sourcePrefixes = ['Catalog_', 'Search_', 'Commerce_'];
+
+const validate = (files, resolverModules = []) =>
+  validateSchema({
+    schemaFiles: Object.entries(files).map(([file, content]) => ({ file, content })),
+    resolverModules,
+    sourcePrefixes,
+  });
+
+describe('schema validation', () => {
+  it('reports conflicting definitions with the fields that differ', () => {
+    const { errors } = validate({
+      'schema/a.graphql': 'type Citisignal_Swatch {\n  type: String\n  value: String\n}',
+      'schema/b.graphql': '\n\ntype Citisignal_Swatch {\n  type: String!\n  hex: String\n}',
+    });
+
+    assert.deepStrictEqual(errors, [
+      'Conflicting definitions of Citisignal_Swatch in schema/a.graphql:1 and schema/b.graphql:3 ' +
+        '(type: String vs String!, value only in schema/a.graphql, hex only in schema/b.graphql)',
+    ]);
+  });
+
+  it('reports identical duplicates', () => {
+    const type = '"A swatch"\ntype Citisignal_Swatch { value: String }';
+    const { errors } = validate({
+      'schema/a.graphql': type,
+      'schema/b.graphql': 'type Citisignal_Swatch { value: String }',
+    });
+
+    assert.deepStrictEqual(errors, [
+      'Duplicate type Citisignal_Swatch in schema/a.graphql:1 and schema/b.graphql:1',
+    ]);
+  });
+
+  it('reports references to unknown types but allows source types', () => {
+    const { errors } = validate({
+      'schema/a.graphql': `
+        extend type Query {
+          Citisignal_cards(filter: Citisignal_CardFilter): [Citisignal_Card]
+          Citisignal_raw: Catalog_ProductSearchItem
+        }
+      `,
+    });
+
+    assert.deepStrictEqual(errors, [
+      'schema/a.graphql:3 Query.Citisignal_cards references unknown type Citisignal_Card',
+      'schema/a.graphql:3 Query.Citisignal_cards references unknown type Citisignal_CardFilter',
+    ]);
+  });
+
+  it('reports resolvers without schema fields and fields without resolvers', () => {
+    const { errors, warnings } = validate(
+      {
+        'schema/a.graphql': `
+          extend type Query {
+            Citisignal_cart: String
+            Citisignal_page: String
+          }
+          extend type Catalog_SimpleProductView {
+            display_price: String
+          }
+        `,
+      },
+      [
+        {
+          file: 'resolvers-src/a.js',
+          resolvers: {
+            Query: { Citisignal_cart: () => '', Citisignal_carts: () => '' },
+            Catalog_SimpleProductView: { display_price: {} },
+            Catalog_ComplexProductView: { display_price: {} },
+          },
+        },
+      ]
+    );
+
+    assert.deepStrictEqual(errors, [
+      'resolvers-src/a.js resolves Query.Citisignal_carts, which is not in the schema',
+      'resolvers-src/a.js resolves Catalog_ComplexProductView.display_price, which is not in the schema',
+    ]);
+    assert.deepStrictEqual(warnings, ['schema/a.graphql:4 Query.Citisignal_page has no resolver']);
+  });
+
+  it('reports syntax errors with their location', () => {
+    const { errors } = validate({ 'schema/a.graphql': 'type Citisignal_Card {\n  name String\n}' });
+
+    assert.strictEqual(errors.length, 1);
+    assert.match(errors[0], /^schema\/a\.graphql:2 Syntax Error/);
+  });
+
+  it('accepts the schema and resolvers in this repository', () => {
+    const resolversDir = path.join(__dirname, '..', '..', 'resolvers-src');
+    const resolverModules = fs
+      .readdirSync(resolversDir)
+      .filter((file) => file.endsWith('.js'))
+      .map((file) => ({ file, resolvers: loadResolver(file).resolvers }));
+
+    const { errors } = validateSchema({
+      schemaFiles: loadSchemaFiles(),
+      resolverModules,
+      sourcePrefixes,
+    });
+
+    assert.deepStrictEqual(errors, []);
+  });
+});
@@ -0,0 +1,298 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { buildSchema, introspectionFromSchema } = require('graphql');
+const {
+  SOURCE_SCHEMAS_DIR,
+  buildPrefixedSchema,
+  collectSelectionSets,
+  validateSelectionSets,
+} = require('../../scripts/lib/selection-validation');
+const { introspectSource } = require('../../scripts/snapshot-schemas');
+
+const RESOLVERS_DIR = path.join(__dirname, '..', '..', 'resolvers-src');
+
+// Resolver or utility sources as the build reads them
+const readSources = (dir, prefix) =>
+  fs
+    .readdirSync(dir)
+    .filter((file) => file.endsWith('.js'))
+    .sort()
+    .map((file) => ({
+      file: `${prefix}${file}`,
+      content: fs.readFileSync(path.join(dir, file), 'utf8'),
+    }));
+
+const catalogSdl = `
+  type Query {
+    productSearch(phrase: String!): ProductSearchResponse
+    refineProduct(sku: String!): String
+  }
+
+  type ProductSearchResponse {
+    items: [ProductSearchItem]
+    total_count: Int
+  }
+
+  type ProductSearchItem {
+    productView: ProductView
+  }
+
+  interface ProductView {
+    sku: String
+    name: String
+  }
+
+  type SimpleProductView implements ProductView {
+    sku: String
+    name: String
+    price: Float
+  }
+
+  type ComplexProductView implements ProductView {
+    sku: String
+    name: String
+    options: [String]
+  }
+`;
+
+const meshConfig = {
+  sources: [
+    {
+      name: 'CatalogServiceSandbox',
+      handler: {
+        graphql: { endpoint: '{env.CATALOG_ENDPOINT}', schemaHeaders: { 'X-Api-Key': 'key' } },
+      },
+      transforms: [{ prefix: { value: 'Catalog_', includeRootOperations: true } }],
+    },
+    {
+      name: 'CommerceGraphQL',
+      handler: { graphql: { endpoint: '{env.COMMERCE_ENDPOINT}' } },
+      transforms: [{ prefix: { value: 'Commerce_', includeRootOperations: true } }],
+    },
+  ],
+};
+
+const resolver = (body) => `
+const search = async (context) =>
+  context.CatalogServiceSandbox.Query.Catalog_productSearch({
+    root: {},
+    args: { phrase: '' },
+    context,
+    selectionSet: \`{
+      items {
+        productView {
+          ${body}
+        }
+      }
+    }\`,
+  });
+
+module.exports = { resolvers: {} };
+`;
+
+describe('selection set validation', () => {
+  let schemasDir;
+
+  before(() => {
+    schemasDir = fs.mkdtempSync(path.join(os.tmpdir(), 'source-schemas-'));
+    fs.writeFileSync(path.join(schemasDir, 'CatalogServiceSandbox.graphql'), catalogSdl);
+  });
+
+  after(() => {
+    fs.rmSync(schemasDir, { recursive: true, force: true });
+  });
+
+  const validate = (content) =>
+    validateSelectionSets({
+      resolverFiles: [{ file: 'resolvers-src/search.js', content }],
+      meshConfig,
+      schemasDir,
+    });
+
+  it('applies the mesh prefix to types and root fields', () => {
+    const schema = buildPrefixedSchema(catalogSdl, {
+      value: 'Catalog_',
+      includeRootOperations: true,
+    });
+
+    assert.ok(schema.getQueryType().getFields().Catalog_productSearch);
+    assert.ok(schema.getType('Catalog_ComplexProductView'));
+    assert.strictEqual(schema.getType('ComplexProductView'), undefined);
+    assert.strictEqual(
+      String(schema.getType('Catalog_SimpleProductView').getFields().sku.type),
+      'String'
+    );
+  });
+
+  it('accepts valid selections with prefixed inline fragments', () => {
+    const { errors } = validate(
+      resolver('__typename sku ... on Catalog_SimpleProductView { price }')
+    );
+
+    assert.deepStrictEqual(errors, []);
+  });
+
+  it('reports unknown fields at their line in the resolver', () => {
+    const { errors } = validate(resolver('sku\n          nmae'));
+
+    assert.deepStrictEqual(errors, [
+      'resolvers-src/search.js:11 Query.Catalog_productSearch: Cannot query field "nmae" on type "Catalog_ProductView". Did you mean "name"?',
+    ]);
+  });
+
+  it('reports inline fragments without the source prefix', () => {
+    const { errors } = validate(resolver('... on ComplexProductView { options }'));
+
+    assert.strictEqual(errors.length, 1);
+    assert.match(errors[0], /Unknown type "ComplexProductView"/);
+  });
+
+  it('validates field extension selection sets against the extended type', () => {
+    const { errors } = validate(`
+      module.exports = {
+        resolvers: {
+          Catalog_ComplexProductView: {
+            memory_options: { selectionSet: '{ options }', resolve: () => [] },
+            price_display: { selectionSet: '{ price }', resolve: () => '' },
+          },
+        },
+      };
+    `);
+
+    assert.deepStrictEqual(errors, [
+      'resolvers-src/search.js:6 Catalog_ComplexProductView: Cannot query field "price" on type "Catalog_ComplexProductView".',
+    ]);
+  });
+
+  it('checks root fields and leaf return types', () => {
+    const { errors } = validate(`
+      const refine = (context) =>
+        context.CatalogServiceSandbox.Query.Catalog_refineProduct({ args: {}, selectionSet: '{ sku }' });
+      const missing = (context) =>
+        context.CatalogServiceSandbox.Query.Catalog_productDetails({ args: {}, selectionSet: '{ sku }' });
+    `);
+
+    assert.deepStrictEqual(errors, [
+      'resolvers-src/search.js:3 Query.Catalog_refineProduct returns String and takes no selection set',
+      'resolvers-src/search.js:5 CatalogServiceSandbox has no Query field Catalog_productDetails',
+    ]);
+  });
+
+  it('skips sources without a snapshot and says how many selections were skipped', () => {
+    const { errors, warnings } = validate(`
+      const cart = (context) =>
+        context.CommerceGraphQL.Query.Commerce_cart({ args: {}, selectionSet: '{ id }' });
+    `);
+
+    assert.deepStrictEqual(errors, []);
+    assert.deepStrictEqual(warnings, [
+      'No schema snapshot for CommerceGraphQL - skipped 1 selection set(s) (run npm run schema:snapshot)',
+    ]);
+  });
+
+  it('fails on sources without a snapshot when snapshots are required', () => {
+    const { errors, warnings } = validateSelectionSets({
+      resolverFiles: [
+        {
+          file: 'resolvers-src/cart.js',
+          content: `
+            const cart = (context) =>
+              context.CommerceGraphQL.Query.Commerce_cart({ args: {}, selectionSet: '{ id }' });
+          `,
+        },
+      ],
+      meshConfig,
+      schemasDir,
+      requireSnapshots: true,
+    });
+
+    assert.deepStrictEqual(warnings, []);
+    assert.deepStrictEqual(errors, [
+      'No schema snapshot for CommerceGraphQL - skipped 1 selection set(s) (run npm run schema:snapshot)',
+    ]);
+  });
+
+  it('warns about selection sets that depend on runtime values', () => {
+    const { selections, skipped } = collectSelectionSets(
+      'context.CatalogServiceSandbox.Query.Catalog_productSearch({ selectionSet: `{ ${fields} }` });',
+      'resolvers-src/search.js',
+      ['CatalogServiceSandbox']
+    );
+
+    assert.deepStrictEqual(selections, []);
+    assert.deepStrictEqual(skipped, [
+      'resolvers-src/search.js:1 selectionSet is not a static string',
+    ]);
+  });
+
+  it('resolves selection sets built from utility template functions', () => {
+    const utility = {
+      file: 'resolvers-src/utils/views.js',
+      content: `
+        const viewSelection = (prefix, extra) => \`{ sku ... on \${prefix}SimpleProductView { \${extra} } }\`;
+        module.exports = { viewSelection };
+      `,
+    };
+    const search = (extra) => `
+      const FIELDS = '${extra}';
+      context.CatalogServiceSandbox.Query.Catalog_productSearch({
+        selectionSet: \`{ items { productView \${viewSelection('Catalog_', FIELDS)} } }\`,
+      });
+    `;
+    const run = (extra) =>
+      validateSelectionSets({
+        resolverFiles: [{ file: 'resolvers-src/search.js', content: search(extra) }],
+        utilityFiles: [utility],
+        meshConfig,
+        schemasDir,
+      });
+
+    assert.deepStrictEqual(run('price').errors, []);
+    assert.deepStrictEqual(run('options').errors, [
+      'resolvers-src/search.js:4 Query.Catalog_productSearch: Cannot query field "options" on type "Catalog_SimpleProductView".',
+    ]);
+  });
+
+  it(
+    'validates the current resolvers against the committed snapshots',
+    { skip: !fs.existsSync(SOURCE_SCHEMAS_DIR) && 'no snapshots in schema/sources/' },
+    () => {
+      const { errors, warnings } = validateSelectionSets({
+        resolverFiles: readSources(RESOLVERS_DIR, 'resolvers-src/'),
+        utilityFiles: readSources(path.join(RESOLVERS_DIR, 'utils'), 'resolvers-src/utils/'),
+        meshConfig: require('../../mesh.config').meshConfig,
+        requireSnapshots: true,
+      });
+
+      assert.deepStrictEqual(errors, []);
+      assert.deepStrictEqual(
+        warnings.filter((warning) => warning.includes('not a static string')),
+        []
+      );
+    }
+  );
+
+  it('snapshots a source schema from introspection', async () => {
+    process.env.CATALOG_ENDPOINT = 'https://catalog.example.com/graphql';
+    const requests = [];
+    const fetch = async (url, init) => {
+      requests.push({ url, headers: init.headers });
+      return {
+        status: 200,
+        text: async () =>
+          JSON.stringify({ data: introspectionFromSchema(buildSchema(catalogSdl)) }),
+      };
+    };
+
+    const sdl = await introspectSource(meshConfig.sources[0], fetch);
+
+    assert.strictEqual(requests[0].url, 'https://catalog.example.com/graphql');
+    assert.strictEqual(requests[0].headers['X-Api-Key'], 'key');
+    assert.match(sdl, /interface ProductView \{/);
+    assert.match(sdl, /productSearch\(phrase: String!\): ProductSearchResponse/);
+    delete process.env.CATALOG_ENDPOINT;
+  });
+});
@@ -0,0 +1,50 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { requestTimings, applyServerTiming } = require('../../scripts/lib/server-timing');
+
+const timedResponse = (extensions = {}) => ({
+  data: { Citisignal_productCards: { totalCount: 1 } },
+  extensions: {
+    ...extensions,
+    timings: {
+      totalMs: 90,
+      transformMs: 4,
+      sources: [],
+      serverTiming: 'Catalog_productSearch;dur=84, transform;dur=4, total;dur=90',
+    },
+  },
+});
+
+describe('requestTimings', () => {
+  it('adds the timings request header to the forwarded headers', () => {
+    assert.deepStrictEqual(requestTimings({ 'x-cart-id': 'abc' }), {
+      'x-cart-id': 'abc',
+      'x-mesh-timings': 'true',
+    });
+  });
+});
+
+describe('applyServerTiming', () => {
+  it('moves the timings into a Server-Timing header', () => {
+    const { headers, body } = applyServerTiming(timedResponse());
+
+    assert.deepStrictEqual(headers, {
+      'Server-Timing': 'Catalog_productSearch;dur=84, transform;dur=4, total;dur=90',
+    });
+    assert.deepStrictEqual(body, { data: { Citisignal_productCards: { totalCount: 1 } } });
+  });
+
+  it('keeps other extensions and, when asked, the timings block', () => {
+    const stripped = applyServerTiming(timedResponse({ cost: 3 }));
+    assert.deepStrictEqual(stripped.body.extensions, { cost: 3 });
+
+    const kept = applyServerTiming(timedResponse(), { keepExtensions: true });
+    assert.strictEqual(kept.body.extensions.timings.totalMs, 90);
+  });
+
+  it('adds no header to responses without timings', () => {
+    const cached = { data: { Citisignal_productCards: { totalCount: 1 } } };
+
+    assert.deepStrictEqual(applyServerTiming(cached), { headers: {}, body: cached });
+  });
+});
@@ -0,0 +1,243 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  callHash,
+  createSourceProxy,
+  createLiveSource,
+  createRecordingSource,
+  createReplaySource,
+} = require('../../scripts/lib/upstream-sources');
+const { loadResolver, createMockContext, runResolver } = require('../helpers/resolver-harness');
+const { complexProductView, searchResult } = require('../fixtures/products');
+
+const catalogCall = {
+  source: 'CatalogServiceSandbox',
+  operation: 'Query',
+  field: 'Catalog_productSearch',
+  args: { phrase: '', page_size: 1, filter: [{ attribute: 'url_key', in: ['iphone-15'] }] },
+  selectionSet: '{ items { productView { sku } } }',
+};
+
+// Source stand-in that answers every call from a handler, counting invocations
+const createStubSource = (sourceName, handler) => {
+  const calls = [];
+  const source = createSourceProxy(sourceName, async (call) => {
+    calls.push(call);
+    return handler(call);
+  });
+  return { source, calls };
+};
+
+describe('upstream sources', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mesh-recordings-'));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('callHash', () => {
+    it('ignores argument key order and selection set formatting', () => {
+      const reformatted = {
+        ...catalogCall,
+        args: { filter: catalogCall.args.filter, page_size: 1, phrase: '' },
+        selectionSet: `{
+          items {
+            productView { sku }
+          }
+        }`,
+      };
+
+      assert.strictEqual(callHash(reformatted), callHash(catalogCall));
+    });
+
+    it('changes when the selection set changes', () => {
+      const withName = { ...catalogCall, selectionSet: '{ items { productView { sku name } } }' };
+
+      assert.notStrictEqual(callHash(withName), callHash(catalogCall));
+    });
+  });
+
+  describe('record and replay', () => {
+    it('replays recorded responses without calling the source', async () => {
+      const { source, calls } = createStubSource('CatalogServiceSandbox', () =>
+        searchResult([complexProductView()])
+      );
+      const recorded = [];
+      const recording = createRecordingSource('CatalogServiceSandbox', source, {
+        dir,
+        onRecord: (_call, file) => recorded.push(file),
+      });
+
+      const live = await recording.Query.Catalog_productSearch(catalogCall);
+      const replay = createReplaySource('CatalogServiceSandbox', { dir });
+      const replayed = await replay.Query.Catalog_productSearch(catalogCall);
+
+      assert.strictEqual(calls.length, 1);
+      assert.strictEqual(recorded.length, 1);
+      assert.match(path.basename(recorded[0]), /^Catalog_productSearch-[0-9a-f]{16}\.json$/);
+      assert.deepStrictEqual(replayed, live);
+    });
+
+    it('replays recorded upstream errors', async () => {
+      const { source } = createStubSource('CommerceGraphQL', () => {
+        throw new Error('The cart is not active.');
+      });
+      const recording = createRecordingSource('CommerceGraphQL', source, { dir });
+      const call = { args: { cart_id: 'inactive' }, selectionSet: '{ id }' };
+
+      await assert.rejects(recording.Query.Commerce_cart(call), /is not active/);
+
+      const replay = createReplaySource('CommerceGraphQL', { dir });
+      await assert.rejects(replay.Query.Commerce_cart(call), /is not active/);
+    });
+
+    it('fails for calls that were never recorded', async () => {
+      const replay = createReplaySource('CatalogServiceSandbox', { dir });
+
+      await assert.rejects(
+        replay.Query.Catalog_productSearch({ ...catalogCall, args: { phrase: 'unknown' } }),
+        /No recording for CatalogServiceSandbox\.Query\.Catalog_productSearch/
+      );
+    });
+
+    it('serves recordings to resolver tests', async () => {
+      const { source } = createStubSource('CatalogServiceSandbox', () =>
+        searchResult([complexProductView()])
+      );
+      const recording = createRecordingSource('CatalogServiceSandbox', source, { dir });
+      const commerce = createRecordingSource(
+        'CommerceGraphQL',
+        createStubSource('CommerceGraphQL', () => ({ items: [] })).source,
+        { dir }
+      );
+
+      // Record a session, then replay it through the harness
+      const { resolvers } = loadResolver('product-detail.js');
+      const session = createMockContext({ responses: {} });
+      session.context.CatalogServiceSandbox = recording;
+      session.context.CommerceGraphQL = commerce;
+      const recorded = await runResolver(
+        resolvers,
+        'Query.Citisignal_productDetail',
+        { urlKey: 'iphone-15' },
+        session.context
+      );
+
+      const { context, calls } = createMockContext({ recordings: dir });
+      const replayed = await runResolver(
+        resolvers,
+        'Query.Citisignal_productDetail',
+        { urlKey: 'iphone-15' },
+        context
+      );
+
+      assert.ok(calls.length > 0);
+      assert.deepStrictEqual(replayed, recorded);
+    });
+  });
+
+  describe('createLiveSource', () => {
+    const meshConfig = {
+      sources: [
+        {
+          name: 'CatalogServiceSandbox',
+          handler: {
+            graphql: {
+              endpoint: 'https://catalog.example.com/graphql',
+              operationHeaders: { 'X-Api-Key': '{context.headers["x-api-key"]}' },
+            },
+          },
+          transforms: [{ prefix: { value: 'Catalog_', includeRootOperations: true } }],
+        },
+      ],
+    };
+
+    const typeRef = (name) => ({ kind: 'SCALAR', name, ofType: null });
+    const introspection = {
+      data: {
+        __schema: {
+          queryType: {
+            fields: [
+              {
+                name: 'productSearch',
+                args: [
+                  {
+                    name: 'phrase',
+                    type: { kind: 'NON_NULL', name: null, ofType: typeRef('String') },
+                  },
+                  { name: 'page_size', type: typeRef('Int') },
+                ],
+              },
+            ],
+          },
+          mutationType: null,
+        },
+      },
+    };
+
+    it('sends the unprefixed operation with typed variables', async () => {
+      const requests = [];
+      const fetch = async (url, init) => {
+        const body = JSON.parse(init.body);
+        requests.push({ url, headers: init.headers, body });
+        const payload = body.query.includes('__schema')
+          ? introspection
+          : {
+              data: {
+                productSearch: { items: [{ productView: { __typename: 'SimpleProductView' } }] },
+              },
+            };
+        return { status: 200, text: async () => JSON.stringify(payload) };
+      };
+
+      const source = createLiveSource('CatalogServiceSandbox', { meshConfig, fetch });
+      const result = await source.Query.Catalog_productSearch({
+        args: { phrase: 'phone', page_size: 2 },
+        selectionSet:
+          '{ items { productView { __typename ... on Catalog_SimpleProductView { sku } } } }',
+        context: { headers: { 'x-api-key': 'key-123' } },
+      });
+
+      const operation = requests[1];
+      assert.strictEqual(operation.url, 'https://catalog.example.com/graphql');
+      assert.strictEqual(operation.headers['X-Api-Key'], 'key-123');
+      assert.match(operation.body.query, /query \(\$phrase: String!, \$page_size: Int\)/);
+      assert.match(
+        operation.body.query,
+        /productSearch\(phrase: \$phrase, page_size: \$page_size\)/
+      );
+      assert.match(operation.body.query, /\.\.\. on SimpleProductView/);
+      assert.deepStrictEqual(operation.body.variables, { phrase: 'phone', page_size: 2 });
+      assert.strictEqual(result.items[0].productView.__typename, 'Catalog_SimpleProductView');
+    });
+
+    it('throws GraphQL errors from the source', async () => {
+      const fetch = async (_url, init) => ({
+        status: 200,
+        text: async () =>
+          JSON.stringify(
+            init.body.includes('__schema')
+              ? introspection
+              : { errors: [{ message: 'Environment not found' }] }
+          ),
+      });
+
+      const source = createLiveSource('CatalogServiceSandbox', { meshConfig, fetch });
+
+      await assert.rejects(
+        source.Query.Catalog_productSearch({
+          args: { phrase: '' },
+          selectionSet: '{ total_count }',
+        }),
+        /Environment not found/
+      );
+    });
+  });
+});